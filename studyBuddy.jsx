@@ -1,4 +1,4 @@
-import React, { useState, useEffect, useCallback, useMemo } from 'react';
+import React, { useState, useEffect, useCallback, useMemo, useRef } from 'react';
 
 // --- Global Variable Declarations (Simulated/Provided by Environment) ---
 // We assume these are defined globally in the execution environment.
@@ -6,12 +6,21 @@ const firebaseConfig = typeof __firebase_config !== 'undefined' ? JSON.parse(__f
 const initialAuthToken = typeof __initial_auth_token !== 'undefined' ? __initial_auth_token : null;
 const appId = typeof __app_id !== 'undefined' ? __app_id : 'study-buddy-app';
 const apiKey = ""; // API key for Gemini
+// Optional JSON, e.g. {"provider": "mock"} or {"provider": "openai", "providers": {"openai": {"baseUrl": "http://localhost:8080/v1"}}}
+const llmConfig = typeof __llm_config !== 'undefined' ? JSON.parse(__llm_config) : {};
+// Optional JSON pointing the app at the Firebase emulators, e.g. {"auth": "http://127.0.0.1:9099", "firestore": "127.0.0.1:8080"}
+const firebaseEmulators = typeof __firebase_emulators !== 'undefined' ? JSON.parse(__firebase_emulators) : {};
 
 // --- External Library Imports (Assuming availability via script tags/environment) ---
 // Firebase
 const { initializeApp } = window.firebase || {};
-const { getAuth, signInAnonymously, signInWithCustomToken, onAuthStateChanged } = window.firebaseAuth || {};
-const { getFirestore, doc, collection, query, onSnapshot, setDoc } = window.firebaseFirestore || {};
+const {
+    getAuth, connectAuthEmulator, signInAnonymously, signInWithCustomToken, onAuthStateChanged,
+    EmailAuthProvider, linkWithCredential, createUserWithEmailAndPassword, signInWithEmailAndPassword, sendPasswordResetEmail, signOut
+} = window.firebaseAuth || {};
+const { getFirestore, connectFirestoreEmulator, doc, collection, query, where, onSnapshot, getDoc, getDocs, setDoc, updateDoc, deleteDoc, serverTimestamp } = window.firebaseFirestore || {};
+// PDF.js (pdfjs-dist). The environment is expected to set GlobalWorkerOptions.workerSrc.
+const pdfjsLib = window.pdfjsLib;
 
 // Mock NCERT Content for immediate testing (Chapter 1: Physical World)
 const MOCK_NCERT_TEXT = `
@@ -30,18 +39,83 @@ The application of physics principles leads to great technological advancements.
 // --- Utility Functions for Firebase/PDF ---
 
 // 1. Firebase Initialization and Auth
+// Without Firebase (or offline on first launch) the app runs as a local user. The ID is kept in
+// localStorage so offline progress stays attached to the same user across reloads.
+const LOCAL_USER_STORAGE_KEY = `${appId}:localUserId`;
+const getLocalUserId = () => {
+    try {
+        let localUserId = localStorage.getItem(LOCAL_USER_STORAGE_KEY);
+        if (!localUserId) {
+            localUserId = `local-${crypto.randomUUID()}`;
+            localStorage.setItem(LOCAL_USER_STORAGE_KEY, localUserId);
+        }
+        return localUserId;
+    } catch (e) {
+        console.warn("localStorage unavailable; offline progress will not survive a reload.", e);
+        return `local-${crypto.randomUUID()}`;
+    }
+};
+
+// What the account screen needs to know about the signed-in Firebase user
+const describeAccount = (user) => user ? { uid: user.uid, email: user.email || '', isAnonymous: user.isAnonymous } : null;
+
+const AUTH_ERROR_MESSAGES = {
+    'auth/email-already-in-use': 'That email already has an account. Sign in to it instead.',
+    'auth/credential-already-in-use': 'That email already has an account. Sign in to it instead.',
+    'auth/invalid-email': "That doesn't look like an email address.",
+    'auth/weak-password': 'Choose a password with at least 6 characters.',
+    'auth/invalid-credential': 'The email or password is wrong.',
+    'auth/wrong-password': 'The email or password is wrong.',
+    'auth/user-not-found': 'The email or password is wrong.',
+    'auth/too-many-requests': 'Too many attempts. Wait a few minutes and try again.',
+    'auth/network-request-failed': "You're offline. Connect to the internet and try again.",
+    'auth/operation-not-allowed': 'Email and password sign-in is not enabled for this app.'
+};
+
+const authErrorMessage = (error) => AUTH_ERROR_MESSAGES[error?.code] || 'Something went wrong. Please try again.';
+
+// A guest's account is upgraded in place: linking keeps the anonymous UID, so everything saved under
+// it (quizzes, decks, review items, profile) stays with the new email and password.
+const createEmailAccount = async (auth, email, password) => (auth.currentUser?.isAnonymous
+    ? await linkWithCredential(auth.currentUser, EmailAuthProvider.credential(email, password))
+    : await createUserWithEmailAndPassword(auth, email, password)).user;
+
+// Signing in to an existing account leaves the guest's user ID behind, and its Firestore data can't be
+// read any more. The flashcard decks, review items and profile the guest session had loaded are written
+// under the account instead; whatever the account already has is kept.
+async function copyGuestData(db, userId, { decks, reviewItems, profile }) {
+    const userPath = `artifacts/${appId}/users/${userId}`;
+    const [ownDecks, ownItems, ownProfile] = await Promise.all([
+        getDocs(collection(db, `${userPath}/flashcardDecks`)),
+        getDocs(collection(db, `${userPath}/reviewItems`)),
+        getDoc(doc(db, profileDocPath(userId), 'main'))
+    ]);
+    const ownDeckIds = new Set(ownDecks.docs.map(d => d.id));
+    const ownItemIds = new Set(ownItems.docs.map(d => d.id));
+    await Promise.all([
+        ...decks.filter(deck => !ownDeckIds.has(deck.id))
+            .map(deck => setDoc(doc(db, `${userPath}/flashcardDecks`, deck.id), deck)),
+        ...reviewItems.filter(item => !ownItemIds.has(item.id))
+            .map(item => setDoc(doc(db, `${userPath}/reviewItems`, item.id), item)),
+        ...(profile && !ownProfile.exists() ? [setDoc(doc(db, profileDocPath(userId), 'main'), profile)] : [])
+    ]);
+}
+
 function useFirebaseSetup() {
     const [db, setDb] = useState(null);
     const [auth, setAuth] = useState(null);
     const [userId, setUserId] = useState(null);
+    const [account, setAccount] = useState(null);
     const [isLoading, setIsLoading] = useState(true);
+    // After an explicit sign-out the environment's custom token belongs to the old session; start a guest one
+    const signedOutRef = useRef(false);
 
     useEffect(() => {
         try {
             // Check if Firebase dependencies are available globally (as expected in this environment)
             if (!initializeApp || !getAuth || !getFirestore) {
-                console.warn("Firebase dependencies not found globally. Mocking setup.");
-                setUserId(crypto.randomUUID());
+                console.warn("Firebase dependencies not found globally. Running with local storage only.");
+                setUserId(getLocalUserId());
                 setIsLoading(false);
                 return;
             }
@@ -49,23 +123,38 @@ function useFirebaseSetup() {
             const app = initializeApp(firebaseConfig);
             const firestore = getFirestore(app);
             const authInstance = getAuth(app);
+            // Must happen before the first request; lets sign-in and rules be tried against local emulators
+            if (firebaseEmulators.auth && connectAuthEmulator) {
+                connectAuthEmulator(authInstance, firebaseEmulators.auth, { disableWarnings: true });
+            }
+            if (firebaseEmulators.firestore && connectFirestoreEmulator) {
+                const [host, port] = firebaseEmulators.firestore.split(':');
+                connectFirestoreEmulator(firestore, host, Number(port));
+            }
             setDb(firestore);
             setAuth(authInstance);
 
             const handleSignIn = async () => {
                 try {
-                    if (initialAuthToken) {
+                    if (initialAuthToken && !signedOutRef.current) {
                         await signInWithCustomToken(authInstance, initialAuthToken);
                     } else {
                         await signInAnonymously(authInstance);
                     }
                 } catch (error) {
                     console.error("Firebase Auth Error, attempting anonymous fallback:", error);
-                    await signInAnonymously(authInstance);
+                    try {
+                        await signInAnonymously(authInstance);
+                    } catch (fallbackError) {
+                        // Most likely offline on first launch: keep working locally
+                        console.error("Anonymous sign-in failed; continuing as a local user:", fallbackError);
+                        setUserId(getLocalUserId());
+                    }
                 }
             };
 
             const unsubscribe = onAuthStateChanged(authInstance, (user) => {
+                setAccount(describeAccount(user));
                 if (user) {
                     setUserId(user.uid);
                 } else {
@@ -83,277 +172,3402 @@ function useFirebaseSetup() {
         }
     }, []);
 
-    return { db, auth, userId, isLoading };
+    const createAccount = useCallback(async (email, password) => {
+        try {
+            const user = await createEmailAccount(auth, email, password);
+            // Linking doesn't fire onAuthStateChanged
+            setAccount(describeAccount(user));
+        } catch (e) {
+            console.error("Error creating account: ", e);
+            throw new Error(authErrorMessage(e));
+        }
+    }, [auth]);
+
+    const signIn = useCallback(async (email, password) => {
+        try {
+            await signInWithEmailAndPassword(auth, email, password);
+        } catch (e) {
+            console.error("Error signing in: ", e);
+            throw new Error(authErrorMessage(e));
+        }
+    }, [auth]);
+
+    const resetPassword = useCallback(async (email) => {
+        try {
+            await sendPasswordResetEmail(auth, email);
+        } catch (e) {
+            console.error("Error sending password reset: ", e);
+            throw new Error(authErrorMessage(e));
+        }
+    }, [auth]);
+
+    // Signing out starts a fresh guest session
+    const signOutOfAccount = useCallback(async () => {
+        signedOutRef.current = true;
+        await signOut(auth);
+    }, [auth]);
+
+    return { db, auth, userId, account, isLoading, createAccount, signIn, resetPassword, signOut: signOutOfAccount };
+}
+
+// 2. PDF Text Extractor (pdf.js)
+// Pages with fewer characters than this on average are treated as having no text layer (scanned images).
+const MIN_CHARS_PER_PAGE = 20;
+const PAGE_SEPARATOR = '\n\n';
+
+// Opens a PDF with pdf.js. Uploaded files are read from pdfFile.file, anything else from its URL.
+async function openPdfDocument(pdfFile) {
+    if (!pdfjsLib) throw new Error("PDF.js (pdfjsLib) is not available in this environment.");
+    const source = pdfFile.file
+        ? { data: new Uint8Array(await pdfFile.file.arrayBuffer()) }
+        : { url: pdfFile.url };
+    return pdfjsLib.getDocument(source);
+}
+
+// Rebuilds readable lines from pdf.js text items. Newer pdf.js versions mark line ends with
+// hasEOL; older ones only give positions, so a change in the baseline (transform[5]) starts a new line.
+function pageTextFromItems(items) {
+    let pageText = '';
+    let lastY = null;
+    items.forEach(item => {
+        if (typeof item.str !== 'string') return; // Marked-content items carry no text
+        const y = item.transform?.[5];
+        if (item.hasEOL === undefined && lastY !== null && y !== undefined && Math.abs(y - lastY) > 1) {
+            pageText += '\n';
+        }
+        pageText += item.str;
+        if (item.hasEOL) pageText += '\n';
+        if (y !== undefined) lastY = y;
+    });
+    return pageText.replace(/[ \t]+\n/g, '\n').replace(/\n{3,}/g, '\n\n').trim();
+}
+
+// Joins per-page text into one string and records where each page starts and ends in it,
+// so later features can map a character offset (e.g. a retrieved chunk) back to a page.
+function buildPageMap(pageTexts) {
+    const pages = [];
+    let offset = 0;
+    pageTexts.forEach((pageText, index) => {
+        if (index > 0) offset += PAGE_SEPARATOR.length;
+        pages.push({ pageNumber: index + 1, text: pageText, start: offset, end: offset + pageText.length });
+        offset += pageText.length;
+    });
+    return { text: pageTexts.join(PAGE_SEPARATOR), pages };
+}
+
+// Formats the page map for prompts so the model can see which page each passage is on.
+function formatPagesForPrompt(pages) {
+    return pages
+        .filter(p => p.text)
+        .map(p => `[Page ${p.pageNumber}]\n${p.text}`)
+        .join(PAGE_SEPARATOR);
+}
+
+function describePdfError(error) {
+    if (error?.name === 'PasswordException') {
+        return "This PDF is password-protected or encrypted. Please upload an unlocked copy.";
+    }
+    if (error?.name === 'InvalidPDFException') {
+        return "This file is not a valid PDF or it is damaged.";
+    }
+    if (error?.name === 'MissingPDFException') {
+        return "The PDF file could not be found.";
+    }
+    return error?.message || "Failed to read the PDF.";
 }
 
-// 2. Mock/Conceptual PDF Text Extractor
-// In a real browser environment, pdfjsLib (which is expected to be loaded via a script tag)
-// would be used to read and parse the PDF file.
 const usePdfTextExtractor = (pdfFile) => {
     const [text, setText] = useState('');
+    const [pages, setPages] = useState([]);
     const [loading, setLoading] = useState(false);
+    const [progress, setProgress] = useState({ current: 0, total: 0 });
+    const [error, setError] = useState(null);
+    // The coursebook the current text (or error) belongs to
+    const [source, setSource] = useState('');
+    // Keyed on the coursebook rather than the object, so renaming a book doesn't extract it again
+    const sourceId = getCoursebookId(pdfFile);
 
     useEffect(() => {
+        setError(null);
+        setLoading(false);
+        setProgress({ current: 0, total: 0 });
+
         if (!pdfFile) {
             setText('');
+            setPages([]);
+            setSource('');
             return;
         }
 
         if (pdfFile.url === 'mock-ncert-1') {
-            setText(MOCK_NCERT_TEXT);
+            const mock = buildPageMap([MOCK_NCERT_TEXT.trim()]);
+            setText(mock.text);
+            setPages(mock.pages);
+            setSource(sourceId);
             return;
         }
 
+        let cancelled = false;
+        let loadingTask = null;
         setLoading(true);
         setText('');
+        setPages([]);
+
+        const extract = async () => {
+            try {
+                // Library books keep their extracted text, so reopening one skips pdf.js entirely
+                const cached = pdfFile.id ? await readCachedText(pdfFile.id).catch(e => {
+                    console.error("Error reading cached coursebook text: ", e);
+                    return null;
+                }) : null;
+                if (cancelled) return;
+                if (cached) {
+                    setText(cached.text);
+                    setPages(cached.pages);
+                    setSource(sourceId);
+                    return;
+                }
+
+                loadingTask = await openPdfDocument(pdfFile);
+                const pdf = await loadingTask.promise;
+                if (cancelled) return;
+                setProgress({ current: 0, total: pdf.numPages });
+
+                const pageTexts = [];
+                for (let pageNumber = 1; pageNumber <= pdf.numPages; pageNumber++) {
+                    const page = await pdf.getPage(pageNumber);
+                    const content = await page.getTextContent();
+                    page.cleanup();
+                    if (cancelled) return;
+                    pageTexts.push(pageTextFromItems(content.items));
+                    setProgress({ current: pageNumber, total: pdf.numPages });
+                }
+
+                const totalChars = pageTexts.reduce((sum, t) => sum + t.length, 0);
+                if (totalChars < MIN_CHARS_PER_PAGE * pdf.numPages) {
+                    throw new Error("No selectable text was found in this PDF. It looks like a scanned document; please upload a PDF with a text layer.");
+                }
+
+                const result = buildPageMap(pageTexts);
+                setText(result.text);
+                setPages(result.pages);
+                setSource(sourceId);
+                if (pdfFile.id) {
+                    cacheCoursebookText(pdfFile.id, result).catch(e => console.error("Error caching coursebook text: ", e));
+                }
+            } catch (e) {
+                if (cancelled) return;
+                console.error("PDF text extraction failed:", e);
+                setError(describePdfError(e));
+                setSource(sourceId);
+            } finally {
+                if (!cancelled) setLoading(false);
+            }
+        };
+
+        extract();
+
+        return () => {
+            cancelled = true;
+            if (loadingTask) loadingTask.destroy();
+        };
+    }, [sourceId]);
+
+    // On the render right after a file switch the effect hasn't run yet and text still holds the
+    // previous file; report that as loading so nothing acts on the stale text.
+    return { text, pages, loading: loading || source !== sourceId, progress, error };
+};
+
+
+// 3. PDF Document Hook (page rendering for the viewer)
+// The mock coursebook has no real file, so the viewer falls back to its extracted page text.
+function usePdfDocument(pdfFile) {
+    const [pdfDoc, setPdfDoc] = useState(null);
+    const [error, setError] = useState(null);
+
+    useEffect(() => {
+        setPdfDoc(null);
+        setError(null);
+        if (!pdfFile || pdfFile.type === 'mock') return;
+
+        let cancelled = false;
+        let loadingTask = null;
+
+        const load = async () => {
+            try {
+                loadingTask = await openPdfDocument(pdfFile);
+                const pdf = await loadingTask.promise;
+                if (!cancelled) setPdfDoc(pdf);
+            } catch (e) {
+                if (cancelled) return;
+                console.error("Failed to open PDF for viewing:", e);
+                setError(describePdfError(e));
+            }
+        };
+
+        load();
+
+        return () => {
+            cancelled = true;
+            if (loadingTask) loadingTask.destroy();
+        };
+    }, [getCoursebookId(pdfFile)]);
+
+    return { pdfDoc, error };
+}
 
-        // Placeholder for complex PDF parsing logic using pdfjsLib
-        // This simulates the time taken to extract text from a file.
-        const mockExtraction = setTimeout(() => {
-            setText(`
-                --- Extracted Text from: ${pdfFile.name} ---
-                This text simulates the content extracted from your uploaded PDF.
-                The LLM will use this content for quiz generation and RAG answers.
-                In a full implementation, the 'pdfjs-dist' library would read the
-                actual content of the PDF file object provided in pdfFile.file.
-            `);
-            setLoading(false);
-        }, 1500);
+// Renders the selectable text layer over a page canvas. pdf.js v4+ exposes a TextLayer class,
+// earlier versions a renderTextLayer function.
+async function renderPdfTextLayer(page, container, viewport) {
+    container.replaceChildren();
+    container.style.setProperty('--scale-factor', viewport.scale);
+    const textContent = await page.getTextContent();
+    if (pdfjsLib.TextLayer) {
+        await new pdfjsLib.TextLayer({ textContentSource: textContent, container, viewport }).render();
+    } else if (pdfjsLib.renderTextLayer) {
+        await pdfjsLib.renderTextLayer({ textContentSource: textContent, container, viewport, textDivs: [] }).promise;
+    }
+}
+
+// Wraps every case-insensitive match of term inside the text layer spans in <mark> elements.
+function highlightTextLayer(container, term) {
+    container.querySelectorAll('mark').forEach(mark => mark.replaceWith(document.createTextNode(mark.textContent)));
+    container.normalize();
+    if (!term) return;
+
+    const needle = term.toLowerCase();
+    container.querySelectorAll('span').forEach(span => {
+        if (span.querySelector('span')) return; // Only leaf spans hold text runs
+        const text = span.textContent;
+        const lower = text.toLowerCase();
+        if (!lower.includes(needle)) return;
+
+        const fragment = document.createDocumentFragment();
+        let index = 0;
+        let found;
+        while ((found = lower.indexOf(needle, index)) !== -1) {
+            fragment.append(text.slice(index, found));
+            const mark = document.createElement('mark');
+            mark.textContent = text.slice(found, found + needle.length);
+            fragment.append(mark);
+            index = found + needle.length;
+        }
+        fragment.append(text.slice(index));
+        span.replaceChildren(fragment);
+    });
+}
+
+function countMatches(text, term) {
+    if (!term || !text) return 0;
+    const haystack = text.toLowerCase();
+    const needle = term.toLowerCase();
+    let count = 0;
+    let index = haystack.indexOf(needle);
+    while (index !== -1) {
+        count++;
+        index = haystack.indexOf(needle, index + needle.length);
+    }
+    return count;
+}
+
+// 4. Coursebook Retrieval (RAG)
+// The coursebook is split into sections at its headings, each section into paragraph-bounded chunks,
+// and the chunks are ranked against the student's question with a local BM25 index (works offline).
+const CHUNK_SIZE = 1000;
+const RETRIEVAL_TOP_K = 4;
+const BM25_K1 = 1.5;
+const BM25_B = 0.75;
+const STOP_WORDS = new Set([
+    'a', 'an', 'and', 'are', 'as', 'at', 'be', 'been', 'but', 'by', 'can', 'do', 'does', 'for', 'from',
+    'has', 'have', 'how', 'i', 'in', 'is', 'it', 'its', 'me', 'of', 'on', 'or', 'so', 'than', 'that',
+    'the', 'their', 'them', 'then', 'there', 'these', 'they', 'this', 'to', 'was', 'were', 'what', 'when',
+    'where', 'which', 'who', 'why', 'will', 'with', 'you', 'your', 'explain', 'tell', 'about', 'please'
+]);
+
+// Chapter headings ("Chapter 1: Physical World") and numbered section headings ("1.2 Scope and ...").
+const CHAPTER_HEADING = /^chapter\s+(\d+)\s*[:.\-–]?\s*(.*)$/i;
+const SECTION_HEADING = /^(\d+(?:\.\d+)+)\.?\s+([A-Z].{0,100})$/;
+
+// Returns the page number containing a character offset of the joined text.
+function pageForOffset(pages, offset) {
+    const page = pages.find(p => offset >= p.start && offset <= p.end + PAGE_SEPARATOR.length);
+    return page ? page.pageNumber : (pages[pages.length - 1]?.pageNumber || 1);
+}
+
+// Splits the joined coursebook text into sections with character offsets.
+// Text before the first heading becomes an unlabelled section so nothing is dropped.
+function splitIntoSections(text) {
+    const sections = [];
+    let chapter = '';
+    let current = { label: '', title: '', chapter: '', start: 0 };
+    let offset = 0;
+
+    text.split('\n').forEach(line => {
+        const trimmed = line.trim();
+        const chapterMatch = trimmed.match(CHAPTER_HEADING);
+        const sectionMatch = !chapterMatch && trimmed.match(SECTION_HEADING);
+        if (chapterMatch || sectionMatch) {
+            current.end = offset;
+            sections.push(current);
+            if (chapterMatch) {
+                chapter = trimmed;
+                current = { label: chapterMatch[1], title: chapterMatch[2].trim(), chapter, start: offset };
+            } else {
+                current = { label: sectionMatch[1], title: sectionMatch[2].trim(), chapter, start: offset };
+            }
+        }
+        offset += line.length + 1;
+    });
+    current.end = text.length;
+    sections.push(current);
+
+    return sections.filter(section => text.slice(section.start, section.end).trim());
+}
+
+// Table of contents for section-scoped features: every section from splitIntoSections with
+// the page it starts on. Chapter headings and numbered sections like "1.2" are both entries.
+function buildTableOfContents(text, pages) {
+    if (!text) return [];
+    return splitIntoSections(text).map((section, i) => ({
+        id: `sec-${i + 1}`,
+        label: section.label,
+        title: section.title || (section.label ? '' : 'Introduction'),
+        chapter: section.chapter,
+        level: section.label ? section.label.split('.').length : 0,
+        page: pageForOffset(pages, section.start),
+        start: section.start,
+        end: section.end
+    }));
+}
+
+// "§1.2 Scope and Excitement of Physics" style label for a TOC entry.
+const formatSectionLabel = (section) => `${section.label ? `§${section.label} ` : ''}${section.title}`.trim();
+
+// Formats the chosen sections for a prompt, each headed by its label and split at page boundaries
+// with [Page N] markers so generated content can be tagged with both.
+function formatSectionsForPrompt(text, pages, sections) {
+    return sections.map(section => {
+        const overlapping = pages.filter(p => p.end > section.start && p.start < section.end);
+        const body = overlapping.length > 0
+            ? overlapping
+                .map(p => ({ pageNumber: p.pageNumber, text: text.slice(Math.max(p.start, section.start), Math.min(p.end, section.end)).trim() }))
+                .filter(part => part.text)
+                .map(part => `[Page ${part.pageNumber}]\n${part.text}`)
+                .join(PAGE_SEPARATOR)
+            : text.slice(section.start, section.end).trim();
+        return `[Section ${section.label || '-'}: ${section.title}]\n${body}`;
+    }).join(PAGE_SEPARATOR);
+}
+
+// Breaks each section into chunks of whole paragraphs (or sentences, for very long paragraphs),
+// tagging every chunk with the page it starts on and its section label.
+function chunkCoursebook(text, pages) {
+    const chunks = [];
+
+    splitIntoSections(text).forEach(section => {
+        const sectionText = text.slice(section.start, section.end);
+        const pieces = [];
+        let cursor = 0;
+        sectionText.split(/\n\s*\n/).forEach(paragraph => {
+            const paragraphStart = sectionText.indexOf(paragraph, cursor);
+            cursor = paragraphStart + paragraph.length;
+            if (paragraph.length <= CHUNK_SIZE) {
+                pieces.push({ text: paragraph, start: section.start + paragraphStart });
+                return;
+            }
+            let sentenceCursor = 0;
+            (paragraph.match(/[^.!?]+[.!?]*\s*/g) || [paragraph]).forEach(sentence => {
+                pieces.push({ text: sentence, start: section.start + paragraphStart + sentenceCursor });
+                sentenceCursor += sentence.length;
+            });
+        });
+
+        let buffer = null;
+        const flush = () => {
+            if (buffer && buffer.text.trim()) {
+                chunks.push({
+                    id: `chunk-${chunks.length + 1}`,
+                    text: buffer.text.trim(),
+                    page: pageForOffset(pages, buffer.start),
+                    endPage: pageForOffset(pages, buffer.start + buffer.text.length),
+                    section: section.label,
+                    sectionTitle: section.title,
+                    chapter: section.chapter
+                });
+            }
+            buffer = null;
+        };
+
+        pieces.forEach(piece => {
+            if (buffer && buffer.text.length + piece.text.length > CHUNK_SIZE) flush();
+            buffer = buffer
+                ? { ...buffer, text: `${buffer.text}\n\n${piece.text}` }
+                : { text: piece.text, start: piece.start };
+        });
+        flush();
+    });
+
+    return chunks;
+}
+
+// Lower-cases, drops stop words and strips common English suffixes so plural and -ed/-ing forms
+// of a word meet in the index.
+function tokenize(text) {
+    return (text.toLowerCase().match(/[a-z0-9]+/g) || [])
+        .filter(token => token.length > 1 && !STOP_WORDS.has(token))
+        .map(token => token.length > 4 ? token.replace(/(ing|ed|es|s)$/, '') : token);
+}
 
-        return () => clearTimeout(mockExtraction);
-    }, [pdfFile]);
+function buildCoursebookIndex(text, pages) {
+    if (!text) return null;
+    const chunks = chunkCoursebook(text, pages);
+    const documentFrequency = new Map();
+    const termCounts = chunks.map(chunk => {
+        const counts = new Map();
+        tokenize(`${chunk.sectionTitle} ${chunk.text}`).forEach(token => counts.set(token, (counts.get(token) || 0) + 1));
+        counts.forEach((_, token) => documentFrequency.set(token, (documentFrequency.get(token) || 0) + 1));
+        return counts;
+    });
+    const lengths = termCounts.map(counts => [...counts.values()].reduce((sum, n) => sum + n, 0));
+    const averageLength = lengths.reduce((sum, n) => sum + n, 0) / (lengths.length || 1);
+
+    return { chunks, documentFrequency, termCounts, lengths, averageLength };
+}
+
+// Ranks chunks against a query with BM25 and returns the best matches with their scores.
+function searchCoursebook(index, queryText, topK = RETRIEVAL_TOP_K) {
+    if (!index || index.chunks.length === 0) return [];
+    const queryTokens = [...new Set(tokenize(queryText))];
+    const total = index.chunks.length;
+
+    return index.chunks
+        .map((chunk, i) => {
+            const score = queryTokens.reduce((sum, token) => {
+                const tf = index.termCounts[i].get(token) || 0;
+                if (!tf) return sum;
+                const df = index.documentFrequency.get(token) || 0;
+                const idf = Math.log(1 + (total - df + 0.5) / (df + 0.5));
+                const norm = tf + BM25_K1 * (1 - BM25_B + BM25_B * (index.lengths[i] / index.averageLength));
+                return sum + idf * (tf * (BM25_K1 + 1)) / norm;
+            }, 0);
+            return { chunk, score };
+        })
+        .filter(result => result.score > 0)
+        .sort((a, b) => b.score - a.score)
+        .slice(0, topK);
+}
+
+// Human-readable location of a chunk, e.g. "p. 12 §1.2 Scope and Excitement of Physics",
+// or just "p. 12 §1.2" for compact citation chips.
+function formatChunkLocation(chunk, includeTitle = true) {
+    const pageLabel = chunk.endPage && chunk.endPage !== chunk.page ? `pp. ${chunk.page}-${chunk.endPage}` : `p. ${chunk.page}`;
+    const sectionLabel = chunk.section ? ` §${chunk.section}${includeTitle && chunk.sectionTitle ? ` ${chunk.sectionTitle}` : ''}` : '';
+    return `${pageLabel}${sectionLabel}`;
+}
+
+// Citation markers the model places inline, e.g. "[C2]" or "[C1, C3]".
+const CITATION_MARKER = /\[(C\d+(?:\s*,\s*C\d+)*)\]/g;
+
+// Collects the context chunks an answer cited, numbered in order of first appearance.
+// Markers that do not refer to a chunk that was actually sent are ignored.
+function extractCitations(text, contextChunks) {
+    const citations = [];
+    for (const match of text.matchAll(CITATION_MARKER)) {
+        match[1].split(',').map(id => id.trim()).forEach(marker => {
+            if (citations.some(c => c.marker === marker)) return;
+            const chunk = contextChunks[parseInt(marker.slice(1), 10) - 1];
+            if (!chunk) return;
+            citations.push({
+                marker,
+                number: citations.length + 1,
+                chunkId: chunk.id,
+                page: chunk.page,
+                endPage: chunk.endPage || chunk.page,
+                section: chunk.section,
+                sectionTitle: chunk.sectionTitle || '',
+                label: formatChunkLocation(chunk, false)
+            });
+        });
+    }
+    return citations;
+}
+
+// 5. Progress Data
+// Quiz attempts come from the local-first store (section 10), which mirrors Firestore.
+function useProgressData(store) {
+    return useMemo(() => (
+        // Sort by latest attempt first
+        [...store.collections.quizzes].sort((a, b) => b.timestamp - a.timestamp)
+    ), [store.collections.quizzes]);
+}
 
-    return { text, loading };
+// 6. Chat History
+// Chats live next to quiz progress and are linked to the coursebook they were about.
+function useChatHistory(store) {
+    return useMemo(() => (
+        // Most recently active chat first
+        [...store.collections.chats].sort((a, b) => b.updatedAt - a.updatedAt)
+    ), [store.collections.chats]);
+}
+
+// Stable key for linking saved data to a coursebook. Object URLs change on every upload,
+// so uploaded files are identified by name, size and modification time instead.
+const getCoursebookId = (pdf) => {
+    if (!pdf) return '';
+    if (pdf.id) return pdf.id;
+    if (pdf.type === 'mock' || !pdf.file) return pdf.url;
+    return `upload:${pdf.file.name}:${pdf.file.size}:${pdf.file.lastModified}`;
 };
 
+// 7. Spaced Repetition (SM-2) and Review Queue Hook
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Review ratings mapped to SM-2 quality grades (0-5); below 3 counts as a lapse.
+const REVIEW_RATINGS = [
+    { value: 'again', label: 'Again', quality: 1 },
+    { value: 'hard', label: 'Hard', quality: 3 },
+    { value: 'good', label: 'Good', quality: 4 },
+    { value: 'easy', label: 'Easy', quality: 5 },
+];
+
+// Quality for a quiz result: full credit is a confident recall, partial credit a shaky one.
+const qualityFromScore = (score) => (score >= 1 ? 4 : score >= 0.6 ? 3 : score > 0 ? 2 : 1);
+
+// Applies one SM-2 repetition to a scheduling record and returns the updated schedule.
+function scheduleReview(item, quality, now = Date.now()) {
+    let { easiness = 2.5, interval = 0, repetitions = 0 } = item;
+    if (quality >= 3) {
+        repetitions += 1;
+        interval = repetitions === 1 ? 1 : repetitions === 2 ? 6 : Math.round(interval * easiness);
+    } else {
+        repetitions = 0;
+        interval = 1;
+    }
+    easiness = Math.max(1.3, easiness + (0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02)));
+    return { easiness, interval, repetitions, dueAt: now + interval * DAY_MS, lastReviewedAt: now, lastQuality: quality };
+}
+
+// Stable id for a question within a coursebook, so meeting the same question again updates its
+// existing review item instead of adding a duplicate.
+function reviewItemId(coursebookId, questionText) {
+    const key = `${coursebookId}|${questionText.trim().toLowerCase().replace(/\s+/g, ' ')}`;
+    let hash = 5381;
+    for (let i = 0; i < key.length; i++) hash = ((hash * 33) ^ key.charCodeAt(i)) >>> 0;
+    return `q-${hash.toString(36)}`;
+}
+
+// Only the fields needed to ask the question again are kept on the review item.
+const toReviewQuestion = (q) => ({
+    type: q.type,
+    question: q.question,
+    options: q.options || [],
+    correctAnswer: q.correctAnswer || '',
+    modelAnswer: q.modelAnswer || '',
+    rubric: q.rubric || [],
+    explanation: q.explanation || '',
+    page: q.page || null
+});
+
+// Applies question results to the review items in order: { items: the updated items by id, history: one
+// entry per result }. A question met twice in one quiz counts twice, each result building on the last.
+// entries: [{ question, score (0..1), quality?, coursebookId, coursebookName, quizTitle }]
+function applyReviewResults(reviewItems, entries, source, now = Date.now()) {
+    const items = new Map();
+    const history = entries.map(entry => {
+        const itemId = reviewItemId(entry.coursebookId, entry.question.question);
+        const existing = items.get(itemId) || reviewItems.find(item => item.id === itemId) || {};
+        const quality = entry.quality ?? qualityFromScore(entry.score);
+        const schedule = scheduleReview(existing, quality, now);
+        // A question missed in a quiz is due straight away rather than tomorrow
+        if (source === 'quiz' && quality < 3) schedule.dueAt = now;
+
+        items.set(itemId, {
+            id: itemId,
+            question: toReviewQuestion(entry.question),
+            coursebookId: entry.coursebookId,
+            coursebookName: entry.coursebookName || '',
+            quizTitle: entry.quizTitle || '',
+            ...schedule,
+            lastScore: entry.score,
+            reviewCount: (existing.reviewCount || 0) + 1,
+            lapses: (existing.lapses || 0) + (quality < 3 ? 1 : 0),
+            createdAt: existing.createdAt || now
+        });
+        return { itemId, source, score: entry.score, quality, interval: schedule.interval, timestamp: now };
+    });
+    return { items, history };
+}
 
-// 3. Firestore Hook for Progress Data
-function useProgressData(db, userId) {
-    const [progress, setProgress] = useState([]);
+function useReviewItems(db, userId) {
+    const [reviewItems, setReviewItems] = useState([]);
 
     useEffect(() => {
         if (!db || !userId || !collection || !onSnapshot || !query) return;
 
-        const progressColRef = collection(db, `artifacts/${appId}/users/${userId}/quizzes`);
-        const q = query(progressColRef);
+        const itemsColRef = collection(db, `artifacts/${appId}/users/${userId}/reviewItems`);
+        const q = query(itemsColRef);
 
         const unsubscribe = onSnapshot(q, (snapshot) => {
-            const progressList = snapshot.docs.map(doc => ({
+            const items = snapshot.docs.map(doc => ({
                 id: doc.id,
                 ...doc.data()
             }));
-            // Sort by latest attempt first
-            progressList.sort((a, b) => b.timestamp - a.timestamp);
-            setProgress(progressList);
+            // Soonest due first
+            items.sort((a, b) => a.dueAt - b.dueAt);
+            setReviewItems(items);
         }, (error) => {
-            console.error("Error fetching progress data: ", error);
+            console.error("Error fetching review items: ", error);
         });
 
         return () => unsubscribe();
     }, [db, userId]);
 
-    return progress;
+    return reviewItems;
 }
 
-// --- Gemini API Functions ---
+// 8. Firestore Hook for Flashcard Decks
+// Each deck belongs to one coursebook and keeps its cards' SM-2 schedules inline.
+function useFlashcardDecks(db, userId) {
+    const [decks, setDecks] = useState([]);
 
-// 1. Generate Quiz (Structured JSON Output)
-async function fetchQuiz(text, quizType) {
-    let systemPrompt;
-    let userQuery;
-
-    if (quizType === 'mcq') {
-        systemPrompt = "You are an expert educational content generator. Based on the provided text, generate exactly 3 highly relevant and challenging Multiple Choice Questions (MCQs). Each question must have exactly 4 options and one correct answer. Respond ONLY with the JSON structure provided.";
-        userQuery = "Generate a set of 3 MCQs (Multiple Choice Questions) based on the following course material text. Provide a brief, concise explanation for each correct answer.";
-    } else if (quizType === 'saq') {
-        systemPrompt = "You are an expert educational content generator. Based on the provided text, generate exactly 3 challenging Short Answer Questions (SAQs). Each question should require a 1-3 sentence answer. Respond ONLY with the JSON structure provided.";
-        userQuery = "Generate a set of 3 SAQs (Short Answer Questions) based on the following course material text. Provide a model answer and a brief explanation for context.";
-    } else { // LAQ
-        systemPrompt = "You are an expert educational content generator. Based on the provided text, generate exactly 2 challenging Long Answer Questions (LAQs). Each question should require a paragraph-long answer. Respond ONLY with the JSON structure provided.";
-        userQuery = "Generate a set of 2 LAQs (Long Answer Questions) based on the following course material text. Provide a model answer and a brief explanation for context.";
-    }
+    useEffect(() => {
+        if (!db || !userId || !collection || !onSnapshot || !query) return;
 
-    const payload = {
-        contents: [{
-            parts: [{
-                text: `${userQuery}\n\nCourse Material:\n---\n${text}`
-            }]
-        }],
-        systemInstruction: {
-            parts: [{ text: systemPrompt }]
-        },
-        generationConfig: {
-            responseMimeType: "application/json",
-            responseSchema: {
-                type: "OBJECT",
-                properties: {
-                    quizTitle: { type: "STRING" },
-                    questions: {
-                        type: "ARRAY",
-                        items: {
-                            type: "OBJECT",
-                            properties: {
-                                id: { type: "STRING" },
-                                type: { type: "STRING", enum: ['mcq', 'saq', 'laq'] },
-                                question: { type: "STRING" },
-                                options: {
-                                    type: "ARRAY",
-                                    items: { type: "STRING" }
-                                },
-                                correctAnswer: { type: "STRING" },
-                                modelAnswer: { type: "STRING" }, // For SAQ/LAQ
-                                explanation: { type: "STRING" }
-                            },
-                            required: ["id", "type", "question", "explanation"]
-                        }
-                    }
-                },
-                required: ["quizTitle", "questions"]
-            }
-        }
-    };
+        const decksColRef = collection(db, `artifacts/${appId}/users/${userId}/flashcardDecks`);
+        const q = query(decksColRef);
 
-    const apiUrl = `https://generativelanguage.googleapis.com/v1beta/models/gemini-2.5-flash-preview-05-20:generateContent?key=${apiKey}`;
+        const unsubscribe = onSnapshot(q, (snapshot) => {
+            const deckList = snapshot.docs.map(doc => ({
+                id: doc.id,
+                ...doc.data()
+            }));
+            // Newest deck first
+            deckList.sort((a, b) => b.createdAt - a.createdAt);
+            setDecks(deckList);
+        }, (error) => {
+            console.error("Error fetching flashcard decks: ", error);
+        });
 
-    for (let i = 0; i < 3; i++) { // Exponential backoff retry
-        try {
-            const response = await fetch(apiUrl, {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify(payload)
-            });
+        return () => unsubscribe();
+    }, [db, userId]);
 
-            if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`);
+    return decks;
+}
 
-            const result = await response.json();
-            const textJson = result.candidates?.[0]?.content?.parts?.[0]?.text;
-            if (textJson) {
-                return JSON.parse(textJson);
+// 9. Local Coursebook Library (IndexedDB)
+// Uploaded PDFs are kept in the browser. Metadata, the files and their extracted text live in separate
+// stores so listing the library never loads a whole PDF.
+const LOCAL_DB_NAME = `${appId}-local`;
+const LOCAL_DB_VERSION = 2;
+const LIBRARY_STORES = ['coursebooks', 'coursebookFiles', 'coursebookTexts'];
+// Version 2 adds the local-first records store (section 10)
+const LOCAL_STORES = [...LIBRARY_STORES, 'records'];
+let localDbPromise = null;
+
+function openLocalDb() {
+    if (!localDbPromise) {
+        localDbPromise = new Promise((resolve, reject) => {
+            if (typeof indexedDB === 'undefined') {
+                reject(new Error("IndexedDB is not available in this browser."));
+                return;
             }
-            throw new Error("Invalid response structure from API.");
-
-        } catch (error) {
-            console.error(`Attempt ${i + 1} failed:`, error);
-            if (i === 2) throw new Error("Failed to generate quiz after multiple retries.");
-            await new Promise(resolve => setTimeout(resolve, Math.pow(2, i) * 1000));
-        }
+            const request = indexedDB.open(LOCAL_DB_NAME, LOCAL_DB_VERSION);
+            request.onupgradeneeded = () => {
+                const localDb = request.result;
+                LOCAL_STORES.forEach(name => {
+                    if (!localDb.objectStoreNames.contains(name)) {
+                        localDb.createObjectStore(name, { keyPath: 'id' });
+                    }
+                });
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+        // Let a later call retry instead of caching the failure
+        localDbPromise.catch(() => { localDbPromise = null; });
     }
+    return localDbPromise;
 }
 
-// 2. Chat with RAG (Google Search for general queries, context for RAG)
-async function fetchChatResponse(history, currentMessage, pdfText) {
-    // Determine if Google Search or RAG is needed
-    const useGoogleSearch = !pdfText || currentMessage.toLowerCase().includes('what is the latest') || currentMessage.toLowerCase().includes('recent news');
-    const model = 'gemini-2.5-flash-preview-05-20';
-    const apiUrl = `https://generativelanguage.googleapis.com/v1beta/models/${model}:generateContent?key=${apiKey}`;
+// Runs fn against the named stores in one transaction and resolves with the result of the request
+// fn returns (if any) once the transaction has committed.
+async function withLocalStores(storeNames, mode, fn) {
+    const localDb = await openLocalDb();
+    return new Promise((resolve, reject) => {
+        const tx = localDb.transaction(storeNames, mode);
+        const stores = Object.fromEntries(storeNames.map(name => [name, tx.objectStore(name)]));
+        const request = fn(stores);
+        tx.oncomplete = () => resolve(request ? request.result : undefined);
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error || new Error("IndexedDB transaction was aborted."));
+    });
+}
 
-    // Simple context injection for RAG (simulated chunking for relevant text)
-    const contextPart = pdfText ?
-        `[CONTEXT FROM SELECTED PDF: The student is revising from this material: ${pdfText.substring(0, Math.min(pdfText.length, 2500))}...]` :
-        "";
+const listLibraryEntries = () => withLocalStores(['coursebooks'], 'readonly', ({ coursebooks }) => coursebooks.getAll());
+const readLibraryFile = async (id) => (await withLocalStores(['coursebookFiles'], 'readonly', ({ coursebookFiles }) => coursebookFiles.get(id)))?.file || null;
+const readCachedText = (id) => withLocalStores(['coursebookTexts'], 'readonly', ({ coursebookTexts }) => coursebookTexts.get(id));
+const cacheCoursebookText = (id, { text, pages }) => withLocalStores(['coursebookTexts'], 'readwrite', ({ coursebookTexts }) => {
+    coursebookTexts.put({ id, text, pages, cachedAt: Date.now() });
+});
+
+// Best guesses from names like "Class 11 Physics Chapter 3.pdf"; the student can correct them
+const guessCoursebookMetadata = (fileName) => {
+    const base = fileName.replace(/\.pdf$/i, '').replace(/[_-]+/g, ' ').trim();
+    return {
+        name: base || fileName,
+        subject: '',
+        className: base.match(/\b(?:class|std|grade)\s*(\d{1,2})\b/i)?.[1] || '',
+        chapter: base.match(/\b(?:chapter|ch)\.?\s*(\d{1,2})\b/i)?.[1] || ''
+    };
+};
 
-    const fullMessage = contextPart + "\n\n" + currentMessage;
+const sortLibrary = (list) => [...list].sort((a, b) => a.name.localeCompare(b.name));
+
+// The editable details of a book; these are what gets synced, never the file
+const coursebookDetails = (entry) => ({
+    id: entry.id,
+    name: entry.name,
+    subject: entry.subject || '',
+    className: entry.className || '',
+    chapter: entry.chapter || '',
+    updatedAt: entry.updatedAt
+});
+
+// Library entries in the app are plain metadata; the file is loaded on demand when a book is opened.
+// If IndexedDB is unavailable the library still works for this session, it just isn't kept.
+// Files stay on this device, but their details go through the local-first store, so a rename on
+// another device shows up here for the same file.
+function useCoursebookLibrary(store) {
+    const [localEntries, setLocalEntries] = useState([]);
+    const [error, setError] = useState(null);
+    // Files added this session, so opening them doesn't round-trip through IndexedDB
+    const sessionFilesRef = useRef(new Map());
+
+    const syncedDetails = store.collections.coursebooks;
+    const entries = useMemo(() => sortLibrary(localEntries.map(entry => {
+        const synced = syncedDetails.find(details => details.id === entry.id);
+        return synced && synced.updatedAt > entry.updatedAt ? { ...entry, ...synced } : entry;
+    })), [localEntries, syncedDetails]);
+    const entriesRef = useRef(entries);
+    entriesRef.current = entries;
+    const syncedDetailsRef = useRef(syncedDetails);
+    syncedDetailsRef.current = syncedDetails;
 
-    const contents = [...history, {
-        role: "user",
-        parts: [{ text: fullMessage }]
-    }];
+    useEffect(() => {
+        listLibraryEntries()
+            .then(list => setLocalEntries(list))
+            .catch(e => {
+                console.error("Error loading coursebook library: ", e);
+                setError("Your library couldn't be loaded from this browser. Uploads will only last until you reload.");
+            });
+    }, []);
 
-    const payload = {
-        contents: contents,
-        tools: useGoogleSearch ? [{ "google_search": {} }] : [],
-        systemInstruction: {
-            parts: [{ text: "You are a helpful and supportive virtual teacher. Answer questions concisely and use the provided context from the coursebook whenever possible. If you use external search (only when context is not sufficient), you must cite sources clearly. When answering based on the provided [CONTEXT], you must cite the source in your response (e.g., 'According to the text, unification is...'). Do not make up facts." }]
+    const addFile = useCallback(async (file) => {
+        const id = getCoursebookId({ type: 'user', file });
+        const now = Date.now();
+        // Details saved for this file before (or on another device) beat a guess from the file name
+        const synced = syncedDetailsRef.current.find(details => details.id === id);
+        const entry = {
+            id,
+            ...guessCoursebookMetadata(file.name),
+            ...(synced ? coursebookDetails(synced) : {}),
+            fileName: file.name,
+            size: file.size,
+            lastModified: file.lastModified,
+            addedAt: now,
+            updatedAt: synced ? synced.updatedAt : now
+        };
+        sessionFilesRef.current.set(id, file);
+
+        // Uploading a book that's already in the library just opens it
+        const existing = entriesRef.current.find(e => e.id === id);
+        if (existing) return existing;
+        setLocalEntries(prev => [...prev.filter(e => e.id !== id), entry]);
+        if (!synced) store.write('coursebooks', id, coursebookDetails(entry));
+
+        try {
+            await withLocalStores(LIBRARY_STORES, 'readwrite', ({ coursebooks, coursebookFiles }) => {
+                coursebooks.put(entry);
+                coursebookFiles.put({ id, file });
+            });
+        } catch (e) {
+            console.error("Error saving coursebook to library: ", e);
+            setError("This coursebook couldn't be saved in your browser (it may be out of storage). It will be gone after a reload.");
         }
-    };
+        return entry;
+    }, [store.write]);
+
+    const updateEntry = useCallback(async (id, changes) => {
+        const current = entriesRef.current.find(e => e.id === id);
+        if (!current) return;
+        const updated = { ...current, ...changes, updatedAt: Date.now() };
+        setLocalEntries(prev => prev.map(e => e.id === id ? updated : e));
+        store.write('coursebooks', id, coursebookDetails(updated));
+        try {
+            await withLocalStores(['coursebooks'], 'readwrite', ({ coursebooks }) => {
+                coursebooks.put(updated);
+            });
+        } catch (e) {
+            console.error("Error updating coursebook: ", e);
+        }
+    }, [store.write]);
 
-    for (let i = 0; i < 3; i++) {
+    const removeEntry = useCallback(async (id) => {
+        sessionFilesRef.current.delete(id);
+        setLocalEntries(prev => prev.filter(e => e.id !== id));
+        store.remove('coursebooks', id);
         try {
-            const response = await fetch(apiUrl, {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify(payload)
+            await withLocalStores(LIBRARY_STORES, 'readwrite', (stores) => {
+                LIBRARY_STORES.forEach(name => stores[name].delete(id));
             });
+        } catch (e) {
+            console.error("Error removing coursebook: ", e);
+        }
+    }, [store.remove]);
 
-            if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`);
+    // Gives null when the file can't be read, and says so in `error` like the library's other failures
+    const readFile = useCallback(async (id) => {
+        if (sessionFilesRef.current.has(id)) return sessionFilesRef.current.get(id);
+        try {
+            const file = await readLibraryFile(id);
+            if (!file) throw new Error(`No stored file for ${id}`);
+            return file;
+        } catch (e) {
+            console.error("Error opening coursebook: ", e);
+            const name = entriesRef.current.find(entry => entry.id === id)?.name;
+            setError(`${name ? `"${name}"` : 'This coursebook'} couldn't be opened from your library. Try removing it and uploading it again.`);
+            return null;
+        }
+    }, []);
 
-            const result = await response.json();
-            const text = result.candidates?.[0]?.content?.parts?.[0]?.text || "Sorry, I couldn't generate a response.";
-
-            let sources = [];
-            const groundingMetadata = result.candidates?.[0]?.groundingMetadata;
-            if (groundingMetadata && groundingMetadata.groundingAttributions) {
-                sources = groundingMetadata.groundingAttributions.map(attr => ({
-                    uri: attr.web?.uri,
-                    title: attr.web?.title,
-                })).filter(source => source.uri);
-            }
+    return { entries, error, addFile, updateEntry, removeEntry, readFile };
+}
 
-            return { text, sources };
+// 10. Local-first Store and Sync
+// Quiz attempts, chats, library details, saved videos and revision plans are written to IndexedDB first and
+// pushed to Firestore in the background, so nothing is lost on flaky Wi-Fi or when Firebase isn't available
+// at all. Every record carries modifiedAt (when it was last changed) and baseModifiedAt (the server version
+// its local edit started from), which is how edits made on two devices while one was offline are detected.
+const SYNCED_COLLECTIONS = ['quizzes', 'chats', 'coursebooks', 'watchLater', 'plans'];
+const SYNC_TIMEOUT_MS = 15000;
+const SYNC_RETRY_MS = 30000;
+
+const recordKey = (userId, collectionName, id) => `${userId}|${collectionName}|${id}`;
+
+// Documents written before modifiedAt existed fall back to their own timestamps
+const remoteModifiedAt = (data) => data.modifiedAt || data.updatedAt || data.timestamp || 0;
+
+const readUserRecords = (userId) => withLocalStores(['records'], 'readonly', ({ records }) => (
+    records.getAll(IDBKeyRange.bound(`${userId}|`, `${userId}|\uffff`))
+));
+const writeRecords = (changed, removedKeys) => withLocalStores(['records'], 'readwrite', ({ records }) => {
+    changed.forEach(record => records.put(record));
+    removedKeys.forEach(key => records.delete(key));
+});
+
+// Firestore keeps retrying writes while offline instead of failing, so give up after a while and
+// report the change as still pending. The error is flagged `timedOut`.
+const withTimeout = (promise, ms) => Promise.race([
+    promise,
+    new Promise((_, reject) => setTimeout(() => reject(Object.assign(new Error(`Timed out after ${ms / 1000}s`), { timedOut: true })), ms))
+]);
+
+// Firestore rejects a whole document if any field is undefined. Object fields that are undefined are
+// left out and undefined array entries become null.
+const toFirestoreData = (value) => {
+    if (Array.isArray(value)) return value.map(item => (item === undefined ? null : toFirestoreData(item)));
+    if (!value || typeof value !== 'object' || Object.getPrototypeOf(value) !== Object.prototype) return value;
+    return Object.fromEntries(Object.entries(value)
+        .filter(([, item]) => item !== undefined)
+        .map(([key, item]) => [key, toFirestoreData(item)]));
+};
 
-        } catch (error) {
-            console.error(`Chat attempt ${i + 1} failed:`, error);
-            if (i === 2) return { text: "I'm having trouble connecting right now. Please try again later.", sources: [] };
-            await new Promise(resolve => setTimeout(resolve, Math.pow(2, i) * 1000));
+const messageSignature = (message) => `${message.role}:${message.parts?.[0]?.text || ''}`;
+
+// Both this device and the server changed a record since it was last synced. Attempts never change
+// after saving, so only chats and library details can conflict. The newer edit wins; if the losing
+// chat has messages the winner doesn't, it is kept as a separate "conflicted copy" so nothing is lost.
+const resolveConflict = (collectionName, local, remote) => {
+    const winner = local.modifiedAt >= remote.modifiedAt ? local : remote;
+    const loser = winner === local ? remote : local;
+    const copies = [];
+    if (collectionName === 'chats' && !winner.deleted && !loser.deleted) {
+        const winnerMessages = new Set((winner.data.history || []).map(messageSignature));
+        if ((loser.data.history || []).some(message => !winnerMessages.has(messageSignature(message)))) {
+            copies.push({
+                ...loser.data,
+                id: crypto.randomUUID(),
+                title: `${loser.data.title} (conflicted copy)`,
+                customTitle: true
+            });
         }
     }
-}
+    return { winner, copies };
+};
 
-// 3. YouTube Recommender (Uses Google Search as a proxy)
-async function fetchYoutubeRecommendations(topic) {
-    const model = 'gemini-2.5-flash-preview-05-20';
-    const apiUrl = `https://generativelanguage.googleapis.com/v1beta/models/${model}:generateContent?key=${apiKey}`;
-
-    const userQuery = `Find 3 highly rated educational YouTube videos explaining '${topic}'. Provide the video title and the full YouTube URL. Respond ONLY with a JSON array of objects with keys 'title' and 'url'.`;
-
-    const payload = {
-        contents: [{ parts: [{ text: userQuery }] }],
-        tools: [{ "google_search": {} }],
-        generationConfig: {
-            responseMimeType: "application/json",
-            responseSchema: {
-                type: "ARRAY",
-                items: {
-                    type: "OBJECT",
-                    properties: {
-                        title: { type: "STRING" },
-                        url: { type: "STRING" }
-                    },
-                    required: ["title", "url"]
+function useLocalFirstStore(db, userId) {
+    // All records for the signed-in user, keyed by recordKey. A ref so sync code always sees the latest
+    // state; `version` re-renders consumers whenever it changes.
+    const recordsRef = useRef(new Map());
+    const [version, setVersion] = useState(0);
+    const [isLoaded, setIsLoaded] = useState(false);
+    const [isOnline, setIsOnline] = useState(typeof navigator === 'undefined' || navigator.onLine !== false);
+    const [isSyncing, setIsSyncing] = useState(false);
+    const [syncError, setSyncError] = useState(null);
+    const [lastSyncedAt, setLastSyncedAt] = useState(null);
+    const flushingRef = useRef(false);
+    const flushRef = useRef(null);
+
+    const commit = useCallback((changed, removedKeys = []) => {
+        if (changed.length === 0 && removedKeys.length === 0) return;
+        changed.forEach(record => recordsRef.current.set(record.key, record));
+        removedKeys.forEach(key => recordsRef.current.delete(key));
+        setVersion(v => v + 1);
+        writeRecords(changed, removedKeys).catch(e => console.error("Error saving to the offline store: ", e));
+    }, []);
+
+    // Load this user's records from IndexedDB before listening to Firestore, so the merge sees local edits
+    useEffect(() => {
+        recordsRef.current = new Map();
+        setIsLoaded(false);
+        setVersion(v => v + 1);
+        if (!userId) return;
+
+        let cancelled = false;
+        readUserRecords(userId)
+            .then(list => {
+                if (!cancelled) list.forEach(record => recordsRef.current.set(record.key, record));
+            })
+            .catch(e => console.error("Error loading the offline store: ", e))
+            .finally(() => {
+                if (cancelled) return;
+                setIsLoaded(true);
+                setVersion(v => v + 1);
+            });
+        return () => { cancelled = true; };
+    }, [userId]);
+
+    useEffect(() => {
+        const handleOnline = () => {
+            setIsOnline(true);
+            flushRef.current?.();
+        };
+        const handleOffline = () => setIsOnline(false);
+        window.addEventListener('online', handleOnline);
+        window.addEventListener('offline', handleOffline);
+        return () => {
+            window.removeEventListener('online', handleOnline);
+            window.removeEventListener('offline', handleOffline);
+        };
+    }, []);
+
+    const mergeRemote = useCallback((collectionName, snapshot) => {
+        const changed = [];
+        const removedKeys = [];
+        const remoteIds = new Set();
+
+        snapshot.docs.forEach(docSnap => {
+            remoteIds.add(docSnap.id);
+            // Our own write echoed back before the server has confirmed it. It says nothing about the
+            // server's state, and is lost on reload, so the record stays as it is locally.
+            if (docSnap.metadata.hasPendingWrites) return;
+            const data = { ...docSnap.data(), id: docSnap.id };
+            const modifiedAt = remoteModifiedAt(data);
+            const key = recordKey(userId, collectionName, docSnap.id);
+            const local = recordsRef.current.get(key);
+            const remote = { key, userId, collection: collectionName, id: docSnap.id, data, modifiedAt, baseModifiedAt: modifiedAt, deleted: false, dirty: false };
+
+            if (!local || !local.dirty) {
+                if (!local || local.modifiedAt !== modifiedAt) changed.push(remote);
+                return;
+            }
+            // Our pending change has reached the server; flush marks it synced once its write resolves
+            if (modifiedAt === local.modifiedAt) return;
+            // The server hasn't moved since our edit started; it will be pushed as is
+            if (modifiedAt === local.baseModifiedAt) return;
+
+            const { winner, copies } = resolveConflict(collectionName, local, remote);
+            // A winning local edit stays pending and now overwrites the version it beat
+            changed.push(winner === remote ? remote : { ...local, baseModifiedAt: modifiedAt });
+            copies.forEach(copy => changed.push({
+                key: recordKey(userId, collectionName, copy.id),
+                userId,
+                collection: collectionName,
+                id: copy.id,
+                data: copy,
+                modifiedAt: Date.now(),
+                baseModifiedAt: null,
+                deleted: false,
+                dirty: true
+            }));
+        });
+
+        // Only a snapshot confirmed by the server says anything about deletions; a cached one may be partial
+        if (!snapshot.metadata.fromCache) {
+            recordsRef.current.forEach((local, key) => {
+                if (local.collection !== collectionName || remoteIds.has(local.id)) return;
+                // Deleted elsewhere, or our own deletion went through. Local edits to a record deleted
+                // elsewhere are kept and re-uploaded.
+                if (!local.dirty || local.deleted) removedKeys.push(key);
+            });
+        }
+
+        commit(changed, removedKeys);
+        if (changed.length > 0 || removedKeys.length > 0) flushRef.current?.();
+    }, [userId, commit]);
+
+    useEffect(() => {
+        if (!db || !userId || !isLoaded || !collection || !onSnapshot || !query) return;
+
+        // Metadata changes too, so a document is merged again once its pending write is confirmed
+        const unsubscribes = SYNCED_COLLECTIONS.map(collectionName => onSnapshot(
+            query(collection(db, `artifacts/${appId}/users/${userId}/${collectionName}`)),
+            { includeMetadataChanges: true },
+            (snapshot) => {
+                mergeRemote(collectionName, snapshot);
+                if (!snapshot.metadata.fromCache) setLastSyncedAt(Date.now());
+            },
+            (error) => {
+                console.error(`Error fetching ${collectionName}: `, error);
+                setSyncError(error.message || String(error));
+            }
+        ));
+        return () => unsubscribes.forEach(unsubscribe => unsubscribe());
+    }, [db, userId, isLoaded, mergeRemote]);
+
+    // Pushes pending changes one at a time, oldest first. A record the server rejects is marked with the
+    // error and skipped so the rest still sync; a timeout means the connection is down and ends the pass.
+    const flush = useCallback(async () => {
+        if (!db || !userId || !doc || !setDoc || !deleteDoc || flushingRef.current) return;
+        const pending = [...recordsRef.current.values()]
+            .filter(record => record.dirty)
+            .sort((a, b) => a.modifiedAt - b.modifiedAt);
+        if (pending.length === 0) return;
+
+        flushingRef.current = true;
+        setIsSyncing(true);
+        const failures = [];
+        try {
+            for (const record of pending) {
+                const docRef = doc(db, `artifacts/${appId}/users/${userId}/${record.collection}`, record.id);
+                try {
+                    await withTimeout(
+                        record.deleted ? deleteDoc(docRef) : setDoc(docRef, toFirestoreData({ ...record.data, modifiedAt: record.modifiedAt })),
+                        SYNC_TIMEOUT_MS
+                    );
+                } catch (e) {
+                    if (e.timedOut) throw e;
+                    console.error(`Could not sync ${record.collection}/${record.id}; it stays queued:`, e);
+                    failures.push(e.message || String(e));
+                    const current = recordsRef.current.get(record.key);
+                    if (current && current.modifiedAt === record.modifiedAt) commit([{ ...current, syncError: e.message || String(e) }]);
+                    continue;
+                }
+                // If it was changed again while this write was in flight, the next flush sends that version
+                const current = recordsRef.current.get(record.key);
+                if (current && current.modifiedAt === record.modifiedAt) {
+                    if (record.deleted) commit([], [record.key]);
+                    else commit([{ ...current, dirty: false, baseModifiedAt: record.modifiedAt, syncError: null }]);
                 }
             }
+            setSyncError(failures.length > 0
+                ? `${failures.length} change${failures.length === 1 ? '' : 's'} could not be synced: ${failures[0]}`
+                : null);
+            setLastSyncedAt(Date.now());
+        } catch (e) {
+            console.error("Sync failed; changes stay queued:", e);
+            setSyncError(e.message || String(e));
+        } finally {
+            flushingRef.current = false;
+            setIsSyncing(false);
+        }
+    }, [db, userId, commit]);
+    flushRef.current = flush;
+
+    const write = useCallback((collectionName, id, data) => {
+        const key = recordKey(userId, collectionName, id);
+        const existing = recordsRef.current.get(key);
+        commit([{
+            key,
+            userId,
+            collection: collectionName,
+            id,
+            data: { ...data, id },
+            // Strictly increasing, so two quick edits never share a version
+            modifiedAt: Math.max(Date.now(), (existing?.modifiedAt || 0) + 1),
+            baseModifiedAt: existing ? existing.baseModifiedAt : null,
+            deleted: false,
+            dirty: true
+        }]);
+        setTimeout(() => flushRef.current?.(), 0);
+    }, [userId, commit]);
+
+    const remove = useCallback((collectionName, id) => {
+        const key = recordKey(userId, collectionName, id);
+        const existing = recordsRef.current.get(key);
+        if (!existing) return;
+        // Never reached the server: nothing to delete there
+        if (existing.baseModifiedAt === null) {
+            commit([], [key]);
+            return;
         }
+        commit([{ ...existing, deleted: true, dirty: true, modifiedAt: Math.max(Date.now(), existing.modifiedAt + 1) }]);
+        setTimeout(() => flushRef.current?.(), 0);
+    }, [userId, commit]);
+
+    // Copies another user's records on this device to the current user, e.g. a guest's history after
+    // signing in to an existing account. Records the current user already has are left alone.
+    const adoptRecords = useCallback(async (fromUserId) => {
+        const [theirs, ours] = await Promise.all([readUserRecords(fromUserId), readUserRecords(userId)]);
+        const ownIds = new Set(ours.map(record => `${record.collection}|${record.id}`));
+        theirs
+            .filter(record => !record.deleted && !ownIds.has(`${record.collection}|${record.id}`))
+            .forEach(record => write(record.collection, record.id, record.data));
+    }, [userId, write]);
+
+    const records = [...recordsRef.current.values()];
+    const pendingCount = records.filter(record => record.dirty).length;
+
+    const hasPending = pendingCount > 0;
+
+    // Retry queued changes on connect and periodically while any are waiting
+    useEffect(() => {
+        if (!db || !isLoaded || !hasPending) return;
+        flushRef.current?.();
+        const interval = setInterval(() => flushRef.current?.(), SYNC_RETRY_MS);
+        return () => clearInterval(interval);
+    }, [db, isLoaded, hasPending]);
+
+    const collections = useMemo(() => {
+        const result = Object.fromEntries(SYNCED_COLLECTIONS.map(name => [name, []]));
+        recordsRef.current.forEach(record => {
+            if (!record.deleted && result[record.collection]) result[record.collection].push(record.data);
+        });
+        return result;
+    }, [version]);
+
+    let state = 'synced';
+    if (!db) state = 'local';
+    else if (!isOnline && pendingCount > 0) state = 'offline';
+    else if (isSyncing) state = 'syncing';
+    else if (syncError && pendingCount > 0) state = 'error';
+    else if (pendingCount > 0) state = 'pending';
+
+    return {
+        collections,
+        write,
+        remove,
+        adoptRecords,
+        syncNow: flush,
+        status: { state, pendingCount, isOnline, lastSyncedAt, error: syncError, isLoaded }
     };
+}
 
-    try {
-        const response = await fetch(apiUrl, {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify(payload)
+// 11. Quiz Export (Worksheet and Answer Key)
+// A quiz is first laid out as a list of blocks, then rendered to Markdown, printable HTML or DOCX, so the
+// three formats number and word everything the same way. `quiz` is { quizTitle, questions, coursebookName? }
+// with questions shaped like generated ones (saved attempt questions work as-is).
+const EXPORT_VARIANTS = {
+    worksheet: 'Student Worksheet',
+    answers: 'Answer Key'
+};
+// Ruled lines left for a written answer on the worksheet
+const ANSWER_LINES = { saq: 4, laq: 12 };
+
+const optionLetter = (index) => String.fromCharCode(65 + index);
+
+const questionMarks = (q) => q.type === 'mcq' ? 1 : normalizeRubric(q).reduce((sum, item) => sum + item.marks, 0);
+
+function buildQuizDocument(quiz, variant) {
+    const blocks = [
+        { kind: 'title', text: `${quiz.quizTitle || 'Quiz'} — ${EXPORT_VARIANTS[variant]}` },
+        { kind: 'meta', text: [quiz.coursebookName, `${quiz.questions.length} questions`, `${quiz.questions.reduce((sum, q) => sum + questionMarks(q), 0)} marks`].filter(Boolean).join(' · ') }
+    ];
+    if (variant === 'worksheet') blocks.push({ kind: 'text', text: 'Name: ______________________    Class: __________    Date: __________' });
+
+    const types = QUESTION_TYPE_ORDER.filter(type => quiz.questions.some(q => q.type === type));
+    let number = 0;
+    types.forEach((type, sectionIndex) => {
+        if (types.length > 1) blocks.push({ kind: 'heading', text: `Section ${optionLetter(sectionIndex)}: ${QUESTION_TYPE_DETAILS[type].name}` });
+        quiz.questions.filter(q => q.type === type).forEach(q => {
+            number += 1;
+            const marks = questionMarks(q);
+            blocks.push({ kind: 'question', number, text: q.question, marks: `${formatScore(marks)} mark${marks === 1 ? '' : 's'}` });
+            if (q.type === 'mcq') {
+                q.options.forEach((option, index) => blocks.push({
+                    kind: 'option',
+                    letter: optionLetter(index),
+                    text: option,
+                    correct: variant === 'answers' && option === q.correctAnswer
+                }));
+            }
+
+            if (variant === 'worksheet') {
+                if (q.type !== 'mcq') blocks.push({ kind: 'lines', count: ANSWER_LINES[q.type] });
+                return;
+            }
+            // Questions without their answers (an assignment before it is submitted) get no answer blocks
+            if (q.type === 'mcq') {
+                const index = q.options.indexOf(q.correctAnswer);
+                if (index !== -1) blocks.push({ kind: 'answer', label: 'Answer', text: `${optionLetter(index)}) ${q.correctAnswer}` });
+            } else {
+                if (q.modelAnswer) blocks.push({ kind: 'answer', label: 'Model answer', text: q.modelAnswer });
+                const rubric = normalizeRubric(q);
+                if (rubric.length > 0) {
+                    blocks.push({ kind: 'answer', label: 'Marking scheme', text: '' });
+                    rubric.forEach(item => blocks.push({ kind: 'rubric', text: item.point, marks: `${formatScore(item.marks)} mark${item.marks === 1 ? '' : 's'}` }));
+                }
+            }
+            if (q.explanation) blocks.push({ kind: 'answer', label: 'Explanation', text: q.explanation });
+            if (q.page) blocks.push({ kind: 'answer', label: 'Coursebook', text: `p. ${q.page}${q.sectionTitle ? ` (${q.sectionTitle})` : ''}` });
         });
+    });
+    return blocks;
+}
 
-        if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`);
+function quizToMarkdown(quiz, variant) {
+    // Underscore-only lines would render as rules, so writing space is dotted
+    const writingLine = '. '.repeat(40).trim();
+    const render = (block) => {
+        switch (block.kind) {
+            case 'title': return `# ${block.text}`;
+            case 'meta': return `_${block.text}_`;
+            case 'text': return block.text.replace(/_/g, '\\_');
+            case 'heading': return `## ${block.text}`;
+            case 'question': return `**${block.number}.** ${block.text} _(${block.marks})_`;
+            case 'option': return `- ${block.letter}) ${block.correct ? `**${block.text}** ✓` : block.text}`;
+            case 'lines': return Array(block.count).fill(writingLine).join('\n\n');
+            case 'answer': return `**${block.label}:** ${block.text}`;
+            case 'rubric': return `- ${block.text} _(${block.marks})_`;
+            default: return '';
+        }
+    };
+    const lines = [];
+    let previousKind = null;
+    buildQuizDocument(quiz, variant).forEach(block => {
+        // Consecutive options (or rubric points) form one list; every other block is its own paragraph
+        const continuesList = (block.kind === 'option' || block.kind === 'rubric') && block.kind === previousKind;
+        if (lines.length > 0 && !continuesList) lines.push('');
+        lines.push(render(block));
+        previousKind = block.kind;
+    });
+    return `${lines.join('\n')}\n`;
+}
 
-        const result = await response.json();
-        const textJson = result.candidates?.[0]?.content?.parts?.[0]?.text;
-        if (textJson) {
-            // Filter to ensure URLs are valid YouTube links
-            const parsed = JSON.parse(textJson);
-            return parsed.filter(item => item.url && item.url.includes('youtu'));
+const escapeHtml = (text) => String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+function quizToHtml(quiz, variant) {
+    const body = buildQuizDocument(quiz, variant).map(block => {
+        switch (block.kind) {
+            case 'title': return `<h1>${escapeHtml(block.text)}</h1>`;
+            case 'meta': return `<p class="meta">${escapeHtml(block.text)}</p>`;
+            case 'text': return `<p>${escapeHtml(block.text)}</p>`;
+            case 'heading': return `<h2>${escapeHtml(block.text)}</h2>`;
+            case 'question': return `<p class="question"><strong>${block.number}.</strong> ${escapeHtml(block.text)} <span class="marks">(${block.marks})</span></p>`;
+            case 'option': return `<p class="option${block.correct ? ' correct' : ''}">${block.letter}) ${escapeHtml(block.text)}${block.correct ? ' ✓' : ''}</p>`;
+            case 'lines': return Array(block.count).fill('<div class="line"></div>').join('');
+            case 'answer': return `<p class="answer"><strong>${escapeHtml(block.label)}:</strong> ${escapeHtml(block.text)}</p>`;
+            case 'rubric': return `<p class="rubric">• ${escapeHtml(block.text)} <span class="marks">(${block.marks})</span></p>`;
+            default: return '';
         }
-        return [];
-    } catch (error) {
-        console.error("Failed to fetch YouTube recommendations:", error);
-        return [];
-    }
+    }).join('\n');
+    return `<!DOCTYPE html>
+<html><head><meta charset="utf-8"><title>${escapeHtml(`${quiz.quizTitle || 'Quiz'} — ${EXPORT_VARIANTS[variant]}`)}</title>
+<style>
+    @page { margin: 18mm; }
+    body { font-family: Georgia, 'Times New Roman', serif; font-size: 12pt; color: #111; max-width: 180mm; margin: 0 auto; }
+    h1 { font-size: 18pt; margin-bottom: 4pt; }
+    h2 { font-size: 14pt; margin-top: 18pt; border-bottom: 1px solid #999; padding-bottom: 2pt; }
+    .meta { color: #444; margin: 2pt 0 10pt; }
+    .question { margin: 14pt 0 4pt; page-break-after: avoid; }
+    .option { margin: 2pt 0 2pt 18pt; }
+    .correct { font-weight: bold; }
+    .marks { color: #555; font-size: 10pt; }
+    .line { border-bottom: 1px solid #999; height: 24pt; margin-left: 18pt; }
+    .answer, .rubric { margin: 3pt 0 3pt 18pt; }
+</style></head>
+<body>
+${body}
+</body></html>`;
 }
 
-// --- Icons (Lucide) ---
-const FileTextIcon = (props) => <svg {...props} xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"><path d="M15 2H6a2 2 0 0 0-2 2v16a2 2 0 0 0 2 2h12a2 2 0 0 0 2-2V7Z"/><path d="M14 2v4a2 2 0 0 0 2 2h4"/><path d="M10 9H8"/><path d="M16 13H8"/><path d="M16 17H8"/></svg>;
-const ZapIcon = (props) => <svg {...props} xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"><polygon points="13 2 3 14 12 14 11 22 21 10 12 10 13 2"/></svg>;
-const TrendingUpIcon = (props) => <svg {...props} xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"><polyline points="22 7 13.5 15.5 8.5 10.5 2 17"/><polyline points="18 7 22 7 22 11"/></svg>;
-const MessageSquareIcon = (props) => <svg {...props} xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"><path d="M21 15a2 2 0 0 1-2 2H7l-4 4V5a2 2 0 0 1 2-2h14a2 2 0 0 1 2 2z"/></svg>;
-const UploadIcon = (props) => <svg {...props} xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"><path d="M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4"/><polyline points="17 8 12 3 7 8"/><line x1="12" x2="12" y1="3" y2="15"/></svg>;
+// Opens the quiz in a new window and brings up the print dialog, from which it can be saved as a PDF.
+// Returns false when the browser blocked the window.
+function printQuiz(quiz, variant) {
+    const printWindow = window.open('', '_blank');
+    if (!printWindow) return false;
+    printWindow.document.write(quizToHtml(quiz, variant));
+    printWindow.document.close();
+    printWindow.focus();
+    printWindow.print();
+    return true;
+}
+
+// Characters XML 1.0 does not allow, which PDF-extracted text occasionally contains
+const escapeXml = (text) => escapeHtml(text).replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, '');
+
+function quizToDocxXml(quiz, variant) {
+    const run = (text, { bold = false, size = null, color = null } = {}) =>
+        `<w:r><w:rPr>${bold ? '<w:b/>' : ''}${color ? `<w:color w:val="${color}"/>` : ''}${size ? `<w:sz w:val="${size}"/>` : ''}</w:rPr><w:t xml:space="preserve">${escapeXml(text)}</w:t></w:r>`;
+    const paragraph = (runs, { indent = 0, spaceBefore = 0, border = false, keepNext = false } = {}) =>
+        `<w:p><w:pPr>${keepNext ? '<w:keepNext/>' : ''}${border ? '<w:pBdr><w:bottom w:val="single" w:sz="4" w:space="1" w:color="999999"/></w:pBdr>' : ''}<w:spacing w:before="${spaceBefore}" w:after="60"${border ? ' w:line="480" w:lineRule="exact"' : ''}/>${indent ? `<w:ind w:left="${indent}"/>` : ''}</w:pPr>${runs}</w:p>`;
+
+    const body = buildQuizDocument(quiz, variant).map(block => {
+        switch (block.kind) {
+            case 'title': return paragraph(run(block.text, { bold: true, size: 36 }));
+            case 'meta': return paragraph(run(block.text, { color: '555555' }));
+            case 'text': return paragraph(run(block.text), { spaceBefore: 120 });
+            case 'heading': return paragraph(run(block.text, { bold: true, size: 28 }), { spaceBefore: 360, keepNext: true });
+            case 'question': return paragraph(run(`${block.number}. `, { bold: true }) + run(block.text) + run(` (${block.marks})`, { color: '555555', size: 20 }), { spaceBefore: 240, keepNext: true });
+            case 'option': return paragraph(run(`${block.letter}) ${block.text}${block.correct ? ' ✓' : ''}`, { bold: block.correct }), { indent: 360 });
+            case 'lines': return Array(block.count).fill(paragraph('', { indent: 360, border: true })).join('');
+            case 'answer': return paragraph(run(`${block.label}: `, { bold: true }) + run(block.text), { indent: 360 });
+            case 'rubric': return paragraph(run(`• ${block.text} `) + run(`(${block.marks})`, { color: '555555', size: 20 }), { indent: 360 });
+            default: return '';
+        }
+    }).join('');
+
+    return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:document xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main"><w:body>${body}<w:sectPr><w:pgSz w:w="11906" w:h="16838"/><w:pgMar w:top="1134" w:right="1134" w:bottom="1134" w:left="1134" w:header="709" w:footer="709" w:gutter="0"/></w:sectPr></w:body></w:document>`;
+}
+
+const CRC32_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+        table[n] = c >>> 0;
+    }
+    return table;
+})();
+
+const crc32 = (bytes) => {
+    let crc = 0xffffffff;
+    for (let i = 0; i < bytes.length; i++) crc = CRC32_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+    return (crc ^ 0xffffffff) >>> 0;
+};
+
+// Minimal ZIP writer (stored, no compression), which is all a DOCX package needs.
+// files: [{ name, content }] with string contents; returns a Uint8Array.
+function createZip(files) {
+    const encoder = new TextEncoder();
+    const DOS_DATE = (1 << 5) | 1; // 1980-01-01; the packages don't need real timestamps
+    const chunks = [];
+    const central = [];
+    let offset = 0;
+
+    files.forEach(file => {
+        const name = encoder.encode(file.name);
+        const data = encoder.encode(file.content);
+        const crc = crc32(data);
+        const local = new DataView(new ArrayBuffer(30));
+        local.setUint32(0, 0x04034b50, true);
+        local.setUint16(4, 20, true); // version needed
+        local.setUint16(10, 0, true); // time
+        local.setUint16(12, DOS_DATE, true);
+        local.setUint32(14, crc, true);
+        local.setUint32(18, data.length, true);
+        local.setUint32(22, data.length, true);
+        local.setUint16(26, name.length, true);
+        chunks.push(new Uint8Array(local.buffer), name, data);
+
+        const entry = new DataView(new ArrayBuffer(46));
+        entry.setUint32(0, 0x02014b50, true);
+        entry.setUint16(4, 20, true); // version made by
+        entry.setUint16(6, 20, true); // version needed
+        entry.setUint16(14, DOS_DATE, true);
+        entry.setUint32(16, crc, true);
+        entry.setUint32(20, data.length, true);
+        entry.setUint32(24, data.length, true);
+        entry.setUint16(28, name.length, true);
+        entry.setUint32(42, offset, true);
+        central.push(new Uint8Array(entry.buffer), name);
+        offset += 30 + name.length + data.length;
+    });
+
+    const centralSize = central.reduce((sum, chunk) => sum + chunk.length, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054b50, true);
+    end.setUint16(8, files.length, true);
+    end.setUint16(10, files.length, true);
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);
+
+    const parts = [...chunks, ...central, new Uint8Array(end.buffer)];
+    const zip = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+    let position = 0;
+    parts.forEach(part => {
+        zip.set(part, position);
+        position += part.length;
+    });
+    return zip;
+}
+
+function quizToDocx(quiz, variant) {
+    const zip = createZip([
+        {
+            name: '[Content_Types].xml',
+            content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types"><Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/><Default Extension="xml" ContentType="application/xml"/><Override PartName="/word/document.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml"/></Types>'
+        },
+        {
+            name: '_rels/.rels',
+            content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships"><Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="word/document.xml"/></Relationships>'
+        },
+        { name: 'word/document.xml', content: quizToDocxXml(quiz, variant) }
+    ]);
+    return new Blob([zip], { type: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document' });
+}
+
+const EXPORT_FILE_SUFFIXES = { worksheet: 'worksheet', answers: 'answer-key', bank: 'question-bank' };
+
+const exportFileName = (quiz, variant, extension) => {
+    const slug = (quiz.quizTitle || 'quiz').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '').slice(0, 60) || 'quiz';
+    return `${slug}-${EXPORT_FILE_SUFFIXES[variant]}.${extension}`;
+};
+
+function downloadBlob(blob, fileName) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    // Revoked on the next tick; revoking synchronously can cancel the download in some browsers
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+// 12. Question Bank Import and Export (CSV, JSON, Moodle GIFT, Aiken)
+// Parsers turn a file into raw questions tagged with the line they start on; every question then goes
+// through validateQuizQuestion, the same checks generated quizzes get, so an imported bank plays and
+// scores exactly like a generated quiz. Problems are reported as { line, message }.
+const QUESTION_BANK_FORMATS = {
+    csv: { name: 'CSV', extension: 'csv', mimeType: 'text/csv' },
+    json: { name: 'JSON', extension: 'json', mimeType: 'application/json' },
+    gift: { name: 'Moodle GIFT', extension: 'gift', mimeType: 'text/plain' },
+    aiken: { name: 'Aiken', extension: 'txt', mimeType: 'text/plain' }
+};
+const CSV_COLUMNS = ['type', 'question', 'optionA', 'optionB', 'optionC', 'optionD', 'correctAnswer', 'modelAnswer', 'explanation'];
+// Header spellings accepted on import, after lowercasing and dropping spaces and punctuation
+const CSV_HEADER_ALIASES = {
+    type: 'type', questiontype: 'type',
+    question: 'question', questiontext: 'question',
+    optiona: 'option0', optionb: 'option1', optionc: 'option2', optiond: 'option3',
+    option1: 'option0', option2: 'option1', option3: 'option2', option4: 'option3',
+    correctanswer: 'correctAnswer', answer: 'correctAnswer',
+    modelanswer: 'modelAnswer',
+    explanation: 'explanation',
+    page: 'page',
+    section: 'section'
+};
+
+// Splits CSV text into rows, honouring quoted fields with commas, doubled quotes and line breaks
+function parseCsvRows(text) {
+    const rows = [];
+    let cells = [];
+    let field = '';
+    let inQuotes = false;
+    let line = 1;
+    let rowLine = 1;
+    const endRow = () => {
+        cells.push(field);
+        if (cells.some(cell => cell.trim())) rows.push({ line: rowLine, cells });
+        cells = [];
+        field = '';
+    };
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (inQuotes) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                if (char === '\n') line++;
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            cells.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            endRow();
+            line++;
+            rowLine = line;
+        } else {
+            field += char;
+        }
+    }
+    endRow();
+    return { rows, unterminatedAt: inQuotes ? rowLine : null };
+}
+
+function parseCsvBank(text) {
+    const { rows, unterminatedAt } = parseCsvRows(text);
+    const errors = unterminatedAt ? [{ line: unterminatedAt, message: 'A quoted field is never closed.' }] : [];
+    if (rows.length === 0) return { questions: [], errors: [...errors, { line: 1, message: 'The file is empty.' }] };
+
+    const columns = rows[0].cells.map(cell => CSV_HEADER_ALIASES[cell.toLowerCase().replace(/[^a-z0-9]/g, '')] || null);
+    if (!columns.includes('question')) {
+        return { questions: [], errors: [...errors, { line: rows[0].line, message: `The header row needs a "question" column (expected: ${CSV_COLUMNS.join(', ')}).` }] };
+    }
+
+    const questions = rows.slice(1).map(row => {
+        const fields = {};
+        columns.forEach((column, index) => {
+            if (column) fields[column] = (row.cells[index] || '').trim();
+        });
+        const options = [0, 1, 2, 3].map(i => fields[`option${i}`]).filter(Boolean);
+        return {
+            line: row.line,
+            type: fields.type,
+            question: fields.question,
+            ...(options.length > 0 ? { options, correctAnswer: fields.correctAnswer } : {}),
+            modelAnswer: fields.modelAnswer,
+            explanation: fields.explanation,
+            ...(fields.page ? { page: fields.page } : {}),
+            ...(fields.section ? { section: fields.section } : {})
+        };
+    });
+    return { questions, errors };
+}
+
+function parseJsonBank(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (error) {
+        // Engines report the failure as a line or a character position; turn either into a line number
+        const reportedLine = error.message.match(/line (\d+)/);
+        const position = error.message.match(/position (\d+)/);
+        const line = reportedLine ? Number(reportedLine[1]) : position ? text.slice(0, Number(position[1])).split('\n').length : null;
+        return { questions: [], errors: [{ line, message: `Invalid JSON: ${error.message}` }] };
+    }
+    const list = Array.isArray(data) ? data : data?.questions;
+    if (!Array.isArray(list)) return { questions: [], errors: [{ line: 1, message: 'Expected an array of questions or an object with a "questions" array.' }] };
+
+    // Each question is matched to the line its "question" key is on, in order, for error reporting
+    const questionLines = [];
+    text.split('\n').forEach((lineText, index) => {
+        if (/"question"\s*:/.test(lineText)) questionLines.push(index + 1);
+    });
+    return {
+        quizTitle: Array.isArray(data) ? '' : cleanText(data.quizTitle),
+        questions: list.map((q, index) => ({ ...q, line: questionLines[index] ?? null })),
+        errors: []
+    };
+}
+
+// One pass, so an escaped backslash followed by "n" isn't read as a line break
+const GIFT_ESCAPABLE = /\\([~=#{}:\\n])/g;
+const unescapeGift = (text) => text.replace(GIFT_ESCAPABLE, (match, char) => (char === 'n' ? '\n' : char)).trim();
+const escapeGift = (text) => String(text).replace(/([~=#{}:\\])/g, '\\$1').replace(/\n/g, '\\n');
+
+// Index of the first unescaped occurrence of `token` in text, from `start`
+const findUnescaped = (text, token, start = 0) => {
+    for (let i = start; i <= text.length - token.length; i++) {
+        if (text[i] === '\\') {
+            i++;
+            continue;
+        }
+        if (text.startsWith(token, i)) return i;
+    }
+    return -1;
+};
+
+// Splits a GIFT answer block into its "=right" and "~wrong" choices, each with optional "#feedback"
+function parseGiftChoices(body) {
+    const choices = [];
+    let current = null;
+    for (let i = 0; i < body.length; i++) {
+        const char = body[i];
+        if (char === '\\') {
+            if (current) current.raw += body.slice(i, i + 2);
+            i++;
+        } else if (char === '=' || char === '~') {
+            current = { correct: char === '=', raw: '' };
+            choices.push(current);
+        } else if (current) {
+            current.raw += char;
+        }
+    }
+    return choices.map(choice => {
+        let raw = choice.raw;
+        let correct = choice.correct;
+        // Moodle weights ("~%50%") only count as the answer at 100%
+        const weight = raw.match(/^\s*%(-?\d+(?:\.\d+)?)%/);
+        if (weight) {
+            raw = raw.slice(weight[0].length);
+            correct = Number(weight[1]) === 100;
+        }
+        const hash = findUnescaped(raw, '#');
+        return {
+            correct,
+            text: unescapeGift(hash === -1 ? raw : raw.slice(0, hash)),
+            feedback: hash === -1 ? '' : unescapeGift(raw.slice(hash + 1))
+        };
+    });
+}
+
+function parseGiftBank(text) {
+    const questions = [];
+    const errors = [];
+    // Questions are separated by blank lines; "// type: saq" comments (written by our exporter) keep SAQ and LAQ apart
+    const blocks = [];
+    let block = null;
+    text.split(/\r?\n/).forEach((lineText, index) => {
+        const trimmed = lineText.trim();
+        if (!trimmed) {
+            block = null;
+            return;
+        }
+        if (!block) {
+            block = { line: index + 1, lines: [], typeHint: '' };
+            blocks.push(block);
+        }
+        const hint = trimmed.match(/^\/\/\s*type:\s*(mcq|saq|laq)\b/i);
+        if (hint) block.typeHint = hint[1].toLowerCase();
+        else if (!trimmed.startsWith('//') && !trimmed.startsWith('$CATEGORY')) block.lines.push(lineText);
+    });
+
+    blocks.filter(b => b.lines.length > 0).forEach(({ line, lines, typeHint }) => {
+        const source = lines.join('\n');
+        const open = findUnescaped(source, '{');
+        const close = open === -1 ? -1 : findUnescaped(source, '}', open);
+        if (open === -1 || close === -1) {
+            errors.push({ line, message: 'Missing the {…} answer block.' });
+            return;
+        }
+        // Drop the ::title:: and any [html]/[markdown] format tag; text after the block fills a blank
+        const stem = source.slice(0, open).replace(/^\s*::(?:\\.|[^:])*::/, '').replace(/^\s*\[(?:html|moodle|plain|markdown)\]/i, '');
+        const after = source.slice(close + 1).trim();
+        const questionText = unescapeGift(after ? `${stem.trim()} _____ ${after}` : stem);
+        let body = source.slice(open + 1, close);
+        let generalFeedback = '';
+        const generalAt = findUnescaped(body, '####');
+        if (generalAt !== -1) {
+            generalFeedback = unescapeGift(body.slice(generalAt + 4));
+            body = body.slice(0, generalAt);
+        }
+
+        const trimmedBody = body.trim();
+        if (/^(T|F|TRUE|FALSE)(\s*#.*)?$/is.test(trimmedBody)) {
+            errors.push({ line, message: 'True/false questions are not supported (MCQs need 4 options).' });
+            return;
+        }
+        if (trimmedBody.startsWith('#')) {
+            errors.push({ line, message: 'Numerical questions are not supported.' });
+            return;
+        }
+        if (trimmedBody.includes('->')) {
+            errors.push({ line, message: 'Matching questions are not supported.' });
+            return;
+        }
+
+        const choices = parseGiftChoices(trimmedBody);
+        if (choices.length === 0) {
+            // Essay: the general feedback is the closest thing to a model answer
+            questions.push({ line, type: typeHint || 'laq', question: questionText, modelAnswer: generalFeedback, explanation: '' });
+        } else if (choices.some(choice => !choice.correct)) {
+            const correct = choices.find(choice => choice.correct);
+            questions.push({
+                line,
+                type: 'mcq',
+                question: questionText,
+                options: choices.map(choice => choice.text),
+                correctAnswer: correct ? correct.text : '',
+                explanation: generalFeedback || correct?.feedback || ''
+            });
+        } else {
+            // Short answer: every choice is an accepted answer; the first one serves as the model answer
+            questions.push({ line, type: typeHint || 'saq', question: questionText, modelAnswer: choices[0].text, explanation: generalFeedback || choices[0].feedback });
+        }
+    });
+    return { questions, errors };
+}
+
+function parseAikenBank(text) {
+    const questions = [];
+    const errors = [];
+    let current = null;
+    const finish = () => {
+        if (current && !current.done) errors.push({ line: current.line, message: 'Question has no "ANSWER:" line.' });
+        current = null;
+    };
+    text.split(/\r?\n/).forEach((lineText, index) => {
+        const line = index + 1;
+        const trimmed = lineText.trim();
+        if (!trimmed) return;
+        const answer = trimmed.match(/^ANSWER:\s*(.*)$/i);
+        const option = trimmed.match(/^([A-Z])[.)]\s+(.*)$/);
+        if (answer) {
+            if (!current) {
+                errors.push({ line, message: '"ANSWER:" line without a question.' });
+                return;
+            }
+            const answerIndex = answer[1].trim().toUpperCase().charCodeAt(0) - 65;
+            if (answer[1].trim().length !== 1 || answerIndex < 0 || answerIndex >= current.options.length) {
+                errors.push({ line, message: `"ANSWER: ${answer[1].trim()}" does not match one of the ${current.options.length} option letters.` });
+            } else {
+                questions.push({ line: current.line, type: 'mcq', question: current.text, options: current.options, correctAnswer: current.options[answerIndex], explanation: '' });
+            }
+            current.done = true;
+            finish();
+        } else if (option && current) {
+            current.options.push(option[2]);
+        } else {
+            if (current?.options.length > 0) finish();
+            if (current) current.text += ` ${trimmed}`;
+            else current = { line, text: trimmed, options: [], done: false };
+        }
+    });
+    finish();
+    return { questions, errors };
+}
+
+const QUESTION_BANK_PARSERS = { csv: parseCsvBank, json: parseJsonBank, gift: parseGiftBank, aiken: parseAikenBank };
+
+// Picks the format from the file extension, sniffing .txt files (Aiken has "ANSWER:" lines, GIFT has {…} blocks)
+function detectQuestionBankFormat(fileName, text) {
+    const extension = (fileName.split('.').pop() || '').toLowerCase();
+    if (extension === 'csv') return 'csv';
+    if (extension === 'json') return 'json';
+    if (extension === 'gift') return 'gift';
+    if (/^\s*ANSWER:/im.test(text)) return 'aiken';
+    if (/^\s*[[{]/.test(text)) return 'json';
+    if (findUnescaped(text, '{') !== -1) return 'gift';
+    return null;
+}
+
+// Returns { format, quizTitle, questions, errors }; questions are validated and ready to play
+function parseQuestionBank(fileName, text) {
+    const format = detectQuestionBankFormat(fileName, text);
+    if (!format) return { format, quizTitle: '', questions: [], errors: [{ line: null, message: 'Unrecognised file format. Use CSV, JSON, GIFT or Aiken.' }] };
+
+    const parsed = QUESTION_BANK_PARSERS[format](text);
+    const errors = [...parsed.errors];
+    const questions = [];
+    parsed.questions.forEach((raw, index) => {
+        const { line, ...fields } = raw;
+        const { question, errors: problems } = validateQuizQuestion(fields);
+        if (question) questions.push(question);
+        else errors.push({ line, message: `Question ${index + 1} ${problems.join(', ')}.` });
+    });
+    errors.sort((a, b) => (a.line ?? Infinity) - (b.line ?? Infinity));
+    return {
+        format,
+        quizTitle: parsed.quizTitle || fileName.replace(/\.[^.]+$/, ''),
+        questions,
+        errors
+    };
+}
+
+// The fields needed to replay a question, without any student's answer or grade
+const toBankQuestion = (q) => ({
+    type: q.type,
+    question: q.question,
+    ...(q.type === 'mcq'
+        ? { options: q.options, correctAnswer: q.correctAnswer }
+        : { modelAnswer: q.modelAnswer || '', ...(q.rubric?.length > 0 ? { rubric: q.rubric.map(item => ({ point: item.point, marks: item.marks })) } : {}) }),
+    explanation: q.explanation || '',
+    ...(q.page ? { page: q.page } : {}),
+    ...(q.section ? { section: q.section, sectionTitle: q.sectionTitle || '' } : {})
+});
+
+const csvCell = (value) => {
+    const text = value == null ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Serialises a quiz ({ quizTitle, questions }) as a bank in one of QUESTION_BANK_FORMATS.
+// Returns { text, skipped }: Aiken only holds MCQs, so written questions are counted as skipped.
+function exportQuestionBank(quiz, format) {
+    const questions = quiz.questions;
+    if (format === 'csv') {
+        const rows = questions.map(q => [
+            q.type,
+            q.question,
+            ...[0, 1, 2, 3].map(i => q.type === 'mcq' ? q.options[i] : ''),
+            q.type === 'mcq' ? q.correctAnswer : '',
+            q.type === 'mcq' ? '' : q.modelAnswer,
+            q.explanation
+        ]);
+        return { text: [CSV_COLUMNS, ...rows].map(row => row.map(csvCell).join(',')).join('\r\n') + '\r\n', skipped: 0 };
+    }
+    if (format === 'json') {
+        const bank = {
+            quizTitle: quiz.quizTitle || '',
+            questions: questions.map(toBankQuestion)
+        };
+        return { text: `${JSON.stringify(bank, null, 2)}\n`, skipped: 0 };
+    }
+    if (format === 'gift') {
+        const text = questions.map((q, index) => {
+            const title = `::Q${index + 1}:: ${escapeGift(q.question)}`;
+            if (q.type === 'mcq') {
+                const choices = q.options.map(option => `    ${option === q.correctAnswer ? '=' : '~'}${escapeGift(option)}`);
+                return [title, '{', ...choices, ...(q.explanation ? [`    ####${escapeGift(q.explanation)}`] : []), '}'].join('\n');
+            }
+            return [`// type: ${q.type}`, title, '{', `    ####${escapeGift(q.modelAnswer || '')}`, '}'].join('\n');
+        }).join('\n\n');
+        return { text: `${text}\n`, skipped: 0 };
+    }
+    const mcqs = questions.filter(q => q.type === 'mcq');
+    const text = mcqs.map(q => [
+        q.question.replace(/\s*\n\s*/g, ' '),
+        ...q.options.map((option, i) => `${optionLetter(i)}. ${option.replace(/\s*\n\s*/g, ' ')}`),
+        `ANSWER: ${optionLetter(q.options.indexOf(q.correctAnswer))}`
+    ].join('\n')).join('\n\n');
+    return { text: `${text}\n`, skipped: questions.length - mcqs.length };
+}
+
+// 13. Classes and Assignments (Firestore)
+// Classes are shared between a teacher and their students, so they live outside any one user's tree:
+//   artifacts/{appId}/public/data/classes/{classId}            { name, teacherId, teacherName, inviteCode, createdAt }
+//     members/{studentId}                                       { displayName, inviteCode, joinedAt }
+//     assignments/{assignmentId}                                { title, questions (without answers), dueAt, timeLimitMinutes, ... }
+//       answerKey/main                                          { questions } with answers; teacher only until the student submits
+//       submissions/{studentId}                                 { answers, submittedAt, ... } written once by the student
+//   artifacts/{appId}/public/data/inviteCodes/{code}            { classId, className, teacherName, teacherId }
+// A user's profile ({ role, displayName }) and the classes a student has joined stay in their own tree.
+// Who may read and write each document is enforced by firestore.rules.
+const CLASSES_PATH = `artifacts/${appId}/public/data/classes`;
+const INVITE_CODES_PATH = `artifacts/${appId}/public/data/inviteCodes`;
+const USER_ROLES = { student: 'Student', teacher: 'Teacher' };
+// No 0/O or 1/I, so a code read out in class is typed correctly
+const INVITE_CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const INVITE_CODE_LENGTH = 6;
+
+const generateInviteCode = () => Array.from(
+    crypto.getRandomValues(new Uint32Array(INVITE_CODE_LENGTH)),
+    value => INVITE_CODE_ALPHABET[value % INVITE_CODE_ALPHABET.length]
+).join('');
+
+const normalizeInviteCode = (code) => code.toUpperCase().replace(/[^A-Z0-9]/g, '');
+
+// Submissions that haven't reached Firestore yet are kept on this device, so they survive a reload and
+// are retried until they arrive. Keyed by `${userId}|${classId}|${assignmentId}`.
+const PENDING_SUBMISSIONS_STORAGE_KEY = `${appId}:pendingSubmissions`;
+
+const readPendingSubmissions = () => {
+    try {
+        return JSON.parse(localStorage.getItem(PENDING_SUBMISSIONS_STORAGE_KEY)) || {};
+    } catch (e) {
+        return {};
+    }
+};
+
+const writePendingSubmissions = (pending) => {
+    try {
+        localStorage.setItem(PENDING_SUBMISSIONS_STORAGE_KEY, JSON.stringify(pending));
+    } catch (e) {
+        console.warn("Could not keep the submission on this device.", e);
+    }
+};
+
+const profileDocPath = (userId) => `artifacts/${appId}/users/${userId}/profile`;
+const answerKeyPath = (classId, assignmentId) => `${CLASSES_PATH}/${classId}/assignments/${assignmentId}/answerKey`;
+
+// What students see of a question before they submit: no answer, model answer, rubric or explanation
+const toAssignedQuestion = (q) => ({
+    type: q.type,
+    question: q.question,
+    ...(q.type === 'mcq' ? { options: q.options } : {}),
+    ...(q.page ? { page: q.page } : {}),
+    ...(q.section ? { section: q.section, sectionTitle: q.sectionTitle || '' } : {})
+});
+
+// Puts the answer key back on the questions a student played, which are in the key's order
+const mergeAnswerKey = (questions, keyQuestions) => questions.map((q, index) => ({ ...q, ...keyQuestions[index] }));
+
+// The rules check a submission's scores one at a time, so an assignment holds at most this many questions
+const MAX_ASSIGNMENT_QUESTIONS = 40;
+
+// A submission is marked once, on the student's device, like any quiz, and its scores are stored with it
+// so the teacher sees the marks the student was shown: 0..1 per question, in the key's order.
+const toSubmissionScores = (scores) => scores.map(score => Math.round(Math.min(Math.max(Number(score) || 0, 0), 1) * 100) / 100);
+
+// Marks a submission sent from the queue, whose quiz has already ended: MCQs exactly, written answers by
+// the model, or the offline estimate when grading fails
+async function gradeSubmission(keyQuestions, answers = []) {
+    const grades = await gradeWrittenAnswers(keyQuestions
+        .map((q, index) => ({ ...q, id: String(index), answer: String(answers[index] || '') }))
+        .filter(q => q.type !== 'mcq'));
+    return toSubmissionScores(keyQuestions.map((q, index) => q.type === 'mcq'
+        ? (answers[index] === q.correctAnswer ? 1 : 0)
+        : grades[String(index)].score));
+}
+
+// { score, total } of a marked submission, for the teacher's results
+const summarizeSubmission = (scores) => ({
+    score: Math.round(scores.reduce((sum, value) => sum + value, 0) * 100) / 100,
+    total: scores.length
+});
+
+// submittedAt is a server timestamp, which reads as null until the write reaches the server
+const submittedAtMillis = (submission) => submission.submittedAt?.toMillis?.() ?? Date.now();
+
+function useUserProfile(db, userId) {
+    const [profile, setProfile] = useState(null);
+    const [isLoaded, setIsLoaded] = useState(false);
+
+    useEffect(() => {
+        setProfile(null);
+        setIsLoaded(false);
+        if (!db || !userId || !doc || !onSnapshot) {
+            setIsLoaded(true);
+            return;
+        }
+
+        const unsubscribe = onSnapshot(doc(db, profileDocPath(userId), 'main'), (snapshot) => {
+            setProfile(snapshot.exists() ? snapshot.data() : null);
+            setIsLoaded(true);
+        }, (error) => {
+            console.error("Error fetching profile: ", error);
+            setIsLoaded(true);
+        });
+
+        return () => unsubscribe();
+    }, [db, userId]);
+
+    return { profile, isLoaded };
+}
+
+// Teachers get the classes they own with their members; students get the classes they joined.
+// Every class comes with its assignments, soonest due first.
+function useClassrooms(db, userId, role) {
+    const [classes, setClasses] = useState([]);
+    const [assignments, setAssignments] = useState({});
+    const [members, setMembers] = useState({});
+
+    useEffect(() => {
+        setClasses([]);
+        if (!db || !userId || !role || !collection || !onSnapshot || !query || !where) return;
+
+        const classQuery = role === 'teacher'
+            ? query(collection(db, CLASSES_PATH), where('teacherId', '==', userId))
+            : query(collection(db, `artifacts/${appId}/users/${userId}/classMemberships`));
+        const unsubscribe = onSnapshot(classQuery, (snapshot) => {
+            const classList = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+            classList.sort((a, b) => a.name.localeCompare(b.name));
+            setClasses(classList);
+        }, (error) => {
+            console.error("Error fetching classes: ", error);
+        });
+
+        return () => unsubscribe();
+    }, [db, userId, role]);
+
+    // Re-subscribe only when the set of classes changes, not on every class document update
+    const classIds = classes.map(c => c.id).join(',');
+    useEffect(() => {
+        setAssignments({});
+        setMembers({});
+        if (!db || !classIds) return;
+
+        const unsubscribes = classIds.split(',').flatMap(classId => {
+            const listeners = [
+                onSnapshot(query(collection(db, `${CLASSES_PATH}/${classId}/assignments`)), (snapshot) => {
+                    const assignmentList = snapshot.docs.map(doc => ({ id: doc.id, classId, ...doc.data() }));
+                    assignmentList.sort((a, b) => a.dueAt - b.dueAt);
+                    setAssignments(prev => ({ ...prev, [classId]: assignmentList }));
+                }, (error) => {
+                    console.error("Error fetching assignments: ", error);
+                })
+            ];
+            if (role === 'teacher') {
+                listeners.push(onSnapshot(query(collection(db, `${CLASSES_PATH}/${classId}/members`)), (snapshot) => {
+                    const memberList = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+                    memberList.sort((a, b) => (a.displayName || '').localeCompare(b.displayName || ''));
+                    setMembers(prev => ({ ...prev, [classId]: memberList }));
+                }, (error) => {
+                    console.error("Error fetching class members: ", error);
+                }));
+            }
+            return listeners;
+        });
+
+        return () => unsubscribes.forEach(unsubscribe => unsubscribe());
+    }, [db, classIds, role]);
+
+    return useMemo(() => classes.map(c => ({
+        ...c,
+        assignments: assignments[c.id] || [],
+        members: members[c.id] || []
+    })), [classes, assignments, members]);
+}
+
+// Every student's submission for one assignment, for the teacher's results view
+function useAssignmentSubmissions(db, classId, assignmentId) {
+    const [submissions, setSubmissions] = useState([]);
+
+    useEffect(() => {
+        setSubmissions([]);
+        if (!db || !classId || !assignmentId) return;
+
+        const submissionsColRef = collection(db, `${CLASSES_PATH}/${classId}/assignments/${assignmentId}/submissions`);
+        const unsubscribe = onSnapshot(query(submissionsColRef), (snapshot) => {
+            setSubmissions(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })));
+        }, (error) => {
+            console.error("Error fetching submissions: ", error);
+        });
+
+        return () => unsubscribe();
+    }, [db, classId, assignmentId]);
+
+    return submissions;
+}
+
+// A student's own submission for every assignment in their classes, keyed by assignment id. It is what
+// Classes shows as handed in; a write the server hasn't confirmed yet is flagged isPending.
+function useOwnSubmissions(db, userId, classes) {
+    const [submissions, setSubmissions] = useState({});
+
+    const assignmentPaths = classes.flatMap(c => c.assignments.map(a => `${c.id}/assignments/${a.id}`)).join(',');
+    useEffect(() => {
+        setSubmissions({});
+        if (!db || !userId || !assignmentPaths) return;
+
+        const unsubscribes = assignmentPaths.split(',').map(path => {
+            const assignmentId = path.split('/').pop();
+            const submissionRef = doc(db, `${CLASSES_PATH}/${path}/submissions`, userId);
+            return onSnapshot(submissionRef, { includeMetadataChanges: true }, (snapshot) => {
+                setSubmissions(prev => {
+                    const next = { ...prev };
+                    if (snapshot.exists()) next[assignmentId] = { ...snapshot.data(), isPending: snapshot.metadata.hasPendingWrites };
+                    else delete next[assignmentId];
+                    return next;
+                });
+            }, (error) => {
+                console.error("Error fetching your submission: ", error);
+            });
+        });
+
+        return () => unsubscribes.forEach(unsubscribe => unsubscribe());
+    }, [db, userId, assignmentPaths]);
+
+    return submissions;
+}
+
+// 14. Video Recommendations
+// Videos are suggested per coursebook section, weakest sections first. Each topic's videos are cached in
+// localStorage, so the model is only asked again once the cache entry expires or on "Refresh".
+const VIDEO_TOPICS_SHOWN = 3;
+const VIDEO_CACHE_TTL_MS = 7 * DAY_MS;
+const VIDEO_CACHE_MAX_TOPICS = 50;
+const VIDEO_CACHE_STORAGE_KEY = `${appId}:videoCache`;
+// Sections without quiz results rank after weak sections and before ones the student has mastered
+const UNPRACTICED_SECTION_MASTERY = 0.6;
+const YOUTUBE_VIDEO_ID = /^[A-Za-z0-9_-]{11}$/;
+const YOUTUBE_HOSTS = ['youtube.com', 'www.youtube.com', 'm.youtube.com', 'youtube-nocookie.com', 'www.youtube-nocookie.com'];
+
+// The 11-character video ID from the usual URL shapes (watch, youtu.be, embed, shorts, live).
+// Search results, channels and playlists give null.
+const parseYoutubeVideoId = (url) => {
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch (e) {
+        return null;
+    }
+    const host = parsed.hostname.toLowerCase();
+    const [, first, second] = parsed.pathname.split('/');
+    let videoId = null;
+    if (host === 'youtu.be') {
+        videoId = first;
+    } else if (YOUTUBE_HOSTS.includes(host)) {
+        videoId = first === 'watch' ? parsed.searchParams.get('v') : ['embed', 'shorts', 'live', 'v'].includes(first) ? second : null;
+    }
+    return videoId && YOUTUBE_VIDEO_ID.test(videoId) ? videoId : null;
+};
+
+const youtubeWatchUrl = (videoId) => `https://www.youtube.com/watch?v=${videoId}`;
+const youtubeEmbedUrl = (videoId) => `https://www.youtube-nocookie.com/embed/${videoId}?autoplay=1`;
+const youtubeThumbnailUrl = (videoId) => `https://i.ytimg.com/vi/${videoId}/mqdefault.jpg`;
+const youtubeSearchUrl = (query) => `https://www.youtube.com/results?search_query=${encodeURIComponent(query)}`;
+
+// Keeps model suggestions with a well-formed video ID and a title, once per video, in the model's order
+const normalizeVideoResults = (items) => {
+    const videos = [];
+    (Array.isArray(items) ? items : []).forEach(item => {
+        const videoId = parseYoutubeVideoId(cleanText(item?.url));
+        const title = cleanText(item?.title);
+        if (!videoId || !title || videos.some(video => video.videoId === videoId)) return;
+        videos.push({ videoId, title, url: youtubeWatchUrl(videoId) });
+    });
+    return videos;
+};
+
+// Picks the sections to find videos for. Numbered sections are the topics; a chapter heading only counts
+// when its chapter has no numbered sections. Sections are ranked by the student's mastery of them.
+const buildVideoTopics = (toc, masteryTopics, coursebook) => {
+    const coursebookId = getCoursebookId(coursebook);
+    const subject = coursebook?.subject || '';
+    const labelled = toc.filter(section => section.label && section.title);
+    const sections = labelled.filter(section => section.level > 1
+        || !labelled.some(other => other.level > 1 && other.chapter === section.chapter));
+
+    const topics = sections.map((section, order) => {
+        const chapterTitle = labelled.find(entry => entry.level === 1 && entry.chapter === section.chapter)?.title || '';
+        // Older attempts weren't linked to a coursebook; their section labels still apply
+        const mastered = masteryTopics.find(topic => topic.section === section.label && (!topic.coursebookId || topic.coursebookId === coursebookId));
+        const queryParts = [];
+        [section.title, chapterTitle, subject].forEach(part => {
+            if (part && !queryParts.some(existing => existing.toLowerCase() === part.toLowerCase())) queryParts.push(part);
+        });
+        return {
+            key: `${coursebookId}|${section.label}`,
+            label: formatSectionLabel(section),
+            query: queryParts.join(' - '),
+            mastery: mastered ? mastered.mastery : null,
+            order
+        };
+    });
+
+    if (topics.length === 0) {
+        const title = toc.find(section => section.title)?.title || coursebook?.name || '';
+        const query = [title, subject].filter(Boolean).join(' - ') || 'General Revision';
+        return [{ key: `${coursebookId}|`, label: title || query, query, mastery: null, order: 0 }];
+    }
+
+    const rank = (topic) => topic.mastery ?? UNPRACTICED_SECTION_MASTERY;
+    return topics
+        .sort((a, b) => rank(a) - rank(b) || a.order - b.order)
+        .slice(0, VIDEO_TOPICS_SHOWN);
+};
+
+const readVideoCache = () => {
+    try {
+        return JSON.parse(localStorage.getItem(VIDEO_CACHE_STORAGE_KEY)) || {};
+    } catch (e) {
+        return {};
+    }
+};
+
+// Drops expired topics and keeps the most recently fetched ones so the cache can't grow without limit
+const writeVideoCache = (cache) => {
+    const now = Date.now();
+    const kept = Object.entries(cache)
+        .filter(([, entry]) => now - entry.fetchedAt < VIDEO_CACHE_TTL_MS)
+        .sort(([, a], [, b]) => b.fetchedAt - a.fetchedAt)
+        .slice(0, VIDEO_CACHE_MAX_TOPICS);
+    try {
+        localStorage.setItem(VIDEO_CACHE_STORAGE_KEY, JSON.stringify(Object.fromEntries(kept)));
+    } catch (e) {
+        console.warn("Could not cache video recommendations.", e);
+    }
+};
+
+// 15. Revision Planner
+// A plan is the exam date and the coursebook sections in scope. The day-by-day schedule isn't stored: it is
+// rebuilt from today on every render, so it follows the student's quiz results as attempts come in.
+//   plan: { id, coursebookId, coursebookName, examDate: 'YYYY-MM-DD', sections: [{ label, title, page }],
+//           minutesPerDay, studyTime: 'HH:MM', readSections: { [label]: 'YYYY-MM-DD' }, createdAt, updatedAt }
+const PLAN_BLOCK_KINDS = {
+    read: { name: 'Read', minutes: 25 },
+    quiz: { name: 'Quiz', minutes: 15 },
+    review: { name: 'Review queue', minutes: 10 },
+    exam: { name: 'Mock exam', minutes: 40 }
+};
+const PLAN_BLOCK_ORDER = ['read', 'quiz', 'review', 'exam'];
+// The mock exam's questions; at board-exam pace they take about the 40 minutes its block is given
+const MOCK_EXAM_COUNTS = { mcq: 10, saq: 3, laq: 2 };
+const PLAN_MINUTES_OPTIONS = [30, 45, 60, 90, 120];
+const DEFAULT_PLAN_MINUTES = 60;
+const DEFAULT_STUDY_TIME = '17:00';
+// Sections below this mastery are read again before they are quizzed
+const REREAD_BELOW_MASTERY = 0.5;
+
+// Quizzes a section should still get before the exam: weak and untried sections get more, spaced apart
+const quizzesNeeded = (mastery) => mastery === null ? 2 : mastery < 0.5 ? 3 : mastery < 0.75 ? 2 : 1;
+
+const parseDayKey = (dayKey) => {
+    const [year, month, day] = dayKey.split('-').map(Number);
+    return new Date(year, month - 1, day);
+};
+
+// Lays out read, quiz and review blocks over the days from today to the day before the exam.
+// Each section's blocks are spread out (read first, quizzes on later days), weakest sections get the
+// earliest slots, and the last day holds a mock exam. A section's read and first quiz are always
+// scheduled, even on a day that goes over the daily minutes; later quizzes that don't fit are counted
+// in `unscheduled`. Work already done today (a quiz on a section, a section marked read) shows as done.
+// Review blocks go on the days the coursebook's review items fall due, overdue ones today.
+function buildRevisionSchedule(plan, masteryTopics, attempts, { reviewItems = [], now = Date.now() } = {}) {
+    const today = startOfDay(now);
+    const todayKey = localDayKey(today);
+    const dayCount = Math.round((parseDayKey(plan.examDate) - today) / DAY_MS);
+    if (dayCount <= 0) return { days: [], daysLeft: dayCount, unscheduled: 0 };
+
+    const days = Array.from({ length: dayCount }, (_, index) => ({ date: localDayKey(addDays(today, index)), blocks: [], minutes: 0 }));
+    const capacity = plan.minutesPerDay || DEFAULT_PLAN_MINUTES;
+    const lastDay = dayCount - 1;
+    let unscheduled = 0;
+
+    const addBlock = (dayIndex, block) => {
+        const minutes = PLAN_BLOCK_KINDS[block.kind].minutes;
+        const key = [plan.id, days[dayIndex].date, block.kind, block.section?.label].filter(Boolean).join('-');
+        days[dayIndex].blocks.push({ ...block, key, minutes });
+        days[dayIndex].minutes += minutes;
+    };
+
+    // First day from `earliest` with room for the block; a required block goes on the least loaded day instead
+    const place = (block, earliest, required) => {
+        // A second quiz on the same day as the last one adds little
+        if (!required && earliest > lastDay) {
+            unscheduled += 1;
+            return -1;
+        }
+        const start = Math.min(earliest, lastDay);
+        const minutes = PLAN_BLOCK_KINDS[block.kind].minutes;
+        for (let index = start; index <= lastDay; index += 1) {
+            if (days[index].minutes + minutes <= capacity) {
+                addBlock(index, block);
+                return index;
+            }
+        }
+        if (!required) {
+            unscheduled += 1;
+            return -1;
+        }
+        let leastLoaded = start;
+        for (let index = start; index <= lastDay; index += 1) {
+            if (days[index].minutes < days[leastLoaded].minutes) leastLoaded = index;
+        }
+        addBlock(leastLoaded, block);
+        return leastLoaded;
+    };
+
+    addBlock(lastDay, { kind: 'exam', label: 'All sections in scope', done: false });
+    // Older review items don't record their coursebook, so they count for every plan
+    const dueCounts = days.map(() => 0);
+    reviewItems
+        .filter(item => !item.coursebookId || item.coursebookId === plan.coursebookId)
+        .forEach(item => {
+            const dayIndex = Math.max(0, Math.round((startOfDay(item.dueAt) - today) / DAY_MS));
+            if (dayIndex <= lastDay) dueCounts[dayIndex] += 1;
+        });
+    dueCounts.forEach((count, index) => {
+        if (count > 0) addBlock(index, { kind: 'review', label: `${count} question${count === 1 ? '' : 's'} due for review`, done: false });
+    });
+
+    // Sections quizzed today, from this coursebook's attempts (older attempts don't record their coursebook)
+    const quizzedToday = new Set();
+    attempts
+        .filter(attempt => localDayKey(new Date(attempt.timestamp)) === todayKey && (!attempt.coursebookId || attempt.coursebookId === plan.coursebookId))
+        .forEach(attempt => (attempt.questionScores || []).forEach(q => q.section && quizzedToday.add(q.section)));
+
+    const sections = plan.sections.map((section, order) => {
+        const topic = masteryTopics.find(t => t.section === section.label && (!t.coursebookId || t.coursebookId === plan.coursebookId));
+        const mastery = topic ? topic.mastery : null;
+        const readOn = plan.readSections?.[section.label];
+        const wasQuizzedToday = quizzedToday.has(section.label);
+        if (readOn === todayKey) addBlock(0, { kind: 'read', label: formatSectionLabel(section), section, done: true });
+        if (wasQuizzedToday) addBlock(0, { kind: 'quiz', label: formatSectionLabel(section), section, mastery, done: true });
+
+        const queue = [];
+        if (!readOn && (mastery === null || mastery < REREAD_BELOW_MASTERY)) queue.push('read');
+        const quizCount = Math.max(0, quizzesNeeded(mastery) - (wasQuizzedToday ? 1 : 0));
+        for (let i = 0; i < quizCount; i += 1) queue.push('quiz');
+        // Work done today means the next block for the section starts tomorrow
+        return { section, mastery, order, queue, nextEarliest: readOn === todayKey || wasQuizzedToday ? 1 : 0, placedQuiz: wasQuizzedToday };
+    });
+
+    sections.sort((a, b) => (a.mastery ?? UNPRACTICED_SECTION_MASTERY) - (b.mastery ?? UNPRACTICED_SECTION_MASTERY) || a.order - b.order);
+
+    // One block per section per round, so every section gets started before any gets its extra quizzes
+    const rounds = Math.max(0, ...sections.map(entry => entry.queue.length));
+    for (let round = 0; round < rounds; round += 1) {
+        sections.forEach(entry => {
+            const kind = entry.queue[round];
+            if (!kind) return;
+            const required = kind === 'read' || !entry.placedQuiz;
+            const dayIndex = place({ kind, label: formatSectionLabel(entry.section), section: entry.section, mastery: entry.mastery, done: false }, entry.nextEarliest, required);
+            if (dayIndex < 0) return;
+            if (kind === 'quiz') entry.placedQuiz = true;
+            // Spread what is left evenly over the remaining days
+            const left = entry.queue.length - round - 1;
+            entry.nextEarliest = dayIndex + Math.max(1, Math.floor((lastDay - dayIndex) / (left + 1)));
+        });
+    }
+
+    days.forEach(day => {
+        day.blocks.sort((a, b) => PLAN_BLOCK_ORDER.indexOf(a.kind) - PLAN_BLOCK_ORDER.indexOf(b.kind));
+        day.isOverloaded = day.minutes > capacity;
+    });
+    return { days, daysLeft: dayCount, unscheduled };
+}
+
+// iCalendar text values escape backslashes, semicolons, commas and line breaks (RFC 5545 §3.3.11)
+const escapeIcsText = (text) => String(text)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+
+// Content lines are folded at 75 octets, continuing on lines that start with a space (RFC 5545 §3.1)
+const foldIcsLine = (line) => {
+    const encoder = new TextEncoder();
+    const parts = [];
+    let current = '';
+    for (const char of line) {
+        if (encoder.encode(current + char).length > (parts.length === 0 ? 75 : 74)) {
+            parts.push(current);
+            current = '';
+        }
+        current += char;
+    }
+    parts.push(current);
+    return parts.join('\r\n ');
+};
+
+const pad2 = (value) => String(value).padStart(2, '0');
+const icsDate = (date) => `${date.getFullYear()}${pad2(date.getMonth() + 1)}${pad2(date.getDate())}`;
+// Local "floating" time, so a block stays at 17:00 wherever the calendar is opened
+const icsDateTime = (date) => `${icsDate(date)}T${pad2(date.getHours())}${pad2(date.getMinutes())}00`;
+const icsTimestamp = (date) => date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+// The schedule's remaining blocks as calendar events, back to back from the plan's study time each day,
+// plus an all-day event on the exam date
+function scheduleToIcs(plan, schedule, now = Date.now()) {
+    const [hours, minutes] = (plan.studyTime || DEFAULT_STUDY_TIME).split(':').map(Number);
+    const stamp = icsTimestamp(new Date(now));
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        'PRODID:-//StudyBuddy//Revision Planner//EN',
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        `X-WR-CALNAME:${escapeIcsText(`Revision: ${plan.coursebookName}`)}`
+    ];
+
+    schedule.days.forEach(day => {
+        const start = parseDayKey(day.date);
+        start.setHours(hours, minutes, 0, 0);
+        day.blocks.filter(block => !block.done).forEach(block => {
+            const end = new Date(start.getTime() + block.minutes * 60 * 1000);
+            lines.push(
+                'BEGIN:VEVENT',
+                `UID:${block.key}@studybuddy`,
+                `DTSTAMP:${stamp}`,
+                `DTSTART:${icsDateTime(start)}`,
+                `DTEND:${icsDateTime(end)}`,
+                `SUMMARY:${escapeIcsText(`${PLAN_BLOCK_KINDS[block.kind].name}: ${block.label}`)}`,
+                `DESCRIPTION:${escapeIcsText(`${plan.coursebookName}${block.section?.page ? `, from p. ${block.section.page}` : ''}`)}`,
+                'END:VEVENT'
+            );
+            start.setTime(end.getTime());
+        });
+    });
+
+    const examDay = parseDayKey(plan.examDate);
+    lines.push(
+        'BEGIN:VEVENT',
+        `UID:${plan.id}-exam@studybuddy`,
+        `DTSTAMP:${stamp}`,
+        `DTSTART;VALUE=DATE:${icsDate(examDay)}`,
+        `DTEND;VALUE=DATE:${icsDate(addDays(examDay, 1))}`,
+        `SUMMARY:${escapeIcsText(`Exam: ${plan.coursebookName}`)}`,
+        'END:VEVENT',
+        'END:VCALENDAR'
+    );
+    return lines.map(foldIcsLine).join('\r\n') + '\r\n';
+}
+
+// --- LLM Providers ---
+// Every model call goes through a provider with the same interface, so the features below don't care
+// which backend answers them. A request is provider-neutral:
+//   { task, system, messages: [{ role: 'user' | 'model', text }], schema?, webSearch?, meta? }
+// `schema` asks for a JSON reply (Gemini-style OBJECT/STRING types), `webSearch` enables search grounding
+// where the backend supports it, and `meta` carries task details only the mock provider reads.
+// generate(request, { signal }) and stream(request, { signal, onDelta }) both resolve to { text, sources }.
+
+const LLM_SETTINGS_STORAGE_KEY = `${appId}:llmSettings`;
+const DEFAULT_LLM_SETTINGS = {
+    provider: 'gemini',
+    providers: {
+        gemini: { model: 'gemini-2.5-flash-preview-05-20', apiKey },
+        openai: { model: 'llama3.1', apiKey: '', baseUrl: 'http://localhost:11434/v1' },
+        mock: {}
+    }
+};
+
+// Saved settings override the environment's __llm_config, which overrides the defaults
+const mergeLlmSettings = (base, override = {}) => ({
+    provider: override.provider || base.provider,
+    providers: Object.fromEntries(Object.entries(base.providers).map(([name, settings]) => (
+        [name, { ...settings, ...(override.providers?.[name] || {}) }]
+    )))
+});
+
+function loadLlmSettings() {
+    let settings = mergeLlmSettings(DEFAULT_LLM_SETTINGS, llmConfig);
+    try {
+        const saved = localStorage.getItem(LLM_SETTINGS_STORAGE_KEY);
+        if (saved) settings = mergeLlmSettings(settings, JSON.parse(saved));
+    } catch (e) {
+        console.warn("Could not read saved AI settings; using defaults.", e);
+    }
+    return settings;
+}
+
+let llmSettings = loadLlmSettings();
+
+const getLlmSettings = () => llmSettings;
+
+function saveLlmSettings(settings) {
+    llmSettings = mergeLlmSettings(DEFAULT_LLM_SETTINGS, settings);
+    try {
+        localStorage.setItem(LLM_SETTINGS_STORAGE_KEY, JSON.stringify(llmSettings));
+    } catch (e) {
+        console.warn("Could not save AI settings; they will reset on reload.", e);
+    }
+}
+
+// Runs fn with exponential backoff (1s, 2s, ...) between attempts. Aborts are passed straight through.
+async function withRetries(label, fn, attempts = 3) {
+    for (let i = 0; i < attempts; i++) {
+        try {
+            return await fn(i);
+        } catch (error) {
+            if (error.name === 'AbortError') throw error;
+            console.error(`${label} attempt ${i + 1} failed:`, error);
+            if (i === attempts - 1) throw error;
+            await new Promise(resolve => setTimeout(resolve, Math.pow(2, i) * 1000));
+        }
+    }
+}
+
+// Local models often wrap JSON in a Markdown code fence even when asked not to
+function parseJsonReply(text) {
+    const fenced = text.match(/```(?:json)?\s*([\s\S]*?)```/);
+    return JSON.parse(fenced ? fenced[1] : text);
+}
+
+// Gemini-style schemas (type: "OBJECT") as standard JSON Schema (type: "object")
+function toJsonSchema(schema) {
+    if (!schema || typeof schema !== 'object') return schema;
+    const converted = { ...schema, type: String(schema.type).toLowerCase() };
+    if (schema.properties) {
+        converted.properties = Object.fromEntries(Object.entries(schema.properties).map(([key, value]) => [key, toJsonSchema(value)]));
+    }
+    if (schema.items) converted.items = toJsonSchema(schema.items);
+    return converted;
+}
+
+async function postJson(url, body, { signal, headers = {} } = {}) {
+    const response = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...headers },
+        body: JSON.stringify(body),
+        signal
+    });
+    if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`);
+    return response;
+}
+
+// Gemini (generativelanguage.googleapis.com). Supports Google Search grounding.
+function createGeminiProvider({ model, apiKey: key }) {
+    const baseUrl = `https://generativelanguage.googleapis.com/v1beta/models/${model}`;
+
+    const buildPayload = (request) => ({
+        contents: request.messages.map(m => ({ role: m.role, parts: [{ text: m.text }] })),
+        ...(request.system ? { systemInstruction: { parts: [{ text: request.system }] } } : {}),
+        ...(request.webSearch ? { tools: [{ "google_search": {} }] } : {}),
+        ...(request.schema ? { generationConfig: { responseMimeType: "application/json", responseSchema: request.schema } } : {})
+    });
+
+    const sourcesFrom = (groundingMetadata) => (groundingMetadata?.groundingAttributions || [])
+        .map(attr => ({ uri: attr.web?.uri, title: attr.web?.title || '' }))
+        .filter(source => source.uri);
+
+    return {
+        name: 'gemini',
+        async generate(request, { signal } = {}) {
+            const response = await postJson(`${baseUrl}:generateContent?key=${key}`, buildPayload(request), { signal });
+            const result = await response.json();
+            const candidate = result.candidates?.[0];
+            const text = (candidate?.content?.parts || []).map(part => part.text || '').join('');
+            if (!text) throw new Error("Invalid response structure from API.");
+            return { text, sources: sourcesFrom(candidate.groundingMetadata) };
+        },
+        async stream(request, { signal, onDelta } = {}) {
+            const response = await postJson(`${baseUrl}:streamGenerateContent?alt=sse&key=${key}`, buildPayload(request), { signal });
+            let text = '';
+            let groundingMetadata = null;
+            await readSseStream(response, (event) => {
+                const candidate = event.candidates?.[0];
+                if (candidate?.groundingMetadata) groundingMetadata = candidate.groundingMetadata;
+                const delta = (candidate?.content?.parts || []).map(part => part.text || '').join('');
+                if (!delta) return;
+                text += delta;
+                if (onDelta) onDelta(delta);
+            });
+            return { text, sources: sourcesFrom(groundingMetadata) };
+        }
+    };
+}
+
+// OpenAI-compatible chat completions, e.g. llama.cpp's server or Ollama (http://localhost:11434/v1).
+// There is no search tool, so webSearch requests are answered from the model's own knowledge.
+function createOpenAiCompatibleProvider({ model, apiKey: key, baseUrl }) {
+    const url = `${baseUrl.replace(/\/+$/, '')}/chat/completions`;
+    const headers = key ? { Authorization: `Bearer ${key}` } : {};
+
+    const buildPayload = (request, stream) => {
+        // Servers that ignore response_format still get the schema in the prompt
+        const system = request.schema
+            ? `${request.system || ''}\n\nRespond ONLY with JSON matching this JSON Schema:\n${JSON.stringify(toJsonSchema(request.schema))}`.trim()
+            : request.system;
+        return {
+            model,
+            stream,
+            messages: [
+                ...(system ? [{ role: 'system', content: system }] : []),
+                ...request.messages.map(m => ({ role: m.role === 'model' ? 'assistant' : 'user', content: m.text }))
+            ],
+            ...(request.schema ? { response_format: { type: 'json_schema', json_schema: { name: request.task || 'response', schema: toJsonSchema(request.schema) } } } : {})
+        };
+    };
+
+    return {
+        name: 'openai',
+        async generate(request, { signal } = {}) {
+            const response = await postJson(url, buildPayload(request, false), { signal, headers });
+            const result = await response.json();
+            const text = result.choices?.[0]?.message?.content;
+            if (!text) throw new Error("Invalid response structure from API.");
+            return { text, sources: [] };
+        },
+        async stream(request, { signal, onDelta } = {}) {
+            const response = await postJson(url, buildPayload(request, true), { signal, headers });
+            let text = '';
+            await readSseStream(response, (event) => {
+                const delta = event.choices?.[0]?.delta?.content || '';
+                if (!delta) return;
+                text += delta;
+                if (onDelta) onDelta(delta);
+            });
+            return { text, sources: [] };
+        }
+    };
+}
+
+// Deterministic answers built from the coursebook text itself, so the whole app runs offline and the
+// same input always gives the same output. Each task has its own responder reading request.meta.
+function mockHash(text) {
+    let hash = 5381;
+    for (let i = 0; i < text.length; i++) hash = ((hash * 33) ^ text.charCodeAt(i)) >>> 0;
+    return hash;
+}
+
+// Sentences long enough to ask about, with the [Page N] / [Section X] prompt markers removed
+function mockSentences(material) {
+    const plain = material.replace(/\[(?:Page \d+|Section [^\]]*)\]/g, ' ');
+    return (plain.match(/[^.!?\n]+[.!?]/g) || [])
+        .map(sentence => sentence.trim())
+        .filter(sentence => sentence.split(/\s+/).length >= 8);
+}
+
+// The longest word that isn't a stop word is the sentence's keyword
+function mockKeyword(sentence) {
+    const words = sentence.match(/[A-Za-z][A-Za-z-]{4,}/g) || [];
+    return words.filter(word => !STOP_WORDS.has(word.toLowerCase()))
+        .sort((a, b) => b.length - a.length || a.localeCompare(b))[0] || null;
+}
+
+const mockPageFor = (sentence, pages = []) => pages.find(page => page.text.includes(sentence.slice(0, 40)))?.pageNumber;
+
+function mockQuiz({ counts, material, pages }) {
+    const sentences = mockSentences(material).filter(mockKeyword);
+    const keywords = [...new Set(sentences.map(mockKeyword))];
+    if (sentences.length === 0) throw new Error("Not enough text to build a quiz from.");
+    const questions = [];
+    let next = 0;
+    const take = () => sentences[next++ % sentences.length];
+
+    for (let i = 0; i < (counts.mcq || 0); i++) {
+        const sentence = take();
+        const keyword = mockKeyword(sentence);
+        const distractors = keywords.filter(word => word !== keyword)
+            .sort((a, b) => mockHash(sentence + a) - mockHash(sentence + b))
+            .slice(0, 3);
+        const options = [...distractors];
+        options.splice(mockHash(sentence) % (options.length + 1), 0, keyword);
+        questions.push({
+            id: `mock-mcq-${i + 1}`,
+            type: 'mcq',
+            question: `Fill in the blank: ${sentence.replace(keyword, '_____')}`,
+            options,
+            correctAnswer: keyword,
+            explanation: `The coursebook states: "${sentence}"`,
+            page: mockPageFor(sentence, pages)
+        });
+    }
+    ['saq', 'laq'].forEach(type => {
+        for (let i = 0; i < (counts[type] || 0); i++) {
+            const parts = type === 'laq' ? [take(), take(), take()] : [take()];
+            const rubric = parts.map(sentence => ({ point: sentence, marks: type === 'laq' ? 2 : 1 }));
+            questions.push({
+                id: `mock-${type}-${i + 1}`,
+                type,
+                question: type === 'laq'
+                    ? `Discuss ${mockKeyword(parts[0]).toLowerCase()} as described in the coursebook.`
+                    : `Explain what the coursebook says about ${mockKeyword(parts[0]).toLowerCase()}.`,
+                modelAnswer: parts.join(' '),
+                rubric,
+                explanation: 'Each rubric point is a statement taken directly from the coursebook.',
+                page: mockPageFor(parts[0], pages)
+            });
+        }
+    });
+    // Questions whose page wasn't found simply have no page once serialized
+    return { quizTitle: 'Practice Quiz (offline mock)', questions };
+}
+
+function mockGrades({ items }) {
+    return {
+        grades: items.map(item => {
+            const estimate = estimateRubricScore(item.answer, item.rubric);
+            return {
+                questionId: item.id,
+                points: estimate.points.map((p, j) => ({ index: j + 1, awarded: p.awarded, feedback: p.feedback })),
+                overallFeedback: estimate.missing.length > 0 ? `Add: ${estimate.missing.join('; ')}` : 'All key points covered.'
+            };
+        })
+    };
+}
+
+function mockFlashcards({ count, kinds, material, pages }) {
+    const sentences = mockSentences(material);
+    const cards = [];
+    const seen = new Set();
+    sentences.forEach(sentence => {
+        if (cards.length >= count) return;
+        // "X is/are ..." sentences make definition cards; anything else becomes a concept card
+        const definition = sentence.match(/^(?:The\s+)?([A-Z][\w\s'-]{2,40}?)\s+(?:is|are|refers to)\s+(.+)$/);
+        const kind = definition && kinds.includes('definition') ? 'definition' : 'concept';
+        if (kind === 'concept' && !kinds.includes('concept')) return;
+        const front = kind === 'definition' ? definition[1].trim() : mockKeyword(sentence);
+        if (!front || seen.has(front.toLowerCase())) return;
+        seen.add(front.toLowerCase());
+        cards.push({ kind, front, back: kind === 'definition' ? definition[2] : sentence, page: mockPageFor(sentence, pages) });
+    });
+    return { deckTitle: 'Flashcards (offline mock)', cards };
+}
+
+function mockChatAnswer({ contextChunks = [] }) {
+    if (contextChunks.length === 0) {
+        return "I'm running in offline mock mode and have no coursebook text to answer from. Select a coursebook and ask again.";
+    }
+    const sentences = mockSentences(contextChunks[0].text).slice(0, 2);
+    return `Here is what your coursebook says: ${sentences.join(' ') || contextChunks[0].text.slice(0, 300)} [C1]`;
+}
+
+// There are no real video IDs offline; the dashboard falls back to a YouTube search link for the topic
+const mockVideos = () => [];
+
+const MOCK_RESPONDERS = {
+    quiz: (meta) => JSON.stringify(mockQuiz(meta)),
+    grade: (meta) => JSON.stringify(mockGrades(meta)),
+    flashcards: (meta) => JSON.stringify(mockFlashcards(meta)),
+    videos: (meta) => JSON.stringify(mockVideos(meta)),
+    chat: mockChatAnswer
+};
+
+function createMockProvider() {
+    const respond = (request, signal) => {
+        if (signal?.aborted) throw new DOMException('Aborted', 'AbortError');
+        const responder = MOCK_RESPONDERS[request.task];
+        if (!responder) throw new Error(`The mock provider has no answer for "${request.task}" requests.`);
+        return responder(request.meta || {});
+    };
+    return {
+        name: 'mock',
+        async generate(request, { signal } = {}) {
+            return { text: respond(request, signal), sources: [] };
+        },
+        // Streams word by word so the chat UI behaves as it does with a real model
+        async stream(request, { signal, onDelta } = {}) {
+            const text = respond(request, signal);
+            const words = text.match(/\S+\s*/g) || [];
+            for (const word of words) {
+                await new Promise(resolve => setTimeout(resolve, 15));
+                if (signal?.aborted) throw new DOMException('Aborted', 'AbortError');
+                if (onDelta) onDelta(word);
+            }
+            return { text, sources: [] };
+        }
+    };
+}
+
+const LLM_PROVIDERS = {
+    gemini: { label: 'Gemini', create: createGeminiProvider },
+    openai: { label: 'OpenAI-compatible (llama.cpp, Ollama)', create: createOpenAiCompatibleProvider },
+    mock: { label: 'Offline mock', create: createMockProvider }
+};
+
+// Built per call so settings changed at runtime apply to the next request
+const getLlmProvider = () => {
+    const { provider, providers } = getLlmSettings();
+    return (LLM_PROVIDERS[provider] || LLM_PROVIDERS.gemini).create(providers[provider] || {});
+};
+
+// One JSON-returning model call with retries; a reply that isn't valid JSON counts as a failed attempt
+async function generateJson(label, request) {
+    return withRetries(label, async () => {
+        const { text } = await getLlmProvider().generate(request);
+        return parseJsonReply(text);
+    });
+}
+
+// --- LLM API Functions ---
+
+// 1. Generate Quiz (Structured JSON Output)
+const QUESTION_TYPE_ORDER = ['mcq', 'saq', 'laq'];
+const QUESTION_TYPE_DETAILS = {
+    mcq: {
+        name: 'Multiple Choice Questions (MCQs)',
+        instructions: "Each MCQ must have exactly 4 options and one correct answer, with a brief, concise explanation for the correct answer."
+    },
+    saq: {
+        name: 'Short Answer Questions (SAQs)',
+        instructions: "Each SAQ should require a 1-3 sentence answer. Provide a model answer, a brief explanation for context, and a marking rubric of 2-3 key points a complete answer must contain, each worth 1 mark."
+    },
+    laq: {
+        name: 'Long Answer Questions (LAQs)',
+        instructions: "Each LAQ should require a paragraph-long answer. Provide a model answer, a brief explanation for context, and a marking rubric of 4-6 key points a complete answer must contain, worth 1 or 2 marks each."
+    }
+};
+const DIFFICULTY_PROMPTS = {
+    easy: 'easy, recall-level questions that check the key facts and definitions',
+    medium: 'moderately difficult questions that check understanding as well as recall',
+    hard: 'challenging questions that require applying and connecting ideas',
+    mixed: 'a balanced mix of easy, moderate and challenging questions, like a real board exam paper'
+};
+
+const MCQ_OPTION_COUNT = 4;
+// How many follow-up requests may be spent replacing rejected or missing questions
+const MAX_QUIZ_REPAIR_ROUNDS = 2;
+
+const QUIZ_SCHEMA = {
+    type: "OBJECT",
+    properties: {
+        quizTitle: { type: "STRING" },
+        questions: {
+            type: "ARRAY",
+            items: {
+                type: "OBJECT",
+                properties: {
+                    id: { type: "STRING" },
+                    type: { type: "STRING", enum: ['mcq', 'saq', 'laq'] },
+                    question: { type: "STRING" },
+                    options: {
+                        type: "ARRAY",
+                        items: { type: "STRING" }
+                    },
+                    correctAnswer: { type: "STRING" },
+                    modelAnswer: { type: "STRING" }, // For SAQ/LAQ
+                    rubric: { // For SAQ/LAQ: key points used for grading
+                        type: "ARRAY",
+                        items: {
+                            type: "OBJECT",
+                            properties: {
+                                point: { type: "STRING" },
+                                marks: { type: "NUMBER" }
+                            },
+                            required: ["point", "marks"]
+                        }
+                    },
+                    explanation: { type: "STRING" },
+                    page: { type: "INTEGER" }, // Coursebook page the question is drawn from
+                    section: { type: "STRING" } // Section label, e.g. "1.2"
+                },
+                required: ["id", "type", "question", "explanation"]
+            }
+        }
+    },
+    required: ["quizTitle", "questions"]
+};
+
+const cleanText = (value) => (value == null ? '' : String(value)).trim();
+const normalizeForMatch = (value) => cleanText(value).toLowerCase().replace(/\s+/g, ' ').replace(/[.\s]+$/, '');
+// "A) ", "(b) ", "C. " and "Option D: " style labels models sometimes put in front of an option
+const OPTION_LABEL_PATTERN = /^(?:option\s+)?\(?([a-d])(?:\)|\.|:)\s*/i;
+
+// Finds which option a model's correctAnswer refers to: the exact text, the text ignoring case and
+// trailing punctuation, a bare letter ("B", "Option B") or the option text behind a letter label.
+function resolveCorrectOption(correctAnswer, options) {
+    const answer = cleanText(correctAnswer);
+    if (!answer) return -1;
+    const exact = options.indexOf(answer);
+    if (exact !== -1) return exact;
+
+    const normalized = normalizeForMatch(answer);
+    const loose = options.findIndex(option => normalizeForMatch(option) === normalized);
+    if (loose !== -1) return loose;
+
+    const letter = answer.match(/^(?:option\s+)?\(?([a-d])\)?\.?$/i);
+    if (letter) return letter[1].toLowerCase().charCodeAt(0) - 97;
+
+    const labelled = answer.match(OPTION_LABEL_PATTERN);
+    if (labelled) {
+        const rest = normalizeForMatch(answer.slice(labelled[0].length));
+        return options.findIndex(option => normalizeForMatch(option) === rest);
+    }
+    return -1;
+}
+
+// Checks one generated question against the requested types and repairs what can be fixed in place
+// (whitespace, type casing, letter-style answers, duplicate or surplus options, stray page numbers).
+// Returns { question, errors }; question is null when the problems need a fresh question instead.
+function validateQuizQuestion(raw, allowedTypes = QUESTION_TYPE_ORDER, pageCount = 0) {
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) return { question: null, errors: ['is not a question object'] };
+    const errors = [];
+    const question = { ...raw, question: cleanText(raw.question), explanation: cleanText(raw.explanation) };
+    if (!question.question) errors.push('has no question text');
+
+    let type = cleanText(raw.type).toLowerCase();
+    if (!QUESTION_TYPE_ORDER.includes(type)) {
+        // A missing type can usually be read off the shape of the question
+        const nonMcqTypes = allowedTypes.filter(t => t !== 'mcq');
+        if (Array.isArray(raw.options) && raw.options.length > 0) type = 'mcq';
+        else if (nonMcqTypes.length === 1) type = nonMcqTypes[0];
+        else {
+            errors.push(`has an unknown type "${cleanText(raw.type)}"`);
+            return { question: null, errors };
+        }
+    }
+    question.type = type;
+    if (!allowedTypes.includes(type)) errors.push(`is a ${type.toUpperCase()} but only ${allowedTypes.map(t => t.toUpperCase()).join('/')} questions were requested`);
+
+    if (type === 'mcq') {
+        let options = Array.isArray(raw.options) ? raw.options.map(cleanText).filter(Boolean) : [];
+        // Strip letter labels only when every option has one, so an option that merely starts with "A." survives
+        if (options.length > 0 && options.every(option => OPTION_LABEL_PATTERN.test(option))) {
+            options = options.map(option => option.replace(OPTION_LABEL_PATTERN, ''));
+        }
+        options = options.filter((option, index) => options.findIndex(o => normalizeForMatch(o) === normalizeForMatch(option)) === index);
+
+        const correctIndex = resolveCorrectOption(raw.correctAnswer, options);
+        if (correctIndex === -1 || correctIndex >= options.length) {
+            errors.push(`has a correctAnswer "${cleanText(raw.correctAnswer)}" that is not one of its options`);
+        } else {
+            const correct = options[correctIndex];
+            if (options.length > MCQ_OPTION_COUNT) {
+                // Keep the answer and the first distractors, in their original order
+                const distractors = options.filter(option => option !== correct).slice(0, MCQ_OPTION_COUNT - 1);
+                options = options.filter(option => option === correct || distractors.includes(option));
+            }
+            question.correctAnswer = correct;
+        }
+        if (options.length < MCQ_OPTION_COUNT) errors.push(`has ${options.length} distinct options instead of ${MCQ_OPTION_COUNT}`);
+        question.options = options;
+    } else {
+        const rubric = (Array.isArray(raw.rubric) ? raw.rubric : [])
+            .map(item => ({ point: cleanText(item?.point), marks: Number(item?.marks) }))
+            .filter(item => item.point && Number.isFinite(item.marks) && item.marks > 0);
+        question.rubric = rubric;
+        question.modelAnswer = cleanText(raw.modelAnswer) || rubric.map(item => item.point).join(' ');
+        if (!question.modelAnswer) errors.push('has neither a model answer nor a rubric to grade against');
+        delete question.options;
+        delete question.correctAnswer;
+    }
+
+    const page = Number(raw.page);
+    if (raw.page != null && !(Number.isInteger(page) && page >= 1 && (!pageCount || page <= pageCount))) delete question.page;
+    else if (raw.page != null) question.page = page;
+
+    return errors.length > 0 ? { question: null, errors } : { question, errors };
+}
+
+// Validates a whole quiz response against the requested counts. Valid questions beyond a type's count are
+// dropped, as are repeats of `existing` questions. `missing` holds the per-type shortfall still to fill.
+function validateQuiz(result, counts, pageCount = 0, existing = []) {
+    const allowedTypes = QUESTION_TYPE_ORDER.filter(type => counts[type] > 0);
+    const problems = [];
+    const questions = [];
+    const seen = new Set(existing.map(q => normalizeForMatch(q.question)));
+
+    if (!Array.isArray(result?.questions)) problems.push("The response has no 'questions' list.");
+    (Array.isArray(result?.questions) ? result.questions : []).forEach((raw, index) => {
+        const { question, errors } = validateQuizQuestion(raw, allowedTypes, pageCount);
+        if (!question) {
+            problems.push(`Question ${index + 1} ${errors.join(', ')}.`);
+            return;
+        }
+        const key = normalizeForMatch(question.question);
+        if (seen.has(key)) {
+            problems.push(`Question ${index + 1} repeats an earlier question.`);
+            return;
+        }
+        if (questions.filter(q => q.type === question.type).length >= counts[question.type]) return;
+        seen.add(key);
+        questions.push(question);
+    });
+
+    const missing = {};
+    QUESTION_TYPE_ORDER.forEach(type => {
+        missing[type] = Math.max(0, (counts[type] || 0) - questions.filter(q => q.type === type).length);
+    });
+    return { quizTitle: cleanText(result?.quizTitle), questions, problems, missing };
+}
+
+const countQuestions = (counts) => QUESTION_TYPE_ORDER.reduce((sum, type) => sum + (counts[type] || 0), 0);
+
+// config: { counts: { mcq, saq, laq }, difficulty, sections? } — e.g. { counts: { mcq: 5, saq: 2, laq: 1 }, difficulty: 'mixed' }.
+// When the page map is available the material is sent page-tagged so questions can point back to a page.
+// With `sections` (TOC entries) only those sections are sent and each question is tagged with its section.
+async function fetchQuiz(text, config, pages = []) {
+    const { counts, difficulty, sections = [] } = config;
+
+    let material = pages.length > 0 ? formatPagesForPrompt(pages) : text;
+    if (sections.length > 0) material = formatSectionsForPrompt(text, pages, sections);
+
+    // Built per round so a repair request only asks for the questions that are still missing
+    const buildRequest = (askCounts, followUp = '') => {
+        const requested = QUESTION_TYPE_ORDER.filter(type => askCounts[type] > 0);
+        const total = countQuestions(askCounts);
+        const breakdown = requested.map(type => `${askCounts[type]} ${QUESTION_TYPE_DETAILS[type].name}`).join(', ');
+
+        const systemPrompt = `You are an expert educational content generator. Based on the provided text, generate exactly ${total} highly relevant questions: ${breakdown}. Make them ${DIFFICULTY_PROMPTS[difficulty] || DIFFICULTY_PROMPTS.hard}. ${requested.map(type => QUESTION_TYPE_DETAILS[type].instructions).join(' ')} Set 'type' on every question to 'mcq', 'saq' or 'laq'. Every MCQ must have exactly ${MCQ_OPTION_COUNT} distinct options and a 'correctAnswer' that is copied word for word from its options. Respond ONLY with the JSON structure provided.`;
+        let userQuery = `Generate a quiz of exactly ${total} questions (${breakdown}) based on the following course material text, ordered by type: ${requested.map(type => type.toUpperCase()).join(', then ')}.`;
+
+        if (pages.length > 0) {
+            userQuery += " The material is tagged with [Page N] markers; set 'page' on each question to the page it is drawn from.";
+        }
+        if (sections.length > 0) {
+            userQuery += " The material is divided into [Section X: Title] blocks; spread the questions across the sections and set 'section' on each question to the X label of the section it is drawn from.";
+        }
+        if (followUp) userQuery += ` ${followUp}`;
+
+        return {
+            task: 'quiz',
+            system: systemPrompt,
+            messages: [{ role: 'user', text: `${userQuery}\n\nCourse Material:\n---\n${material}` }],
+            meta: { counts: askCounts, material, pages },
+            schema: QUIZ_SCHEMA
+        };
+    };
+
+    let result;
+    try {
+        result = await generateJson('Quiz', buildRequest(counts));
+    } catch (error) {
+        throw new Error("Failed to generate quiz after multiple retries.");
+    }
+
+    let quiz = validateQuiz(result, counts, pages.length);
+    const problems = [...quiz.problems];
+
+    // Re-ask for just the rejected or missing questions, telling the model what went wrong
+    for (let round = 0; round < MAX_QUIZ_REPAIR_ROUNDS && countQuestions(quiz.missing) > 0; round++) {
+        const followUp = [
+            quiz.problems.length > 0 ? `Some questions from an earlier attempt were rejected: ${quiz.problems.join(' ')}` : '',
+            quiz.questions.length > 0 ? `Do not repeat any of these existing questions: ${quiz.questions.map(q => `"${q.question}"`).join('; ')}.` : ''
+        ].filter(Boolean).join(' ');
+        try {
+            const extra = validateQuiz(await generateJson('Quiz repair', buildRequest(quiz.missing, followUp)), quiz.missing, pages.length, quiz.questions);
+            problems.push(...extra.problems);
+            quiz = {
+                quizTitle: quiz.quizTitle || extra.quizTitle,
+                questions: [...quiz.questions, ...extra.questions],
+                problems: extra.problems,
+                missing: extra.missing
+            };
+        } catch (error) {
+            console.error("Error repairing quiz: ", error);
+            break;
+        }
+    }
+
+    if (problems.length > 0) console.warn("Quiz response problems:", problems);
+    if (quiz.questions.length === 0) {
+        const error = new Error("The AI response didn't contain any usable questions.");
+        error.problems = problems;
+        throw error;
+    }
+
+    const shortfall = QUESTION_TYPE_ORDER.filter(type => quiz.missing[type] > 0);
+    const warnings = shortfall.length > 0
+        ? [`Only ${quiz.questions.length} of ${countQuestions(counts)} questions could be generated (missing ${shortfall.map(type => `${quiz.missing[type]} ${type.toUpperCase()}`).join(', ')}).`]
+        : [];
+    return { quizTitle: quiz.quizTitle || 'Coursebook Quiz', questions: quiz.questions, warnings };
+}
+
+// Reads a server-sent events response and calls onEvent with each parsed `data:` payload.
+async function readSseStream(response, onEvent) {
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    const flushEvent = (rawEvent) => {
+        const data = rawEvent
+            .split(/\r?\n/)
+            .filter(line => line.startsWith('data:'))
+            .map(line => line.slice(5).trimStart())
+            .join('\n');
+        if (data && data !== '[DONE]') onEvent(JSON.parse(data));
+    };
+
+    while (true) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        buffer += decoder.decode(value, { stream: true });
+        const events = buffer.split(/\r?\n\r?\n/);
+        buffer = events.pop();
+        events.forEach(flushEvent);
+    }
+    buffer += decoder.decode();
+    if (buffer.trim()) flushEvent(buffer);
+}
+
+// Drops the start of `addition` that repeats the end of `existing`, so a continuation that
+// re-sends a few words after a retry is not shown twice.
+function stripRepeatedPrefix(existing, addition) {
+    const maxOverlap = Math.min(existing.length, addition.length, 200);
+    for (let size = maxOverlap; size > 0; size--) {
+        if (existing.endsWith(addition.slice(0, size))) return addition.slice(size);
+    }
+    return addition;
+}
+
+// 2. Chat with RAG (Google Search for general queries, context for RAG)
+// coursebookIndex comes from buildCoursebookIndex; only the chunks that best match the question are sent.
+// The answer is streamed: onUpdate receives the text so far (with its citations) as it arrives, and
+// aborting `signal` stops the request and returns whatever was already streamed.
+async function fetchChatResponse(history, currentMessage, pdfText, coursebookIndex, { onUpdate, signal } = {}) {
+    // Determine if Google Search or RAG is needed
+    const useGoogleSearch = !pdfText || currentMessage.toLowerCase().includes('what is the latest') || currentMessage.toLowerCase().includes('recent news');
+    const provider = getLlmProvider();
+
+    // Retrieve the most relevant chunks. The previous user turn is included so follow-ups
+    // ("and what about the second one?") still retrieve the right section.
+    const previousUserTurn = [...history].reverse().find(m => m.role === 'user')?.parts?.[0]?.text || '';
+    let contextChunks = searchCoursebook(coursebookIndex, `${currentMessage} ${previousUserTurn}`).map(r => r.chunk);
+    if (contextChunks.length === 0 && coursebookIndex) {
+        // Nothing matched (e.g. a greeting): give the model the opening of the book for orientation
+        contextChunks = coursebookIndex.chunks.slice(0, 2);
+    }
+    const contextPart = pdfText && contextChunks.length > 0 ?
+        `[CONTEXT FROM SELECTED PDF: The student is revising from this material. Each excerpt is labelled with its citation id, page and section.\n${contextChunks.map((chunk, i) => `[C${i + 1} | ${formatChunkLocation(chunk)}]\n${chunk.text}`).join('\n\n')}]` :
+        "";
+
+    const fullMessage = contextPart + "\n\n" + currentMessage;
+
+    // Only role and text go back to the API; sources and citations are UI-only
+    const messages = [...history.map(m => ({
+        role: m.role === 'assistant' ? 'model' : m.role,
+        text: m.parts[0].text
+    })), {
+        role: "user",
+        text: fullMessage
+    }];
+
+    const request = {
+        task: 'chat',
+        messages,
+        webSearch: useGoogleSearch,
+        meta: { contextChunks: pdfText ? contextChunks : [] },
+        system: "You are a helpful and supportive virtual teacher. Answer questions concisely and use the provided context from the coursebook whenever possible. If you use external search (only when context is not sufficient), you must cite sources clearly. When answering based on the provided [CONTEXT], you must cite every statement taken from an excerpt by putting its citation id in square brackets right after it (e.g., 'Unification is the attempt to explain diverse phenomena with a few laws [C2].'). Only cite ids of excerpts you actually used. Do not make up facts."
+    };
+
+    let streamedText = '';
+    let sources = [];
+
+    const buildResult = (extra = {}) => (
+        { text: streamedText, sources, citations: extractCitations(streamedText, contextChunks), ...extra }
+    );
+
+    for (let i = 0; i < 3; i++) {
+        // A retry after a partial answer asks the model to continue rather than start over,
+        // so text that was already streamed to the student is never repeated.
+        const attemptRequest = streamedText ? {
+            ...request,
+            messages: [
+                ...messages,
+                { role: "model", text: streamedText },
+                { role: "user", text: "Your answer was cut off. Continue it exactly where it stopped, without repeating anything already written." }
+            ]
+        } : request;
+        const textBeforeAttempt = streamedText;
+        let attemptText = '';
+
+        try {
+            const result = await provider.stream(attemptRequest, {
+                signal,
+                onDelta: (delta) => {
+                    attemptText += delta;
+                    // Hold a continuation back until it is long enough to compare against the text already shown
+                    if (textBeforeAttempt && attemptText.length < 200) return;
+                    streamedText = textBeforeAttempt + (textBeforeAttempt ? stripRepeatedPrefix(textBeforeAttempt, attemptText) : attemptText);
+                    if (onUpdate) onUpdate(buildResult());
+                }
+            });
+            if (result.sources.length > 0) sources = result.sources;
+
+            streamedText = textBeforeAttempt + (textBeforeAttempt ? stripRepeatedPrefix(textBeforeAttempt, attemptText) : attemptText);
+            if (!streamedText) streamedText = "Sorry, I couldn't generate a response.";
+            return buildResult();
+
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                return buildResult({ stopped: true });
+            }
+            console.error(`Chat attempt ${i + 1} failed:`, error);
+            if (i === 2) {
+                if (streamedText) {
+                    return buildResult({ text: `${streamedText}\n\n[The answer was interrupted. Please ask again to get the rest.]`, interrupted: true });
+                }
+                return { text: "I'm having trouble connecting right now. Please try again later.", sources: [], citations: [] };
+            }
+            await new Promise(resolve => setTimeout(resolve, Math.pow(2, i) * 1000));
+        }
+    }
+}
+
+// 3. Grade Written Answers (Rubric Scoring)
+// Questions generated before rubrics existed, or with a missing rubric, are marked against
+// the sentences of their model answer instead.
+function normalizeRubric(question) {
+    const rubric = (question.rubric || []).filter(item => item?.point && item.marks > 0);
+    if (rubric.length > 0) return rubric;
+    const sentences = (question.modelAnswer || '').match(/[^.!?]+[.!?]*/g) || [];
+    return sentences.map(s => s.trim()).filter(Boolean).slice(0, question.type === 'laq' ? 5 : 3)
+        .map(point => ({ point, marks: 1 }));
+}
+
+// Offline estimate used when the grading request fails: a rubric point earns full marks when most of
+// its key words appear in the answer and half marks when some do.
+function estimateRubricScore(answer, rubric) {
+    const answerTokens = new Set(tokenize(answer));
+    const points = rubric.map(item => {
+        const pointTokens = [...new Set(tokenize(item.point))];
+        const coverage = pointTokens.length > 0 ? pointTokens.filter(t => answerTokens.has(t)).length / pointTokens.length : 0;
+        const awarded = coverage >= 0.6 ? item.marks : coverage >= 0.3 ? item.marks / 2 : 0;
+        return {
+            point: item.point,
+            marks: item.marks,
+            awarded,
+            feedback: awarded === item.marks ? 'Covered.' : awarded > 0 ? 'Partly covered.' : 'Not mentioned.'
+        };
+    });
+    return summarizeGrade(points, '', 'estimate');
+}
+
+function summarizeGrade(points, feedback, gradedBy) {
+    const totalMarks = points.reduce((sum, p) => sum + p.marks, 0);
+    const awardedMarks = points.reduce((sum, p) => sum + p.awarded, 0);
+    return {
+        points,
+        awardedMarks,
+        totalMarks,
+        score: totalMarks > 0 ? awardedMarks / totalMarks : 0, // Fraction of the question's credit, 0..1
+        missing: points.filter(p => p.awarded < p.marks).map(p => p.point),
+        feedback,
+        gradedBy
+    };
+}
+
+// Grades SAQ/LAQ answers against their rubrics with partial credit per key point.
+// Returns a map of question id -> grade. Blank answers score 0 without calling the model.
+async function gradeWrittenAnswers(items) {
+    const grades = {};
+    const toGrade = [];
+    items.forEach(item => {
+        const rubric = normalizeRubric(item);
+        if (!item.answer || !item.answer.trim()) {
+            grades[item.id] = summarizeGrade(
+                rubric.map(r => ({ point: r.point, marks: r.marks, awarded: 0, feedback: 'No answer given.' })),
+                'No answer was given.',
+                'blank'
+            );
+        } else {
+            toGrade.push({ ...item, rubric });
+        }
+    });
+    if (toGrade.length === 0) return grades;
+
+    const systemPrompt = "You are a fair but strict school examiner. Grade each student answer against its marking rubric. For every rubric point, award full marks if the answer clearly covers it, partial marks (e.g. half) if it is mentioned but incomplete or imprecise, and 0 if it is missing or wrong. Give one short sentence of feedback per point and one or two sentences of overall feedback telling the student what to add. Respond ONLY with the JSON structure provided.";
+    const userQuery = toGrade.map((item, i) => [
+        `Question ${i + 1} (questionId: ${item.id})`,
+        `Question: ${item.question}`,
+        `Model answer: ${item.modelAnswer || 'N/A'}`,
+        `Rubric:`,
+        ...item.rubric.map((r, j) => `  ${j + 1}. [${r.marks} mark${r.marks === 1 ? '' : 's'}] ${r.point}`),
+        `Student answer: ${item.answer}`
+    ].join('\n')).join('\n\n');
+
+    const request = {
+        task: 'grade',
+        system: systemPrompt,
+        messages: [{ role: 'user', text: userQuery }],
+        meta: { items: toGrade },
+        schema: {
+            type: "OBJECT",
+            properties: {
+                grades: {
+                    type: "ARRAY",
+                    items: {
+                        type: "OBJECT",
+                        properties: {
+                            questionId: { type: "STRING" },
+                            points: {
+                                type: "ARRAY",
+                                items: {
+                                    type: "OBJECT",
+                                    properties: {
+                                        index: { type: "INTEGER" }, // 1-based rubric point number
+                                        awarded: { type: "NUMBER" },
+                                        feedback: { type: "STRING" }
+                                    },
+                                    required: ["index", "awarded", "feedback"]
+                                }
+                            },
+                            overallFeedback: { type: "STRING" }
+                        },
+                        required: ["questionId", "points", "overallFeedback"]
+                    }
+                }
+            },
+            required: ["grades"]
+        }
+    };
+
+    // If grading fails every answer falls back to the offline estimate below
+    let modelGrades = null;
+    try {
+        modelGrades = (await generateJson('Grading', request)).grades || [];
+    } catch (error) {
+        console.error("Grading failed; using offline estimates:", error);
+    }
+
+    toGrade.forEach(item => {
+        const modelGrade = modelGrades?.find(g => g.questionId === item.id);
+        if (!modelGrade) {
+            grades[item.id] = estimateRubricScore(item.answer, item.rubric);
+            return;
+        }
+        // Marks are clamped to each point's maximum so the model can never over-award
+        const points = item.rubric.map((r, j) => {
+            const graded = modelGrade.points.find(p => p.index === j + 1);
+            const awarded = Math.min(Math.max(Number(graded?.awarded) || 0, 0), r.marks);
+            return { point: r.point, marks: r.marks, awarded, feedback: graded?.feedback || '' };
+        });
+        grades[item.id] = summarizeGrade(points, modelGrade.overallFeedback || '', 'ai');
+    });
+
+    return grades;
+}
+
+// 4. Generate Flashcards (Structured JSON Output)
+// kinds: 'definition' (term -> definition), 'concept' (concept -> example/application), or both.
+async function fetchFlashcards(text, { count, kinds }, pages = []) {
+    const kindInstructions = {
+        definition: "term/definition cards: the front is a key term from the text (e.g. 'Unification'), the back is its definition in the text's own words",
+        concept: "concept/example cards: the front names a concept or principle, the back gives a concrete example or application of it from the text"
+    };
+    const systemPrompt = `You are an expert educational content generator who writes concise revision flashcards. Based on the provided text, generate exactly ${count} flashcards made of ${kinds.map(kind => kindInstructions[kind]).join('; and ')}. Keep each back under 40 words, use only facts stated in the text, and do not repeat a term. Set 'kind' on each card to 'definition' or 'concept'. Respond ONLY with the JSON structure provided.`;
+    let userQuery = `Generate ${count} flashcards based on the following course material text.`;
+
+    if (pages.length > 0) {
+        userQuery += " The material is tagged with [Page N] markers; set 'page' on each card to the page it is drawn from.";
+    }
+
+    const material = pages.length > 0 ? formatPagesForPrompt(pages) : text;
+    const request = {
+        task: 'flashcards',
+        system: systemPrompt,
+        messages: [{ role: 'user', text: `${userQuery}\n\nCourse Material:\n---\n${material}` }],
+        meta: { count, kinds, material, pages },
+        schema: {
+            type: "OBJECT",
+            properties: {
+                deckTitle: { type: "STRING" },
+                cards: {
+                    type: "ARRAY",
+                    items: {
+                        type: "OBJECT",
+                        properties: {
+                            kind: { type: "STRING", enum: ['definition', 'concept'] },
+                            front: { type: "STRING" },
+                            back: { type: "STRING" },
+                            page: { type: "INTEGER" }
+                        },
+                        required: ["kind", "front", "back"]
+                    }
+                }
+            },
+            required: ["deckTitle", "cards"]
+        }
+    };
+
+    try {
+        return await generateJson('Flashcard', request);
+    } catch (error) {
+        throw new Error("Failed to generate flashcards after multiple retries.");
+    }
+}
+
+// 5. YouTube Recommender (Uses Google Search as a proxy)
+// Returns up to VIDEOS_PER_TOPIC videos with a well-formed ID; invented or non-video links are dropped.
+const VIDEOS_PER_TOPIC = 3;
+
+async function fetchYoutubeRecommendations(topic) {
+    const userQuery = `Find ${VIDEOS_PER_TOPIC + 2} highly rated educational YouTube videos explaining '${topic}' for school students. Only include individual videos (youtube.com/watch?v=... or youtu.be/... links), not searches, channels or playlists. Provide the video title and the full YouTube URL. Respond ONLY with a JSON array of objects with keys 'title' and 'url'.`;
+
+    const request = {
+        task: 'videos',
+        messages: [{ role: 'user', text: userQuery }],
+        webSearch: true,
+        meta: { topic },
+        schema: {
+            type: "ARRAY",
+            items: {
+                type: "OBJECT",
+                properties: {
+                    title: { type: "STRING" },
+                    url: { type: "STRING" }
+                },
+                required: ["title", "url"]
+            }
+        }
+    };
+
+    try {
+        // A single attempt: recommendations are optional and the dashboard has a refresh button
+        const { text } = await getLlmProvider().generate(request);
+        return normalizeVideoResults(parseJsonReply(text)).slice(0, VIDEOS_PER_TOPIC);
+    } catch (error) {
+        console.error("Failed to fetch YouTube recommendations:", error);
+        return [];
+    }
+}
+
+// Cached per search topic for VIDEO_CACHE_TTL_MS. Empty results aren't cached, so a failed lookup is
+// retried on the next visit.
+async function getVideoRecommendations(topic, { refresh = false } = {}) {
+    const cacheKey = topic.toLowerCase();
+    const cached = readVideoCache()[cacheKey];
+    if (!refresh && cached && Date.now() - cached.fetchedAt < VIDEO_CACHE_TTL_MS) return cached.videos;
+
+    const videos = await fetchYoutubeRecommendations(topic);
+    if (videos.length > 0) writeVideoCache({ ...readVideoCache(), [cacheKey]: { fetchedAt: Date.now(), videos } });
+    return videos;
+}
+
+// --- Icons (Lucide) ---
+const FileTextIcon = (props) => <svg {...props} xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"><path d="M15 2H6a2 2 0 0 0-2 2v16a2 2 0 0 0 2 2h12a2 2 0 0 0 2-2V7Z"/><path d="M14 2v4a2 2 0 0 0 2 2h4"/><path d="M10 9H8"/><path d="M16 13H8"/><path d="M16 17H8"/></svg>;
+const ZapIcon = (props) => <svg {...props} xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"><polygon points="13 2 3 14 12 14 11 22 21 10 12 10 13 2"/></svg>;
+const TrendingUpIcon = (props) => <svg {...props} xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"><polyline points="22 7 13.5 15.5 8.5 10.5 2 17"/><polyline points="18 7 22 7 22 11"/></svg>;
+const MessageSquareIcon = (props) => <svg {...props} xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"><path d="M21 15a2 2 0 0 1-2 2H7l-4 4V5a2 2 0 0 1 2-2h14a2 2 0 0 1 2 2z"/></svg>;
+const UploadIcon = (props) => <svg {...props} xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"><path d="M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4"/><polyline points="17 8 12 3 7 8"/><line x1="12" x2="12" y1="3" y2="15"/></svg>;
 const ChevronDownIcon = (props) => <svg {...props} xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"><polyline points="6 9 12 15 18 9"/></svg>;
 const ClockIcon = (props) => <svg {...props} xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"><circle cx="12" cy="12" r="10"/><polyline points="12 6 12 12 16 14"/></svg>;
 const HelpCircleIcon = (props) => <svg {...props} xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"><circle cx="12" cy="12" r="10"/><path d="M9.09 9a3 3 0 0 1 5.83 1c0 2-3 3-3 3"/><path d="M12 17h.01"/></svg>;
@@ -361,810 +3575,5332 @@ const BookOpenIcon = (props) => <svg {...props} xmlns="http://www.w3.org/2000/sv
 const SparklesIcon = (props) => <svg {...props} xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"><path d="M9.9 5.86l-4.14 4.08 4.08 4.14"/><path d="M14.1 18.14l4.14-4.08-4.08-4.14"/></svg>;
 const VideoIcon = (props) => <svg {...props} xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"><path d="m22 7-6-4V21l6-4"/><path d="M14.7 15.3 8 19V5l6.7 3.7"/></svg>;
 const UsersIcon = (props) => <svg {...props} xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"><path d="M16 21v-2a4 4 0 0 0-4-4H6a4 4 0 0 0-4 4v2"/><circle cx="9" cy="7" r="4"/><path d="M22 21v-2a4 4 0 0 0-3-3.87"/><path d="M16 3.13a4 4 0 0 1 0 7.75"/></svg>;
+const ChevronLeftIcon = (props) => <svg {...props} xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"><polyline points="15 18 9 12 15 6"/></svg>;
+const ChevronRightIcon = (props) => <svg {...props} xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"><polyline points="9 18 15 12 9 6"/></svg>;
+const SearchIcon = (props) => <svg {...props} xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"><circle cx="11" cy="11" r="8"/><path d="m21 21-4.3-4.3"/></svg>;
+const ZoomInIcon = (props) => <svg {...props} xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"><circle cx="11" cy="11" r="8"/><line x1="21" x2="16.65" y1="21" y2="16.65"/><line x1="11" x2="11" y1="8" y2="14"/><line x1="8" x2="14" y1="11" y2="11"/></svg>;
+const ZoomOutIcon = (props) => <svg {...props} xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"><circle cx="11" cy="11" r="8"/><line x1="21" x2="16.65" y1="21" y2="16.65"/><line x1="8" x2="14" y1="11" y2="11"/></svg>;
+const PencilIcon = (props) => <svg {...props} xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"><path d="M17 3a2.85 2.83 0 1 1 4 4L7.5 20.5 2 22l1.5-5.5Z"/><path d="m15 5 4 4"/></svg>;
+const TrashIcon = (props) => <svg {...props} xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"><path d="M3 6h18"/><path d="M19 6v14c0 1-1 2-2 2H7c-1 0-2-1-2-2V6"/><path d="M8 6V4c0-1 1-2 2-2h4c1 0 2 1 2 2v2"/></svg>;
+const RepeatIcon = (props) => <svg {...props} xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"><path d="m17 2 4 4-4 4"/><path d="M3 11v-1a4 4 0 0 1 4-4h14"/><path d="m7 22-4-4 4-4"/><path d="M21 13v1a4 4 0 0 1-4 4H3"/></svg>;
+const LayersIcon = (props) => <svg {...props} xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"><polygon points="12 2 2 7 12 12 22 7 12 2"/><polyline points="2 17 12 22 22 17"/><polyline points="2 12 12 17 22 12"/></svg>;
 const XIcon = (props) => <svg {...props} xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"><path d="M18 6 6 18"/><path d="m6 6 12 12"/></svg>;
+const CloudIcon = (props) => <svg {...props} xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"><path d="M17.5 19H9a7 7 0 1 1 6.71-9h1.79a4.5 4.5 0 1 1 0 9Z"/></svg>;
+const FlagIcon = (props) => <svg {...props} xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"><path d="M4 15s1-1 4-1 5 2 8 2 4-1 4-1V3s-1 1-4 1-5-2-8-2-4 1-4 1z"/><line x1="4" x2="4" y1="22" y2="15"/></svg>;
+const DownloadIcon = (props) => <svg {...props} xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"><path d="M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4"/><polyline points="7 10 12 15 17 10"/><line x1="12" x2="12" y1="15" y2="3"/></svg>;
+const CalendarIcon = (props) => <svg {...props} xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"><rect width="18" height="18" x="3" y="4" rx="2" ry="2"/><line x1="16" x2="16" y1="2" y2="6"/><line x1="8" x2="8" y1="2" y2="6"/><line x1="3" x2="21" y1="10" y2="10"/></svg>;
+const CloudOffIcon = (props) => <svg {...props} xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"><path d="m2 2 20 20"/><path d="M5.782 5.782A7 7 0 0 0 9 19h8.5a4.5 4.5 0 0 0 1.307-.193"/><path d="M21.532 16.5A4.5 4.5 0 0 0 17.5 10h-1.79A7.008 7.008 0 0 0 10 5.07"/></svg>;
+
+// --- Components ---
+
+const EMPTY_COURSEBOOK_FORM = { name: '', subject: '', className: '', chapter: '' };
+
+// Group heading for a library book, e.g. "Physics · Class 11"
+const coursebookGroupLabel = (pdf) => {
+    const subject = pdf.subject?.trim() || 'Uncategorized';
+    return pdf.className?.trim() ? `${subject} · Class ${pdf.className.trim()}` : subject;
+};
+
+const describeLlmSettings = (settings) => {
+    const { provider, providers } = settings;
+    const label = LLM_PROVIDERS[provider]?.label.split(' (')[0] || provider;
+    return provider === 'mock' ? label : `${label} · ${providers[provider]?.model || 'default model'}`;
+};
+
+// Runtime choice of model backend. Settings are kept in this browser (see saveLlmSettings).
+const LlmSettingsPanel = ({ onClose }) => {
+    const [form, setForm] = useState(() => getLlmSettings());
+    const current = form.providers[form.provider] || {};
+
+    const setField = (field, value) => setForm(prev => ({
+        ...prev,
+        providers: { ...prev.providers, [prev.provider]: { ...prev.providers[prev.provider], [field]: value } }
+    }));
+
+    const handleSubmit = (e) => {
+        e.preventDefault();
+        saveLlmSettings(form);
+        onClose(getLlmSettings());
+    };
+
+    const fields = {
+        gemini: [
+            { field: 'model', label: 'Model' },
+            { field: 'apiKey', label: 'API key', type: 'password', placeholder: 'Provided by the environment if empty' }
+        ],
+        openai: [
+            { field: 'baseUrl', label: 'Server URL', placeholder: 'http://localhost:11434/v1' },
+            { field: 'model', label: 'Model' },
+            { field: 'apiKey', label: 'API key', type: 'password', placeholder: 'Optional' }
+        ],
+        mock: []
+    }[form.provider] || [];
+
+    return (
+        <form onSubmit={handleSubmit} className="mt-2 p-3 space-y-2 bg-white border border-indigo-200 rounded-lg">
+            <label className="block text-xs font-medium text-gray-600">
+                Provider
+                <select
+                    value={form.provider}
+                    onChange={(e) => setForm(prev => ({ ...prev, provider: e.target.value }))}
+                    className="mt-1 w-full px-2 py-1 text-xs border border-gray-300 rounded bg-white focus:ring-indigo-500 focus:border-indigo-500"
+                >
+                    {Object.entries(LLM_PROVIDERS).map(([name, { label }]) => (
+                        <option key={name} value={name}>{label}</option>
+                    ))}
+                </select>
+            </label>
+            {fields.map(({ field, label, type = 'text', placeholder }) => (
+                <label key={field} className="block text-xs font-medium text-gray-600">
+                    {label}
+                    <input
+                        type={type}
+                        value={current[field] || ''}
+                        onChange={(e) => setField(field, e.target.value)}
+                        placeholder={placeholder}
+                        autoComplete="off"
+                        className="mt-1 w-full px-2 py-1 text-xs border border-gray-300 rounded focus:ring-indigo-500 focus:border-indigo-500"
+                    />
+                </label>
+            ))}
+            {form.provider === 'mock' && (
+                <p className="text-xs text-gray-500">Answers are built from the coursebook text without any model, so everything works offline. Useful for trying the app and for testing.</p>
+            )}
+            <p className="text-xs text-gray-400">Saved in this browser only.</p>
+            <div className="flex justify-end gap-2">
+                <button type="button" onClick={() => onClose(null)} className="px-2 py-1 text-xs text-gray-600 hover:text-gray-800">Cancel</button>
+                <button type="submit" className="px-2 py-1 text-xs font-semibold text-white bg-indigo-600 rounded hover:bg-indigo-700">Save</button>
+            </div>
+        </form>
+    );
+};
+
+const SYNC_STATUS_DISPLAY = {
+    synced: { label: 'All changes synced', color: 'text-green-700', icon: CloudIcon },
+    syncing: { label: 'Syncing...', color: 'text-indigo-600', icon: CloudIcon },
+    pending: { label: 'Waiting to sync', color: 'text-yellow-700', icon: CloudIcon },
+    offline: { label: 'Offline: saved on this device', color: 'text-yellow-700', icon: CloudOffIcon },
+    error: { label: 'Sync failed, will retry', color: 'text-red-600', icon: CloudOffIcon },
+    local: { label: 'Saved on this device only', color: 'text-gray-600', icon: CloudOffIcon }
+};
+
+const Sidebar = ({
+    pdfs,
+    selectedPdf,
+    onPdfSelect,
+    onFileUpload,
+    onUpdateCoursebook,
+    onRemoveCoursebook,
+    libraryError,
+    syncStatus,
+    onSyncNow,
+    activeView,
+    setActiveView,
+    userId,
+    profile,
+    account,
+    reviewDueCount,
+    openAssignmentCount
+}) => {
+    const [isMobileMenuOpen, setIsMobileMenuOpen] = useState(false);
+    const [librarySearch, setLibrarySearch] = useState('');
+    const [editingId, setEditingId] = useState(null);
+    const [editForm, setEditForm] = useState(EMPTY_COURSEBOOK_FORM);
+    const [isLlmSettingsOpen, setIsLlmSettingsOpen] = useState(false);
+    const [llmSummary, setLlmSummary] = useState(() => describeLlmSettings(getLlmSettings()));
+
+    const selectedId = getCoursebookId(selectedPdf);
+    const syncDisplay = syncStatus ? SYNC_STATUS_DISPLAY[syncStatus.state] : null;
+
+    // Search matches any of the metadata fields; groups and books are listed alphabetically
+    const libraryGroups = useMemo(() => {
+        const terms = librarySearch.toLowerCase().split(/\s+/).filter(Boolean);
+        const groups = new Map();
+        pdfs
+            .filter(pdf => {
+                const haystack = [pdf.name, pdf.subject, pdf.className && `class ${pdf.className}`, pdf.chapter && `chapter ${pdf.chapter}`]
+                    .filter(Boolean).join(' ').toLowerCase();
+                return terms.every(term => haystack.includes(term));
+            })
+            .forEach(pdf => {
+                const label = coursebookGroupLabel(pdf);
+                if (!groups.has(label)) groups.set(label, []);
+                groups.get(label).push(pdf);
+            });
+        return [...groups.entries()]
+            .sort(([a], [b]) => (a === 'Uncategorized') - (b === 'Uncategorized') || a.localeCompare(b))
+            .map(([label, books]) => ({ label, books: books.sort((a, b) => a.name.localeCompare(b.name)) }));
+    }, [pdfs, librarySearch]);
+
+    const startEditing = (pdf) => {
+        setEditingId(getCoursebookId(pdf));
+        setEditForm({
+            name: pdf.name || '',
+            subject: pdf.subject || '',
+            className: pdf.className || '',
+            chapter: pdf.chapter || ''
+        });
+    };
+
+    const handleEditSubmit = (e, pdf) => {
+        e.preventDefault();
+        const changes = Object.fromEntries(Object.entries(editForm).map(([key, value]) => [key, value.trim()]));
+        if (!changes.name) return;
+        onUpdateCoursebook(pdf, changes);
+        setEditingId(null);
+    };
+
+    const handleRemove = (pdf) => {
+        if (!window.confirm(`Remove "${pdf.name}" from your library? Your quiz history and chats about it are kept.`)) return;
+        onRemoveCoursebook(pdf);
+    };
+
+    const navItems = useMemo(() => ([
+        { name: 'PDF Viewer', view: 'PDF', icon: FileTextIcon },
+        { name: 'Quiz Generator', view: 'QUIZ', icon: ZapIcon },
+        { name: 'Virtual Teacher', view: 'CHAT', icon: MessageSquareIcon },
+        { name: 'Flashcards', view: 'FLASHCARDS', icon: LayersIcon },
+        { name: 'Review', view: 'REVIEW', icon: RepeatIcon },
+        { name: 'Dashboard', view: 'DASHBOARD', icon: TrendingUpIcon },
+        { name: 'Planner', view: 'PLANNER', icon: CalendarIcon },
+        { name: 'Classes', view: 'CLASSES', icon: UsersIcon },
+    ]), []);
+
+    return (
+        <div className="flex flex-col md:w-64 bg-gray-50 border-r border-gray-200 shadow-xl md:shadow-none h-full md:flex-shrink-0">
+            {/* Header for Mobile/Desktop */}
+            <div className="flex justify-between items-center p-4 border-b border-gray-200 md:block">
+                <h1 className="text-2xl font-bold text-indigo-700">StudyBuddy</h1>
+                <button
+                    className="md:hidden p-2 rounded-lg text-gray-700 hover:bg-gray-200"
+                    onClick={() => setIsMobileMenuOpen(!isMobileMenuOpen)}
+                >
+                    {isMobileMenuOpen ? <XIcon className="w-6 h-6" /> : <UsersIcon className="w-6 h-6" />}
+                </button>
+            </div>
+
+            {/* Content for Desktop / Open Mobile */}
+            <div className={`p-4 space-y-6 flex-grow overflow-y-auto ${isMobileMenuOpen ? 'block' : 'hidden'} md:block`}>
+                {/* Coursebook Library */}
+                <div>
+                    <div className="flex items-center justify-between mb-2">
+                        <h2 className="flex items-center text-sm font-semibold text-gray-700">
+                            <BookOpenIcon className="w-4 h-4 mr-2 text-indigo-500" /> My Coursebooks
+                        </h2>
+                        <label className="flex items-center px-2 py-1 text-xs font-semibold text-green-700 bg-green-50 border border-green-200 rounded-lg hover:bg-green-100 cursor-pointer" title="Add PDFs to your library">
+                            <UploadIcon className="w-3 h-3 mr-1" />
+                            Upload
+                            <input
+                                type="file"
+                                accept="application/pdf"
+                                multiple
+                                onChange={onFileUpload}
+                                className="hidden"
+                            />
+                        </label>
+                    </div>
+                    <div className="relative mb-2">
+                        <SearchIcon className="absolute left-2 top-1/2 -translate-y-1/2 w-4 h-4 text-gray-400" />
+                        <input
+                            type="search"
+                            value={librarySearch}
+                            onChange={(e) => setLibrarySearch(e.target.value)}
+                            placeholder="Search subject, class, chapter..."
+                            className="w-full pl-8 pr-2 py-1.5 text-sm border border-gray-300 rounded-lg bg-white focus:ring-indigo-500 focus:border-indigo-500"
+                        />
+                    </div>
+                    {libraryError && <p className="mb-2 text-xs text-red-600">{libraryError}</p>}
+                    <div className="max-h-72 overflow-y-auto space-y-3 pr-1">
+                        {libraryGroups.map(group => (
+                            <div key={group.label}>
+                                <p className="px-1 mb-1 text-xs font-semibold uppercase tracking-wider text-gray-400">{group.label}</p>
+                                <div className="space-y-1">
+                                    {group.books.map(pdf => {
+                                        const id = getCoursebookId(pdf);
+                                        const isSelected = id === selectedId;
+                                        if (editingId === id) {
+                                            return (
+                                                <form key={id} onSubmit={(e) => handleEditSubmit(e, pdf)} className="p-2 space-y-1 bg-white border border-indigo-200 rounded-lg">
+                                                    {[
+                                                        { field: 'name', placeholder: 'Name' },
+                                                        { field: 'subject', placeholder: 'Subject, e.g. Physics' },
+                                                        { field: 'className', placeholder: 'Class, e.g. 11' },
+                                                        { field: 'chapter', placeholder: 'Chapter, e.g. 3 Motion' }
+                                                    ].map(({ field, placeholder }) => (
+                                                        <input
+                                                            key={field}
+                                                            value={editForm[field]}
+                                                            onChange={(e) => setEditForm(prev => ({ ...prev, [field]: e.target.value }))}
+                                                            placeholder={placeholder}
+                                                            aria-label={placeholder}
+                                                            autoFocus={field === 'name'}
+                                                            className="w-full px-2 py-1 text-xs border border-gray-300 rounded focus:ring-indigo-500 focus:border-indigo-500"
+                                                        />
+                                                    ))}
+                                                    <div className="flex justify-end gap-2 pt-1">
+                                                        <button type="button" onClick={() => setEditingId(null)} className="px-2 py-1 text-xs text-gray-600 hover:text-gray-800">Cancel</button>
+                                                        <button type="submit" disabled={!editForm.name.trim()} className="px-2 py-1 text-xs font-semibold text-white bg-indigo-600 rounded hover:bg-indigo-700 disabled:bg-gray-300">Save</button>
+                                                    </div>
+                                                </form>
+                                            );
+                                        }
+                                        return (
+                                            <div key={id} className={`group flex items-center rounded-lg ${isSelected ? 'bg-indigo-100' : 'hover:bg-indigo-50'}`}>
+                                                <button
+                                                    onClick={() => { onPdfSelect(pdf); setIsMobileMenuOpen(false); }}
+                                                    className="flex-grow min-w-0 text-left px-2 py-1.5"
+                                                >
+                                                    <p className={`text-sm truncate ${isSelected ? 'font-semibold text-indigo-700' : 'text-gray-700'}`}>{pdf.name}</p>
+                                                    {pdf.chapter && <p className="text-xs text-gray-500 truncate">Chapter {pdf.chapter}</p>}
+                                                </button>
+                                                {pdf.type === 'user' && (
+                                                    <div className="flex flex-shrink-0 pr-1 opacity-0 group-hover:opacity-100 focus-within:opacity-100">
+                                                        <button onClick={() => startEditing(pdf)} className="p-1 text-gray-400 hover:text-indigo-600" title="Rename or edit details">
+                                                            <PencilIcon className="w-3.5 h-3.5" />
+                                                        </button>
+                                                        <button onClick={() => handleRemove(pdf)} className="p-1 text-gray-400 hover:text-red-600" title="Remove from library">
+                                                            <TrashIcon className="w-3.5 h-3.5" />
+                                                        </button>
+                                                    </div>
+                                                )}
+                                            </div>
+                                        );
+                                    })}
+                                </div>
+                            </div>
+                        ))}
+                        {libraryGroups.length === 0 && (
+                            <p className="px-1 text-xs text-gray-500">No coursebooks match "{librarySearch}".</p>
+                        )}
+                    </div>
+                </div>
+
+                {/* Navigation */}
+                <nav className="space-y-1">
+                    {navItems.map((item) => (
+                        <button
+                            key={item.view}
+                            onClick={() => {setActiveView(item.view); setIsMobileMenuOpen(false);}}
+                            className={`flex items-center w-full p-3 rounded-xl transition duration-200 ${
+                                activeView === item.view
+                                    ? 'bg-indigo-600 text-white shadow-lg'
+                                    : 'text-gray-700 hover:bg-indigo-50 hover:text-indigo-600'
+                            }`}
+                        >
+                            <item.icon className="w-5 h-5 mr-3" />
+                            <span className="font-medium">{item.name}</span>
+                            {item.view === 'REVIEW' && reviewDueCount > 0 && (
+                                <span className={`ml-auto text-xs font-bold px-2 py-0.5 rounded-full ${activeView === item.view ? 'bg-white text-indigo-700' : 'bg-red-500 text-white'}`}>
+                                    {reviewDueCount}
+                                </span>
+                            )}
+                            {item.view === 'CLASSES' && openAssignmentCount > 0 && (
+                                <span className={`ml-auto text-xs font-bold px-2 py-0.5 rounded-full ${activeView === item.view ? 'bg-white text-indigo-700' : 'bg-indigo-100 text-indigo-700'}`}>
+                                    {openAssignmentCount}
+                                </span>
+                            )}
+                        </button>
+                    ))}
+                </nav>
+
+                {/* Sync Status */}
+                {syncDisplay && (
+                    <div className="pt-4 border-t border-gray-200">
+                        <div className={`flex items-center text-xs font-semibold ${syncDisplay.color}`} title={syncStatus.error || ''}>
+                            <syncDisplay.icon className={`w-4 h-4 mr-2 flex-shrink-0 ${syncStatus.state === 'syncing' ? 'animate-pulse' : ''}`} />
+                            <span className="flex-grow">
+                                {syncDisplay.label}
+                                {syncStatus.pendingCount > 0 && syncStatus.state !== 'local' && ` (${syncStatus.pendingCount} queued)`}
+                            </span>
+                            {['pending', 'offline', 'error'].includes(syncStatus.state) && (
+                                <button onClick={onSyncNow} className="ml-2 p-1 rounded text-indigo-600 hover:bg-indigo-50" title="Sync now">
+                                    <RepeatIcon className="w-3.5 h-3.5" />
+                                </button>
+                            )}
+                        </div>
+                        {syncStatus.lastSyncedAt && syncStatus.state !== 'local' && (
+                            <p className="mt-1 ml-6 text-xs text-gray-400">Last synced {new Date(syncStatus.lastSyncedAt).toLocaleTimeString()}</p>
+                        )}
+                    </div>
+                )}
+
+                {/* AI Model */}
+                <div className="pt-4 border-t border-gray-200">
+                    <button
+                        onClick={() => setIsLlmSettingsOpen(open => !open)}
+                        className="flex items-center w-full text-left text-xs text-gray-600 hover:text-indigo-600"
+                        title="Choose the AI model"
+                    >
+                        <SparklesIcon className="w-4 h-4 mr-2 flex-shrink-0 text-indigo-500" />
+                        <span className="flex-grow truncate">AI: {llmSummary}</span>
+                        <ChevronDownIcon className={`w-3 h-3 ml-1 transition-transform ${isLlmSettingsOpen ? 'rotate-180' : 'rotate-0'}`} />
+                    </button>
+                    {isLlmSettingsOpen && (
+                        <LlmSettingsPanel
+                            onClose={(saved) => {
+                                if (saved) setLlmSummary(describeLlmSettings(saved));
+                                setIsLlmSettingsOpen(false);
+                            }}
+                        />
+                    )}
+                </div>
+
+                {/* User Info (MANDATORY for multi-user apps) */}
+                <div className="mt-auto pt-4 border-t border-gray-200">
+                    <button
+                        onClick={() => { setActiveView('ACCOUNT'); setIsMobileMenuOpen(false); }}
+                        className={`w-full text-left p-2 mb-2 rounded-lg ${activeView === 'ACCOUNT' ? 'bg-indigo-100' : 'hover:bg-indigo-50'}`}
+                        title="Account and profile"
+                    >
+                        <p className="text-sm font-semibold text-gray-800 truncate">
+                            {profile?.displayName || 'Your profile'}
+                            {profile?.role && <span className="ml-2 text-xs font-medium text-indigo-600">{USER_ROLES[profile.role]}</span>}
+                        </p>
+                        <p className="text-xs text-gray-500 truncate">
+                            {!account ? 'Saved on this device' : account.isAnonymous ? 'Guest · create an account to keep your history' : account.email}
+                        </p>
+                    </button>
+                    <p className="text-xs font-semibold text-gray-600 mb-1">Authenticated User ID:</p>
+                    <div className="text-xs text-gray-500 font-mono break-all p-2 bg-gray-100 rounded-lg">
+                        {userId || 'Authenticating...'}
+                    </div>
+                </div>
+            </div>
+            {/* Overlay for mobile menu */}
+            {isMobileMenuOpen && <div className="fixed inset-0 bg-black bg-opacity-30 z-10 md:hidden" onClick={() => setIsMobileMenuOpen(false)}></div>}
+        </div>
+    );
+};
+
+// Scores can be fractional once written answers earn partial credit
+const formatScore = (value) => String(Math.round(value * 100) / 100);
+
+// Seconds as a countdown-style "m:ss" (or "h:mm:ss" for long papers)
+const formatClock = (totalSeconds) => {
+    const seconds = Math.max(0, Math.round(totalSeconds));
+    const hours = Math.floor(seconds / 3600);
+    const minutes = Math.floor((seconds % 3600) / 60);
+    const rest = String(seconds % 60).padStart(2, '0');
+    return hours > 0 ? `${hours}:${String(minutes).padStart(2, '0')}:${rest}` : `${minutes}:${rest}`;
+};
+
+// Snapshot of a question as it was answered and marked, saved with the attempt for review and retakes.
+// Optional fields are left out rather than set to undefined, which Firestore rejects.
+const toAttemptQuestion = (q, answer, result) => {
+    const entry = {
+        type: q.type,
+        question: q.question,
+        explanation: q.explanation || '',
+        section: q.section || '',
+        sectionTitle: q.sectionTitle || '',
+        answer: answer || '',
+        score: Math.round(result.score * 100) / 100,
+        correct: result.score >= 1
+    };
+    if (q.page) entry.page = q.page;
+    if (q.type === 'mcq') {
+        entry.options = q.options;
+        entry.correctAnswer = q.correctAnswer;
+    } else {
+        entry.modelAnswer = q.modelAnswer || '';
+        entry.rubric = (q.rubric || []).map(item => ({ point: item.point, marks: item.marks }));
+        entry.grade = {
+            points: result.points.map(p => ({ point: p.point, marks: p.marks, awarded: p.awarded, feedback: p.feedback || '' })),
+            awardedMarks: result.awardedMarks,
+            totalMarks: result.totalMarks,
+            score: result.score,
+            missing: result.missing,
+            feedback: result.feedback || '',
+            gradedBy: result.gradedBy || ''
+        };
+    }
+    return entry;
+};
+
+// The question itself from a saved attempt question, without how it was answered and marked
+const ATTEMPT_RESULT_FIELDS = ['answer', 'score', 'correct', 'grade'];
+const withoutAttemptResult = (q) => {
+    const question = { ...q };
+    ATTEMPT_RESULT_FIELDS.forEach(field => delete question[field]);
+    return question;
+};
+
+// Per-question result used by the dashboard's mastery and timing views. Imported questions have no
+// section, so the fields default to '' like everywhere else.
+const toQuestionScore = (q, result, timeSeconds) => ({
+    questionId: q.id,
+    type: q.type,
+    section: q.section || '',
+    sectionTitle: q.sectionTitle || '',
+    score: Math.round(result.score * 100) / 100,
+    ...(timeSeconds !== undefined ? { timeSeconds } : {})
+});
+
+const RubricFeedback = ({ grade, modelAnswer }) => (
+    <div className="mt-4 p-3 rounded-lg bg-indigo-50 border border-indigo-200">
+        <p className="text-sm font-semibold text-indigo-800">
+            Marks: {formatScore(grade.awardedMarks)} / {formatScore(grade.totalMarks)}
+            {grade.gradedBy === 'estimate' && <span className="ml-2 text-xs font-normal text-gray-500">(estimated offline; AI grading was unavailable)</span>}
+        </p>
+        <ul className="mt-2 space-y-1">
+            {grade.points.map((p, i) => (
+                <li key={i} className="text-xs text-gray-700 flex items-start">
+                    <span className={`font-bold mr-2 flex-shrink-0 ${p.awarded === p.marks ? 'text-green-600' : p.awarded > 0 ? 'text-yellow-600' : 'text-red-500'}`}>
+                        {formatScore(p.awarded)}/{formatScore(p.marks)}
+                    </span>
+                    <span>
+                        {p.point}
+                        {p.feedback && <span className="block text-gray-500">{p.feedback}</span>}
+                    </span>
+                </li>
+            ))}
+        </ul>
+        {grade.missing.length > 0 && (
+            <div className="mt-2 text-xs text-red-700">
+                <p className="font-semibold">What was missing:</p>
+                <ul className="list-disc ml-5">
+                    {grade.missing.map((point, i) => <li key={i}>{point}</li>)}
+                </ul>
+            </div>
+        )}
+        {grade.feedback && <p className="mt-2 text-xs text-gray-700">{grade.feedback}</p>}
+        {modelAnswer && (
+            <p className="mt-2 text-xs text-gray-600"><span className="font-semibold">Model answer:</span> {modelAnswer}</p>
+        )}
+    </div>
+);
+
+const QuizResultModal = ({ score, total, onClose, explanation, quizType, sectionBreakdown = [], timing = null }) => (
+    <div className="fixed inset-0 bg-black bg-opacity-60 flex items-center justify-center p-4 z-50">
+        <div className="bg-white rounded-xl shadow-2xl p-6 w-full max-w-lg max-h-[90vh] overflow-y-auto transform transition-all">
+            <h2 className="text-3xl font-bold text-indigo-700 mb-4 flex items-center">
+                <SparklesIcon className="w-7 h-7 mr-2 text-yellow-500"/>
+                Quiz Submitted!
+            </h2>
+            <p className="text-lg font-semibold text-gray-700 mb-4">
+                You scored: <span className="text-4xl text-green-600 font-extrabold">{formatScore(score)} / {total}</span>
+            </p>
+            {timing && (
+                <p className="text-sm text-gray-600 mb-4 flex items-center">
+                    <ClockIcon className="w-4 h-4 mr-1 text-indigo-500" />
+                    Time used: {formatClock(timing.timeUsedSeconds)} of {formatClock(timing.timeLimitSeconds)}
+                    {timing.autoSubmitted && <span className="ml-2 text-xs font-semibold text-red-600">Time ran out</span>}
+                </p>
+            )}
+
+            {sectionBreakdown.length > 1 && (
+                <div className="mt-4">
+                    <h3 className="font-bold text-lg text-gray-800 mb-2">Results by Topic</h3>
+                    <div className="space-y-2">
+                        {sectionBreakdown.map(entry => {
+                            const percent = entry.total > 0 ? Math.round((entry.score / entry.total) * 100) : 0;
+                            return (
+                                <div key={entry.section || entry.title}>
+                                    <div className="flex justify-between text-sm text-gray-700">
+                                        <span className="truncate mr-2">{entry.title}</span>
+                                        <span className="font-semibold flex-shrink-0">{formatScore(entry.score)} / {entry.total}</span>
+                                    </div>
+                                    <div className="h-2 bg-gray-200 rounded-full overflow-hidden">
+                                        <div className={`h-2 ${percent >= 70 ? 'bg-green-500' : percent >= 40 ? 'bg-yellow-500' : 'bg-red-500'}`} style={{ width: `${percent}%` }}></div>
+                                    </div>
+                                </div>
+                            );
+                        })}
+                    </div>
+                </div>
+            )}
+
+            <div className="mt-6 p-4 bg-indigo-50 border-l-4 border-indigo-500 rounded-lg">
+                <h3 className="font-bold text-lg text-indigo-800 mb-2">Detailed Feedback & Explanations</h3>
+                <pre className="text-gray-700 whitespace-pre-wrap text-sm max-h-60 overflow-y-auto">{explanation}</pre>
+            </div>
+
+            <button
+                onClick={onClose}
+                className="mt-6 w-full bg-indigo-600 text-white py-3 rounded-xl font-semibold hover:bg-indigo-700 transition duration-150 shadow-md"
+            >
+                Continue Revision
+            </button>
+        </div>
+    </div>
+);
+
+const EXPORT_FORMATS = [
+    { value: 'pdf', label: 'Print / Save as PDF' },
+    { value: 'docx', label: 'Word document (.docx)' },
+    { value: 'md', label: 'Markdown (.md)' }
+];
+
+// Export button offering each format as a student worksheet or an answer key, plus the question bank formats
+const QuizExportMenu = ({ quiz }) => {
+    const [isOpen, setIsOpen] = useState(false);
+    const [error, setError] = useState('');
+
+    const handleBankExport = (format) => {
+        setIsOpen(false);
+        setError('');
+        const { text, skipped } = exportQuestionBank(quiz, format);
+        const details = QUESTION_BANK_FORMATS[format];
+        downloadBlob(new Blob([text], { type: details.mimeType }), exportFileName(quiz, 'bank', details.extension));
+        if (skipped > 0) setError(`${skipped} written question${skipped === 1 ? ' was' : 's were'} left out; Aiken only holds MCQs.`);
+    };
+
+    const handleExport = (variant, format) => {
+        setIsOpen(false);
+        setError('');
+        try {
+            if (format === 'pdf') {
+                if (!printQuiz(quiz, variant)) setError('Allow pop-ups for this site to print the quiz.');
+            } else if (format === 'docx') {
+                downloadBlob(quizToDocx(quiz, variant), exportFileName(quiz, variant, 'docx'));
+            } else {
+                downloadBlob(new Blob([quizToMarkdown(quiz, variant)], { type: 'text/markdown' }), exportFileName(quiz, variant, 'md'));
+            }
+        } catch (e) {
+            console.error("Error exporting quiz: ", e);
+            setError("The quiz couldn't be exported.");
+        }
+    };
+
+    return (
+        <div className="relative flex-shrink-0">
+            <button
+                onClick={() => setIsOpen(!isOpen)}
+                className="flex items-center px-4 py-2 rounded-lg text-sm font-semibold bg-white text-indigo-700 border border-indigo-300 hover:bg-indigo-50 transition duration-150"
+            >
+                <DownloadIcon className="w-4 h-4 mr-2" /> Export
+                <ChevronDownIcon className={`w-4 h-4 ml-1 transition-transform ${isOpen ? 'rotate-180' : 'rotate-0'}`} />
+            </button>
+            {isOpen && (
+                <div className="absolute right-0 mt-2 w-60 bg-white rounded-xl shadow-xl border border-gray-200 z-20 p-2">
+                    {Object.entries(EXPORT_VARIANTS).map(([variant, label]) => (
+                        <div key={variant} className="py-1">
+                            <p className="px-3 py-1 text-xs font-semibold text-gray-500 uppercase tracking-wider">{label}</p>
+                            {EXPORT_FORMATS.map(format => (
+                                <button
+                                    key={format.value}
+                                    onClick={() => handleExport(variant, format.value)}
+                                    className="w-full text-left px-3 py-2 text-sm text-gray-700 rounded-lg hover:bg-indigo-50"
+                                >
+                                    {format.label}
+                                </button>
+                            ))}
+                        </div>
+                    ))}
+                    <div className="py-1 border-t border-gray-100">
+                        <p className="px-3 py-1 text-xs font-semibold text-gray-500 uppercase tracking-wider">Question Bank</p>
+                        {Object.entries(QUESTION_BANK_FORMATS).map(([format, details]) => (
+                            <button
+                                key={format}
+                                onClick={() => handleBankExport(format)}
+                                className="w-full text-left px-3 py-2 text-sm text-gray-700 rounded-lg hover:bg-indigo-50"
+                            >
+                                {details.name} (.{details.extension})
+                            </button>
+                        ))}
+                    </div>
+                </div>
+            )}
+            {error && <p className="mt-1 text-xs text-red-600">{error}</p>}
+        </div>
+    );
+};
+
+// Read-only replay of a saved attempt from the dashboard history, with the two retake options
+const AttemptReview = ({ attempt, onClose, onRetake }) => {
+    const wrongCount = attempt.questions.filter(q => !q.correct).length;
+    return (
+        <div className="fixed inset-0 bg-black bg-opacity-60 flex items-center justify-center p-4 z-50">
+            <div className="bg-white rounded-xl shadow-2xl p-6 w-full max-w-3xl max-h-[90vh] flex flex-col">
+                <div className="flex items-start justify-between gap-4 mb-4">
+                    <div className="min-w-0">
+                        <h2 className="text-2xl font-bold text-indigo-700 truncate">{attempt.quizTitle}</h2>
+                        <p className="text-sm text-gray-500">
+                            {new Date(attempt.timestamp).toLocaleString()} · {attempt.type.toUpperCase()}
+                            {attempt.coursebookName && ` · ${attempt.coursebookName}`}
+                            {attempt.exam && ` · ${formatClock(attempt.exam.timeUsedSeconds)} of ${formatClock(attempt.exam.timeLimitSeconds)}`}
+                        </p>
+                        <p className="text-lg font-semibold text-gray-700 mt-1">
+                            Score: <span className={attempt.score > attempt.total / 2 ? 'text-green-600' : 'text-red-500'}>{formatScore(attempt.score)} / {attempt.total}</span>
+                        </p>
+                    </div>
+                    <div className="flex items-start gap-2">
+                        <QuizExportMenu quiz={attempt} />
+                        <button onClick={onClose} className="p-1 text-gray-400 hover:text-gray-600" aria-label="Close review">
+                            <XIcon className="w-6 h-6" />
+                        </button>
+                    </div>
+                </div>
+
+                <div className="flex-grow overflow-y-auto space-y-4 pr-1">
+                    {attempt.questions.map((q, index) => (
+                        <div key={index} className={`p-4 rounded-xl border ${q.correct ? 'border-green-200 bg-green-50' : 'border-red-200 bg-red-50'}`}>
+                            <div className="flex flex-wrap items-center gap-2 mb-2">
+                                <span className="text-xs font-bold text-gray-500">{index + 1}. {q.type.toUpperCase()}</span>
+                                {q.sectionTitle && (
+                                    <span className="px-2 py-0.5 text-xs font-semibold text-indigo-700 bg-indigo-50 border border-indigo-200 rounded-full">{q.sectionTitle}</span>
+                                )}
+                                <span className={`ml-auto text-xs font-bold ${q.correct ? 'text-green-700' : q.score > 0 ? 'text-yellow-700' : 'text-red-600'}`}>
+                                    {q.correct ? 'Correct' : q.score > 0 ? `Partly correct (${formatScore(q.score * 100)}%)` : 'Incorrect'}
+                                </span>
+                            </div>
+                            <p className="font-semibold text-gray-800 mb-3">{q.question}</p>
+
+                            {q.type === 'mcq' ? (
+                                <div className="space-y-1">
+                                    {q.options.map((option, idx) => (
+                                        <div
+                                            key={idx}
+                                            className={`p-2 rounded-lg text-sm ${
+                                                option === q.correctAnswer
+                                                    ? 'bg-green-100 text-green-800 font-semibold'
+                                                    : option === q.answer ? 'bg-red-100 text-red-700 line-through' : 'bg-gray-50 text-gray-700'
+                                            }`}
+                                        >
+                                            {option}
+                                            {option === q.answer && <span className="ml-2 text-xs font-normal no-underline">(your answer)</span>}
+                                        </div>
+                                    ))}
+                                    {!q.answer && <p className="text-xs text-red-600">Not answered.</p>}
+                                </div>
+                            ) : (
+                                <>
+                                    <p className="text-sm text-gray-700 whitespace-pre-wrap p-3 bg-white rounded-lg border border-gray-200">
+                                        {q.answer || <span className="text-red-600">Not answered.</span>}
+                                    </p>
+                                    {q.grade && <RubricFeedback grade={q.grade} modelAnswer={q.modelAnswer} />}
+                                </>
+                            )}
+
+                            {q.explanation && (
+                                <p className="mt-3 text-xs text-gray-700">
+                                    <span className="font-semibold text-green-800">Explanation:</span> {q.explanation}
+                                    {q.page && <span className="text-gray-500"> (p. {q.page})</span>}
+                                </p>
+                            )}
+                        </div>
+                    ))}
+                </div>
+
+                <div className="flex flex-col sm:flex-row gap-3 mt-4 pt-4 border-t">
+                    <button
+                        onClick={() => onRetake(attempt, false)}
+                        className="flex-1 flex items-center justify-center px-4 py-3 rounded-xl font-semibold bg-indigo-600 text-white hover:bg-indigo-700 transition duration-150"
+                    >
+                        <RepeatIcon className="w-4 h-4 mr-2" /> Retake this exact quiz
+                    </button>
+                    <button
+                        onClick={() => onRetake(attempt, true)}
+                        disabled={wrongCount === 0}
+                        className="flex-1 flex items-center justify-center px-4 py-3 rounded-xl font-semibold bg-white text-indigo-700 border border-indigo-300 hover:bg-indigo-50 disabled:text-gray-400 disabled:border-gray-200 disabled:bg-white transition duration-150"
+                    >
+                        <ZapIcon className="w-4 h-4 mr-2" />
+                        {wrongCount === 0 ? 'No wrong answers to retake' : `Retake only the ${wrongCount} I got wrong`}
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+// Default question counts for each quiz type; "mixed" mirrors a board exam section
+const QUIZ_PRESETS = {
+    mcq: { mcq: 3, saq: 0, laq: 0 },
+    saq: { mcq: 0, saq: 3, laq: 0 },
+    laq: { mcq: 0, saq: 0, laq: 2 },
+    mixed: { mcq: 5, saq: 2, laq: 1 },
+};
+const MAX_QUESTIONS_PER_TYPE = { mcq: 20, saq: 10, laq: 5 };
+// Board-exam pace per question, used to suggest an exam time limit and to judge speed on the dashboard
+const EXAM_PACE_SECONDS = { mcq: 72, saq: 180, laq: 420 };
+const MAX_EXAM_MINUTES = 180;
+
+const suggestExamMinutes = (counts) => Math.max(1, Math.ceil(QUESTION_TYPE_ORDER.reduce((sum, type) => sum + (counts[type] || 0) * EXAM_PACE_SECONDS[type], 0) / 60));
+
+const QuizGenerator = ({ db, userId, pdfText, pdfPages, pdfLoading, pdfProgress, pdfError, saveProgress, saveReviewResults, coursebook, onOpenPage, practiceRequest, onPracticeStarted, retakeRequest, onRetakeStarted, assignmentRequest, onAssignmentStarted, onSubmitAssignment, onRecordAssignmentScores, teacherClasses = [], onAssignQuiz }) => {
+    const [quizData, setQuizData] = useState(null);
+    const [currentAnswers, setCurrentAnswers] = useState({});
+    const [quizLoading, setQuizLoading] = useState(false);
+    const [quizType, setQuizType] = useState('mcq');
+    const [questionCounts, setQuestionCounts] = useState(QUIZ_PRESETS.mcq);
+    const [difficulty, setDifficulty] = useState('hard');
+    const [isSubmitted, setIsSubmitted] = useState(false);
+    const [score, setScore] = useState(0);
+    const [explanation, setExplanation] = useState('');
+    const [isGrading, setIsGrading] = useState(false);
+    // Per-question outcome after submission: { score } for MCQs, the rubric grade for SAQ/LAQ
+    const [results, setResults] = useState({});
+    const [sectionBreakdown, setSectionBreakdown] = useState([]);
+    const [selectedSectionIds, setSelectedSectionIds] = useState([]);
+    const [isScopeOpen, setIsScopeOpen] = useState(false);
+    // { message, problems } from the last failed generation, shown inline above the quiz area
+    const [generationError, setGenerationError] = useState(null);
+    // { fileName, format, count, errors } from the last question bank import
+    const [importReport, setImportReport] = useState(null);
+    const [examMode, setExamMode] = useState(false);
+    // Teachers: the "assign to class" form and the outcome of the last assignment
+    const [assignForm, setAssignForm] = useState(null);
+    const [assignNotice, setAssignNotice] = useState(null);
+    // Shown after an assignment whose answers are still waiting to be sent
+    const [submitNotice, setSubmitNotice] = useState(null);
+    // null follows the suggested limit for the current question counts
+    const [examMinutes, setExamMinutes] = useState(null);
+    const [examEndsAt, setExamEndsAt] = useState(null);
+    const [timeLeft, setTimeLeft] = useState(0);
+    const [currentIndex, setCurrentIndex] = useState(0);
+    const [flaggedIds, setFlaggedIds] = useState([]);
+    // Seconds spent on each question and the time summary of the submitted exam
+    const [questionTimes, setQuestionTimes] = useState({});
+    const [examTiming, setExamTiming] = useState(null);
+    // Milliseconds per question id, and which question's clock is running since when
+    const examTimesRef = useRef({});
+    const examClockRef = useRef(null);
+
+    const isQuizReady = !pdfLoading && pdfText && pdfText.length > 50;
+    const hasQuiz = quizData?.questions?.length > 0;
+    const isExamRunning = hasQuiz && !!examEndsAt && !isSubmitted;
+    const isAnswerKeyPending = hasQuiz && !!quizData.config?.assignment && !isSubmitted;
+
+    const tableOfContents = useMemo(() => buildTableOfContents(pdfText, pdfPages), [pdfText, pdfPages]);
+    const coursebookIndex = useMemo(() => buildCoursebookIndex(pdfText, pdfPages), [pdfText, pdfPages]);
+    const selectedSections = tableOfContents.filter(section => selectedSectionIds.includes(section.id));
+
+    // A new coursebook starts with every section in scope
+    useEffect(() => {
+        setSelectedSectionIds(tableOfContents.map(section => section.id));
+    }, [tableOfContents]);
+
+    // Tags a generated question with a section from the quiz scope: the model's own label when it is
+    // valid, otherwise the section of the coursebook chunk that best matches the question.
+    const assignSection = (q, scope) => {
+        const label = String(q.section || '').replace(/^§/, '').trim();
+        let section = scope.find(s => s.label && s.label === label);
+        if (!section) {
+            const scopeLabels = scope.map(s => s.label);
+            const match = searchCoursebook(coursebookIndex, q.question, 10).find(r => scopeLabels.includes(r.chunk.section));
+            section = match ? scope.find(s => s.label === match.chunk.section) : scope[0];
+        }
+        return { section: section?.label || '', sectionTitle: section ? formatSectionLabel(section) : '' };
+    };
+
+    // Shows a ready quiz (generated or retaken) and starts the exam clock when it is timed
+    const startQuiz = (quiz) => {
+        setQuizData(quiz);
+        setCurrentAnswers({});
+        if (quiz.config.exam) {
+            examTimesRef.current = {};
+            examClockRef.current = { questionId: quiz.questions[0].id, startedAt: Date.now() };
+            setCurrentIndex(0);
+            setTimeLeft(quiz.config.exam.minutes * 60);
+            setExamEndsAt(Date.now() + quiz.config.exam.minutes * 60 * 1000);
+        }
+    };
+
+    const resetAttempt = () => {
+        setQuizData(null);
+        setIsSubmitted(false);
+        setScore(0);
+        setExplanation('');
+        setResults({});
+        setSectionBreakdown([]);
+        setGenerationError(null);
+        setExamEndsAt(null);
+        setExamTiming(null);
+        setQuestionTimes({});
+        setFlaggedIds([]);
+        setAssignForm(null);
+        setAssignNotice(null);
+        setSubmitNotice(null);
+    };
+
+    // Plays saved questions (an imported bank, a retake or an assignment) as a new attempt. They go through
+    // the quiz validator again so an old or damaged record can't break the view. A first attempt at an
+    // assignment has no answer key until it is submitted, so its questions are played as assigned.
+    const startFixedQuiz = (quizTitle, savedQuestions, config) => {
+        const questions = (config.assignment
+            ? savedQuestions.filter(q => q?.question)
+            : savedQuestions.map(q => validateQuizQuestion(withoutAttemptResult(q)).question).filter(Boolean))
+            .map(q => ({ ...q, id: crypto.randomUUID() }));
+        resetAttempt();
+        if (questions.length === 0) {
+            setGenerationError({ message: "This quiz has no questions that can be played.", problems: [] });
+            return;
+        }
+
+        const counts = {};
+        QUESTION_TYPE_ORDER.forEach(type => { counts[type] = questions.filter(q => q.type === type).length; });
+        const types = QUESTION_TYPE_ORDER.filter(type => counts[type] > 0);
+        startQuiz({
+            quizTitle,
+            questions,
+            warnings: [],
+            config: { quizType: types.length === 1 ? types[0] : 'mixed', difficulty: 'mixed', sections: [], exam: null, ...config, counts }
+        });
+    };
+
+    // Plays a question bank file as a quiz; problems are listed by line and the valid questions still load
+    const handleImport = async (event) => {
+        const file = event.target.files?.[0];
+        event.target.value = null; // Allow importing the same file again after fixing it
+        if (!file) return;
+
+        let bank;
+        try {
+            bank = parseQuestionBank(file.name, await file.text());
+        } catch (e) {
+            console.error("Error importing question bank: ", e);
+            bank = { format: null, questions: [], errors: [{ line: null, message: "The file couldn't be read." }] };
+        }
+        setImportReport({ fileName: file.name, format: bank.format, count: bank.questions.length, errors: bank.errors });
+        if (bank.questions.length === 0) return;
+
+        const questions = [...bank.questions].sort((a, b) => QUESTION_TYPE_ORDER.indexOf(a.type) - QUESTION_TYPE_ORDER.indexOf(b.type));
+        const pacedMinutes = Math.max(1, Math.ceil(questions.reduce((sum, q) => sum + EXAM_PACE_SECONDS[q.type], 0) / 60));
+        startFixedQuiz(bank.quizTitle, questions, { exam: examMode ? { minutes: examMinutes ?? pacedMinutes } : null });
+    };
+
+    const openAssignForm = () => {
+        setAssignNotice(null);
+        if (quizData.questions.length > MAX_ASSIGNMENT_QUESTIONS) {
+            setAssignNotice({ ok: false, text: `An assignment can have at most ${MAX_ASSIGNMENT_QUESTIONS} questions; this quiz has ${quizData.questions.length}.` });
+            return;
+        }
+        setAssignForm({ classId: teacherClasses[0].id, dueDate: localDayKey(addDays(new Date(), 7)), timeLimit: '' });
+    };
+
+    const handleAssign = async (e) => {
+        e.preventDefault();
+        const classroom = teacherClasses.find(c => c.id === assignForm.classId);
+        if (!classroom || !assignForm.dueDate) return;
+        const dueAt = new Date(`${assignForm.dueDate}T23:59:59`).getTime();
+        const timeLimitMinutes = Math.min(Math.max(parseInt(assignForm.timeLimit, 10) || 0, 0), MAX_EXAM_MINUTES);
+        const assigned = await onAssignQuiz(classroom, { quizTitle: quizData.quizTitle, questions: quizData.questions, coursebookName: coursebook?.name || '' }, { dueAt, timeLimitMinutes });
+        setAssignForm(null);
+        setAssignNotice(assigned
+            ? { ok: true, text: `Assigned to ${classroom.name}, due ${new Date(dueAt).toLocaleDateString()}.` }
+            : { ok: false, text: "The quiz couldn't be assigned. Check your connection and try again." });
+    };
+
+    // scopeOverride lets a practice request generate before the scope picker state has caught up
+    // `overrides` replace the form's settings, for requests that start a quiz before the form has caught up
+    const handleGenerate = async (scopeOverride, overrides = {}) => {
+        if (!isQuizReady) {
+            console.warn("PDF text is not available or too short.");
+            return;
+        }
+
+        setQuizLoading(true);
+        resetAttempt();
+        setImportReport(null);
+
+        try {
+            const scope = scopeOverride || (selectedSections.length > 0 ? selectedSections : tableOfContents);
+            const config = { quizType, counts: questionCounts, difficulty, sections: scope, exam: examMode ? { minutes: examLimitMinutes } : null, ...overrides };
+            const result = await fetchQuiz(pdfText, config, pdfPages);
+            const questionsWithIds = result.questions.map(q => ({
+                ...q,
+                ...assignSection(q, scope),
+                id: crypto.randomUUID(),
+                userAnswer: q.type === 'mcq' ? '' : ''
+            }));
+            // Board-exam order: all MCQs, then SAQs, then LAQs
+            questionsWithIds.sort((a, b) => QUESTION_TYPE_ORDER.indexOf(a.type) - QUESTION_TYPE_ORDER.indexOf(b.type));
+            // The settings travel with the quiz so later control changes don't relabel this attempt
+            startQuiz({ ...result, questions: questionsWithIds, config });
+        } catch (e) {
+            console.error("Quiz generation failed:", e);
+            setGenerationError({ message: e.message || "Quiz generation failed.", problems: e.problems || [] });
+        } finally {
+            setQuizLoading(false);
+        }
+    };
+
+    const handleAnswerChange = (questionId, value) => {
+        if (isSubmitted || isGrading) return;
+        setCurrentAnswers(prev => ({ ...prev, [questionId]: value }));
+    };
+
+    // Books the time on the question being left and starts the clock on the next one (none when submitting)
+    const switchQuestionClock = (nextQuestionId) => {
+        const clock = examClockRef.current;
+        if (clock) {
+            examTimesRef.current[clock.questionId] = (examTimesRef.current[clock.questionId] || 0) + Date.now() - clock.startedAt;
+        }
+        examClockRef.current = nextQuestionId ? { questionId: nextQuestionId, startedAt: Date.now() } : null;
+    };
+
+    const goToQuestion = (index) => {
+        if (!isExamRunning || index < 0 || index >= quizData.questions.length) return;
+        switchQuestionClock(quizData.questions[index].id);
+        setCurrentIndex(index);
+    };
+
+    const toggleFlag = (questionId) => {
+        setFlaggedIds(prev => prev.includes(questionId) ? prev.filter(id => id !== questionId) : [...prev, questionId]);
+    };
+
+    const isAnswered = (questionId) => String(currentAnswers[questionId] || '').trim() !== '';
+
+    // Countdown for exam mode, derived from the end time so a throttled background tab stays accurate
+    useEffect(() => {
+        if (!examEndsAt) return;
+        const tick = () => setTimeLeft(Math.max(0, Math.ceil((examEndsAt - Date.now()) / 1000)));
+        tick();
+        const timer = setInterval(tick, 1000);
+        return () => clearInterval(timer);
+    }, [examEndsAt]);
+
+    // Time's up: hand in whatever has been answered
+    useEffect(() => {
+        if (isExamRunning && timeLeft === 0) handleSubmit(true);
+    }, [timeLeft, isExamRunning]);
+
+    const handleExamSubmit = () => {
+        const unanswered = quizData.questions.filter(q => !isAnswered(q.id)).length;
+        const pending = [
+            unanswered > 0 ? `${unanswered} unanswered question${unanswered === 1 ? '' : 's'}` : '',
+            flaggedIds.length > 0 ? `${flaggedIds.length} question${flaggedIds.length === 1 ? '' : 's'} flagged for review` : ''
+        ].filter(Boolean).join(' and ');
+        if (pending && !window.confirm(`You still have ${pending}. Submit the exam anyway?`)) return;
+        handleSubmit();
+    };
+
+    const handleSubmit = async (autoSubmitted = false) => {
+        if (!hasQuiz || isGrading) return;
+        setIsGrading(true);
+
+        const { exam, assignment } = quizData.config;
+        const timeLimitSeconds = exam ? exam.minutes * 60 : 0;
+        const timeUsedSeconds = exam ? Math.min(timeLimitSeconds, Math.round(timeLimitSeconds - Math.max(0, (examEndsAt - Date.now()) / 1000))) : null;
+
+        // An assignment's answers go to the teacher first; the answer key can only be read once they have.
+        // When they can't be sent now they are queued, and the attempt ends without marks.
+        let questions = quizData.questions;
+        if (assignment) {
+            const answerKey = await onSubmitAssignment(assignment, { answers: questions.map(q => currentAnswers[q.id] || ''), timeUsedSeconds });
+            if (!answerKey) {
+                resetAttempt();
+                setSubmitNotice("Your answers are saved on this device and will be sent to your teacher as soon as you're back online. Classes shows when they have arrived.");
+                setIsGrading(false);
+                return;
+            }
+            questions = mergeAnswerKey(questions, answerKey);
+            setQuizData({ ...quizData, questions });
+        }
+
+        let timing = null;
+        const secondsPerQuestion = {};
+        if (exam) {
+            switchQuestionClock(null);
+            timing = {
+                timeLimitSeconds,
+                timeUsedSeconds,
+                autoSubmitted,
+                flaggedCount: flaggedIds.length
+            };
+            questions.forEach(q => {
+                secondsPerQuestion[q.id] = Math.round((examTimesRef.current[q.id] || 0) / 1000);
+            });
+            setExamEndsAt(null);
+            setExamTiming(timing);
+            setQuestionTimes(secondsPerQuestion);
+        }
+
+        const grades = await gradeWrittenAnswers(
+            questions
+                .filter(q => q.type !== 'mcq')
+                .map(q => ({ ...q, answer: currentAnswers[q.id] || '' }))
+        );
+
+        let totalScore = 0;
+        const totalQuestions = questions.length;
+        const questionResults = {};
+        const { config } = quizData;
+        let feedbackExplanation = `Quiz: ${quizData.quizTitle} (${config.quizType.toUpperCase()}, ${config.difficulty})\n\n`;
+
+        questions.forEach((q, index) => {
+            const userAnswer = currentAnswers[q.id];
+            feedbackExplanation += `${index + 1}. ${q.question}\n`;
+
+            let questionScore;
+            if (q.type === 'mcq') {
+                questionScore = userAnswer === q.correctAnswer ? 1 : 0;
+                questionResults[q.id] = { score: questionScore };
+                feedbackExplanation += `   Your Choice: ${userAnswer || 'No Answer'}\n`;
+                feedbackExplanation += `   Correct Choice: ${q.correctAnswer}\n`;
+                feedbackExplanation += `   Status: ${questionScore === 1 ? 'CORRECT' : 'INCORRECT'}\n`;
+            } else {
+                const grade = grades[q.id];
+                questionScore = grade.score;
+                questionResults[q.id] = grade;
+                feedbackExplanation += `   Your Answer: ${userAnswer ? userAnswer.substring(0, 50) + '...' : 'No Answer'}\n`;
+                feedbackExplanation += `   Marks: ${formatScore(grade.awardedMarks)} / ${formatScore(grade.totalMarks)}${grade.gradedBy === 'estimate' ? ' (estimated offline)' : ''}\n`;
+                grade.points.forEach(p => {
+                    feedbackExplanation += `   - [${formatScore(p.awarded)}/${formatScore(p.marks)}] ${p.point}${p.feedback ? ` — ${p.feedback}` : ''}\n`;
+                });
+                if (grade.missing.length > 0) {
+                    feedbackExplanation += `   Missing: ${grade.missing.join('; ')}\n`;
+                }
+                if (grade.feedback) feedbackExplanation += `   Feedback: ${grade.feedback}\n`;
+            }
+
+            totalScore += questionScore;
+            feedbackExplanation += `   Explanation: ${q.explanation}\n\n`;
+        });
+
+        // Partial credit makes the score fractional; keep two decimals
+        const roundedScore = Math.round(totalScore * 100) / 100;
+
+        // Per-topic breakdown, in the order sections appear in the quiz
+        const breakdown = [];
+        questions.forEach(q => {
+            let entry = breakdown.find(b => b.section === q.section);
+            if (!entry) {
+                entry = { section: q.section, title: q.sectionTitle || 'General', score: 0, total: 0 };
+                breakdown.push(entry);
+            }
+            entry.score += questionResults[q.id].score;
+            entry.total += 1;
+        });
+
+        setResults(questionResults);
+        setSectionBreakdown(breakdown);
+        setScore(roundedScore);
+        setExplanation(feedbackExplanation);
+        setIsGrading(false);
+        setIsSubmitted(true);
+
+        // Save progress to Firestore
+        const attempt = {
+            type: config.quizType,
+            difficulty: config.difficulty,
+            questionCounts: config.counts,
+            // Retakes have no scope of their own; they cover the sections of the questions they replay
+            sections: config.sections.length > 0
+                ? config.sections.map(section => formatSectionLabel(section))
+                : [...new Set(questions.map(q => q.sectionTitle).filter(Boolean))],
+            score: roundedScore,
+            total: totalQuestions,
+            timestamp: Date.now(),
+            quizTitle: quizData.quizTitle,
+            coursebookId: getCoursebookId(coursebook),
+            coursebookName: coursebook?.name || '',
+            // Only timed attempts carry timings; Firestore rejects undefined fields
+            ...(timing ? { exam: timing } : {}),
+            ...(config.retakeOf ? { retakeOf: config.retakeOf } : {}),
+            questions: questions.map(q => toAttemptQuestion(q, currentAnswers[q.id], questionResults[q.id])),
+            questionScores: questions.map(q => toQuestionScore(q, questionResults[q.id], timing ? secondsPerQuestion[q.id] : undefined)),
+            ...(config.assignment ? { classId: config.assignment.classId, assignmentId: config.assignment.assignmentId } : {})
+        };
+        saveProgress(attempt);
+        if (assignment) onRecordAssignmentScores(assignment, questions.map(q => questionResults[q.id].score));
+
+        // Every question goes into the review queue with its result; missed ones come back first
+        saveReviewResults(questions.map(q => ({
+            question: q,
+            score: questionResults[q.id].score,
+            coursebookId: getCoursebookId(coursebook),
+            coursebookName: coursebook?.name || '',
+            quizTitle: quizData.quizTitle
+        })), 'quiz');
+    };
+
+    // Auto-generate on load if data is ready, unless a practice, retake or assignment request is about to supply the quiz
+    useEffect(() => {
+        if (isQuizReady && !hasQuiz && !practiceRequest && !retakeRequest && !assignmentRequest) {
+            handleGenerate();
+        }
+    }, [isQuizReady]);
+
+    // "Retake" from an attempt review: replay the saved questions, all of them or only the missed ones
+    useEffect(() => {
+        if (!retakeRequest) return;
+        const { attempt, onlyWrong } = retakeRequest;
+        onRetakeStarted();
+
+        const questions = attempt.questions.filter(q => !onlyWrong || !q.correct);
+        // A timed attempt is retaken against the same clock, scaled down when only part of it is replayed
+        const exam = attempt.exam
+            ? { minutes: Math.max(1, Math.round((attempt.exam.timeLimitSeconds / 60) * questions.length / attempt.questions.length)) }
+            : null;
+        startFixedQuiz(onlyWrong ? `${attempt.quizTitle} (missed questions)` : attempt.quizTitle, questions, {
+            quizType: attempt.type,
+            difficulty: attempt.difficulty || 'mixed',
+            exam,
+            retakeOf: attempt.id
+        });
+    }, [retakeRequest]);
+
+    // A class assignment: everyone gets the same questions. Once submitted, starting it again is practice
+    // that isn't sent to the teacher.
+    useEffect(() => {
+        if (!assignmentRequest) return;
+        const { classroom, assignment, practiceOnly } = assignmentRequest;
+        onAssignmentStarted();
+        startFixedQuiz(assignment.title, assignment.questions, {
+            exam: assignment.timeLimitMinutes ? { minutes: assignment.timeLimitMinutes } : null,
+            assignment: practiceOnly ? null : { classId: classroom.id, assignmentId: assignment.id }
+        });
+    }, [assignmentRequest]);
+
+    // "Practice this now" from the dashboard: scope the quiz to the requested topic and generate it.
+    // Waits until the requested coursebook's text is loaded; falls back to the whole book if the
+    // topic's section can't be found in this edition. A planner mock exam asks for several sections
+    // (`sections`, by label) and is played as a timed mixed exam.
+    useEffect(() => {
+        if (!practiceRequest || !isQuizReady) return;
+        if (practiceRequest.coursebookId && practiceRequest.coursebookId !== getCoursebookId(coursebook)) return;
+
+        const scope = tableOfContents.filter(section => practiceRequest.sections
+            ? practiceRequest.sections.includes(section.label)
+            : practiceRequest.section
+                ? section.label === practiceRequest.section
+                : formatSectionLabel(section) === practiceRequest.sectionTitle);
+        if (scope.length === 0) {
+            console.warn(`Section "${practiceRequest.sectionTitle || practiceRequest.section || practiceRequest.sections}" not found; practicing the whole coursebook.`);
+        }
+        setSelectedSectionIds((scope.length > 0 ? scope : tableOfContents).map(section => section.id));
+        onPracticeStarted();
+
+        let overrides = {};
+        if (practiceRequest.mockExam) {
+            setQuizType('mixed');
+            setQuestionCounts(MOCK_EXAM_COUNTS);
+            setExamMode(true);
+            setExamMinutes(null);
+            overrides = { quizType: 'mixed', counts: MOCK_EXAM_COUNTS, exam: { minutes: suggestExamMinutes(MOCK_EXAM_COUNTS) } };
+        }
+        handleGenerate(scope.length > 0 ? scope : undefined, overrides);
+    }, [practiceRequest, isQuizReady, tableOfContents]);
+
+    const renderQuestion = (q) => {
+        const isMCQ = q.type === 'mcq';
+
+        return (
+            <div key={q.id} className="p-5 border border-gray-200 rounded-xl bg-white shadow-sm transition-all duration-300 hover:shadow-md">
+                {q.sectionTitle && (
+                    <span className="inline-block mb-2 px-2 py-0.5 text-xs font-semibold text-indigo-700 bg-indigo-50 border border-indigo-200 rounded-full">
+                        {q.sectionTitle}
+                    </span>
+                )}
+                {isSubmitted && questionTimes[q.id] !== undefined && (
+                    <span className="inline-flex items-center mb-2 ml-2 px-2 py-0.5 text-xs font-semibold text-gray-600 bg-gray-100 rounded-full">
+                        <ClockIcon className="w-3 h-3 mr-1" /> {formatClock(questionTimes[q.id])}
+                    </span>
+                )}
+                {flaggedIds.includes(q.id) && (
+                    <span className="inline-flex items-center mb-2 ml-2 px-2 py-0.5 text-xs font-semibold text-amber-700 bg-amber-50 border border-amber-200 rounded-full">
+                        <FlagIcon className="w-3 h-3 mr-1" /> Flagged
+                    </span>
+                )}
+                <p className="text-base font-semibold text-gray-800 mb-3">
+                    <span className="text-indigo-600 font-extrabold mr-2">Q:</span> {q.question}
+                </p>
+
+                {isMCQ ? (
+                    <div className="space-y-2">
+                        {q.options.map((option, idx) => (
+                            <label key={idx} className={`flex items-center p-3 rounded-lg cursor-pointer transition duration-150 ${currentAnswers[q.id] === option ? 'bg-indigo-100 ring-2 ring-indigo-500' : 'bg-gray-50 hover:bg-gray-100'}`}>
+                                <input
+                                    type="radio"
+                                    name={`q-${q.id}`}
+                                    value={option}
+                                    checked={currentAnswers[q.id] === option}
+                                    onChange={(e) => handleAnswerChange(q.id, e.target.value)}
+                                    className="h-4 w-4 text-indigo-600 border-gray-300 focus:ring-indigo-500"
+                                    disabled={isSubmitted || isGrading}
+                                />
+                                <span className="ml-3 text-sm font-medium text-gray-700">{option}</span>
+                            </label>
+                        ))}
+                    </div>
+                ) : (
+                    <textarea
+                        value={currentAnswers[q.id] || ''}
+                        onChange={(e) => handleAnswerChange(q.id, e.target.value)}
+                        placeholder={`Write your ${q.type.toUpperCase()} answer here...`}
+                        rows={q.type === 'saq' ? 3 : 6}
+                        className="w-full p-3 border border-gray-300 rounded-lg focus:ring-indigo-500 focus:border-indigo-500 transition duration-150 resize-none"
+                        disabled={isSubmitted || isGrading}
+                    />
+                )}
+
+                {isSubmitted && !isMCQ && results[q.id]?.points && (
+                    <RubricFeedback grade={results[q.id]} modelAnswer={q.modelAnswer} />
+                )}
+
+                {isSubmitted && (
+                    <div className="mt-4 p-3 rounded-lg bg-green-50 border border-green-300">
+                        <p className="text-sm font-semibold text-green-800">Model Explanation:</p>
+                        <p className="text-xs text-gray-700 mt-1">{q.explanation}</p>
+                        {q.page && onOpenPage && (
+                            <button
+                                onClick={() => onOpenPage(q.page)}
+                                className="mt-2 text-xs font-semibold text-indigo-600 hover:text-indigo-800 flex items-center"
+                            >
+                                <BookOpenIcon className="w-3 h-3 mr-1" />
+                                See p. {q.page} in the coursebook
+                            </button>
+                        )}
+                    </div>
+                )}
+            </div>
+        );
+    };
+
+    const typeOptions = [
+        { value: 'mcq', label: 'MCQ (Multiple Choice)' },
+        { value: 'saq', label: 'SAQ (Short Answer)' },
+        { value: 'laq', label: 'LAQ (Long Answer)' },
+        { value: 'mixed', label: 'Mixed Paper (Board Exam Style)' },
+    ];
+
+    const difficultyOptions = [
+        { value: 'easy', label: 'Easy' },
+        { value: 'medium', label: 'Medium' },
+        { value: 'hard', label: 'Challenging' },
+        { value: 'mixed', label: 'Mixed' },
+    ];
+
+    const handleQuizTypeChange = (value) => {
+        setQuizType(value);
+        setQuestionCounts(QUIZ_PRESETS[value]);
+    };
+
+    const handleCountChange = (type, value) => {
+        const count = Math.min(Math.max(parseInt(value, 10) || 0, 0), MAX_QUESTIONS_PER_TYPE[type]);
+        setQuestionCounts(prev => ({ ...prev, [type]: count }));
+    };
+
+    const totalRequested = QUESTION_TYPE_ORDER.reduce((sum, type) => sum + (questionCounts[type] || 0), 0);
+    const suggestedExamMinutes = suggestExamMinutes(questionCounts);
+    const examLimitMinutes = examMinutes ?? suggestedExamMinutes;
+    const controlsDisabled = quizLoading || !isQuizReady || isSubmitted || isExamRunning;
+    const canGenerate = isQuizReady && !quizLoading && !isExamRunning && totalRequested > 0 && (tableOfContents.length === 0 || selectedSections.length > 0);
+
+    // TOC entries grouped under their chapter heading for the scope picker
+    const chapterGroups = tableOfContents.reduce((groups, section) => {
+        const name = section.chapter || 'Front Matter';
+        let group = groups.find(g => g.name === name);
+        if (!group) {
+            group = { name, sections: [] };
+            groups.push(group);
+        }
+        group.sections.push(section);
+        return groups;
+    }, []);
+
+    const toggleSections = (ids, checked) => {
+        setSelectedSectionIds(prev => checked
+            ? [...new Set([...prev, ...ids])]
+            : prev.filter(id => !ids.includes(id)));
+    };
+
+    return (
+        <div className="p-4 md:p-6 h-full overflow-y-auto">
+            <h2 className="text-3xl font-extrabold text-gray-900 mb-2">Quiz Generator Engine</h2>
+            <p className="text-gray-500 mb-6">Instantly create tailored quizzes from your selected coursebook material using AI.</p>
+
+            <div className="flex flex-col md:flex-row gap-4 mb-8 bg-white p-4 rounded-xl shadow-lg border border-indigo-100">
+                <div className="flex-grow">
+                    <label htmlFor="quizType" className="block text-sm font-medium text-gray-700 mb-1">Question Type</label>
+                    <select
+                        id="quizType"
+                        value={quizType}
+                        onChange={(e) => handleQuizTypeChange(e.target.value)}
+                        className="w-full p-3 border border-gray-300 rounded-lg bg-white focus:ring-indigo-500 focus:border-indigo-500"
+                        disabled={controlsDisabled}
+                    >
+                        {typeOptions.map(opt => (
+                            <option key={opt.value} value={opt.value}>{opt.label}</option>
+                        ))}
+                    </select>
+                </div>
+
+                <div className="flex gap-2">
+                    {(quizType === 'mixed' ? QUESTION_TYPE_ORDER : [quizType]).map(type => (
+                        <div key={type} className="w-24">
+                            <label htmlFor={`count-${type}`} className="block text-sm font-medium text-gray-700 mb-1">
+                                {quizType === 'mixed' ? `# ${type.toUpperCase()}` : 'Questions'}
+                            </label>
+                            <input
+                                id={`count-${type}`}
+                                type="number"
+                                min={quizType === 'mixed' ? 0 : 1}
+                                max={MAX_QUESTIONS_PER_TYPE[type]}
+                                value={questionCounts[type] || 0}
+                                onChange={(e) => handleCountChange(type, e.target.value)}
+                                className="w-full p-3 border border-gray-300 rounded-lg bg-white focus:ring-indigo-500 focus:border-indigo-500"
+                                disabled={controlsDisabled}
+                            />
+                        </div>
+                    ))}
+                </div>
+
+                <div className="md:w-40">
+                    <label htmlFor="difficulty" className="block text-sm font-medium text-gray-700 mb-1">Difficulty</label>
+                    <select
+                        id="difficulty"
+                        value={difficulty}
+                        onChange={(e) => setDifficulty(e.target.value)}
+                        className="w-full p-3 border border-gray-300 rounded-lg bg-white focus:ring-indigo-500 focus:border-indigo-500"
+                        disabled={controlsDisabled}
+                    >
+                        {difficultyOptions.map(opt => (
+                            <option key={opt.value} value={opt.value}>{opt.label}</option>
+                        ))}
+                    </select>
+                </div>
+
+                <div className="flex items-end gap-2">
+                    <label
+                        className={`px-4 py-3 rounded-xl font-semibold border flex items-center justify-center transition duration-150 ${
+                            quizLoading || isExamRunning ? 'text-gray-400 border-gray-200 cursor-not-allowed' : 'text-indigo-700 border-indigo-300 hover:bg-indigo-50 cursor-pointer'
+                        }`}
+                        title="Play a question bank (CSV, JSON, GIFT or Aiken)"
+                    >
+                        <UploadIcon className="w-5 h-5 mr-2" />
+                        Import
+                        <input
+                            type="file"
+                            accept=".csv,.json,.gift,.txt"
+                            onChange={handleImport}
+                            className="hidden"
+                            disabled={quizLoading || isExamRunning}
+                        />
+                    </label>
+                    <button
+                        onClick={() => handleGenerate()}
+                        disabled={!canGenerate}
+                        className={`w-full md:w-auto px-6 py-3 rounded-xl font-semibold transition duration-300 shadow-lg flex items-center justify-center
+                            ${canGenerate
+                                ? 'bg-indigo-600 text-white hover:bg-indigo-700 active:bg-indigo-800'
+                                : 'bg-gray-300 text-gray-500 cursor-not-allowed'
+                            }`}
+                    >
+                        <ZapIcon className="w-5 h-5 mr-2" />
+                        {quizLoading ? 'Generating...' : 'Generate New Quiz'}
+                    </button>
+                </div>
+            </div>
+
+            <div className="-mt-4 mb-8 bg-white p-4 rounded-xl shadow-md border border-indigo-100 flex flex-wrap items-center gap-3 text-sm">
+                <label className="flex items-center font-medium text-gray-700 cursor-pointer">
+                    <input
+                        type="checkbox"
+                        checked={examMode}
+                        onChange={(e) => setExamMode(e.target.checked)}
+                        className="h-4 w-4 mr-2 text-indigo-600 border-gray-300 rounded focus:ring-indigo-500"
+                        disabled={controlsDisabled}
+                    />
+                    Exam mode
+                </label>
+                {examMode ? (
+                    <>
+                        <label htmlFor="examMinutes" className="text-gray-700">Time limit</label>
+                        <input
+                            id="examMinutes"
+                            type="number"
+                            min={1}
+                            max={MAX_EXAM_MINUTES}
+                            value={examLimitMinutes}
+                            onChange={(e) => setExamMinutes(Math.min(Math.max(parseInt(e.target.value, 10) || 1, 1), MAX_EXAM_MINUTES))}
+                            className="w-20 p-2 border border-gray-300 rounded-lg bg-white focus:ring-indigo-500 focus:border-indigo-500"
+                            disabled={controlsDisabled}
+                        />
+                        <span className="text-gray-500">min</span>
+                        {examMinutes !== null && examMinutes !== suggestedExamMinutes && (
+                            <button onClick={() => setExamMinutes(null)} className="text-xs font-semibold text-indigo-600 hover:text-indigo-800" disabled={controlsDisabled}>
+                                Use suggested ({suggestedExamMinutes} min)
+                            </button>
+                        )}
+                    </>
+                ) : (
+                    <span className="text-xs text-gray-500">Timed paper, one question at a time, explanations only at the end.</span>
+                )}
+            </div>
+
+            {isQuizReady && tableOfContents.length > 1 && (
+                <div className="-mt-4 mb-8 bg-white p-4 rounded-xl shadow-md border border-indigo-100">
+                    <button
+                        onClick={() => setIsScopeOpen(!isScopeOpen)}
+                        className="flex justify-between items-center w-full text-sm font-medium text-gray-700"
+                    >
+                        <span>
+                            Quiz Scope: {selectedSections.length === tableOfContents.length
+                                ? 'Whole coursebook'
+                                : `${selectedSections.length} of ${tableOfContents.length} sections`}
+                        </span>
+                        <ChevronDownIcon className={`w-4 h-4 transition-transform ${isScopeOpen ? 'rotate-180' : 'rotate-0'}`} />
+                    </button>
+                    {isScopeOpen && (
+                        <div className="mt-3 space-y-3 max-h-72 overflow-y-auto">
+                            <div className="flex gap-3 text-xs">
+                                <button onClick={() => toggleSections(tableOfContents.map(s => s.id), true)} className="font-semibold text-indigo-600 hover:text-indigo-800">Select all</button>
+                                <button onClick={() => setSelectedSectionIds([])} className="font-semibold text-indigo-600 hover:text-indigo-800">Clear</button>
+                            </div>
+                            {chapterGroups.map(group => {
+                                const ids = group.sections.map(section => section.id);
+                                const allChecked = ids.every(id => selectedSectionIds.includes(id));
+                                return (
+                                    <div key={group.name}>
+                                        <label className="flex items-center text-sm font-semibold text-gray-800 cursor-pointer">
+                                            <input
+                                                type="checkbox"
+                                                checked={allChecked}
+                                                onChange={(e) => toggleSections(ids, e.target.checked)}
+                                                className="h-4 w-4 mr-2 text-indigo-600 border-gray-300 rounded focus:ring-indigo-500"
+                                                disabled={controlsDisabled}
+                                            />
+                                            {group.name}
+                                        </label>
+                                        <div className="ml-6 mt-1 space-y-1">
+                                            {group.sections.filter(section => section.level !== 1).map(section => (
+                                                <label key={section.id} className="flex items-center text-sm text-gray-700 cursor-pointer" style={{ paddingLeft: `${Math.max(0, section.level - 2) * 16}px` }}>
+                                                    <input
+                                                        type="checkbox"
+                                                        checked={selectedSectionIds.includes(section.id)}
+                                                        onChange={(e) => toggleSections([section.id], e.target.checked)}
+                                                        className="h-4 w-4 mr-2 text-indigo-600 border-gray-300 rounded focus:ring-indigo-500"
+                                                        disabled={controlsDisabled}
+                                                    />
+                                                    <span className="flex-grow">{formatSectionLabel(section)}</span>
+                                                    <span className="text-xs text-gray-400 ml-2">p. {section.page}</span>
+                                                </label>
+                                            ))}
+                                        </div>
+                                    </div>
+                                );
+                            })}
+                            {selectedSections.length === 0 && (
+                                <p className="text-xs text-red-600">Select at least one section to generate a quiz.</p>
+                            )}
+                        </div>
+                    )}
+                </div>
+            )}
+
+            {pdfLoading && (
+                <div className="text-center p-12 text-indigo-500">
+                    <ClockIcon className="w-8 h-8 mx-auto animate-spin" />
+                    <p className="mt-2">Extracting text from PDF for AI training...</p>
+                    {pdfProgress?.total > 0 && (
+                        <p className="text-xs mt-1">Page {pdfProgress.current} of {pdfProgress.total}</p>
+                    )}
+                </div>
+            )}
+
+            {pdfError && !pdfLoading && (
+                <div className="text-center p-12 border-2 border-dashed border-red-300 rounded-xl bg-red-50">
+                    <HelpCircleIcon className="w-8 h-8 mx-auto text-red-500" />
+                    <p className="mt-4 text-red-700">{pdfError}</p>
+                </div>
+            )}
+
+            {!isQuizReady && !pdfLoading && !pdfError && (
+                <div className="text-center p-12 border-2 border-dashed border-gray-300 rounded-xl bg-gray-50">
+                    <HelpCircleIcon className="w-8 h-8 mx-auto text-red-500" />
+                    <p className="mt-4 text-gray-600">Please select a coursebook PDF first to enable quiz generation.</p>
+                </div>
+            )}
+
+            {importReport && (
+                <div className={`mb-6 p-4 border-l-4 rounded-lg ${importReport.count > 0 ? 'bg-amber-50 border-amber-400 text-amber-800' : 'bg-red-50 border-red-500 text-red-700'}`}>
+                    <div className="flex items-start justify-between gap-3">
+                        <p className="font-semibold">
+                            {importReport.count > 0
+                                ? `Imported ${importReport.count} question${importReport.count === 1 ? '' : 's'} from ${importReport.fileName}`
+                                : `No questions could be imported from ${importReport.fileName}`}
+                            {importReport.format && ` (${QUESTION_BANK_FORMATS[importReport.format].name})`}
+                            {importReport.errors.length > 0 && ` — ${importReport.errors.length} problem${importReport.errors.length === 1 ? '' : 's'}:`}
+                        </p>
+                        <button onClick={() => setImportReport(null)} className="p-1 opacity-60 hover:opacity-100" aria-label="Dismiss import report">
+                            <XIcon className="w-4 h-4" />
+                        </button>
+                    </div>
+                    {importReport.errors.length > 0 && (
+                        <ul className="mt-2 text-xs space-y-1 max-h-40 overflow-y-auto">
+                            {importReport.errors.map((error, idx) => (
+                                <li key={idx}>
+                                    <span className="font-semibold">{error.line ? `Line ${error.line}` : 'File'}:</span> {error.message}
+                                </li>
+                            ))}
+                        </ul>
+                    )}
+                </div>
+            )}
+
+            {submitNotice && (
+                <p className="mb-6 p-4 bg-yellow-50 border-l-4 border-yellow-500 text-yellow-800 rounded-lg text-sm">{submitNotice}</p>
+            )}
+
+            {generationError && !quizLoading && (
+                <div className="mb-6 p-4 bg-red-50 border-l-4 border-red-500 text-red-700 rounded-lg">
+                    <div className="flex flex-col sm:flex-row sm:items-center justify-between gap-3">
+                        <div>
+                            <p className="font-semibold">Quiz generation failed</p>
+                            <p className="text-sm mt-1">{generationError.message}</p>
+                        </div>
+                        <button
+                            onClick={() => handleGenerate()}
+                            disabled={!canGenerate}
+                            className="px-4 py-2 rounded-lg text-sm font-semibold bg-red-600 text-white hover:bg-red-700 disabled:bg-gray-300 disabled:text-gray-500"
+                        >
+                            Try Again
+                        </button>
+                    </div>
+                    {generationError.problems.length > 0 && (
+                        <ul className="mt-3 text-xs list-disc list-inside space-y-1">
+                            {generationError.problems.slice(0, 5).map((problem, idx) => <li key={idx}>{problem}</li>)}
+                        </ul>
+                    )}
+                </div>
+            )}
+
+            {hasQuiz && (
+                <>
+                    <div className="flex items-start justify-between gap-4 mb-6 border-b pb-2">
+                        <h3 className="text-2xl font-bold text-gray-800">{quizData.quizTitle}</h3>
+                        {/* Hidden during a timed exam so the answer key can't be opened mid-paper, and on an
+                            assignment until it is submitted, as its questions have no answers yet */}
+                        {!isExamRunning && !isAnswerKeyPending && (
+                            <div className="flex items-start gap-2">
+                                {teacherClasses.length > 0 && (
+                                    <button
+                                        onClick={openAssignForm}
+                                        className="flex items-center px-4 py-2 rounded-lg text-sm font-semibold bg-indigo-600 text-white hover:bg-indigo-700 transition duration-150"
+                                    >
+                                        <UsersIcon className="w-4 h-4 mr-2" /> Assign
+                                    </button>
+                                )}
+                                <QuizExportMenu quiz={{ quizTitle: quizData.quizTitle, questions: quizData.questions, coursebookName: coursebook?.name || '' }} />
+                            </div>
+                        )}
+                    </div>
+                    {assignForm && (
+                        <form onSubmit={handleAssign} className="mb-6 p-4 bg-indigo-50 border border-indigo-200 rounded-xl flex flex-wrap items-end gap-3 text-sm">
+                            <div>
+                                <label htmlFor="assignClass" className="block font-medium text-gray-700 mb-1">Class</label>
+                                <select
+                                    id="assignClass"
+                                    value={assignForm.classId}
+                                    onChange={(e) => setAssignForm(prev => ({ ...prev, classId: e.target.value }))}
+                                    className="p-2 border border-gray-300 rounded-lg bg-white focus:ring-indigo-500 focus:border-indigo-500"
+                                >
+                                    {teacherClasses.map(c => <option key={c.id} value={c.id}>{c.name}</option>)}
+                                </select>
+                            </div>
+                            <div>
+                                <label htmlFor="assignDue" className="block font-medium text-gray-700 mb-1">Due date</label>
+                                <input
+                                    id="assignDue"
+                                    type="date"
+                                    required
+                                    min={localDayKey(new Date())}
+                                    value={assignForm.dueDate}
+                                    onChange={(e) => setAssignForm(prev => ({ ...prev, dueDate: e.target.value }))}
+                                    className="p-2 border border-gray-300 rounded-lg bg-white focus:ring-indigo-500 focus:border-indigo-500"
+                                />
+                            </div>
+                            <div>
+                                <label htmlFor="assignTime" className="block font-medium text-gray-700 mb-1">Time limit (min)</label>
+                                <input
+                                    id="assignTime"
+                                    type="number"
+                                    min={0}
+                                    max={MAX_EXAM_MINUTES}
+                                    placeholder="Untimed"
+                                    value={assignForm.timeLimit}
+                                    onChange={(e) => setAssignForm(prev => ({ ...prev, timeLimit: e.target.value }))}
+                                    className="w-28 p-2 border border-gray-300 rounded-lg bg-white focus:ring-indigo-500 focus:border-indigo-500"
+                                />
+                            </div>
+                            <button type="submit" className="px-4 py-2 rounded-lg font-semibold bg-indigo-600 text-white hover:bg-indigo-700">
+                                Assign {quizData.questions.length} questions
+                            </button>
+                            <button type="button" onClick={() => setAssignForm(null)} className="px-4 py-2 rounded-lg font-semibold text-gray-600 hover:bg-gray-100">
+                                Cancel
+                            </button>
+                        </form>
+                    )}
+                    {assignNotice && (
+                        <p className={`mb-6 text-sm font-medium ${assignNotice.ok ? 'text-green-700' : 'text-red-600'}`}>{assignNotice.text}</p>
+                    )}
+                    {quizData.warnings?.length > 0 && (
+                        <div className="mb-6 p-3 bg-amber-50 border-l-4 border-amber-400 text-amber-800 text-sm rounded-lg">
+                            {quizData.warnings.map((warning, idx) => <p key={idx}>{warning}</p>)}
+                        </div>
+                    )}
+                    {isExamRunning ? (
+                        <>
+                            <div className="sticky top-0 z-10 mb-4 p-4 bg-white rounded-xl shadow-md border border-indigo-100">
+                                <div className="flex flex-wrap items-center justify-between gap-3">
+                                    <span className={`flex items-center text-2xl font-extrabold tabular-nums ${timeLeft <= 60 ? 'text-red-600 animate-pulse' : 'text-gray-800'}`}>
+                                        <ClockIcon className="w-6 h-6 mr-2" />
+                                        {formatClock(timeLeft)}
+                                    </span>
+                                    <span className="text-sm text-gray-500">
+                                        {quizData.questions.filter(q => isAnswered(q.id)).length} of {quizData.questions.length} answered
+                                        {flaggedIds.length > 0 && ` · ${flaggedIds.length} flagged`}
+                                    </span>
+                                </div>
+                                <div className="flex flex-wrap gap-2 mt-3">
+                                    {quizData.questions.map((q, index) => (
+                                        <button
+                                            key={q.id}
+                                            onClick={() => goToQuestion(index)}
+                                            title={`${q.type.toUpperCase()}${flaggedIds.includes(q.id) ? ' · flagged for review' : ''}`}
+                                            className={`relative w-9 h-9 rounded-lg text-sm font-semibold border transition duration-150 ${
+                                                index === currentIndex
+                                                    ? 'bg-indigo-600 text-white border-indigo-600'
+                                                    : isAnswered(q.id) ? 'bg-indigo-50 text-indigo-700 border-indigo-200' : 'bg-white text-gray-600 border-gray-300 hover:bg-gray-50'
+                                            }`}
+                                        >
+                                            {index + 1}
+                                            {flaggedIds.includes(q.id) && <span className="absolute -top-1 -right-1 w-3 h-3 rounded-full bg-amber-400 border-2 border-white" />}
+                                        </button>
+                                    ))}
+                                </div>
+                            </div>
+
+                            <p className="text-sm font-semibold text-gray-500 mb-2">
+                                Question {currentIndex + 1} of {quizData.questions.length} · {quizData.questions[currentIndex].type.toUpperCase()}
+                            </p>
+                            {renderQuestion(quizData.questions[currentIndex])}
+
+                            <div className="flex flex-wrap items-center justify-between gap-3 mt-4">
+                                <button
+                                    onClick={() => goToQuestion(currentIndex - 1)}
+                                    disabled={currentIndex === 0}
+                                    className="flex items-center px-4 py-2 rounded-lg text-sm font-semibold text-gray-700 bg-gray-100 hover:bg-gray-200 disabled:opacity-40"
+                                >
+                                    <ChevronLeftIcon className="w-4 h-4 mr-1" /> Previous
+                                </button>
+                                <button
+                                    onClick={() => toggleFlag(quizData.questions[currentIndex].id)}
+                                    className={`flex items-center px-4 py-2 rounded-lg text-sm font-semibold border transition duration-150 ${
+                                        flaggedIds.includes(quizData.questions[currentIndex].id)
+                                            ? 'bg-amber-100 text-amber-800 border-amber-300'
+                                            : 'bg-white text-gray-600 border-gray-300 hover:bg-gray-50'
+                                    }`}
+                                >
+                                    <FlagIcon className="w-4 h-4 mr-1" />
+                                    {flaggedIds.includes(quizData.questions[currentIndex].id) ? 'Flagged for review' : 'Flag for review'}
+                                </button>
+                                <button
+                                    onClick={() => goToQuestion(currentIndex + 1)}
+                                    disabled={currentIndex === quizData.questions.length - 1}
+                                    className="flex items-center px-4 py-2 rounded-lg text-sm font-semibold text-gray-700 bg-gray-100 hover:bg-gray-200 disabled:opacity-40"
+                                >
+                                    Next <ChevronRightIcon className="w-4 h-4 ml-1" />
+                                </button>
+                            </div>
+                        </>
+                    ) : (
+                        <div className="space-y-6">
+                            {quizData.questions.map(renderQuestion)}
+                        </div>
+                    )}
+                    {!isSubmitted && (
+                        <button
+                            onClick={() => isExamRunning ? handleExamSubmit() : handleSubmit()}
+                            disabled={isGrading}
+                            className={`mt-8 w-full px-6 py-3 rounded-xl font-semibold text-lg transition duration-300 shadow-xl text-white ${
+                                isGrading ? 'bg-gray-400 cursor-wait' : 'bg-green-600 hover:bg-green-700 active:bg-green-800'
+                            }`}
+                        >
+                            {isGrading ? 'Grading your answers...' : isExamRunning ? 'Submit Exam' : 'Submit Quiz'}
+                        </button>
+                    )}
+                    {isSubmitted && (
+                         <div className="mt-8 p-4 bg-yellow-100 border-l-4 border-yellow-500 text-yellow-800 rounded-lg shadow-md">
+                            Quiz submitted! Scroll up to review answers and explanations.
+                            <button onClick={() => setIsSubmitted(false)} className="ml-4 font-semibold text-indigo-600 hover:text-indigo-800">Close Feedback</button>
+                        </div>
+                    )}
+                </>
+            )}
+
+            {isSubmitted && (
+                <QuizResultModal
+                    score={score}
+                    total={quizData.questions.length}
+                    explanation={explanation}
+                    quizType={quizData.config.quizType}
+                    sectionBreakdown={sectionBreakdown}
+                    timing={examTiming}
+                    onClose={() => setIsSubmitted(false)}
+                />
+            )}
+        </div>
+    );
+};
+
+// Replaces inline citation markers ("[C2]") with numbered superscripts that open the cited page.
+const renderWithCitations = (text, citations, onOpenPage) => {
+    if (citations.length === 0) return text;
+    return text.split(CITATION_MARKER).map((part, i) => {
+        // split() with a capture group puts the captured marker ids at odd indexes
+        if (i % 2 === 0) return part;
+        return part.split(',').map(id => citations.find(c => c.marker === id.trim())).filter(Boolean).map(citation => (
+            <button
+                key={`${i}-${citation.marker}`}
+                onClick={() => onOpenPage(citation.page, citation.sectionTitle)}
+                title={citation.label}
+                className="align-super text-[10px] font-bold text-indigo-600 hover:text-indigo-800 mx-0.5"
+            >
+                [{citation.number}]
+            </button>
+        ));
+    });
+};
+
+const DEFAULT_CHAT_TITLE = 'New Chat';
+
+// Auto-title from the first message: the first line, cut at a word boundary.
+const titleFromMessage = (message) => {
+    const firstLine = message.trim().split('\n')[0];
+    if (firstLine.length <= 40) return firstLine;
+    const cut = firstLine.substring(0, 40);
+    return `${cut.substring(0, cut.lastIndexOf(' ') > 20 ? cut.lastIndexOf(' ') : 40)}…`;
+};
+
+const ChatUI = ({ pdfText, pdfPages, pdfLoading, onOpenPage, coursebook, chats, saveChat, deleteChat }) => {
+    // Chunk and index the coursebook once per document rather than on every question
+    const coursebookIndex = useMemo(() => buildCoursebookIndex(pdfText, pdfPages), [pdfText, pdfPages]);
+    // Local edits not yet reflected by the Firestore snapshot (and the only copy when Firestore is unavailable)
+    const [pendingChats, setPendingChats] = useState({});
+    const [deletedChatIds, setDeletedChatIds] = useState([]);
+    const [activeChatId, setActiveChatId] = useState(null);
+    const [onlyThisCoursebook, setOnlyThisCoursebook] = useState(true);
+    const [renamingChatId, setRenamingChatId] = useState(null);
+    const [renameValue, setRenameValue] = useState('');
+    const [inputMessage, setInputMessage] = useState('');
+    const [isTyping, setIsTyping] = useState(false);
+    // The assistant reply while it is still streaming in: { chatId, text, citations }
+    const [streamingReply, setStreamingReply] = useState(null);
+    const abortControllerRef = useRef(null);
+
+    const coursebookId = getCoursebookId(coursebook);
+
+    const chatList = useMemo(() => {
+        const byId = new Map(chats.map(chat => [chat.id, chat]));
+        Object.values(pendingChats).forEach(chat => {
+            const saved = byId.get(chat.id);
+            if (!saved || chat.updatedAt >= saved.updatedAt) byId.set(chat.id, chat);
+        });
+        return [...byId.values()]
+            .filter(chat => !deletedChatIds.includes(chat.id))
+            .sort((a, b) => b.updatedAt - a.updatedAt);
+    }, [chats, pendingChats, deletedChatIds]);
+
+    const visibleChats = onlyThisCoursebook ? chatList.filter(chat => chat.coursebookId === coursebookId) : chatList;
+    const activeChat = chatList.find(c => c.id === activeChatId) || visibleChats[0] || null;
+    const activeHistory = activeChat?.history || [];
+
+    const updateChat = (chat) => {
+        setPendingChats(prev => ({ ...prev, [chat.id]: chat }));
+        saveChat(chat);
+    };
+
+    const createChat = () => {
+        const now = Date.now();
+        return {
+            id: crypto.randomUUID(),
+            title: DEFAULT_CHAT_TITLE,
+            customTitle: false,
+            coursebookId,
+            coursebookName: coursebook?.name || '',
+            history: [],
+            createdAt: now,
+            updatedAt: now
+        };
+    };
+
+    const handleNewChat = () => {
+        const newChat = createChat();
+        updateChat(newChat);
+        setActiveChatId(newChat.id);
+    };
+
+    const handleDeleteChat = (chat) => {
+        if (!window.confirm(`Delete "${chat.title}"? This cannot be undone.`)) return;
+        setDeletedChatIds(prev => [...prev, chat.id]);
+        setPendingChats(prev => {
+            const { [chat.id]: _removed, ...rest } = prev;
+            return rest;
+        });
+        if (activeChat?.id === chat.id) setActiveChatId(null);
+        deleteChat(chat.id);
+    };
+
+    const startRename = (chat) => {
+        setRenamingChatId(chat.id);
+        setRenameValue(chat.title);
+    };
+
+    const commitRename = () => {
+        const chat = chatList.find(c => c.id === renamingChatId);
+        const title = renameValue.trim();
+        if (chat && title && title !== chat.title) {
+            updateChat({ ...chat, title, customTitle: true, updatedAt: Date.now() });
+        }
+        setRenamingChatId(null);
+    };
+
+    const handleSendMessage = async () => {
+        if (!inputMessage.trim() || isTyping) return;
+
+        const chat = activeChat || createChat();
+        const userMessage = { role: 'user', parts: [{ text: inputMessage }] };
+        const newHistory = [...chat.history, userMessage];
+        const currentInput = inputMessage;
+        const title = chat.history.length === 0 && !chat.customTitle ? titleFromMessage(currentInput) : chat.title;
+
+        // Update local state immediately
+        const updatedChat = { ...chat, title, history: newHistory, updatedAt: Date.now() };
+        updateChat(updatedChat);
+        setActiveChatId(chat.id);
+        setInputMessage('');
+        setIsTyping(true);
+
+        const abortController = new AbortController();
+        abortControllerRef.current = abortController;
+
+        try {
+            const { text, sources, citations, stopped } = await fetchChatResponse(chat.history, currentInput, pdfText, coursebookIndex, {
+                signal: abortController.signal,
+                onUpdate: ({ text, citations }) => setStreamingReply({ chatId: chat.id, text, citations })
+            });
+            const replyText = stopped ? `${text}${text ? '\n\n' : ''}[Stopped]` : text;
+            const assistantMessage = { role: 'assistant', parts: [{ text: replyText, sources: sources, citations: citations }] };
+
+            // Update with assistant's response
+            updateChat({ ...updatedChat, history: [...newHistory, assistantMessage], updatedAt: Date.now() });
+        } catch (error) {
+            const errorMessage = { role: 'assistant', parts: [{ text: "Error fetching response. Try again." }] };
+            updateChat({ ...updatedChat, history: [...newHistory, errorMessage], updatedAt: Date.now() });
+        } finally {
+            abortControllerRef.current = null;
+            setStreamingReply(null);
+            setIsTyping(false);
+        }
+    };
+
+    const handleStop = () => {
+        if (abortControllerRef.current) abortControllerRef.current.abort();
+    };
+
+    // Abort an in-flight answer when leaving the chat view
+    useEffect(() => () => handleStop(), []);
+
+    // Auto-scroll to bottom of chat
+    useEffect(() => {
+        const chatWindow = document.getElementById('chat-messages');
+        if (chatWindow) {
+            chatWindow.scrollTop = chatWindow.scrollHeight;
+        }
+    }, [activeHistory, streamingReply]);
+
+    const renderMessage = (message, index) => {
+        const isUser = message.role === 'user';
+        const textContent = message.parts[0].text;
+        const sources = message.parts[0].sources || [];
+        const citations = message.parts[0].citations || [];
+
+        return (
+            <div key={index} className={`flex ${isUser ? 'justify-end' : 'justify-start'} mb-4`}>
+                <div className={`max-w-[80%] p-4 rounded-xl shadow-md whitespace-pre-wrap ${
+                    isUser
+                        ? 'bg-indigo-600 text-white rounded-br-none'
+                        : 'bg-white text-gray-800 rounded-tl-none border border-gray-100'
+                }`}>
+                    <p className="text-sm md:text-base">{isUser ? textContent : renderWithCitations(textContent, citations, onOpenPage)}</p>
+                    {citations.length > 0 && (
+                        <div className="mt-2 text-xs border-t border-gray-200 pt-2">
+                            <p className="font-semibold mb-1 text-gray-600">From your coursebook:</p>
+                            <div className="flex flex-wrap gap-2">
+                                {citations.map(citation => (
+                                    <button
+                                        key={citation.marker}
+                                        onClick={() => onOpenPage(citation.page, citation.sectionTitle)}
+                                        title={citation.sectionTitle ? `Open ${citation.label} ${citation.sectionTitle}` : `Open ${citation.label}`}
+                                        className="flex items-center px-2 py-1 rounded-full bg-indigo-50 text-indigo-700 border border-indigo-200 hover:bg-indigo-100 transition duration-150"
+                                    >
+                                        <BookOpenIcon className="w-3 h-3 mr-1" />
+                                        <span className="font-semibold mr-1">[{citation.number}]</span>
+                                        {citation.label}
+                                    </button>
+                                ))}
+                            </div>
+                        </div>
+                    )}
+                    {sources.length > 0 && (
+                        <div className="mt-2 text-xs opacity-80 border-t border-gray-300 pt-2">
+                            <p className="font-semibold mb-1">Web sources:</p>
+                            {sources.map((src, i) => (
+                                <a key={i} href={src.uri} target="_blank" rel="noopener noreferrer" className="block text-blue-300 hover:underline">
+                                    {src.title || new URL(src.uri).hostname}
+                                </a>
+                            ))}
+                        </div>
+                    )}
+                </div>
+            </div>
+        );
+    };
+
+    return (
+        <div className="flex h-full bg-white rounded-xl shadow-lg overflow-hidden">
+            {/* Left Drawer (Chat List) */}
+            <div className="hidden md:flex flex-col w-64 bg-gray-50 border-r border-gray-200 p-4 space-y-4 flex-shrink-0">
+                <h3 className="text-xl font-bold text-gray-800">Chats</h3>
+                <button
+                    onClick={handleNewChat}
+                    className="w-full bg-green-500 text-white py-2 rounded-xl font-semibold hover:bg-green-600 transition duration-150 shadow-md"
+                >
+                    + New Chat
+                </button>
+                <label className="flex items-center text-xs text-gray-600 cursor-pointer">
+                    <input
+                        type="checkbox"
+                        checked={onlyThisCoursebook}
+                        onChange={(e) => setOnlyThisCoursebook(e.target.checked)}
+                        className="h-3 w-3 mr-2 text-indigo-600 border-gray-300 rounded focus:ring-indigo-500"
+                    />
+                    Only chats about this coursebook
+                </label>
+                <div className="flex-grow space-y-2 overflow-y-auto">
+                    {visibleChats.length === 0 && (
+                        <p className="text-xs text-gray-500 text-center py-4">No saved chats yet.</p>
+                    )}
+                    {visibleChats.map(chat => (
+                        <div
+                            key={chat.id}
+                            className={`group p-3 rounded-xl transition duration-150 ${chat.id === activeChat?.id ? 'bg-indigo-100 text-indigo-700 font-semibold border-2 border-indigo-300' : 'hover:bg-gray-100 text-gray-700'}`}
+                        >
+                            {renamingChatId === chat.id ? (
+                                <input
+                                    autoFocus
+                                    value={renameValue}
+                                    onChange={(e) => setRenameValue(e.target.value)}
+                                    onBlur={commitRename}
+                                    onKeyDown={(e) => {
+                                        if (e.key === 'Enter') commitRename();
+                                        if (e.key === 'Escape') setRenamingChatId(null);
+                                    }}
+                                    className="w-full p-1 text-sm border border-indigo-300 rounded-md focus:ring-indigo-500 focus:border-indigo-500"
+                                />
+                            ) : (
+                                <div className="flex items-start">
+                                    <button onClick={() => setActiveChatId(chat.id)} className="flex-grow text-left min-w-0">
+                                        <span className="block truncate">{chat.title}</span>
+                                        {!onlyThisCoursebook && chat.coursebookName && (
+                                            <span className="block text-xs font-normal text-gray-500 truncate">{chat.coursebookName}</span>
+                                        )}
+                                    </button>
+                                    <div className="flex flex-shrink-0 ml-1 opacity-0 group-hover:opacity-100 transition-opacity">
+                                        <button onClick={() => startRename(chat)} className="p-1 text-gray-500 hover:text-indigo-600" title="Rename chat">
+                                            <PencilIcon className="w-4 h-4" />
+                                        </button>
+                                        <button onClick={() => handleDeleteChat(chat)} className="p-1 text-gray-500 hover:text-red-600" title="Delete chat">
+                                            <TrashIcon className="w-4 h-4" />
+                                        </button>
+                                    </div>
+                                </div>
+                            )}
+                        </div>
+                    ))}
+                </div>
+            </div>
+
+            {/* Main Chat Window */}
+            <div className="flex flex-col flex-grow h-full p-4">
+                {activeChat && activeChat.coursebookId !== coursebookId && (
+                    <div className="mb-3 p-2 text-xs bg-yellow-50 border border-yellow-300 text-yellow-800 rounded-lg">
+                        This chat was about "{activeChat.coursebookName || 'another coursebook'}". New answers use the currently selected coursebook.
+                    </div>
+                )}
+                <div id="chat-messages" className="flex-grow overflow-y-auto p-4 mb-4 space-y-4 bg-gray-50 rounded-xl shadow-inner border border-gray-200">
+                    {activeHistory.length === 0 && (
+                        <div className="text-center p-10 text-gray-500">
+                            <MessageSquareIcon className="w-8 h-8 mx-auto mb-2 text-indigo-400" />
+                            <p className="font-semibold">Ask your virtual teacher anything!</p>
+                            <p className="text-sm">Context is from the selected PDF.</p>
+                            {pdfLoading && <p className="text-xs mt-2 text-indigo-500">Loading PDF context...</p>}
+                        </div>
+                    )}
+                    {activeHistory.map(renderMessage)}
+                    {streamingReply?.text && streamingReply.chatId === activeChat?.id && renderMessage(
+                        { role: 'assistant', parts: [{ text: streamingReply.text, citations: streamingReply.citations }] },
+                        'streaming'
+                    )}
+                    {isTyping && !streamingReply?.text && (
+                        <div className="flex justify-start">
+                             <div className="bg-gray-200 text-gray-700 p-3 rounded-xl rounded-tl-none shadow-md">
+                                <div className="dot-flashing"></div>
+                            </div>
+                        </div>
+                    )}
+                </div>
+
+                {/* Input Box */}
+                <div className="flex items-center space-x-3">
+                    <input
+                        type="text"
+                        value={inputMessage}
+                        onChange={(e) => setInputMessage(e.target.value)}
+                        onKeyDown={(e) => e.key === 'Enter' && handleSendMessage()}
+                        placeholder="Message StudyBuddy (e.g., 'Explain the concept of unification')"
+                        className="flex-grow p-4 border border-gray-300 rounded-xl focus:ring-indigo-500 focus:border-indigo-500 transition duration-150 text-base"
+                        disabled={isTyping}
+                    />
+                    {isTyping ? (
+                        <button
+                            onClick={handleStop}
+                            className="p-4 rounded-xl transition duration-150 shadow-lg bg-red-500 text-white hover:bg-red-600 active:bg-red-700 flex items-center font-semibold"
+                            title="Stop generating"
+                        >
+                            <svg xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24" fill="currentColor" stroke="none"><rect x="6" y="6" width="12" height="12" rx="2"/></svg>
+                        </button>
+                    ) : (
+                        <button
+                            onClick={handleSendMessage}
+                            disabled={!inputMessage.trim() || isTyping}
+                            className={`p-4 rounded-xl transition duration-150 shadow-lg ${
+                                !inputMessage.trim() || isTyping
+                                    ? 'bg-gray-300 text-gray-500 cursor-not-allowed'
+                                    : 'bg-indigo-600 text-white hover:bg-indigo-700 active:bg-indigo-800'
+                            }`}
+                        >
+                            <svg xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"><path d="m22 2-7 19-3-9-9-3Z"/><path d="M22 2 11 13"/></svg>
+                        </button>
+                    )}
+                </div>
+            </div>
+            {/* CSS for typing indicator */}
+            <style jsx>{`
+                .dot-flashing {
+                    position: relative;
+                    width: 10px;
+                    height: 10px;
+                    border-radius: 5px;
+                    background-color: #6c63ff;
+                    color: #6c63ff;
+                    animation: dotFlashing 1s infinite linear alternate;
+                    animation-delay: 0.5s;
+                }
+                .dot-flashing::before, .dot-flashing::after {
+                    content: "";
+                    display: inline-block;
+                    position: absolute;
+                    top: 0;
+                }
+                .dot-flashing::before {
+                    left: -15px;
+                    width: 10px;
+                    height: 10px;
+                    border-radius: 5px;
+                    background-color: #6c63ff;
+                    color: #6c63ff;
+                    animation: dotFlashing 1s infinite alternate;
+                    animation-delay: 0s;
+                }
+                .dot-flashing::after {
+                    left: 15px;
+                    width: 10px;
+                    height: 10px;
+                    border-radius: 5px;
+                    background-color: #6c63ff;
+                    color: #6c63ff;
+                    animation: dotFlashing 1s infinite alternate;
+                    animation-delay: 1s;
+                }
+                @keyframes dotFlashing {
+                    0% {
+                        background-color: #6c63ff;
+                    }
+                    50%,
+                    100% {
+                        background-color: #bdbbf1;
+                    }
+                }
+            `}</style>
+        </div>
+    );
+};
+
+const ZOOM_LEVELS = [0.5, 0.75, 1, 1.25, 1.5, 2, 3];
+
+// Highlights case-insensitive matches of term in plain text (used for the text-only fallback view).
+const highlightText = (text, term) => {
+    if (!term) return text;
+    const escaped = term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    return text.split(new RegExp(`(${escaped})`, 'gi')).map((part, i) =>
+        part.toLowerCase() === term.toLowerCase()
+            ? <mark key={i} className="bg-yellow-300 rounded-sm">{part}</mark>
+            : part
+    );
+};
+
+const PdfPageCanvas = ({ pdfDoc, pageNumber, scale, searchTerm }) => {
+    const canvasRef = useRef(null);
+    const textLayerRef = useRef(null);
+    const [size, setSize] = useState({ width: 0, height: 0 });
+    const [renderedPage, setRenderedPage] = useState(null);
+
+    useEffect(() => {
+        let cancelled = false;
+        let renderTask = null;
+
+        const render = async () => {
+            try {
+                const page = await pdfDoc.getPage(pageNumber);
+                if (cancelled) return;
+                const viewport = page.getViewport({ scale });
+                const outputScale = window.devicePixelRatio || 1;
+                const canvas = canvasRef.current;
+                canvas.width = Math.floor(viewport.width * outputScale);
+                canvas.height = Math.floor(viewport.height * outputScale);
+                setSize({ width: viewport.width, height: viewport.height });
+
+                renderTask = page.render({
+                    canvasContext: canvas.getContext('2d'),
+                    viewport,
+                    transform: outputScale !== 1 ? [outputScale, 0, 0, outputScale, 0, 0] : null
+                });
+                await renderTask.promise;
+                if (cancelled) return;
+                await renderPdfTextLayer(page, textLayerRef.current, viewport);
+                if (!cancelled) setRenderedPage({ pageNumber, scale });
+            } catch (e) {
+                if (e?.name !== 'RenderingCancelledException') {
+                    console.error(`Failed to render page ${pageNumber}:`, e);
+                }
+            }
+        };
+
+        render();
+
+        return () => {
+            cancelled = true;
+            if (renderTask) renderTask.cancel();
+        };
+    }, [pdfDoc, pageNumber, scale]);
+
+    // Re-apply highlights whenever the term changes or the text layer is rebuilt
+    useEffect(() => {
+        if (textLayerRef.current) highlightTextLayer(textLayerRef.current, searchTerm);
+    }, [searchTerm, renderedPage]);
+
+    return (
+        <div className="relative mx-auto shadow-lg bg-white" style={{ width: size.width, height: size.height }}>
+            <canvas ref={canvasRef} style={{ width: size.width, height: size.height }} className="block" />
+            <div ref={textLayerRef} className="textLayer" />
+        </div>
+    );
+};
+
+const PdfThumbnail = ({ pdfDoc, pageNumber, isActive, onClick }) => {
+    const canvasRef = useRef(null);
+    const [isVisible, setIsVisible] = useState(false);
+
+    // Only render thumbnails that have scrolled into view; coursebooks can run to hundreds of pages.
+    useEffect(() => {
+        const canvas = canvasRef.current;
+        if (!canvas || typeof IntersectionObserver === 'undefined') {
+            setIsVisible(true);
+            return;
+        }
+        const observer = new IntersectionObserver(([entry]) => {
+            if (entry.isIntersecting) {
+                setIsVisible(true);
+                observer.disconnect();
+            }
+        });
+        observer.observe(canvas);
+        return () => observer.disconnect();
+    }, []);
+
+    useEffect(() => {
+        if (!isVisible || !pdfDoc) return;
+        let cancelled = false;
+        let renderTask = null;
+
+        const render = async () => {
+            try {
+                const page = await pdfDoc.getPage(pageNumber);
+                if (cancelled) return;
+                const viewport = page.getViewport({ scale: 0.2 });
+                const canvas = canvasRef.current;
+                canvas.width = viewport.width;
+                canvas.height = viewport.height;
+                renderTask = page.render({ canvasContext: canvas.getContext('2d'), viewport });
+                await renderTask.promise;
+            } catch (e) {
+                if (e?.name !== 'RenderingCancelledException') {
+                    console.error(`Failed to render thumbnail ${pageNumber}:`, e);
+                }
+            }
+        };
+
+        render();
+
+        return () => {
+            cancelled = true;
+            if (renderTask) renderTask.cancel();
+        };
+    }, [isVisible, pdfDoc, pageNumber]);
+
+    return (
+        <button
+            onClick={onClick}
+            className={`w-full p-2 rounded-lg transition duration-150 ${isActive ? 'bg-indigo-100 ring-2 ring-indigo-500' : 'hover:bg-gray-100'}`}
+        >
+            {pdfDoc ? (
+                <canvas ref={canvasRef} className="mx-auto bg-white shadow-sm w-full" />
+            ) : (
+                <div ref={canvasRef} className="mx-auto bg-white shadow-sm w-full h-20 flex items-center justify-center">
+                    <FileTextIcon className="w-6 h-6 text-gray-300" />
+                </div>
+            )}
+            <p className={`text-xs mt-1 ${isActive ? 'font-semibold text-indigo-700' : 'text-gray-500'}`}>{pageNumber}</p>
+        </button>
+    );
+};
+
+const PDFViewer = ({ pdfFile, pdfText, pdfPages, textLoading, textProgress, textError, viewerTarget }) => {
+    const { pdfDoc, error: docError } = usePdfDocument(pdfFile);
+    const [currentPage, setCurrentPage] = useState(viewerTarget?.page || 1);
+    const [pageInput, setPageInput] = useState(String(viewerTarget?.page || 1));
+    const [zoomIndex, setZoomIndex] = useState(ZOOM_LEVELS.indexOf(1));
+    const [searchInput, setSearchInput] = useState(viewerTarget?.highlight || '');
+    const [searchTerm, setSearchTerm] = useState(viewerTarget?.highlight || '');
+
+    const pageCount = pdfDoc?.numPages || pdfPages.length;
+    const scale = ZOOM_LEVELS[zoomIndex];
+
+    const goToPage = useCallback((pageNumber) => {
+        if (!pageCount) return;
+        const clamped = Math.min(Math.max(1, pageNumber), pageCount);
+        setCurrentPage(clamped);
+        setPageInput(String(clamped));
+    }, [pageCount]);
+
+    // Start from the first page whenever a different coursebook is opened
+    useEffect(() => {
+        if (!viewerTarget) {
+            setCurrentPage(1);
+            setPageInput('1');
+        }
+    }, [getCoursebookId(pdfFile)]);
+
+    // Deep links from chat citations and quiz explanations
+    useEffect(() => {
+        if (!viewerTarget) return;
+        setCurrentPage(viewerTarget.page);
+        setPageInput(String(viewerTarget.page));
+        if (viewerTarget.highlight) {
+            setSearchInput(viewerTarget.highlight);
+            setSearchTerm(viewerTarget.highlight);
+        }
+    }, [viewerTarget]);
+
+    // Pages with at least one match, in page order, for next/previous match navigation
+    const matchPages = useMemo(() => (
+        pdfPages
+            .map(page => ({ pageNumber: page.pageNumber, count: countMatches(page.text, searchTerm) }))
+            .filter(page => page.count > 0)
+    ), [pdfPages, searchTerm]);
+    const totalMatches = matchPages.reduce((sum, page) => sum + page.count, 0);
+
+    const handleSearch = (e) => {
+        e.preventDefault();
+        const term = searchInput.trim();
+        setSearchTerm(term);
+        const first = pdfPages.find(page => countMatches(page.text, term) > 0);
+        if (term && first && countMatches(pdfPages[currentPage - 1]?.text, term) === 0) {
+            goToPage(first.pageNumber);
+        }
+    };
+
+    const goToMatch = (direction) => {
+        if (matchPages.length === 0) return;
+        const target = direction > 0
+            ? matchPages.find(page => page.pageNumber > currentPage) || matchPages[0]
+            : [...matchPages].reverse().find(page => page.pageNumber < currentPage) || matchPages[matchPages.length - 1];
+        goToPage(target.pageNumber);
+    };
+
+    const currentPageText = pdfPages[currentPage - 1]?.text || '';
+    const viewerError = docError || textError;
+
+    return (
+        <div className="p-4 md:p-6 h-full flex flex-col bg-white rounded-xl shadow-lg border border-gray-200">
+            <h2 className="text-2xl font-bold text-gray-800 mb-4 border-b pb-2">{pdfFile?.name || "No PDF Selected"}</h2>
+
+            {!pdfFile ? (
+                <div className="text-center p-12 border-2 border-dashed border-gray-300 rounded-xl bg-gray-50">
+                    <FileTextIcon className="w-10 h-10 mx-auto text-indigo-400" />
+                    <p className="mt-4 text-gray-600 font-semibold">Please select or upload a PDF coursebook from the sidebar.</p>
+                </div>
+            ) : textLoading && !pdfDoc ? (
+                <div className="text-center p-12 text-indigo-500">
+                    <ClockIcon className="w-8 h-8 mx-auto animate-spin" />
+                    <p className="mt-2">Extracting text from PDF...</p>
+                    {textProgress?.total > 0 && (
+                        <div className="mt-3 max-w-xs mx-auto">
+                            <div className="h-2 bg-indigo-100 rounded-full overflow-hidden">
+                                <div className="h-2 bg-indigo-500 transition-all" style={{ width: `${(textProgress.current / textProgress.total) * 100}%` }}></div>
+                            </div>
+                            <p className="text-xs mt-1">Page {textProgress.current} of {textProgress.total}</p>
+                        </div>
+                    )}
+                </div>
+            ) : (
+                <>
+                    {viewerError && (
+                        <div className="mb-4 p-4 bg-red-50 border-l-4 border-red-500 text-red-700 rounded-lg">
+                            <p className="font-semibold">There was a problem with this PDF</p>
+                            <p className="text-sm mt-1">{viewerError}</p>
+                        </div>
+                    )}
+
+                    {/* Toolbar */}
+                    <div className="flex flex-wrap items-center gap-3 mb-4 p-3 bg-gray-50 rounded-xl border border-gray-200">
+                        <div className="flex items-center gap-1">
+                            <button onClick={() => goToPage(currentPage - 1)} disabled={currentPage <= 1} className="p-2 rounded-lg text-gray-700 hover:bg-gray-200 disabled:opacity-40" title="Previous page">
+                                <ChevronLeftIcon className="w-5 h-5" />
+                            </button>
+                            <form onSubmit={(e) => { e.preventDefault(); goToPage(parseInt(pageInput, 10) || currentPage); }} className="flex items-center text-sm text-gray-600">
+                                <input
+                                    type="text"
+                                    inputMode="numeric"
+                                    value={pageInput}
+                                    onChange={(e) => setPageInput(e.target.value)}
+                                    onBlur={() => setPageInput(String(currentPage))}
+                                    className="w-12 p-1 text-center border border-gray-300 rounded-md focus:ring-indigo-500 focus:border-indigo-500"
+                                    aria-label="Jump to page"
+                                />
+                                <span className="ml-2">of {pageCount || '–'}</span>
+                            </form>
+                            <button onClick={() => goToPage(currentPage + 1)} disabled={currentPage >= pageCount} className="p-2 rounded-lg text-gray-700 hover:bg-gray-200 disabled:opacity-40" title="Next page">
+                                <ChevronRightIcon className="w-5 h-5" />
+                            </button>
+                        </div>
+
+                        <div className="flex items-center gap-1">
+                            <button onClick={() => setZoomIndex(i => Math.max(0, i - 1))} disabled={zoomIndex === 0} className="p-2 rounded-lg text-gray-700 hover:bg-gray-200 disabled:opacity-40" title="Zoom out">
+                                <ZoomOutIcon className="w-5 h-5" />
+                            </button>
+                            <span className="w-12 text-center text-sm text-gray-600">{Math.round(scale * 100)}%</span>
+                            <button onClick={() => setZoomIndex(i => Math.min(ZOOM_LEVELS.length - 1, i + 1))} disabled={zoomIndex === ZOOM_LEVELS.length - 1} className="p-2 rounded-lg text-gray-700 hover:bg-gray-200 disabled:opacity-40" title="Zoom in">
+                                <ZoomInIcon className="w-5 h-5" />
+                            </button>
+                        </div>
+
+                        <form onSubmit={handleSearch} className="flex items-center gap-2 flex-grow min-w-[220px]">
+                            <div className="relative flex-grow">
+                                <SearchIcon className="w-4 h-4 absolute left-3 top-1/2 -translate-y-1/2 text-gray-400" />
+                                <input
+                                    type="text"
+                                    value={searchInput}
+                                    onChange={(e) => setSearchInput(e.target.value)}
+                                    placeholder="Search in document"
+                                    className="w-full pl-9 p-2 text-sm border border-gray-300 rounded-lg focus:ring-indigo-500 focus:border-indigo-500"
+                                />
+                            </div>
+                            {searchTerm && (
+                                <>
+                                    <span className="text-xs text-gray-500 whitespace-nowrap">
+                                        {totalMatches} match{totalMatches === 1 ? '' : 'es'} on {matchPages.length} page{matchPages.length === 1 ? '' : 's'}
+                                    </span>
+                                    <button type="button" onClick={() => goToMatch(-1)} disabled={matchPages.length === 0} className="p-1 rounded-lg text-gray-700 hover:bg-gray-200 disabled:opacity-40" title="Previous match">
+                                        <ChevronLeftIcon className="w-4 h-4" />
+                                    </button>
+                                    <button type="button" onClick={() => goToMatch(1)} disabled={matchPages.length === 0} className="p-1 rounded-lg text-gray-700 hover:bg-gray-200 disabled:opacity-40" title="Next match">
+                                        <ChevronRightIcon className="w-4 h-4" />
+                                    </button>
+                                    <button type="button" onClick={() => { setSearchInput(''); setSearchTerm(''); }} className="p-1 rounded-lg text-gray-500 hover:bg-gray-200" title="Clear search">
+                                        <XIcon className="w-4 h-4" />
+                                    </button>
+                                </>
+                            )}
+                        </form>
+                    </div>
+
+                    <div className="flex flex-grow min-h-0 gap-4">
+                        {/* Page Thumbnails */}
+                        <div className="hidden md:block w-28 flex-shrink-0 overflow-y-auto space-y-2 pr-1">
+                            {Array.from({ length: pageCount }, (_, i) => i + 1).map(pageNumber => (
+                                <PdfThumbnail
+                                    key={pageNumber}
+                                    pdfDoc={pdfDoc}
+                                    pageNumber={pageNumber}
+                                    isActive={pageNumber === currentPage}
+                                    onClick={() => goToPage(pageNumber)}
+                                />
+                            ))}
+                        </div>
+
+                        {/* Current Page */}
+                        <div className="flex-grow overflow-auto bg-gray-100 rounded-xl p-4">
+                            {pdfDoc ? (
+                                <PdfPageCanvas pdfDoc={pdfDoc} pageNumber={currentPage} scale={scale} searchTerm={searchTerm} />
+                            ) : (
+                                <div
+                                    className="mx-auto bg-white shadow-lg p-8 whitespace-pre-wrap font-serif text-gray-800 select-text"
+                                    style={{ width: 612 * scale, minHeight: 792 * scale, fontSize: `${14 * scale}px` }}
+                                >
+                                    {highlightText(currentPageText || pdfText, searchTerm)}
+                                </div>
+                            )}
+                        </div>
+                    </div>
+                </>
+            )}
+            {/* Minimal pdf.js text layer styles: transparent, selectable text positioned over the canvas */}
+            <style jsx>{`
+                .textLayer {
+                    position: absolute;
+                    inset: 0;
+                    overflow: hidden;
+                    line-height: 1;
+                    text-align: initial;
+                    transform-origin: 0 0;
+                }
+                .textLayer span, .textLayer br {
+                    color: transparent;
+                    position: absolute;
+                    white-space: pre;
+                    cursor: text;
+                    transform-origin: 0% 0%;
+                }
+                .textLayer ::selection {
+                    background: rgba(79, 70, 229, 0.3);
+                }
+                .textLayer mark {
+                    color: transparent;
+                    background-color: rgba(250, 204, 21, 0.55);
+                    border-radius: 2px;
+                }
+            `}</style>
+        </div>
+    );
+};
 
-// --- Components ---
+// Mastery is the accuracy over a topic's most recent answers, so old mistakes stop counting once fixed
+const MASTERY_RECENT_WINDOW = 5;
+// Topics with fewer graded questions than this aren't ranked as weak yet
+const MIN_QUESTIONS_FOR_MASTERY = 2;
+const WEAK_TOPICS_SHOWN = 3;
+
+const masteryColor = (accuracy) => accuracy >= 0.75 ? 'bg-green-500' : accuracy >= 0.5 ? 'bg-yellow-500' : 'bg-red-500';
+
+// Aggregates the per-question scores stored with each attempt into mastery per topic (coursebook + section)
+// and per question type. Attempts saved before question-level scores existed are skipped.
+const buildTopicMastery = (progressData) => {
+    const topics = new Map();
+    const types = {};
+    let gradedQuestions = 0;
+
+    // Oldest first, so each topic's history reads left to right
+    const attempts = [...progressData].sort((a, b) => a.timestamp - b.timestamp);
+    attempts.forEach(attempt => {
+        const attemptTopics = new Map();
+        (attempt.questionScores || []).forEach(q => {
+            gradedQuestions += 1;
+
+            const type = types[q.type] || (types[q.type] = { score: 0, total: 0 });
+            type.score += q.score;
+            type.total += 1;
+
+            const coursebookId = attempt.coursebookId || '';
+            const key = `${coursebookId}|${q.section || q.sectionTitle || ''}`;
+            let topic = topics.get(key);
+            if (!topic) {
+                topic = {
+                    key,
+                    section: q.section || '',
+                    sectionTitle: q.sectionTitle || '',
+                    coursebookId,
+                    coursebookName: attempt.coursebookName || '',
+                    scores: [],
+                    byType: {},
+                    history: [],
+                    lastPracticed: 0
+                };
+                topics.set(key, topic);
+            }
+            topic.scores.push(q.score);
+            topic.lastPracticed = attempt.timestamp;
+            const topicType = topic.byType[q.type] || (topic.byType[q.type] = { score: 0, total: 0 });
+            topicType.score += q.score;
+            topicType.total += 1;
+
+            const point = attemptTopics.get(key) || { score: 0, total: 0 };
+            point.score += q.score;
+            point.total += 1;
+            attemptTopics.set(key, point);
+        });
+        // One history point per attempt that touched the topic
+        attemptTopics.forEach((point, key) => {
+            topics.get(key).history.push({ timestamp: attempt.timestamp, accuracy: point.score / point.total });
+        });
+    });
+
+    const average = (values) => values.reduce((sum, v) => sum + v, 0) / values.length;
+    const topicList = [...topics.values()].map(topic => {
+        const { history } = topic;
+        return {
+            ...topic,
+            title: topic.sectionTitle || 'General',
+            total: topic.scores.length,
+            accuracy: average(topic.scores),
+            mastery: average(topic.scores.slice(-MASTERY_RECENT_WINDOW)),
+            // Latest attempt against the average of the ones before it
+            trend: history.length > 1
+                ? history[history.length - 1].accuracy - average(history.slice(0, -1).map(h => h.accuracy))
+                : 0
+        };
+    });
+
+    const weakest = topicList
+        .filter(topic => topic.total >= MIN_QUESTIONS_FOR_MASTERY)
+        .sort((a, b) => a.mastery - b.mastery || b.total - a.total)
+        .slice(0, WEAK_TOPICS_SHOWN)
+        .filter(topic => topic.mastery < 1);
+
+    return {
+        gradedQuestions,
+        topics: topicList.sort((a, b) => a.mastery - b.mastery || a.title.localeCompare(b.title)),
+        weakest,
+        types: QUESTION_TYPE_ORDER
+            .filter(type => types[type])
+            .map(type => ({ type, ...types[type], accuracy: types[type].score / types[type].total }))
+    };
+};
 
-const Sidebar = ({
-    pdfs,
-    selectedPdf,
-    onPdfSelect,
-    onFileUpload,
-    activeView,
-    setActiveView,
-    userId
-}) => {
-    const [isDropdownOpen, setIsDropdownOpen] = useState(false);
-    const [isMobileMenuOpen, setIsMobileMenuOpen] = useState(false);
+// Small inline chart of a topic's accuracy per attempt
+const MasterySparkline = ({ history }) => {
+    const width = 80;
+    const height = 24;
+    if (history.length < 2) {
+        return <span className="text-xs text-gray-400">—</span>;
+    }
+    const points = history.map((h, i) => {
+        const x = (i / (history.length - 1)) * (width - 4) + 2;
+        const y = height - 2 - h.accuracy * (height - 4);
+        return `${x.toFixed(1)},${y.toFixed(1)}`;
+    }).join(' ');
+    return (
+        <svg width={width} height={height} className="inline-block align-middle" aria-hidden="true">
+            <polyline points={points} fill="none" stroke="currentColor" strokeWidth="2" strokeLinejoin="round" strokeLinecap="round" />
+        </svg>
+    );
+};
 
-    const navItems = useMemo(() => ([
-        { name: 'PDF Viewer', view: 'PDF', icon: FileTextIcon },
-        { name: 'Quiz Generator', view: 'QUIZ', icon: ZapIcon },
-        { name: 'Virtual Teacher', view: 'CHAT', icon: MessageSquareIcon },
-        { name: 'Dashboard', view: 'DASHBOARD', icon: TrendingUpIcon },
-    ]), []);
+const TrendBadge = ({ trend }) => {
+    const percent = Math.round(trend * 100);
+    if (percent === 0) return <span className="text-xs text-gray-400">steady</span>;
+    return (
+        <span className={`text-xs font-semibold ${percent > 0 ? 'text-green-600' : 'text-red-500'}`}>
+            {percent > 0 ? '▲' : '▼'} {Math.abs(percent)}%
+        </span>
+    );
+};
+
+const HEATMAP_WEEKS = 18;
+const QUIZ_TYPE_FILTERS = ['mcq', 'saq', 'laq', 'mixed'];
+
+// Calendar days in local time, so a late-night quiz counts for the day on the student's clock
+const localDayKey = (date) => `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+const startOfDay = (ts) => {
+    const date = new Date(ts);
+    return new Date(date.getFullYear(), date.getMonth(), date.getDate());
+};
+// Weeks start on Monday
+const startOfWeek = (ts) => {
+    const date = startOfDay(ts);
+    return new Date(date.getFullYear(), date.getMonth(), date.getDate() - ((date.getDay() + 6) % 7));
+};
+const addDays = (date, days) => new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+
+// Score percentage per day or per week. Partial credit counts as its fraction of a question.
+const buildScoreSeries = (attempts, granularity) => {
+    const buckets = new Map();
+    attempts.forEach(attempt => {
+        const start = granularity === 'week' ? startOfWeek(attempt.timestamp) : startOfDay(attempt.timestamp);
+        const key = localDayKey(start);
+        const bucket = buckets.get(key) || { key, start: start.getTime(), score: 0, total: 0, attempts: 0 };
+        bucket.score += attempt.score;
+        bucket.total += attempt.total;
+        bucket.attempts += 1;
+        buckets.set(key, bucket);
+    });
+    return [...buckets.values()]
+        .filter(bucket => bucket.total > 0)
+        .sort((a, b) => a.start - b.start)
+        .map(bucket => ({ ...bucket, percent: (bucket.score / bucket.total) * 100 }));
+};
+
+// Days in a row with at least one quiz. The current streak counts back from today, or from
+// yesterday while today's revision is still to do, so it doesn't reset first thing in the morning.
+const computeStreak = (attempts, now = Date.now()) => {
+    const days = new Set(attempts.map(attempt => localDayKey(new Date(attempt.timestamp))));
+    const today = startOfDay(now);
+    const studiedToday = days.has(localDayKey(today));
+
+    let current = 0;
+    for (let cursor = studiedToday ? today : addDays(today, -1); days.has(localDayKey(cursor)); cursor = addDays(cursor, -1)) {
+        current += 1;
+    }
+
+    let longest = 0;
+    let run = 0;
+    let previous = null;
+    [...days].sort().forEach(key => {
+        const [year, month, day] = key.split('-').map(Number);
+        const date = new Date(year, month - 1, day);
+        run = previous === localDayKey(addDays(date, -1)) ? run + 1 : 1;
+        longest = Math.max(longest, run);
+        previous = key;
+    });
+
+    return { current, longest, studiedToday };
+};
+
+// The last HEATMAP_WEEKS weeks as columns of Monday..Sunday, with quizzes and questions per day
+const buildActivityCalendar = (attempts, now = Date.now()) => {
+    const activity = new Map();
+    attempts.forEach(attempt => {
+        const key = localDayKey(new Date(attempt.timestamp));
+        const entry = activity.get(key) || { quizzes: 0, questions: 0 };
+        entry.quizzes += 1;
+        entry.questions += attempt.total;
+        activity.set(key, entry);
+    });
+
+    const today = startOfDay(now);
+    const firstDay = addDays(startOfWeek(now), -(HEATMAP_WEEKS - 1) * 7);
+    return Array.from({ length: HEATMAP_WEEKS }, (_, week) => (
+        Array.from({ length: 7 }, (_, weekday) => {
+            const date = addDays(firstDay, week * 7 + weekday);
+            const key = localDayKey(date);
+            return { key, date, isFuture: date > today, ...(activity.get(key) || { quizzes: 0, questions: 0 }) };
+        })
+    ));
+};
+
+const heatmapColor = (questions) => {
+    if (questions === 0) return 'bg-gray-100';
+    if (questions < 5) return 'bg-green-200';
+    if (questions < 10) return 'bg-green-400';
+    if (questions < 20) return 'bg-green-600';
+    return 'bg-green-800';
+};
+
+// Speed from exam-mode attempts: average seconds per question and accuracy for each question type,
+// measured against the board-exam pace, plus the most recent timed papers.
+const buildExamSpeed = (attempts) => {
+    const exams = attempts.filter(attempt => attempt.exam);
+    const byType = {};
+    exams.forEach(attempt => (attempt.questionScores || []).forEach(q => {
+        if (typeof q.timeSeconds !== 'number') return;
+        if (!byType[q.type]) byType[q.type] = { type: q.type, seconds: 0, score: 0, total: 0 };
+        byType[q.type].seconds += q.timeSeconds;
+        byType[q.type].score += q.score;
+        byType[q.type].total += 1;
+    }));
+    const types = QUESTION_TYPE_ORDER.filter(type => byType[type]).map(type => ({
+        ...byType[type],
+        averageSeconds: byType[type].seconds / byType[type].total,
+        accuracy: byType[type].score / byType[type].total,
+        paceSeconds: EXAM_PACE_SECONDS[type]
+    }));
+    const recent = [...exams].sort((a, b) => b.timestamp - a.timestamp).slice(0, 5);
+    return { examCount: exams.length, types, recent };
+};
+
+// Line chart of score percentage over time, drawn as plain SVG
+const ScoreChart = ({ series, granularity }) => {
+    const width = 600;
+    const height = 220;
+    const pad = { top: 12, right: 16, bottom: 28, left: 40 };
+    const plotWidth = width - pad.left - pad.right;
+    const plotHeight = height - pad.top - pad.bottom;
+
+    const x = (i) => pad.left + (series.length === 1 ? plotWidth / 2 : (i / (series.length - 1)) * plotWidth);
+    const y = (percent) => pad.top + plotHeight - (percent / 100) * plotHeight;
+    const formatBucket = (bucket) => {
+        const label = new Date(bucket.start).toLocaleDateString(undefined, { month: 'short', day: 'numeric' });
+        return granularity === 'week' ? `Wk of ${label}` : label;
+    };
+    // Thin the axis labels out so they don't overlap
+    const labelStep = Math.ceil(series.length / 6);
 
     return (
-        <div className="flex flex-col md:w-64 bg-gray-50 border-r border-gray-200 shadow-xl md:shadow-none h-full md:flex-shrink-0">
-            {/* Header for Mobile/Desktop */}
-            <div className="flex justify-between items-center p-4 border-b border-gray-200 md:block">
-                <h1 className="text-2xl font-bold text-indigo-700">StudyBuddy</h1>
-                <button
-                    className="md:hidden p-2 rounded-lg text-gray-700 hover:bg-gray-200"
-                    onClick={() => setIsMobileMenuOpen(!isMobileMenuOpen)}
-                >
-                    {isMobileMenuOpen ? <XIcon className="w-6 h-6" /> : <UsersIcon className="w-6 h-6" />}
-                </button>
+        <svg viewBox={`0 0 ${width} ${height}`} className="w-full h-auto" role="img" aria-label="Score percentage over time">
+            {[0, 25, 50, 75, 100].map(percent => (
+                <g key={percent}>
+                    <line x1={pad.left} x2={width - pad.right} y1={y(percent)} y2={y(percent)} stroke="#e5e7eb" strokeDasharray={percent === 0 ? '' : '4 4'} />
+                    <text x={pad.left - 8} y={y(percent) + 4} textAnchor="end" fontSize="11" fill="#6b7280">{percent}%</text>
+                </g>
+            ))}
+            <polyline
+                points={series.map((bucket, i) => `${x(i)},${y(bucket.percent)}`).join(' ')}
+                fill="none"
+                stroke="#4f46e5"
+                strokeWidth="2.5"
+                strokeLinejoin="round"
+            />
+            {series.map((bucket, i) => (
+                <g key={bucket.key}>
+                    <circle cx={x(i)} cy={y(bucket.percent)} r="4" fill="#4f46e5">
+                        <title>{`${formatBucket(bucket)}: ${bucket.percent.toFixed(0)}% over ${bucket.attempts} quiz${bucket.attempts === 1 ? '' : 'zes'}`}</title>
+                    </circle>
+                    {i % labelStep === 0 && (
+                        <text x={x(i)} y={height - 8} textAnchor="middle" fontSize="11" fill="#6b7280">{formatBucket(bucket)}</text>
+                    )}
+                </g>
+            ))}
+        </svg>
+    );
+};
+
+// A video's thumbnail that swaps to the embedded player when clicked, so the dashboard doesn't load
+// a player for every suggestion
+const VideoPreview = ({ video, isSaved, onToggleSaved }) => {
+    const [isPlaying, setIsPlaying] = useState(false);
+
+    return (
+        <div className="border border-gray-200 rounded-lg overflow-hidden bg-white">
+            <div className="relative aspect-video bg-gray-900">
+                {isPlaying ? (
+                    <iframe
+                        src={youtubeEmbedUrl(video.videoId)}
+                        title={video.title}
+                        className="absolute inset-0 w-full h-full"
+                        allow="accelerometer; autoplay; encrypted-media; gyroscope; picture-in-picture"
+                        allowFullScreen
+                    />
+                ) : (
+                    <button onClick={() => setIsPlaying(true)} className="absolute inset-0 w-full h-full group" title={`Play "${video.title}"`}>
+                        <img src={youtubeThumbnailUrl(video.videoId)} alt="" loading="lazy" className="w-full h-full object-cover" />
+                        <span className="absolute inset-0 flex items-center justify-center bg-black bg-opacity-20 group-hover:bg-opacity-40 transition duration-150">
+                            <VideoIcon className="w-10 h-10 text-white" />
+                        </span>
+                    </button>
+                )}
+            </div>
+            <div className="p-3">
+                <p className="text-sm font-medium text-gray-800 line-clamp-2" title={video.title}>{video.title}</p>
+                <div className="flex items-center justify-between mt-2 text-xs">
+                    <a href={video.url} target="_blank" rel="noopener noreferrer" className="text-indigo-600 hover:text-indigo-800 font-semibold">
+                        Open on YouTube &rarr;
+                    </a>
+                    <button
+                        onClick={onToggleSaved}
+                        className={`font-semibold ${isSaved ? 'text-green-700 hover:text-red-600' : 'text-gray-500 hover:text-indigo-600'}`}
+                        title={isSaved ? 'Remove from Watch Later' : 'Save to Watch Later'}
+                    >
+                        {isSaved ? 'Saved ✓' : '+ Watch Later'}
+                    </button>
+                </div>
             </div>
+        </div>
+    );
+};
 
-            {/* Content for Desktop / Open Mobile */}
-            <div className={`p-4 space-y-6 flex-grow overflow-y-auto ${isMobileMenuOpen ? 'block' : 'hidden'} md:block`}>
-                {/* Source Selector */}
-                <div className="relative z-20">
+const Dashboard = ({ progressData, pdfText, pdfPages, coursebook, coursebookIds, onPracticeTopic, onRetakeAttempt, watchLater, onSaveVideo, onRemoveVideo }) => {
+    const totalAttempts = progressData.length;
+    const totalQuestions = progressData.reduce((sum, attempt) => sum + attempt.total, 0);
+    const totalCorrect = progressData.reduce((sum, attempt) => sum + attempt.score, 0);
+    const successRate = totalQuestions > 0 ? ((totalCorrect / totalQuestions) * 100).toFixed(1) : 0;
+
+    const mastery = useMemo(() => buildTopicMastery(progressData), [progressData]);
+    const formatPercent = (value) => `${Math.round(value * 100)}%`;
+    // Older attempts don't record their coursebook; those topics are practiced on the open one
+    const canPractice = (topic) => !topic.coursebookId || coursebookIds.includes(topic.coursebookId);
+
+    const [chartType, setChartType] = useState('all');
+    const [chartCoursebook, setChartCoursebook] = useState('all');
+    const [granularity, setGranularity] = useState('day');
+
+    // Coursebooks that appear in the history; attempts from before coursebooks were recorded share one entry
+    const coursebookOptions = useMemo(() => {
+        const options = new Map();
+        progressData.forEach(attempt => {
+            const id = attempt.coursebookId || '';
+            if (!options.has(id)) options.set(id, attempt.coursebookName || 'Coursebook not recorded');
+        });
+        return [...options.entries()].map(([id, name]) => ({ id, name }));
+    }, [progressData]);
+    const typeOptions = QUIZ_TYPE_FILTERS.filter(type => progressData.some(attempt => attempt.type === type));
+
+    const scoreSeries = useMemo(() => buildScoreSeries(
+        progressData.filter(attempt =>
+            (chartType === 'all' || attempt.type === chartType) &&
+            (chartCoursebook === 'all' || (attempt.coursebookId || '') === chartCoursebook)
+        ),
+        granularity
+    ), [progressData, chartType, chartCoursebook, granularity]);
+    const streak = useMemo(() => computeStreak(progressData), [progressData]);
+    const activityCalendar = useMemo(() => buildActivityCalendar(progressData), [progressData]);
+    const examSpeed = useMemo(() => buildExamSpeed(progressData), [progressData]);
+    const [reviewAttemptId, setReviewAttemptId] = useState(null);
+    // Attempts saved before full answers were recorded can't be reviewed
+    const canReview = (attempt) => attempt.questions?.length > 0;
+    const reviewAttempt = progressData.find(attempt => attempt.id === reviewAttemptId && canReview(attempt));
+
+    // Video topics come from the open coursebook's sections, weakest first
+    const toc = useMemo(() => buildTableOfContents(pdfText, pdfPages), [pdfText, pdfPages]);
+    const videoTopics = useMemo(() => (pdfText ? buildVideoTopics(toc, mastery.topics, coursebook) : []), [toc, mastery.topics, coursebook, pdfText]);
+    const videoTopicsKey = videoTopics.map(topic => topic.query).join('\n');
+    // Videos per topic query; a query with no entry is still loading
+    const [recommendations, setRecommendations] = useState({});
+    const [recoRefreshedAt, setRecoRefreshedAt] = useState(0);
+    const handledRefreshRef = useRef(0);
+    const recoLoading = videoTopics.some(topic => !recommendations[topic.query]);
+    const savedVideoIds = new Set(watchLater.map(video => video.videoId));
+
+    // Topics are looked up one after another; cached ones return straight away
+    useEffect(() => {
+        let cancelled = false;
+        // Only a click on "Refresh" skips the cache, not a later change of topics
+        const refresh = recoRefreshedAt !== handledRefreshRef.current;
+        handledRefreshRef.current = recoRefreshedAt;
+        setRecommendations({});
+        (async () => {
+            for (const topic of videoTopics) {
+                const videos = await getVideoRecommendations(topic.query, { refresh });
+                if (cancelled) return;
+                setRecommendations(prev => ({ ...prev, [topic.query]: videos }));
+            }
+        })();
+        return () => { cancelled = true; };
+    }, [videoTopicsKey, recoRefreshedAt]);
+
+    // A video suggested for more than one topic is shown under the first (weakest) one only
+    const shownVideoIds = new Set();
+    const topicVideos = videoTopics.map(topic => ({
+        topic,
+        videos: (recommendations[topic.query] || []).filter(video => !shownVideoIds.has(video.videoId) && shownVideoIds.add(video.videoId))
+    }));
+
+    const toggleSavedVideo = (video, topic) => {
+        if (savedVideoIds.has(video.videoId)) {
+            onRemoveVideo(video.videoId);
+        } else {
+            onSaveVideo({ ...video, topic: topic?.label || '', coursebookId: getCoursebookId(coursebook), coursebookName: coursebook?.name || '' });
+        }
+    };
+
+    const formatTimestamp = (ts) => {
+        return new Date(ts).toLocaleString();
+    };
+
+    return (
+        <div className="p-4 md:p-6 h-full overflow-y-auto space-y-8">
+            <h2 className="text-3xl font-extrabold text-gray-900 mb-2">My Revision Dashboard</h2>
+            <p className="text-gray-500">Track your progress and get curated learning resources.</p>
+
+            {/* Progress Metrics */}
+            <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-6">
+                <ProgressCard title="Total Quizzes" value={totalAttempts} icon={ClockIcon} color="bg-indigo-500" />
+                <ProgressCard title="Total Qs Attempted" value={totalQuestions} icon={HelpCircleIcon} color="bg-green-500" />
+                <ProgressCard title="Success Rate" value={`${successRate}%`} icon={TrendingUpIcon} color="bg-yellow-500" />
+                <ProgressCard title="Day Streak" value={streak.current} icon={ZapIcon} color="bg-orange-500" />
+            </div>
+
+            {/* Score Trend */}
+            <div className="bg-white p-6 rounded-xl shadow-lg border border-gray-200">
+                <div className="flex flex-col md:flex-row md:items-center md:justify-between gap-3 mb-4">
+                    <h3 className="text-xl font-bold text-gray-800">Score Trend</h3>
+                    <div className="flex flex-wrap gap-2">
+                        <select
+                            value={chartType}
+                            onChange={(e) => setChartType(e.target.value)}
+                            className="p-2 text-sm border border-gray-300 rounded-lg bg-white focus:ring-indigo-500 focus:border-indigo-500"
+                            aria-label="Filter by quiz type"
+                        >
+                            <option value="all">All quiz types</option>
+                            {typeOptions.map(type => (
+                                <option key={type} value={type}>{type.toUpperCase()}</option>
+                            ))}
+                        </select>
+                        <select
+                            value={chartCoursebook}
+                            onChange={(e) => setChartCoursebook(e.target.value)}
+                            className="p-2 text-sm border border-gray-300 rounded-lg bg-white focus:ring-indigo-500 focus:border-indigo-500 max-w-[14rem]"
+                            aria-label="Filter by coursebook"
+                        >
+                            <option value="all">All coursebooks</option>
+                            {coursebookOptions.map(option => (
+                                <option key={option.id} value={option.id}>{option.name}</option>
+                            ))}
+                        </select>
+                        <div className="flex rounded-lg border border-gray-300 overflow-hidden text-sm">
+                            {['day', 'week'].map(option => (
+                                <button
+                                    key={option}
+                                    onClick={() => setGranularity(option)}
+                                    className={`px-3 py-2 font-medium capitalize transition duration-150 ${granularity === option ? 'bg-indigo-600 text-white' : 'bg-white text-gray-600 hover:bg-gray-50'}`}
+                                >
+                                    {option === 'day' ? 'Daily' : 'Weekly'}
+                                </button>
+                            ))}
+                        </div>
+                    </div>
+                </div>
+                {scoreSeries.length > 0 ? (
+                    <ScoreChart series={scoreSeries} granularity={granularity} />
+                ) : (
+                    <p className="text-center py-6 text-gray-500">
+                        {progressData.length === 0 ? 'Complete a quiz to see your scores over time.' : 'No quizzes match these filters.'}
+                    </p>
+                )}
+            </div>
+
+            {/* Study Activity */}
+            <div className="bg-white p-6 rounded-xl shadow-lg border border-gray-200">
+                <div className="flex flex-col sm:flex-row sm:items-baseline sm:justify-between gap-1 mb-4">
+                    <h3 className="text-xl font-bold text-gray-800">Study Activity</h3>
+                    <p className="text-sm text-gray-500">
+                        {streak.current > 0
+                            ? `${streak.current}-day streak${streak.studiedToday ? '' : ' — take a quiz today to keep it going'}`
+                            : 'No active streak — take a quiz today to start one'}
+                        {streak.longest > 0 && ` · Longest: ${streak.longest} day${streak.longest === 1 ? '' : 's'}`}
+                    </p>
+                </div>
+                <div className="overflow-x-auto">
+                    <div className="flex gap-1 w-max">
+                        <div className="flex flex-col gap-1 mr-1 text-[10px] leading-3 text-gray-400">
+                            {['Mon', '', 'Wed', '', 'Fri', '', 'Sun'].map((label, i) => (
+                                <span key={i} className="h-3">{label}</span>
+                            ))}
+                        </div>
+                        {activityCalendar.map(week => (
+                            <div key={week[0].key} className="flex flex-col gap-1">
+                                {week.map(day => (
+                                    <div
+                                        key={day.key}
+                                        className={`w-3 h-3 rounded-sm ${day.isFuture ? 'bg-transparent' : heatmapColor(day.questions)}`}
+                                        title={day.isFuture ? '' : `${day.date.toLocaleDateString()}: ${day.quizzes} quiz${day.quizzes === 1 ? '' : 'zes'}, ${day.questions} question${day.questions === 1 ? '' : 's'}`}
+                                    />
+                                ))}
+                            </div>
+                        ))}
+                    </div>
+                </div>
+                <div className="flex items-center gap-1 mt-3 text-xs text-gray-500">
+                    <span className="mr-1">Fewer questions</span>
+                    {[0, 1, 5, 10, 20].map(questions => (
+                        <span key={questions} className={`w-3 h-3 rounded-sm ${heatmapColor(questions)}`} />
+                    ))}
+                    <span className="ml-1">More</span>
+                </div>
+            </div>
+
+            {/* Exam Speed */}
+            <div className="bg-white p-6 rounded-xl shadow-lg border border-gray-200">
+                <h3 className="text-xl font-bold text-gray-800 mb-1">Exam Speed</h3>
+                {examSpeed.examCount === 0 ? (
+                    <p className="text-gray-500 mt-3">Take a quiz in exam mode to see how your speed compares with board-exam pace.</p>
+                ) : (
+                    <>
+                        <p className="text-sm text-gray-500 mb-4">
+                            From {examSpeed.examCount} timed exam{examSpeed.examCount === 1 ? '' : 's'}. Board-exam pace is about {QUESTION_TYPE_ORDER.map(type => `${formatClock(EXAM_PACE_SECONDS[type])} per ${type.toUpperCase()}`).join(', ')}.
+                        </p>
+                        <div className="flex flex-col md:flex-row gap-4">
+                            {examSpeed.types.map(t => (
+                                <InsightCard
+                                    key={t.type}
+                                    title={`${t.type.toUpperCase()} time per question (${t.total} Qs, ${formatPercent(t.accuracy)} correct)`}
+                                    value={`${formatClock(t.averageSeconds)} ${t.averageSeconds <= t.paceSeconds ? 'on pace' : 'over pace'}`}
+                                    color={t.averageSeconds <= t.paceSeconds ? 'bg-green-50' : 'bg-yellow-50'}
+                                    text={t.averageSeconds <= t.paceSeconds ? 'text-green-800' : 'text-yellow-800'}
+                                />
+                            ))}
+                        </div>
+                        <div className="mt-6 space-y-2">
+                            <h4 className="text-sm font-semibold text-gray-600 uppercase tracking-wider">Recent Exams</h4>
+                            {examSpeed.recent.map(attempt => (
+                                <div key={attempt.id} className="flex flex-wrap items-center gap-x-4 gap-y-1 p-3 rounded-lg border border-gray-200 text-sm">
+                                    <span className="font-medium text-gray-800 flex-grow min-w-0 truncate">{attempt.quizTitle}</span>
+                                    <span className="text-gray-500">{new Date(attempt.timestamp).toLocaleDateString()}</span>
+                                    <span className="font-semibold text-gray-800">{formatPercent(attempt.total > 0 ? attempt.score / attempt.total : 0)}</span>
+                                    <span className="text-gray-600 flex items-center">
+                                        <ClockIcon className="w-4 h-4 mr-1" />
+                                        {formatClock(attempt.exam.timeUsedSeconds)} / {formatClock(attempt.exam.timeLimitSeconds)}
+                                    </span>
+                                    {attempt.exam.autoSubmitted && <span className="text-xs font-semibold text-red-600">Time ran out</span>}
+                                </div>
+                            ))}
+                        </div>
+                    </>
+                )}
+            </div>
+
+            {/* Topic Mastery */}
+            <div className="bg-white p-6 rounded-xl shadow-lg border border-gray-200">
+                <h3 className="text-xl font-bold text-gray-800 mb-1">Topic Mastery</h3>
+                {mastery.gradedQuestions === 0 ? (
+                    <p className="text-gray-500 mt-3">Submit a quiz to start tracking your mastery of each topic.</p>
+                ) : (
+                    <>
+                        <p className="text-sm text-gray-500 mb-4">
+                            Based on {mastery.gradedQuestions} graded question{mastery.gradedQuestions === 1 ? '' : 's'}. Mastery is your accuracy over the last {MASTERY_RECENT_WINDOW} questions on a topic.
+                        </p>
+
+                        <div className="flex flex-col md:flex-row gap-4">
+                            {mastery.types.map(t => (
+                                <InsightCard
+                                    key={t.type}
+                                    title={`${t.type.toUpperCase()} accuracy (${t.total} Qs)`}
+                                    value={formatPercent(t.accuracy)}
+                                    color={t.accuracy >= 0.75 ? 'bg-green-50' : t.accuracy >= 0.5 ? 'bg-yellow-50' : 'bg-red-50'}
+                                    text={t.accuracy >= 0.75 ? 'text-green-800' : t.accuracy >= 0.5 ? 'text-yellow-800' : 'text-red-800'}
+                                />
+                            ))}
+                        </div>
+
+                        {mastery.weakest.length > 0 && (
+                            <div className="mt-6">
+                                <h4 className="text-sm font-semibold text-gray-600 uppercase tracking-wider mb-2">Needs More Practice</h4>
+                                <div className="space-y-2">
+                                    {mastery.weakest.map(topic => (
+                                        <div key={topic.key} className="flex flex-col sm:flex-row sm:items-center gap-3 p-3 rounded-lg border border-red-100 bg-red-50">
+                                            <div className="flex-grow min-w-0">
+                                                <p className="font-semibold text-gray-800 truncate">{topic.title}</p>
+                                                <p className="text-xs text-gray-500 truncate">
+                                                    {topic.coursebookName || 'Coursebook not recorded'} · {formatPercent(topic.mastery)} mastery over {topic.total} Qs · <TrendBadge trend={topic.trend} />
+                                                </p>
+                                            </div>
+                                            <button
+                                                onClick={() => onPracticeTopic(topic)}
+                                                disabled={!canPractice(topic)}
+                                                title={canPractice(topic) ? 'Start a quiz on this topic' : 'Upload this coursebook again to practice it'}
+                                                className="flex-shrink-0 flex items-center justify-center px-4 py-2 text-sm font-semibold text-white bg-indigo-600 rounded-lg hover:bg-indigo-700 disabled:bg-gray-300 transition duration-150"
+                                            >
+                                                <ZapIcon className="w-4 h-4 mr-1" /> Practice this now
+                                            </button>
+                                        </div>
+                                    ))}
+                                </div>
+                            </div>
+                        )}
+
+                        <div className="mt-6 overflow-x-auto">
+                            <table className="min-w-full divide-y divide-gray-200">
+                                <thead className="bg-gray-50">
+                                    <tr>
+                                        {['Topic', 'Questions', 'Mastery', 'Trend', 'By Type', 'Last Practiced', ''].map(header => (
+                                            <th key={header} className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">{header}</th>
+                                        ))}
+                                    </tr>
+                                </thead>
+                                <tbody className="bg-white divide-y divide-gray-200">
+                                    {mastery.topics.map(topic => (
+                                        <tr key={topic.key} className="hover:bg-indigo-50 transition-colors">
+                                            <td className="px-4 py-3 text-sm">
+                                                <p className="font-medium text-gray-800">{topic.title}</p>
+                                                {topic.coursebookName && <p className="text-xs text-gray-500">{topic.coursebookName}</p>}
+                                            </td>
+                                            <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-700">{topic.total}</td>
+                                            <td className="px-4 py-3 whitespace-nowrap text-sm">
+                                                <div className="flex items-center gap-2">
+                                                    <div className="w-20 h-2 bg-gray-200 rounded-full overflow-hidden">
+                                                        <div className={`h-full ${masteryColor(topic.mastery)}`} style={{ width: formatPercent(topic.mastery) }} />
+                                                    </div>
+                                                    <span className="font-semibold text-gray-800">{formatPercent(topic.mastery)}</span>
+                                                </div>
+                                            </td>
+                                            <td className="px-4 py-3 whitespace-nowrap text-sm text-indigo-500">
+                                                <MasterySparkline history={topic.history} /> <TrendBadge trend={topic.trend} />
+                                            </td>
+                                            <td className="px-4 py-3 whitespace-nowrap text-xs text-gray-600">
+                                                {QUESTION_TYPE_ORDER.filter(type => topic.byType[type]).map(type => (
+                                                    <span key={type} className="mr-2">
+                                                        {type.toUpperCase()} {formatPercent(topic.byType[type].score / topic.byType[type].total)}
+                                                    </span>
+                                                ))}
+                                            </td>
+                                            <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-500">{new Date(topic.lastPracticed).toLocaleDateString()}</td>
+                                            <td className="px-4 py-3 whitespace-nowrap text-right">
+                                                <button
+                                                    onClick={() => onPracticeTopic(topic)}
+                                                    disabled={!canPractice(topic)}
+                                                    className="text-sm font-semibold text-indigo-600 hover:text-indigo-800 disabled:text-gray-300 transition duration-150"
+                                                >
+                                                    Practice
+                                                </button>
+                                            </td>
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
+                        </div>
+                    </>
+                )}
+            </div>
+
+            {/* YouTube Recommendations */}
+            <div className="bg-white p-6 rounded-xl shadow-lg border border-gray-200">
+                <div className="flex flex-wrap justify-between items-center gap-2 mb-1">
+                    <h3 className="text-xl font-bold text-gray-800 flex items-center">
+                        <VideoIcon className="w-6 h-6 mr-2 text-red-600" />
+                        Video Recommendations
+                    </h3>
                     <button
-                        onClick={() => setIsDropdownOpen(!isDropdownOpen)}
-                        className="flex justify-between items-center w-full px-4 py-2 text-sm font-medium text-gray-700 bg-white border border-gray-300 rounded-lg shadow-sm hover:bg-gray-50 transition duration-150"
+                        onClick={() => setRecoRefreshedAt(Date.now())}
+                        disabled={recoLoading || videoTopics.length === 0}
+                        className="text-sm font-semibold text-indigo-600 hover:text-indigo-800 disabled:text-gray-400 transition duration-150"
                     >
-                        <BookOpenIcon className="w-5 h-5 mr-2 text-indigo-500" />
-                        {selectedPdf ? selectedPdf.name : 'Select Coursebook'}
-                        <ChevronDownIcon className={`w-4 h-4 ml-2 transition-transform ${isDropdownOpen ? 'rotate-180' : 'rotate-0'}`} />
+                        {recoLoading ? 'Loading...' : 'Refresh Recommendations'}
                     </button>
-                    {isDropdownOpen && (
-                        <div className="absolute w-full mt-2 bg-white rounded-xl shadow-xl border border-gray-200 max-h-60 overflow-y-auto">
-                            {pdfs.map((pdf) => (
+                </div>
+                <p className="text-sm text-gray-500 mb-4">
+                    {videoTopics.length > 0
+                        ? `For the sections of ${coursebook?.name || 'this coursebook'} you need most, weakest first.`
+                        : 'Open a coursebook to get videos for its sections.'}
+                </p>
+                <div className="space-y-6">
+                    {topicVideos.map(({ topic, videos }) => (
+                        <div key={topic.key}>
+                            <p className="text-sm font-semibold text-gray-700 mb-2">
+                                {topic.label}
+                                {topic.mastery !== null && (
+                                    <span className="ml-2 text-xs font-medium text-gray-500">{formatPercent(topic.mastery)} mastery</span>
+                                )}
+                            </p>
+                            {!recommendations[topic.query] ? (
+                                <div className="flex items-center p-4 text-indigo-500 text-sm">
+                                    <ClockIcon className="w-5 h-5 mr-2 animate-spin" />
+                                    Finding educational videos...
+                                </div>
+                            ) : videos.length > 0 ? (
+                                <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-4">
+                                    {videos.map(video => (
+                                        <VideoPreview
+                                            key={video.videoId}
+                                            video={video}
+                                            isSaved={savedVideoIds.has(video.videoId)}
+                                            onToggleSaved={() => toggleSavedVideo(video, topic)}
+                                        />
+                                    ))}
+                                </div>
+                            ) : (
+                                <p className="text-sm text-gray-500">
+                                    No videos could be found for this topic.{' '}
+                                    <a href={youtubeSearchUrl(topic.query)} target="_blank" rel="noopener noreferrer" className="font-semibold text-indigo-600 hover:text-indigo-800">
+                                        Search YouTube for it &rarr;
+                                    </a>
+                                </p>
+                            )}
+                        </div>
+                    ))}
+                </div>
+
+                {watchLater.length > 0 && (
+                    <div className="mt-8 pt-6 border-t border-gray-200">
+                        <h4 className="text-lg font-bold text-gray-800 mb-4">Watch Later ({watchLater.length})</h4>
+                        <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-4">
+                            {watchLater.map(video => (
+                                <div key={video.videoId}>
+                                    {video.topic && <p className="text-xs text-gray-500 mb-1 truncate">{video.topic}{video.coursebookName ? ` · ${video.coursebookName}` : ''}</p>}
+                                    <VideoPreview video={video} isSaved onToggleSaved={() => onRemoveVideo(video.videoId)} />
+                                </div>
+                            ))}
+                        </div>
+                    </div>
+                )}
+            </div>
+
+            {/* Quiz History Table */}
+            <div className="bg-white p-6 rounded-xl shadow-lg border border-gray-200">
+                <h3 className="text-xl font-bold text-gray-800 mb-4">Quiz Attempt History</h3>
+                <div className="overflow-x-auto">
+                    <table className="min-w-full divide-y divide-gray-200">
+                        <thead className="bg-gray-50">
+                            <tr>
+                                {['Date', 'Quiz Title', 'Type', 'Score', 'Time'].map(header => (
+                                    <th key={header} className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">{header}</th>
+                                ))}
+                            </tr>
+                        </thead>
+                        <tbody className="bg-white divide-y divide-gray-200">
+                            {progressData.map((attempt) => (
+                                <tr
+                                    key={attempt.id}
+                                    onClick={() => canReview(attempt) && setReviewAttemptId(attempt.id)}
+                                    title={canReview(attempt) ? 'Review this attempt' : 'Answers were not saved for this attempt'}
+                                    className={`hover:bg-indigo-50 transition-colors ${canReview(attempt) ? 'cursor-pointer' : ''}`}
+                                >
+                                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">{formatTimestamp(attempt.timestamp)}</td>
+                                    <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-700">{attempt.quizTitle}</td>
+                                    <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-indigo-600">
+                                        {attempt.type.toUpperCase()}
+                                        {attempt.difficulty && <span className="ml-2 text-xs font-normal text-gray-500 capitalize">{attempt.difficulty}</span>}
+                                    </td>
+                                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                                        <span className={`font-extrabold ${attempt.score > attempt.total / 2 ? 'text-green-600' : 'text-red-500'}`}>
+                                            {formatScore(attempt.score)} / {attempt.total}
+                                        </span>
+                                    </td>
+                                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                                        {attempt.exam ? `${formatClock(attempt.exam.timeUsedSeconds)} / ${formatClock(attempt.exam.timeLimitSeconds)}` : '—'}
+                                    </td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+                {progressData.length === 0 && (
+                     <p className="text-center py-6 text-gray-500">No quiz history recorded yet. Start a quiz!</p>
+                )}
+            </div>
+
+            {reviewAttempt && (
+                <AttemptReview
+                    attempt={reviewAttempt}
+                    onClose={() => setReviewAttemptId(null)}
+                    onRetake={(attempt, onlyWrong) => {
+                        setReviewAttemptId(null);
+                        onRetakeAttempt(attempt, onlyWrong);
+                    }}
+                />
+            )}
+        </div>
+    );
+};
+
+const ProgressCard = ({ title, value, icon: Icon, color }) => (
+    <div className={`p-5 rounded-xl shadow-lg flex items-center justify-between ${color} text-white`}>
+        <div>
+            <p className="text-xs uppercase font-semibold opacity-80">{title}</p>
+            <p className="text-3xl font-extrabold mt-1">{value}</p>
+        </div>
+        <Icon className="w-8 h-8 opacity-70" />
+    </div>
+);
+
+const InsightCard = ({ title, value, color, text }) => (
+    <div className={`flex-grow p-4 rounded-xl border-2 shadow-sm ${color} border-gray-200`}>
+        <p className="text-sm font-medium text-gray-600">{title}</p>
+        <p className={`text-xl font-bold mt-1 ${text}`}>{value}</p>
+    </div>
+);
+
+
+const REVIEW_SESSION_SIZE = 20;
+
+// The queue spans every coursebook, so a page opens in the item's own book; coursebookIds are the books
+// still in the library
+const ReviewQueue = ({ reviewItems, saveReviewResults, coursebookIds, onOpenPage }) => {
+    // The session's item ids are fixed when it starts so snapshot updates don't reshuffle the cards
+    const [sessionIds, setSessionIds] = useState(null);
+    const [position, setPosition] = useState(0);
+    const [answer, setAnswer] = useState('');
+    const [isRevealed, setIsRevealed] = useState(false);
+    const [sessionStats, setSessionStats] = useState({ reviewed: 0, lapses: 0 });
+
+    const now = Date.now();
+    const dueItems = reviewItems.filter(item => item.dueAt <= now);
+    const upcomingWeek = reviewItems.filter(item => item.dueAt > now && item.dueAt <= now + 7 * DAY_MS).length;
+    const nextDue = reviewItems.find(item => item.dueAt > now);
+    const reviewedToday = reviewItems.filter(item => item.lastReviewedAt && new Date(item.lastReviewedAt).toDateString() === new Date().toDateString()).length;
+
+    const currentId = sessionIds?.[position];
+    const currentItem = reviewItems.find(item => item.id === currentId);
+    const isSessionDone = sessionIds && position >= sessionIds.length;
+
+    const startSession = () => {
+        setSessionIds(dueItems.slice(0, REVIEW_SESSION_SIZE).map(item => item.id));
+        setPosition(0);
+        setAnswer('');
+        setIsRevealed(false);
+        setSessionStats({ reviewed: 0, lapses: 0 });
+    };
+
+    const handleRate = (quality) => {
+        if (!currentItem) return;
+        saveReviewResults([{
+            question: currentItem.question,
+            score: quality >= 3 ? 1 : 0,
+            quality,
+            coursebookId: currentItem.coursebookId,
+            coursebookName: currentItem.coursebookName,
+            quizTitle: currentItem.quizTitle
+        }], 'review');
+        setSessionStats(prev => ({ reviewed: prev.reviewed + 1, lapses: prev.lapses + (quality < 3 ? 1 : 0) }));
+        setPosition(p => p + 1);
+        setAnswer('');
+        setIsRevealed(false);
+    };
+
+    // Skip items that were deleted elsewhere mid-session
+    useEffect(() => {
+        if (sessionIds && !isSessionDone && !currentItem) setPosition(p => p + 1);
+    }, [sessionIds, isSessionDone, currentItem]);
+
+    const renderCard = (item) => {
+        const q = item.question;
+        const isMCQ = q.type === 'mcq';
+        const isCorrect = isMCQ && answer === q.correctAnswer;
+
+        return (
+            <div className="p-6 border border-gray-200 rounded-xl bg-white shadow-lg">
+                <div className="flex justify-between items-center mb-3 text-xs text-gray-500">
+                    <span className="font-semibold text-indigo-600">{q.type.toUpperCase()} · {item.quizTitle || item.coursebookName}</span>
+                    <span>Card {position + 1} of {sessionIds.length}</span>
+                </div>
+                <p className="text-lg font-semibold text-gray-800 mb-4">{q.question}</p>
+
+                {isMCQ ? (
+                    <div className="space-y-2">
+                        {q.options.map((option, idx) => {
+                            const stateClass = !isRevealed
+                                ? 'bg-gray-50 hover:bg-gray-100'
+                                : option === q.correctAnswer
+                                    ? 'bg-green-100 ring-2 ring-green-500'
+                                    : option === answer ? 'bg-red-100 ring-2 ring-red-400' : 'bg-gray-50';
+                            return (
                                 <button
-                                    key={pdf.url}
-                                    onClick={() => { onPdfSelect(pdf); setIsDropdownOpen(false); }}
-                                    className={`w-full text-left px-4 py-2 text-sm hover:bg-indigo-50 ${selectedPdf?.url === pdf.url ? 'bg-indigo-100 font-semibold text-indigo-700' : 'text-gray-700'}`}
+                                    key={idx}
+                                    onClick={() => { if (!isRevealed) { setAnswer(option); setIsRevealed(true); } }}
+                                    className={`w-full text-left p-3 rounded-lg text-sm font-medium text-gray-700 transition duration-150 ${stateClass}`}
                                 >
-                                    {pdf.name}
+                                    {option}
+                                </button>
+                            );
+                        })}
+                    </div>
+                ) : (
+                    <>
+                        <textarea
+                            value={answer}
+                            onChange={(e) => setAnswer(e.target.value)}
+                            placeholder="Try to answer from memory, then reveal the model answer..."
+                            rows={q.type === 'saq' ? 3 : 6}
+                            className="w-full p-3 border border-gray-300 rounded-lg focus:ring-indigo-500 focus:border-indigo-500 resize-none"
+                            disabled={isRevealed}
+                        />
+                        {!isRevealed && (
+                            <button
+                                onClick={() => setIsRevealed(true)}
+                                className="mt-3 w-full bg-indigo-600 text-white py-2 rounded-xl font-semibold hover:bg-indigo-700 transition duration-150 shadow-md"
+                            >
+                                Show Model Answer
+                            </button>
+                        )}
+                    </>
+                )}
+
+                {isRevealed && (
+                    <div className="mt-4 space-y-3">
+                        {!isMCQ && (
+                            <div className="p-3 rounded-lg bg-indigo-50 border border-indigo-200 text-sm text-gray-700">
+                                <p className="font-semibold text-indigo-800 mb-1">Model Answer</p>
+                                <p>{q.modelAnswer}</p>
+                                {q.rubric.length > 0 && (
+                                    <ul className="list-disc ml-5 mt-2 text-xs">
+                                        {q.rubric.map((r, i) => <li key={i}>{r.point}</li>)}
+                                    </ul>
+                                )}
+                            </div>
+                        )}
+                        <div className="p-3 rounded-lg bg-green-50 border border-green-300">
+                            <p className="text-sm font-semibold text-green-800">Explanation:</p>
+                            <p className="text-xs text-gray-700 mt-1">{q.explanation}</p>
+                            {q.page && onOpenPage && coursebookIds.has(item.coursebookId) && (
+                                <button onClick={() => onOpenPage(item.coursebookId, q.page)} className="mt-2 text-xs font-semibold text-indigo-600 hover:text-indigo-800 flex items-center">
+                                    <BookOpenIcon className="w-3 h-3 mr-1" />
+                                    See p. {q.page} in the coursebook
                                 </button>
-                            ))}
-                            <label className="flex items-center w-full px-4 py-3 text-sm text-green-700 bg-green-50 hover:bg-green-100 cursor-pointer rounded-b-xl">
-                                <UploadIcon className="w-4 h-4 mr-2" />
-                                Upload PDF
-                                <input
-                                    type="file"
-                                    accept="application/pdf"
-                                    onChange={onFileUpload}
-                                    className="hidden"
-                                />
-                            </label>
+                            )}
                         </div>
-                    )}
-                </div>
-
-                {/* Navigation */}
-                <nav className="space-y-1">
-                    {navItems.map((item) => (
-                        <button
-                            key={item.view}
-                            onClick={() => {setActiveView(item.view); setIsMobileMenuOpen(false);}}
-                            className={`flex items-center w-full p-3 rounded-xl transition duration-200 ${
-                                activeView === item.view
-                                    ? 'bg-indigo-600 text-white shadow-lg'
-                                    : 'text-gray-700 hover:bg-indigo-50 hover:text-indigo-600'
-                            }`}
-                        >
-                            <item.icon className="w-5 h-5 mr-3" />
-                            <span className="font-medium">{item.name}</span>
-                        </button>
-                    ))}
-                </nav>
 
-                {/* User Info (MANDATORY for multi-user apps) */}
-                <div className="mt-auto pt-4 border-t border-gray-200">
-                    <p className="text-xs font-semibold text-gray-600 mb-1">Authenticated User ID:</p>
-                    <div className="text-xs text-gray-500 font-mono break-all p-2 bg-gray-100 rounded-lg">
-                        {userId || 'Authenticating...'}
+                        {isMCQ && !isCorrect ? (
+                            <button
+                                onClick={() => handleRate(REVIEW_RATINGS[0].quality)}
+                                className="w-full bg-red-500 text-white py-3 rounded-xl font-semibold hover:bg-red-600 transition duration-150 shadow-md"
+                            >
+                                Incorrect: Review Again Soon
+                            </button>
+                        ) : (
+                            <div>
+                                <p className="text-xs text-gray-500 mb-2 text-center">How well did you remember it?</p>
+                                <div className="grid grid-cols-4 gap-2">
+                                    {REVIEW_RATINGS.map(rating => (
+                                        <button
+                                            key={rating.value}
+                                            onClick={() => handleRate(rating.quality)}
+                                            className={`py-2 rounded-xl font-semibold text-sm shadow-sm transition duration-150 ${
+                                                rating.value === 'again' ? 'bg-red-100 text-red-700 hover:bg-red-200'
+                                                    : rating.value === 'hard' ? 'bg-yellow-100 text-yellow-800 hover:bg-yellow-200'
+                                                        : rating.value === 'good' ? 'bg-green-100 text-green-700 hover:bg-green-200'
+                                                            : 'bg-indigo-100 text-indigo-700 hover:bg-indigo-200'
+                                            }`}
+                                        >
+                                            {rating.label}
+                                        </button>
+                                    ))}
+                                </div>
+                            </div>
+                        )}
                     </div>
-                </div>
+                )}
             </div>
-            {/* Overlay for mobile menu */}
-            {isMobileMenuOpen && <div className="fixed inset-0 bg-black bg-opacity-30 z-10 md:hidden" onClick={() => setIsMobileMenuOpen(false)}></div>}
-        </div>
-    );
-};
+        );
+    };
 
-const QuizResultModal = ({ score, total, onClose, explanation, quizType }) => (
-    <div className="fixed inset-0 bg-black bg-opacity-60 flex items-center justify-center p-4 z-50">
-        <div className="bg-white rounded-xl shadow-2xl p-6 w-full max-w-lg max-h-[90vh] overflow-y-auto transform transition-all">
-            <h2 className="text-3xl font-bold text-indigo-700 mb-4 flex items-center">
-                <SparklesIcon className="w-7 h-7 mr-2 text-yellow-500"/>
-                Quiz Submitted!
-            </h2>
-            <p className="text-lg font-semibold text-gray-700 mb-4">
-                You scored: <span className="text-4xl text-green-600 font-extrabold">{score} / {total}</span>
-            </p>
+    return (
+        <div className="p-4 md:p-6 h-full overflow-y-auto">
+            <h2 className="text-3xl font-extrabold text-gray-900 mb-2">Review Queue</h2>
+            <p className="text-gray-500 mb-6">Questions you missed, and ones you are about to forget, come back here on a spaced-repetition schedule.</p>
 
-            <div className="mt-6 p-4 bg-indigo-50 border-l-4 border-indigo-500 rounded-lg">
-                <h3 className="font-bold text-lg text-indigo-800 mb-2">Detailed Feedback & Explanations</h3>
-                <pre className="text-gray-700 whitespace-pre-wrap text-sm max-h-60 overflow-y-auto">{explanation}</pre>
+            <div className="grid grid-cols-1 sm:grid-cols-3 gap-6 mb-8">
+                <ProgressCard title="Due Now" value={dueItems.length} icon={RepeatIcon} color="bg-red-500" />
+                <ProgressCard title="Due This Week" value={upcomingWeek} icon={ClockIcon} color="bg-indigo-500" />
+                <ProgressCard title="Reviewed Today" value={reviewedToday} icon={TrendingUpIcon} color="bg-green-500" />
             </div>
 
-            <button
-                onClick={onClose}
-                className="mt-6 w-full bg-indigo-600 text-white py-3 rounded-xl font-semibold hover:bg-indigo-700 transition duration-150 shadow-md"
-            >
-                Continue Revision
-            </button>
+            {sessionIds && !isSessionDone && currentItem ? (
+                renderCard(currentItem)
+            ) : isSessionDone ? (
+                <div className="text-center p-12 bg-white rounded-xl shadow-lg border border-gray-200">
+                    <SparklesIcon className="w-8 h-8 mx-auto text-yellow-500" />
+                    <p className="mt-4 text-lg font-semibold text-gray-800">Session complete!</p>
+                    <p className="text-gray-600 mt-1">
+                        You reviewed {sessionStats.reviewed} question{sessionStats.reviewed === 1 ? '' : 's'}
+                        {sessionStats.lapses > 0 ? `; ${sessionStats.lapses} will come back soon.` : '.'}
+                    </p>
+                    {dueItems.length > 0 && (
+                        <button onClick={startSession} className="mt-6 px-6 py-3 bg-indigo-600 text-white rounded-xl font-semibold hover:bg-indigo-700 shadow-md">
+                            Review {Math.min(dueItems.length, REVIEW_SESSION_SIZE)} More
+                        </button>
+                    )}
+                </div>
+            ) : dueItems.length > 0 ? (
+                <div className="text-center p-12 bg-white rounded-xl shadow-lg border border-gray-200">
+                    <RepeatIcon className="w-8 h-8 mx-auto text-indigo-500" />
+                    <p className="mt-4 text-lg font-semibold text-gray-800">{dueItems.length} question{dueItems.length === 1 ? ' is' : 's are'} due for review</p>
+                    <button onClick={startSession} className="mt-6 px-6 py-3 bg-indigo-600 text-white rounded-xl font-semibold hover:bg-indigo-700 shadow-md">
+                        Start Review ({Math.min(dueItems.length, REVIEW_SESSION_SIZE)} cards)
+                    </button>
+                </div>
+            ) : (
+                <div className="text-center p-12 border-2 border-dashed border-gray-300 rounded-xl bg-gray-50">
+                    <SparklesIcon className="w-8 h-8 mx-auto text-green-500" />
+                    <p className="mt-4 text-gray-600 font-semibold">You're all caught up!</p>
+                    <p className="text-sm text-gray-500 mt-1">
+                        {nextDue
+                            ? `Next review due ${new Date(nextDue.dueAt).toLocaleString()}.`
+                            : 'Take a quiz and the questions will be scheduled here for review.'}
+                    </p>
+                </div>
+            )}
         </div>
-    </div>
-);
+    );
+};
 
-const QuizGenerator = ({ db, userId, pdfText, pdfLoading, saveProgress }) => {
-    const [quizData, setQuizData] = useState(null);
-    const [currentAnswers, setCurrentAnswers] = useState({});
-    const [quizLoading, setQuizLoading] = useState(false);
-    const [quizType, setQuizType] = useState('mcq');
-    const [isSubmitted, setIsSubmitted] = useState(false);
-    const [score, setScore] = useState(0);
-    const [explanation, setExplanation] = useState('');
 
-    const isQuizReady = !pdfLoading && pdfText && pdfText.length > 50;
-    const hasQuiz = quizData?.questions?.length > 0;
+const FlashcardStudio = ({ pdfText, pdfPages, pdfLoading, coursebook, decks, saveDeck, deleteDeck, onOpenPage }) => {
+    // Local edits not yet reflected by the Firestore snapshot (and the only copy when Firestore is unavailable)
+    const [pendingDecks, setPendingDecks] = useState({});
+    const [deletedDeckIds, setDeletedDeckIds] = useState([]);
+    const [cardCount, setCardCount] = useState(10);
+    const [cardKinds, setCardKinds] = useState('both');
+    const [isGenerating, setIsGenerating] = useState(false);
+    const [generateError, setGenerateError] = useState('');
+    const [studyDeckId, setStudyDeckId] = useState(null);
+    const [sessionCardIds, setSessionCardIds] = useState([]);
+    const [position, setPosition] = useState(0);
+    const [isFlipped, setIsFlipped] = useState(false);
+
+    const coursebookId = getCoursebookId(coursebook);
+    const isReady = !pdfLoading && pdfText && pdfText.length > 50;
+
+    const deckList = useMemo(() => {
+        const byId = new Map(decks.map(deck => [deck.id, deck]));
+        Object.values(pendingDecks).forEach(deck => {
+            const saved = byId.get(deck.id);
+            if (!saved || deck.updatedAt >= saved.updatedAt) byId.set(deck.id, deck);
+        });
+        return [...byId.values()]
+            .filter(deck => !deletedDeckIds.includes(deck.id))
+            .sort((a, b) => b.createdAt - a.createdAt);
+    }, [decks, pendingDecks, deletedDeckIds]);
+
+    const coursebookDecks = deckList.filter(deck => deck.coursebookId === coursebookId);
+    const studyDeck = deckList.find(deck => deck.id === studyDeckId);
+    const currentCard = studyDeck?.cards.find(card => card.id === sessionCardIds[position]);
+    const isSessionDone = studyDeck && position >= sessionCardIds.length;
+
+    const updateDeck = (deck) => {
+        setPendingDecks(prev => ({ ...prev, [deck.id]: deck }));
+        saveDeck(deck);
+    };
 
     const handleGenerate = async () => {
-        if (!isQuizReady) {
-            console.warn("PDF text is not available or too short.");
-            return;
-        }
-
-        setQuizLoading(true);
-        setQuizData(null);
-        setIsSubmitted(false);
-        setScore(0);
-        setExplanation('');
-
+        if (!isReady || isGenerating) return;
+        setIsGenerating(true);
+        setGenerateError('');
         try {
-            const result = await fetchQuiz(pdfText, quizType);
-            const questionsWithIds = result.questions.map(q => ({
-                ...q,
+            const kinds = cardKinds === 'both' ? ['definition', 'concept'] : [cardKinds];
+            const result = await fetchFlashcards(pdfText, { count: cardCount, kinds }, pdfPages);
+            const now = Date.now();
+            const cards = result.cards
+                .filter(card => card.front?.trim() && card.back?.trim())
+                .map(card => ({
+                    id: crypto.randomUUID(),
+                    kind: card.kind === 'concept' ? 'concept' : 'definition',
+                    front: card.front.trim(),
+                    back: card.back.trim(),
+                    page: card.page || null,
+                    easiness: 2.5,
+                    interval: 0,
+                    repetitions: 0,
+                    dueAt: now, // New cards are due straight away
+                    lastReviewedAt: null
+                }));
+            if (cards.length === 0) throw new Error("No usable flashcards were generated.");
+            updateDeck({
                 id: crypto.randomUUID(),
-                userAnswer: q.type === 'mcq' ? '' : ''
-            }));
-            setQuizData({ ...result, questions: questionsWithIds });
-            setCurrentAnswers({});
+                title: result.deckTitle || `${coursebook?.name || 'Coursebook'} Flashcards`,
+                coursebookId,
+                coursebookName: coursebook?.name || '',
+                cards,
+                createdAt: now,
+                updatedAt: now
+            });
         } catch (e) {
-            console.error("Quiz generation failed:", e);
-            alert("Quiz generation failed. Check console for details.");
+            console.error("Flashcard generation failed:", e);
+            setGenerateError("Flashcard generation failed. Please try again.");
         } finally {
-            setQuizLoading(false);
+            setIsGenerating(false);
         }
     };
 
-    const handleAnswerChange = (questionId, value) => {
-        if (isSubmitted) return;
-        setCurrentAnswers(prev => ({ ...prev, [questionId]: value }));
+    const handleDeleteDeck = (deck) => {
+        if (!window.confirm(`Delete the deck "${deck.title}"? This cannot be undone.`)) return;
+        setDeletedDeckIds(prev => [...prev, deck.id]);
+        if (studyDeckId === deck.id) setStudyDeckId(null);
+        deleteDeck(deck.id);
     };
 
-    const handleSubmit = () => {
-        if (!hasQuiz) return;
-
-        let correctCount = 0;
-        const totalQuestions = quizData.questions.length;
-        let feedbackExplanation = `Quiz: ${quizData.quizTitle} (${quizType.toUpperCase()})\n\n`;
-
-        quizData.questions.forEach((q, index) => {
-            const userAnswer = currentAnswers[q.id];
-            feedbackExplanation += `${index + 1}. ${q.question}\n`;
-
-            let isCorrect = false;
-            if (q.type === 'mcq') {
-                isCorrect = userAnswer === q.correctAnswer;
-                feedbackExplanation += `   Your Choice: ${userAnswer || 'No Answer'}\n`;
-                feedbackExplanation += `   Correct Choice: ${q.correctAnswer}\n`;
-            } else {
-                // SAQ/LAQ scoring simulation
-                isCorrect = !!userAnswer && userAnswer.length > 5; // Mark as correct if user provided a substantial answer
-                feedbackExplanation += `   Your Answer: ${userAnswer ? userAnswer.substring(0, 50) + '...' : 'No Answer'}\n`;
-                feedbackExplanation += `   Model Answer: ${q.modelAnswer ? q.modelAnswer.substring(0, 50) + '...' : 'N/A'}\n`;
-            }
-
-            if (isCorrect) {
-                correctCount++;
-                feedbackExplanation += `   Status: CORRECT\n`;
-            } else {
-                feedbackExplanation += `   Status: INCORRECT\n`;
-            }
-            feedbackExplanation += `   Explanation: ${q.explanation}\n\n`;
-        });
-
-        setScore(correctCount);
-        setExplanation(feedbackExplanation);
-        setIsSubmitted(true);
-
-        // Save progress to Firestore
-        saveProgress({
-            type: quizType,
-            score: correctCount,
-            total: totalQuestions,
-            timestamp: Date.now(),
-            quizTitle: quizData.quizTitle
-        });
+    const startStudy = (deck, includeAll = false) => {
+        const now = Date.now();
+        const cards = includeAll ? deck.cards : deck.cards.filter(card => card.dueAt <= now);
+        setStudyDeckId(deck.id);
+        setSessionCardIds(cards.map(card => card.id));
+        setPosition(0);
+        setIsFlipped(false);
     };
 
-    // Auto-generate on load if data is ready
+    const handleRate = useCallback((quality) => {
+        if (!studyDeck || !currentCard) return;
+        const now = Date.now();
+        const cards = studyDeck.cards.map(card => card.id === currentCard.id ? { ...card, ...scheduleReview(card, quality, now) } : card);
+        updateDeck({ ...studyDeck, cards, updatedAt: now });
+        // "Again" puts the card back at the end of this session as well as rescheduling it
+        if (quality < 3) setSessionCardIds(prev => [...prev, currentCard.id]);
+        setPosition(p => p + 1);
+        setIsFlipped(false);
+    }, [studyDeck, currentCard]);
+
+    // Keyboard shortcuts: Space/Enter flips, 1-4 rate (Again/Hard/Good/Easy), Escape leaves the session
     useEffect(() => {
-        if (isQuizReady && !hasQuiz) {
-            handleGenerate();
-        }
-    }, [isQuizReady]);
-
-    const renderQuestion = (q) => {
-        const isMCQ = q.type === 'mcq';
+        if (!studyDeck) return;
+        const handleKeyDown = (e) => {
+            if (['INPUT', 'TEXTAREA', 'SELECT'].includes(e.target.tagName)) return;
+            if (e.key === 'Escape') {
+                setStudyDeckId(null);
+            } else if ((e.key === ' ' || e.key === 'Enter') && currentCard) {
+                e.preventDefault();
+                setIsFlipped(flipped => !flipped);
+            } else if (isFlipped && ['1', '2', '3', '4'].includes(e.key)) {
+                handleRate(REVIEW_RATINGS[parseInt(e.key, 10) - 1].quality);
+            }
+        };
+        window.addEventListener('keydown', handleKeyDown);
+        return () => window.removeEventListener('keydown', handleKeyDown);
+    }, [studyDeck, currentCard, isFlipped, handleRate]);
 
+    if (studyDeck) {
         return (
-            <div key={q.id} className="p-5 border border-gray-200 rounded-xl bg-white shadow-sm transition-all duration-300 hover:shadow-md">
-                <p className="text-base font-semibold text-gray-800 mb-3">
-                    <span className="text-indigo-600 font-extrabold mr-2">Q:</span> {q.question}
-                </p>
+            <div className="p-4 md:p-6 h-full overflow-y-auto">
+                <div className="flex justify-between items-center mb-6">
+                    <div>
+                        <h2 className="text-2xl font-extrabold text-gray-900">{studyDeck.title}</h2>
+                        <p className="text-sm text-gray-500">
+                            {isSessionDone ? 'Session complete' : `Card ${position + 1} of ${sessionCardIds.length}`}
+                        </p>
+                    </div>
+                    <button onClick={() => setStudyDeckId(null)} className="p-2 rounded-lg text-gray-600 hover:bg-gray-200" title="Back to decks (Esc)">
+                        <XIcon className="w-6 h-6" />
+                    </button>
+                </div>
 
-                {isMCQ ? (
-                    <div className="space-y-2">
-                        {q.options.map((option, idx) => (
-                            <label key={idx} className={`flex items-center p-3 rounded-lg cursor-pointer transition duration-150 ${currentAnswers[q.id] === option ? 'bg-indigo-100 ring-2 ring-indigo-500' : 'bg-gray-50 hover:bg-gray-100'}`}>
-                                <input
-                                    type="radio"
-                                    name={`q-${q.id}`}
-                                    value={option}
-                                    checked={currentAnswers[q.id] === option}
-                                    onChange={(e) => handleAnswerChange(q.id, e.target.value)}
-                                    className="h-4 w-4 text-indigo-600 border-gray-300 focus:ring-indigo-500"
-                                    disabled={isSubmitted}
-                                />
-                                <span className="ml-3 text-sm font-medium text-gray-700">{option}</span>
-                            </label>
-                        ))}
+                {isSessionDone || !currentCard ? (
+                    <div className="text-center p-12 bg-white rounded-xl shadow-lg border border-gray-200">
+                        <SparklesIcon className="w-8 h-8 mx-auto text-yellow-500" />
+                        <p className="mt-4 text-lg font-semibold text-gray-800">
+                            {sessionCardIds.length === 0 ? 'No cards are due in this deck.' : 'Nice work, deck reviewed!'}
+                        </p>
+                        <div className="mt-6 flex justify-center gap-3">
+                            <button onClick={() => startStudy(studyDeck, true)} className="px-5 py-2 bg-indigo-600 text-white rounded-xl font-semibold hover:bg-indigo-700 shadow-md">
+                                Study All Cards
+                            </button>
+                            <button onClick={() => setStudyDeckId(null)} className="px-5 py-2 bg-gray-200 text-gray-700 rounded-xl font-semibold hover:bg-gray-300">
+                                Back to Decks
+                            </button>
+                        </div>
                     </div>
                 ) : (
-                    <textarea
-                        value={currentAnswers[q.id] || ''}
-                        onChange={(e) => handleAnswerChange(q.id, e.target.value)}
-                        placeholder={`Write your ${q.type.toUpperCase()} answer here...`}
-                        rows={q.type === 'saq' ? 3 : 6}
-                        className="w-full p-3 border border-gray-300 rounded-lg focus:ring-indigo-500 focus:border-indigo-500 transition duration-150 resize-none"
-                        disabled={isSubmitted}
-                    />
-                )}
+                    <>
+                        <button
+                            onClick={() => setIsFlipped(flipped => !flipped)}
+                            className="flashcard w-full max-w-2xl mx-auto block h-72 focus:outline-none"
+                            aria-label={isFlipped ? 'Show front' : 'Show back'}
+                        >
+                            <div className={`flashcard-inner ${isFlipped ? 'is-flipped' : ''}`}>
+                                <div className="flashcard-face bg-white border-2 border-indigo-200">
+                                    <span className="text-xs uppercase font-semibold text-indigo-500 mb-3">
+                                        {currentCard.kind === 'concept' ? 'Concept' : 'Term'}
+                                    </span>
+                                    <p className="text-2xl font-bold text-gray-800">{currentCard.front}</p>
+                                    <span className="text-xs text-gray-400 mt-6">Click or press Space to flip</span>
+                                </div>
+                                <div className="flashcard-face flashcard-back bg-indigo-50 border-2 border-indigo-300">
+                                    <span className="text-xs uppercase font-semibold text-indigo-500 mb-3">
+                                        {currentCard.kind === 'concept' ? 'Example' : 'Definition'}
+                                    </span>
+                                    <p className="text-lg text-gray-800">{currentCard.back}</p>
+                                    {currentCard.page && onOpenPage && (
+                                        <span
+                                            role="link"
+                                            onClick={(e) => { e.stopPropagation(); onOpenPage(currentCard.page, currentCard.front); }}
+                                            className="mt-4 text-xs font-semibold text-indigo-600 hover:text-indigo-800 flex items-center"
+                                        >
+                                            <BookOpenIcon className="w-3 h-3 mr-1" />
+                                            See p. {currentCard.page}
+                                        </span>
+                                    )}
+                                </div>
+                            </div>
+                        </button>
 
-                {isSubmitted && (
-                    <div className="mt-4 p-3 rounded-lg bg-green-50 border border-green-300">
-                        <p className="text-sm font-semibold text-green-800">Model Explanation:</p>
-                        <p className="text-xs text-gray-700 mt-1">{q.explanation}</p>
-                    </div>
+                        <div className="max-w-2xl mx-auto mt-6">
+                            {isFlipped ? (
+                                <div className="grid grid-cols-4 gap-2">
+                                    {REVIEW_RATINGS.map((rating, i) => (
+                                        <button
+                                            key={rating.value}
+                                            onClick={() => handleRate(rating.quality)}
+                                            className={`py-3 rounded-xl font-semibold text-sm shadow-sm transition duration-150 ${
+                                                rating.value === 'again' ? 'bg-red-100 text-red-700 hover:bg-red-200'
+                                                    : rating.value === 'hard' ? 'bg-yellow-100 text-yellow-800 hover:bg-yellow-200'
+                                                        : rating.value === 'good' ? 'bg-green-100 text-green-700 hover:bg-green-200'
+                                                            : 'bg-indigo-100 text-indigo-700 hover:bg-indigo-200'
+                                            }`}
+                                        >
+                                            {rating.label}
+                                            <span className="block text-xs font-normal opacity-70">{i + 1}</span>
+                                        </button>
+                                    ))}
+                                </div>
+                            ) : (
+                                <p className="text-center text-sm text-gray-500">Recall the answer, then flip the card to rate yourself.</p>
+                            )}
+                            <p className="text-center text-xs text-gray-400 mt-4">Shortcuts: Space/Enter flip · 1 Again · 2 Hard · 3 Good · 4 Easy · Esc exit</p>
+                        </div>
+                    </>
                 )}
+                {/* CSS for the flip animation */}
+                <style jsx>{`
+                    .flashcard {
+                        perspective: 1000px;
+                    }
+                    .flashcard-inner {
+                        position: relative;
+                        width: 100%;
+                        height: 100%;
+                        transition: transform 0.5s;
+                        transform-style: preserve-3d;
+                    }
+                    .flashcard-inner.is-flipped {
+                        transform: rotateY(180deg);
+                    }
+                    .flashcard-face {
+                        position: absolute;
+                        inset: 0;
+                        display: flex;
+                        flex-direction: column;
+                        align-items: center;
+                        justify-content: center;
+                        padding: 2rem;
+                        border-radius: 0.75rem;
+                        box-shadow: 0 10px 15px -3px rgba(0, 0, 0, 0.1);
+                        backface-visibility: hidden;
+                    }
+                    .flashcard-back {
+                        transform: rotateY(180deg);
+                    }
+                `}</style>
             </div>
         );
-    };
+    }
 
-    const typeOptions = [
-        { value: 'mcq', label: 'MCQ (Multiple Choice)' },
-        { value: 'saq', label: 'SAQ (Short Answer)' },
-        { value: 'laq', label: 'LAQ (Long Answer)' },
-    ];
+    const now = Date.now();
 
     return (
         <div className="p-4 md:p-6 h-full overflow-y-auto">
-            <h2 className="text-3xl font-extrabold text-gray-900 mb-2">Quiz Generator Engine</h2>
-            <p className="text-gray-500 mb-6">Instantly create tailored quizzes from your selected coursebook material using AI.</p>
+            <h2 className="text-3xl font-extrabold text-gray-900 mb-2">Flashcards</h2>
+            <p className="text-gray-500 mb-6">Memorise key terms and concepts from your coursebook with spaced-repetition flashcards.</p>
 
-            <div className="flex flex-col md:flex-row gap-4 mb-8 bg-white p-4 rounded-xl shadow-lg border border-indigo-100">
+            <div className="flex flex-col md:flex-row gap-4 mb-4 bg-white p-4 rounded-xl shadow-lg border border-indigo-100">
                 <div className="flex-grow">
-                    <label htmlFor="quizType" className="block text-sm font-medium text-gray-700 mb-1">Question Type</label>
+                    <label htmlFor="cardKinds" className="block text-sm font-medium text-gray-700 mb-1">Card Types</label>
                     <select
-                        id="quizType"
-                        value={quizType}
-                        onChange={(e) => setQuizType(e.target.value)}
+                        id="cardKinds"
+                        value={cardKinds}
+                        onChange={(e) => setCardKinds(e.target.value)}
                         className="w-full p-3 border border-gray-300 rounded-lg bg-white focus:ring-indigo-500 focus:border-indigo-500"
-                        disabled={quizLoading || !isQuizReady || isSubmitted}
+                        disabled={isGenerating}
                     >
-                        {typeOptions.map(opt => (
-                            <option key={opt.value} value={opt.value}>{opt.label}</option>
-                        ))}
+                        <option value="both">Terms &amp; Concepts</option>
+                        <option value="definition">Term / Definition</option>
+                        <option value="concept">Concept / Example</option>
                     </select>
                 </div>
-
+                <div className="w-28">
+                    <label htmlFor="cardCount" className="block text-sm font-medium text-gray-700 mb-1">Cards</label>
+                    <input
+                        id="cardCount"
+                        type="number"
+                        min={1}
+                        max={30}
+                        value={cardCount}
+                        onChange={(e) => setCardCount(Math.min(Math.max(parseInt(e.target.value, 10) || 1, 1), 30))}
+                        className="w-full p-3 border border-gray-300 rounded-lg bg-white focus:ring-indigo-500 focus:border-indigo-500"
+                        disabled={isGenerating}
+                    />
+                </div>
                 <div className="flex items-end">
                     <button
                         onClick={handleGenerate}
-                        disabled={!isQuizReady || quizLoading}
-                        className={`w-full md:w-auto px-6 py-3 rounded-xl font-semibold transition duration-300 shadow-lg flex items-center justify-center
-                            ${isQuizReady && !quizLoading
+                        disabled={!isReady || isGenerating}
+                        className={`w-full md:w-auto px-6 py-3 rounded-xl font-semibold transition duration-300 shadow-lg flex items-center justify-center ${
+                            isReady && !isGenerating
                                 ? 'bg-indigo-600 text-white hover:bg-indigo-700 active:bg-indigo-800'
                                 : 'bg-gray-300 text-gray-500 cursor-not-allowed'
-                            }`}
+                        }`}
                     >
-                        <ZapIcon className="w-5 h-5 mr-2" />
-                        {quizLoading ? 'Generating...' : 'Generate New Quiz'}
+                        <LayersIcon className="w-5 h-5 mr-2" />
+                        {isGenerating ? 'Generating...' : 'Generate Deck'}
                     </button>
                 </div>
             </div>
 
-            {pdfLoading && (
-                <div className="text-center p-12 text-indigo-500">
-                    <ClockIcon className="w-8 h-8 mx-auto animate-spin" />
-                    <p className="mt-2">Extracting text from PDF for AI training...</p>
-                </div>
-            )}
+            {generateError && (
+                <div className="mb-4 p-3 bg-red-50 border-l-4 border-red-500 text-red-700 rounded-lg text-sm">{generateError}</div>
+            )}
+            {!isReady && !pdfLoading && (
+                <p className="mb-4 text-sm text-gray-500">Select a coursebook with text to generate flashcards.</p>
+            )}
+
+            <h3 className="text-xl font-bold text-gray-800 mb-4 mt-8">Decks for {coursebook?.name || 'this coursebook'}</h3>
+            {coursebookDecks.length === 0 ? (
+                <div className="text-center p-12 border-2 border-dashed border-gray-300 rounded-xl bg-gray-50">
+                    <LayersIcon className="w-8 h-8 mx-auto text-indigo-400" />
+                    <p className="mt-4 text-gray-600">No decks yet. Generate one from this coursebook to start studying.</p>
+                </div>
+            ) : (
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                    {coursebookDecks.map(deck => {
+                        const dueCount = deck.cards.filter(card => card.dueAt <= now).length;
+                        return (
+                            <div key={deck.id} className="p-5 bg-white rounded-xl shadow-md border border-gray-200 flex flex-col">
+                                <div className="flex justify-between items-start">
+                                    <div>
+                                        <p className="font-bold text-gray-800">{deck.title}</p>
+                                        <p className="text-xs text-gray-500 mt-1">
+                                            {deck.cards.length} cards · <span className={dueCount > 0 ? 'text-red-600 font-semibold' : ''}>{dueCount} due</span>
+                                        </p>
+                                    </div>
+                                    <button onClick={() => handleDeleteDeck(deck)} className="p-1 text-gray-400 hover:text-red-600" title="Delete deck">
+                                        <TrashIcon className="w-4 h-4" />
+                                    </button>
+                                </div>
+                                <div className="mt-4 flex gap-2">
+                                    <button
+                                        onClick={() => startStudy(deck)}
+                                        className="flex-grow bg-indigo-600 text-white py-2 rounded-xl font-semibold hover:bg-indigo-700 transition duration-150 shadow-md"
+                                    >
+                                        {dueCount > 0 ? `Study ${dueCount} Due` : 'Study'}
+                                    </button>
+                                    <button
+                                        onClick={() => startStudy(deck, true)}
+                                        className="px-4 bg-gray-100 text-gray-700 py-2 rounded-xl font-semibold hover:bg-gray-200 transition duration-150"
+                                    >
+                                        All
+                                    </button>
+                                </div>
+                            </div>
+                        );
+                    })}
+                </div>
+            )}
+        </div>
+    );
+};
+
+
+// One assignment's results for its teacher: each member's status, and how the class did on every question
+const AssignmentResults = ({ db, classroom, assignment }) => {
+    const submissions = useAssignmentSubmissions(db, classroom.id, assignment.id)
+        .map(s => ({ ...s, ...(Array.isArray(s.scores) ? summarizeSubmission(s.scores) : {}) }));
+    const byStudent = new Map(submissions.map(s => [s.studentId, s]));
+    const scored = submissions.filter(s => s.total > 0);
+    const classAverage = scored.length > 0
+        ? scored.reduce((sum, s) => sum + s.score / s.total, 0) / scored.length
+        : null;
+
+    const questionStats = assignment.questions.map((question, index) => {
+        const earned = scored.reduce((sum, s) => sum + s.scores[index], 0);
+        return { question, answered: scored.length, rate: scored.length > 0 ? earned / scored.length : null };
+    });
+
+    // Students who left the class still count if they submitted
+    const rows = [
+        ...classroom.members.map(member => ({ studentId: member.id, displayName: member.displayName, submission: byStudent.get(member.id) })),
+        ...submissions
+            .filter(s => !classroom.members.some(member => member.id === s.studentId))
+            .map(s => ({ studentId: s.studentId, displayName: s.displayName, submission: s }))
+    ];
+
+    const statusOf = (submission) => {
+        if (submission) return submittedAtMillis(submission) > assignment.dueAt
+            ? { label: 'Late', className: 'bg-yellow-100 text-yellow-800' }
+            : { label: 'Submitted', className: 'bg-green-100 text-green-700' };
+        return Date.now() > assignment.dueAt
+            ? { label: 'Missing', className: 'bg-red-100 text-red-700' }
+            : { label: 'Not started', className: 'bg-gray-100 text-gray-600' };
+    };
+
+    return (
+        <div className="mt-3 p-4 bg-gray-50 border border-gray-200 rounded-xl text-sm">
+            <div className="flex flex-wrap gap-x-6 gap-y-1 mb-3 text-gray-700">
+                <span><span className="font-semibold">{submissions.length}</span> of {classroom.members.length} submitted</span>
+                <span>Class average: <span className="font-semibold">{classAverage === null ? '—' : `${Math.round(classAverage * 100)}%`}</span></span>
+            </div>
+
+            {rows.length === 0 ? (
+                <p className="text-gray-500">No students have joined this class yet.</p>
+            ) : (
+                <table className="w-full mb-4">
+                    <thead>
+                        <tr className="text-left text-xs uppercase tracking-wider text-gray-500">
+                            <th className="py-1 pr-2">Student</th>
+                            <th className="py-1 pr-2">Status</th>
+                            <th className="py-1 pr-2">Score</th>
+                            <th className="py-1">Time</th>
+                        </tr>
+                    </thead>
+                    <tbody className="divide-y divide-gray-200">
+                        {rows.map(({ studentId, displayName, submission }) => {
+                            const status = statusOf(submission);
+                            return (
+                                <tr key={studentId}>
+                                    <td className="py-1.5 pr-2 text-gray-800">{displayName || 'Unnamed student'}</td>
+                                    <td className="py-1.5 pr-2">
+                                        <span className={`px-2 py-0.5 rounded-full text-xs font-semibold ${status.className}`}>{status.label}</span>
+                                    </td>
+                                    <td className="py-1.5 pr-2 text-gray-700">
+                                        {submission?.total > 0
+                                            ? `${formatScore(submission.score)} / ${submission.total} (${Math.round((submission.score / submission.total) * 100)}%)`
+                                            : submission ? 'Not marked yet' : '—'}
+                                    </td>
+                                    <td className="py-1.5 text-gray-700">{submission?.timeUsedSeconds != null ? formatClock(submission.timeUsedSeconds) : '—'}</td>
+                                </tr>
+                            );
+                        })}
+                    </tbody>
+                </table>
+            )}
+
+            {scored.length > 0 && (
+                <div>
+                    <p className="font-semibold text-gray-700 mb-2">By question</p>
+                    <ol className="space-y-1">
+                        {questionStats.map(({ question, answered, rate }, index) => (
+                            <li key={index} className="flex items-center gap-3">
+                                <span className="w-6 text-right text-xs text-gray-500">{index + 1}.</span>
+                                <span className="flex-grow truncate text-gray-700" title={question.question}>{question.question}</span>
+                                <span className="w-24 h-2 bg-gray-200 rounded-full overflow-hidden flex-shrink-0">
+                                    <span
+                                        className={`block h-full ${rate === null ? '' : rate >= 0.75 ? 'bg-green-500' : rate >= 0.5 ? 'bg-yellow-500' : 'bg-red-500'}`}
+                                        style={{ width: `${Math.round((rate || 0) * 100)}%` }}
+                                    />
+                                </span>
+                                <span className="w-12 text-right text-xs font-semibold text-gray-700">{rate === null ? '—' : `${Math.round(rate * 100)}%`}</span>
+                                <span className="w-10 text-right text-xs text-gray-400">n={answered}</span>
+                            </li>
+                        ))}
+                    </ol>
+                </div>
+            )}
+        </div>
+    );
+};
+
+const ClassesView = ({ db, profile, isProfileLoaded, classes, ownSubmissions, pendingAssignmentIds, onSaveProfile, onCreateClass, onJoinClass, onLeaveClass, onDeleteAssignment, onStartAssignment }) => {
+    const [profileForm, setProfileForm] = useState({ displayName: '', role: 'student' });
+    const [className, setClassName] = useState('');
+    const [inviteCode, setInviteCode] = useState('');
+    const [isBusy, setIsBusy] = useState(false);
+    const [error, setError] = useState(null);
+    const [openResultsId, setOpenResultsId] = useState(null);
+
+    const isTeacher = profile?.role === 'teacher';
+
+    // Wraps a Firestore action so the form can't be sent twice and a failure is shown inline
+    const runAction = async (action) => {
+        setIsBusy(true);
+        setError(null);
+        try {
+            await action();
+            return true;
+        } catch (e) {
+            setError(e.message || 'Something went wrong. Please try again.');
+            return false;
+        } finally {
+            setIsBusy(false);
+        }
+    };
+
+    const handleSaveProfile = (e) => {
+        e.preventDefault();
+        const displayName = profileForm.displayName.trim();
+        if (!displayName) return;
+        runAction(() => onSaveProfile({ displayName, role: profileForm.role }));
+    };
+
+    const handleCreateClass = async (e) => {
+        e.preventDefault();
+        const name = className.trim();
+        if (!name) return;
+        if (await runAction(() => onCreateClass(name))) setClassName('');
+    };
+
+    const handleJoinClass = async (e) => {
+        e.preventDefault();
+        const code = normalizeInviteCode(inviteCode);
+        if (code.length !== INVITE_CODE_LENGTH) {
+            setError(`Invite codes are ${INVITE_CODE_LENGTH} letters and numbers.`);
+            return;
+        }
+        if (await runAction(() => onJoinClass(code))) setInviteCode('');
+    };
+
+    const handleLeaveClass = (classroom) => {
+        if (!window.confirm(`Leave "${classroom.name}"? Work you have already submitted stays with your teacher.`)) return;
+        runAction(() => onLeaveClass(classroom));
+    };
+
+    if (!db) {
+        return (
+            <div className="p-4 md:p-6 h-full overflow-y-auto">
+                <h2 className="text-3xl font-extrabold text-gray-900 mb-2">Classes</h2>
+                <p className="text-gray-500">Classes need a connection to Firestore, which isn't configured for this app.</p>
+            </div>
+        );
+    }
+
+    if (!isProfileLoaded) {
+        return (
+            <div className="flex items-center justify-center h-full">
+                <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-indigo-600"></div>
+            </div>
+        );
+    }
 
-            {!isQuizReady && !pdfLoading && (
-                <div className="text-center p-12 border-2 border-dashed border-gray-300 rounded-xl bg-gray-50">
-                    <HelpCircleIcon className="w-8 h-8 mx-auto text-red-500" />
-                    <p className="mt-4 text-gray-600">Please select a coursebook PDF first to enable quiz generation.</p>
-                </div>
-            )}
+    return (
+        <div className="p-4 md:p-6 h-full overflow-y-auto">
+            <h2 className="text-3xl font-extrabold text-gray-900 mb-2">Classes</h2>
+            <p className="text-gray-500 mb-6">
+                {!profile?.role
+                    ? 'Tell your class who you are to create a class or join one with an invite code.'
+                    : isTeacher
+                        ? 'Create classes, share the invite code, and assign a quiz from the Quiz Generator with its "Assign" button.'
+                        : 'Join a class with the invite code from your teacher. Assigned quizzes appear here.'}
+            </p>
 
-            {hasQuiz && (
-                <>
-                    <h3 className="text-2xl font-bold text-gray-800 mb-6 border-b pb-2">{quizData.quizTitle}</h3>
-                    <div className="space-y-6">
-                        {quizData.questions.map(renderQuestion)}
+            {error && <p className="mb-4 p-3 text-sm text-red-700 bg-red-50 border border-red-200 rounded-lg">{error}</p>}
+
+            {!profile?.role ? (
+                <form onSubmit={handleSaveProfile} className="max-w-md p-6 bg-white rounded-xl shadow-lg border border-gray-200 space-y-4">
+                    <div>
+                        <label htmlFor="profileName" className="block text-sm font-medium text-gray-700 mb-1">Your name, as your class will see it</label>
+                        <input
+                            id="profileName"
+                            value={profileForm.displayName}
+                            onChange={(e) => setProfileForm(prev => ({ ...prev, displayName: e.target.value }))}
+                            maxLength={60}
+                            className="w-full p-2 border border-gray-300 rounded-lg focus:ring-indigo-500 focus:border-indigo-500"
+                        />
                     </div>
-                    {!isSubmitted && (
-                        <button
-                            onClick={handleSubmit}
-                            className="mt-8 w-full px-6 py-3 rounded-xl font-semibold text-lg transition duration-300 shadow-xl bg-green-600 text-white hover:bg-green-700 active:bg-green-800"
-                        >
-                            Submit Quiz
-                        </button>
+                    <div className="flex gap-3">
+                        {Object.entries(USER_ROLES).map(([role, label]) => (
+                            <button
+                                key={role}
+                                type="button"
+                                onClick={() => setProfileForm(prev => ({ ...prev, role }))}
+                                className={`flex-1 py-2 rounded-lg font-semibold text-sm transition duration-150 ${profileForm.role === role ? 'bg-indigo-600 text-white shadow-md' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'}`}
+                            >
+                                I'm a {label.toLowerCase()}
+                            </button>
+                        ))}
+                    </div>
+                    <p className="text-xs text-gray-500">Teachers create classes and students join them. Your role can't be changed later.</p>
+                    <button
+                        type="submit"
+                        disabled={isBusy || !profileForm.displayName.trim()}
+                        className="w-full py-2 rounded-xl font-semibold bg-indigo-600 text-white hover:bg-indigo-700 disabled:bg-gray-300"
+                    >
+                        Continue
+                    </button>
+                </form>
+            ) : (
+                <>
+                    {isTeacher ? (
+                        <form onSubmit={handleCreateClass} className="flex flex-wrap gap-2 mb-6">
+                            <input
+                                value={className}
+                                onChange={(e) => setClassName(e.target.value)}
+                                placeholder="New class name, e.g. Physics 11B"
+                                maxLength={80}
+                                className="flex-grow min-w-0 p-2 border border-gray-300 rounded-lg focus:ring-indigo-500 focus:border-indigo-500"
+                            />
+                            <button type="submit" disabled={isBusy || !className.trim()} className="px-4 py-2 rounded-lg font-semibold bg-indigo-600 text-white hover:bg-indigo-700 disabled:bg-gray-300">
+                                Create Class
+                            </button>
+                        </form>
+                    ) : (
+                        <form onSubmit={handleJoinClass} className="flex flex-wrap gap-2 mb-6">
+                            <input
+                                value={inviteCode}
+                                onChange={(e) => setInviteCode(e.target.value)}
+                                placeholder="Invite code"
+                                maxLength={INVITE_CODE_LENGTH + 2}
+                                className="w-40 p-2 border border-gray-300 rounded-lg font-mono uppercase tracking-widest focus:ring-indigo-500 focus:border-indigo-500"
+                            />
+                            <button type="submit" disabled={isBusy || !inviteCode.trim()} className="px-4 py-2 rounded-lg font-semibold bg-indigo-600 text-white hover:bg-indigo-700 disabled:bg-gray-300">
+                                Join Class
+                            </button>
+                        </form>
                     )}
-                    {isSubmitted && (
-                         <div className="mt-8 p-4 bg-yellow-100 border-l-4 border-yellow-500 text-yellow-800 rounded-lg shadow-md">
-                            Quiz submitted! Scroll up to review answers and explanations.
-                            <button onClick={() => setIsSubmitted(false)} className="ml-4 font-semibold text-indigo-600 hover:text-indigo-800">Close Feedback</button>
+
+                    {classes.length === 0 ? (
+                        <div className="text-center p-12 border-2 border-dashed border-gray-300 rounded-xl bg-gray-50">
+                            <UsersIcon className="w-8 h-8 mx-auto text-indigo-500" />
+                            <p className="mt-4 text-gray-600 font-semibold">{isTeacher ? 'You have no classes yet.' : "You haven't joined a class yet."}</p>
+                        </div>
+                    ) : (
+                        <div className="space-y-6">
+                            {classes.map(classroom => (
+                                <div key={classroom.id} className="p-5 bg-white rounded-xl shadow-lg border border-gray-200">
+                                    <div className="flex flex-wrap justify-between items-start gap-2 mb-4">
+                                        <div>
+                                            <h3 className="text-xl font-bold text-gray-800">{classroom.name}</h3>
+                                            <p className="text-sm text-gray-500">
+                                                {isTeacher
+                                                    ? `${classroom.members.length} student${classroom.members.length === 1 ? '' : 's'}`
+                                                    : `Teacher: ${classroom.teacherName || 'Unknown'}`}
+                                            </p>
+                                        </div>
+                                        {isTeacher ? (
+                                            <div className="text-right">
+                                                <p className="text-xs font-semibold uppercase tracking-wider text-gray-400">Invite code</p>
+                                                <p className="font-mono text-lg font-bold tracking-widest text-indigo-700">{classroom.inviteCode}</p>
+                                            </div>
+                                        ) : (
+                                            <button onClick={() => handleLeaveClass(classroom)} disabled={isBusy} className="text-sm font-semibold text-gray-500 hover:text-red-600">
+                                                Leave class
+                                            </button>
+                                        )}
+                                    </div>
+
+                                    {classroom.assignments.length === 0 ? (
+                                        <p className="text-sm text-gray-500">No assignments yet.</p>
+                                    ) : (
+                                        <ul className="divide-y divide-gray-100">
+                                            {classroom.assignments.map(assignment => {
+                                                const isOverdue = Date.now() > assignment.dueAt;
+                                                // Handed in once the server has the student's submission; until then it is being sent
+                                                const isSubmitted = !!ownSubmissions[assignment.id] && !ownSubmissions[assignment.id].isPending;
+                                                const isSending = !isSubmitted && (!!ownSubmissions[assignment.id] || pendingAssignmentIds.has(assignment.id));
+                                                const resultsKey = `${classroom.id}/${assignment.id}`;
+                                                return (
+                                                    <li key={assignment.id} className="py-3">
+                                                        <div className="flex flex-wrap items-center gap-3">
+                                                            <div className="flex-grow min-w-0">
+                                                                <p className="font-semibold text-gray-800 truncate">{assignment.title}</p>
+                                                                <p className="text-xs text-gray-500">
+                                                                    {assignment.questionCount} questions
+                                                                    {assignment.timeLimitMinutes ? ` · ${assignment.timeLimitMinutes} min` : ''}
+                                                                    {' · '}
+                                                                    <span className={!isTeacher && isOverdue && !isSubmitted ? 'font-semibold text-red-600' : ''}>
+                                                                        Due {new Date(assignment.dueAt).toLocaleDateString()}
+                                                                    </span>
+                                                                </p>
+                                                            </div>
+                                                            {isTeacher ? (
+                                                                <>
+                                                                    <button
+                                                                        onClick={() => setOpenResultsId(openResultsId === resultsKey ? null : resultsKey)}
+                                                                        className="flex items-center text-sm font-semibold text-indigo-600 hover:text-indigo-800"
+                                                                    >
+                                                                        Results
+                                                                        <ChevronDownIcon className={`w-4 h-4 ml-1 transition-transform ${openResultsId === resultsKey ? 'rotate-180' : 'rotate-0'}`} />
+                                                                    </button>
+                                                                    <button onClick={() => onDeleteAssignment(classroom, assignment)} className="p-1 text-gray-400 hover:text-red-600" title="Delete assignment">
+                                                                        <TrashIcon className="w-4 h-4" />
+                                                                    </button>
+                                                                </>
+                                                            ) : (
+                                                                <>
+                                                                    <span className={`px-2 py-0.5 rounded-full text-xs font-semibold ${isSubmitted ? 'bg-green-100 text-green-700' : isSending ? 'bg-yellow-100 text-yellow-800' : isOverdue ? 'bg-red-100 text-red-700' : 'bg-indigo-100 text-indigo-700'}`}>
+                                                                        {isSubmitted ? 'Submitted' : isSending ? 'Sending…' : isOverdue ? 'Overdue' : 'To do'}
+                                                                    </span>
+                                                                    <button
+                                                                        onClick={() => runAction(() => onStartAssignment(classroom, assignment, isSubmitted))}
+                                                                        disabled={isBusy || isSending}
+                                                                        className={`px-3 py-1.5 rounded-lg text-sm font-semibold ${isSubmitted ? 'bg-gray-100 text-gray-700 hover:bg-gray-200' : 'bg-indigo-600 text-white hover:bg-indigo-700'}`}
+                                                                        title={isSubmitted ? "Your submission is final; this attempt won't be sent to your teacher" : isSending ? "Your answers will be sent when you're back online" : ''}
+                                                                    >
+                                                                        {isSubmitted ? 'Practice' : 'Start'}
+                                                                    </button>
+                                                                </>
+                                                            )}
+                                                        </div>
+                                                        {isTeacher && openResultsId === resultsKey && (
+                                                            <AssignmentResults db={db} classroom={classroom} assignment={assignment} />
+                                                        )}
+                                                    </li>
+                                                );
+                                            })}
+                                        </ul>
+                                    )}
+                                </div>
+                            ))}
                         </div>
                     )}
                 </>
             )}
-
-            {isSubmitted && (
-                <QuizResultModal
-                    score={score}
-                    total={quizData.questions.length}
-                    explanation={explanation}
-                    quizType={quizType}
-                    onClose={() => setIsSubmitted(false)}
-                />
-            )}
         </div>
     );
 };
 
-const ChatUI = ({ pdfText, pdfLoading }) => {
-    const [chatList, setChatList] = useState([{ id: 1, name: 'Physics Revision Chat', history: [] }]);
-    const [activeChatId, setActiveChatId] = useState(1);
-    const [inputMessage, setInputMessage] = useState('');
-    const [isTyping, setIsTyping] = useState(false);
-
-    const activeChat = chatList.find(c => c.id === activeChatId) || chatList[0];
-
-    const handleNewChat = () => {
-        const newChat = { id: Date.now(), name: `New Chat ${chatList.length + 1}`, history: [] };
-        setChatList(prev => [...prev, newChat]);
-        setActiveChatId(newChat.id);
+const AccountView = ({ account, hasFirebase, profile, isProfileLoaded, subjectSuggestions, onCreateAccount, onSignIn, onResetPassword, onSignOut, onSaveProfile }) => {
+    const [mode, setMode] = useState('create');
+    const [credentials, setCredentials] = useState({ email: '', password: '' });
+    const [profileForm, setProfileForm] = useState(null);
+    const [isBusy, setIsBusy] = useState(false);
+    const [error, setError] = useState(null);
+    const [notice, setNotice] = useState(null);
+
+    const isGuest = !account || account.isAnonymous;
+
+    // The form starts from the saved profile and follows it until the student starts editing
+    const form = profileForm || {
+        displayName: profile?.displayName || '',
+        role: profile?.role || 'student',
+        className: profile?.className || '',
+        subjects: (profile?.subjects || []).join(', ')
     };
+    const formSubjects = form.subjects.split(',').map(subject => subject.trim()).filter(Boolean);
 
-    const handleSendMessage = async () => {
-        if (!inputMessage.trim() || isTyping) return;
-
-        const userMessage = { role: 'user', parts: [{ text: inputMessage }] };
-        const newHistory = [...activeChat.history, userMessage];
-        const currentInput = inputMessage;
-
-        // Update local state immediately
-        const updatedChatList = chatList.map(c =>
-            c.id === activeChatId ? { ...c, history: newHistory } : c
-        );
-        setChatList(updatedChatList);
-        setInputMessage('');
-        setIsTyping(true);
-
+    const runAction = async (action, successNotice) => {
+        setIsBusy(true);
+        setError(null);
+        setNotice(null);
         try {
-            const { text, sources } = await fetchChatResponse(activeChat.history, currentInput, pdfText);
-            const assistantMessage = { role: 'assistant', parts: [{ text: text, sources: sources }] };
-
-            // Update with assistant's response
-            setChatList(prev => prev.map(c =>
-                c.id === activeChatId ? { ...c, history: [...newHistory, assistantMessage] } : c
-            ));
-        } catch (error) {
-            const errorMessage = { role: 'assistant', parts: [{ text: "Error fetching response. Try again." }] };
-            setChatList(prev => prev.map(c =>
-                c.id === activeChatId ? { ...c, history: [...newHistory, errorMessage] } : c
-            ));
+            await action();
+            if (successNotice) setNotice(successNotice);
+            return true;
+        } catch (e) {
+            setError(e.message || 'Something went wrong. Please try again.');
+            return false;
         } finally {
-            setIsTyping(false);
+            setIsBusy(false);
         }
     };
 
-    // Auto-scroll to bottom of chat
-    useEffect(() => {
-        const chatWindow = document.getElementById('chat-messages');
-        if (chatWindow) {
-            chatWindow.scrollTop = chatWindow.scrollHeight;
+    const handleCredentials = async (e) => {
+        e.preventDefault();
+        const email = credentials.email.trim();
+        if (!email || !credentials.password) return;
+        const done = mode === 'create'
+            ? await runAction(() => onCreateAccount(email, credentials.password), 'Your account is ready. Sign in with it on any device to pick up where you left off.')
+            : await runAction(() => onSignIn(email, credentials.password));
+        if (done) setCredentials({ email: '', password: '' });
+    };
+
+    const handleResetPassword = () => {
+        const email = credentials.email.trim();
+        if (!email) {
+            setError('Enter your email first, then choose "Forgot password?".');
+            return;
         }
-    }, [activeChat.history]);
+        runAction(() => onResetPassword(email), `If ${email} has an account, a reset link is on its way.`);
+    };
 
-    const renderMessage = (message, index) => {
-        const isUser = message.role === 'user';
-        const textContent = message.parts[0].text;
-        const sources = message.parts[0].sources || [];
+    const handleSignOut = () => {
+        if (!window.confirm('Sign out? Your history stays in your account, and this device starts a new guest session.')) return;
+        runAction(onSignOut);
+    };
+
+    const handleSaveProfile = async (e) => {
+        e.preventDefault();
+        const displayName = form.displayName.trim();
+        if (!displayName) return;
+        const saved = await runAction(() => onSaveProfile({
+            displayName,
+            role: form.role,
+            className: form.className.trim(),
+            subjects: [...new Set(formSubjects)]
+        }), 'Profile saved.');
+        if (saved) setProfileForm(null);
+    };
+
+    const toggleSubject = (subject) => {
+        const subjects = formSubjects.includes(subject)
+            ? formSubjects.filter(s => s !== subject)
+            : [...formSubjects, subject];
+        setProfileForm({ ...form, subjects: subjects.join(', ') });
+    };
 
+    if (!hasFirebase) {
         return (
-            <div key={index} className={`flex ${isUser ? 'justify-end' : 'justify-start'} mb-4`}>
-                <div className={`max-w-[80%] p-4 rounded-xl shadow-md whitespace-pre-wrap ${
-                    isUser
-                        ? 'bg-indigo-600 text-white rounded-br-none'
-                        : 'bg-white text-gray-800 rounded-tl-none border border-gray-100'
-                }`}>
-                    <p className="text-sm md:text-base">{textContent}</p>
-                    {sources.length > 0 && (
-                        <div className="mt-2 text-xs opacity-80 border-t border-gray-300 pt-2">
-                            <p className="font-semibold mb-1">Sources:</p>
-                            {sources.map((src, i) => (
-                                <a key={i} href={src.uri} target="_blank" rel="noopener noreferrer" className="block text-blue-300 hover:underline">
-                                    {src.title || new URL(src.uri).hostname}
-                                </a>
-                            ))}
-                        </div>
-                    )}
-                </div>
+            <div className="p-4 md:p-6 h-full overflow-y-auto">
+                <h2 className="text-3xl font-extrabold text-gray-900 mb-2">Account</h2>
+                <p className="text-gray-500">Accounts need Firebase, which isn't configured for this app. Your progress is saved on this device only.</p>
             </div>
         );
-    };
+    }
 
     return (
-        <div className="flex h-full bg-white rounded-xl shadow-lg overflow-hidden">
-            {/* Left Drawer (Chat List) */}
-            <div className="hidden md:flex flex-col w-64 bg-gray-50 border-r border-gray-200 p-4 space-y-4 flex-shrink-0">
-                <h3 className="text-xl font-bold text-gray-800">Chats</h3>
-                <button
-                    onClick={handleNewChat}
-                    className="w-full bg-green-500 text-white py-2 rounded-xl font-semibold hover:bg-green-600 transition duration-150 shadow-md"
-                >
-                    + New Chat
-                </button>
-                <div className="flex-grow space-y-2 overflow-y-auto">
-                    {chatList.map(chat => (
-                        <button
-                            key={chat.id}
-                            onClick={() => setActiveChatId(chat.id)}
-                            className={`w-full text-left p-3 rounded-xl transition duration-150 ${chat.id === activeChatId ? 'bg-indigo-100 text-indigo-700 font-semibold border-2 border-indigo-300' : 'hover:bg-gray-100 text-gray-700'}`}
-                        >
-                            {chat.name}
-                        </button>
-                    ))}
-                </div>
-            </div>
+        <div className="p-4 md:p-6 h-full overflow-y-auto">
+            <h2 className="text-3xl font-extrabold text-gray-900 mb-2">Account</h2>
+            <p className="text-gray-500 mb-6">
+                {isGuest
+                    ? "You're studying as a guest. Create an account to keep your quiz history if this browser's data is cleared, and to use it on other devices."
+                    : `Signed in as ${account.email}.`}
+            </p>
 
-            {/* Main Chat Window */}
-            <div className="flex flex-col flex-grow h-full p-4">
-                <div id="chat-messages" className="flex-grow overflow-y-auto p-4 mb-4 space-y-4 bg-gray-50 rounded-xl shadow-inner border border-gray-200">
-                    {activeChat.history.length === 0 && (
-                        <div className="text-center p-10 text-gray-500">
-                            <MessageSquareIcon className="w-8 h-8 mx-auto mb-2 text-indigo-400" />
-                            <p className="font-semibold">Ask your virtual teacher anything!</p>
-                            <p className="text-sm">Context is from the selected PDF.</p>
-                            {pdfLoading && <p className="text-xs mt-2 text-indigo-500">Loading PDF context...</p>}
-                        </div>
-                    )}
-                    {activeChat.history.map(renderMessage)}
-                    {isTyping && (
-                        <div className="flex justify-start">
-                             <div className="bg-gray-200 text-gray-700 p-3 rounded-xl rounded-tl-none shadow-md">
-                                <div className="dot-flashing"></div>
+            {error && <p className="mb-4 p-3 text-sm text-red-700 bg-red-50 border border-red-200 rounded-lg">{error}</p>}
+            {notice && <p className="mb-4 p-3 text-sm text-green-700 bg-green-50 border border-green-200 rounded-lg">{notice}</p>}
+
+            <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+                <div className="p-6 bg-white rounded-xl shadow-lg border border-gray-200">
+                    {isGuest ? (
+                        <>
+                            <div className="flex gap-2 mb-4">
+                                {[{ value: 'create', label: 'Create Account' }, { value: 'signIn', label: 'Sign In' }].map(option => (
+                                    <button
+                                        key={option.value}
+                                        onClick={() => { setMode(option.value); setError(null); setNotice(null); }}
+                                        className={`flex-1 py-2 rounded-lg font-semibold text-sm transition duration-150 ${mode === option.value ? 'bg-indigo-600 text-white shadow-md' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'}`}
+                                    >
+                                        {option.label}
+                                    </button>
+                                ))}
                             </div>
-                        </div>
+                            <p className="text-sm text-gray-500 mb-4">
+                                {mode === 'create'
+                                    ? 'Everything you have done as a guest moves into the new account.'
+                                    : 'Already have an account? Sign in to switch to it.'}
+                            </p>
+                            <form onSubmit={handleCredentials} className="space-y-3">
+                                <input
+                                    type="email"
+                                    autoComplete="email"
+                                    value={credentials.email}
+                                    onChange={(e) => setCredentials(prev => ({ ...prev, email: e.target.value }))}
+                                    placeholder="Email"
+                                    aria-label="Email"
+                                    className="w-full p-2 border border-gray-300 rounded-lg focus:ring-indigo-500 focus:border-indigo-500"
+                                />
+                                <input
+                                    type="password"
+                                    autoComplete={mode === 'create' ? 'new-password' : 'current-password'}
+                                    value={credentials.password}
+                                    onChange={(e) => setCredentials(prev => ({ ...prev, password: e.target.value }))}
+                                    placeholder={mode === 'create' ? 'Password (at least 6 characters)' : 'Password'}
+                                    aria-label="Password"
+                                    className="w-full p-2 border border-gray-300 rounded-lg focus:ring-indigo-500 focus:border-indigo-500"
+                                />
+                                <button
+                                    type="submit"
+                                    disabled={isBusy || !credentials.email.trim() || !credentials.password}
+                                    className="w-full py-2 rounded-xl font-semibold bg-indigo-600 text-white hover:bg-indigo-700 disabled:bg-gray-300"
+                                >
+                                    {mode === 'create' ? 'Create Account' : 'Sign In'}
+                                </button>
+                                {mode === 'signIn' && (
+                                    <button type="button" onClick={handleResetPassword} disabled={isBusy} className="text-sm font-semibold text-indigo-600 hover:text-indigo-800">
+                                        Forgot password?
+                                    </button>
+                                )}
+                            </form>
+                        </>
+                    ) : (
+                        <>
+                            <h3 className="text-lg font-bold text-gray-800 mb-1">{account.email}</h3>
+                            <p className="text-sm text-gray-500 mb-4">Your quizzes, chats, decks and review queue are saved to this account.</p>
+                            <button
+                                onClick={handleSignOut}
+                                disabled={isBusy}
+                                className="px-4 py-2 rounded-lg font-semibold text-gray-700 bg-gray-100 hover:bg-gray-200"
+                            >
+                                Sign Out
+                            </button>
+                        </>
                     )}
                 </div>
 
-                {/* Input Box */}
-                <div className="flex items-center space-x-3">
-                    <input
-                        type="text"
-                        value={inputMessage}
-                        onChange={(e) => setInputMessage(e.target.value)}
-                        onKeyDown={(e) => e.key === 'Enter' && handleSendMessage()}
-                        placeholder="Message StudyBuddy (e.g., 'Explain the concept of unification')"
-                        className="flex-grow p-4 border border-gray-300 rounded-xl focus:ring-indigo-500 focus:border-indigo-500 transition duration-150 text-base"
-                        disabled={isTyping}
-                    />
-                    <button
-                        onClick={handleSendMessage}
-                        disabled={!inputMessage.trim() || isTyping}
-                        className={`p-4 rounded-xl transition duration-150 shadow-lg ${
-                            !inputMessage.trim() || isTyping
-                                ? 'bg-gray-300 text-gray-500 cursor-not-allowed'
-                                : 'bg-indigo-600 text-white hover:bg-indigo-700 active:bg-indigo-800'
-                        }`}
-                    >
-                        <svg xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"><path d="m22 2-7 19-3-9-9-3Z"/><path d="M22 2 11 13"/></svg>
-                    </button>
-                </div>
+                <form onSubmit={handleSaveProfile} className="p-6 bg-white rounded-xl shadow-lg border border-gray-200 space-y-4">
+                    <h3 className="text-lg font-bold text-gray-800">Profile</h3>
+                    {!isProfileLoaded ? (
+                        <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-indigo-600"></div>
+                    ) : (
+                        <>
+                            <div>
+                                <label htmlFor="accountName" className="block text-sm font-medium text-gray-700 mb-1">Name</label>
+                                <input
+                                    id="accountName"
+                                    value={form.displayName}
+                                    onChange={(e) => setProfileForm({ ...form, displayName: e.target.value })}
+                                    maxLength={60}
+                                    className="w-full p-2 border border-gray-300 rounded-lg focus:ring-indigo-500 focus:border-indigo-500"
+                                />
+                            </div>
+                            <div className="flex gap-3">
+                                <div className="flex-1">
+                                    <label htmlFor="accountRole" className="block text-sm font-medium text-gray-700 mb-1">Role</label>
+                                    {/* The rules keep a role once it is set, as it decides who can create and join classes */}
+                                    <select
+                                        id="accountRole"
+                                        value={form.role}
+                                        onChange={(e) => setProfileForm({ ...form, role: e.target.value })}
+                                        disabled={!!profile?.role}
+                                        title={profile?.role ? "Your role can't be changed once chosen" : ''}
+                                        className="w-full p-2 border border-gray-300 rounded-lg bg-white focus:ring-indigo-500 focus:border-indigo-500 disabled:bg-gray-100 disabled:text-gray-500"
+                                    >
+                                        {Object.entries(USER_ROLES).map(([role, label]) => <option key={role} value={role}>{label}</option>)}
+                                    </select>
+                                </div>
+                                <div className="flex-1">
+                                    <label htmlFor="accountClass" className="block text-sm font-medium text-gray-700 mb-1">Class</label>
+                                    <input
+                                        id="accountClass"
+                                        value={form.className}
+                                        onChange={(e) => setProfileForm({ ...form, className: e.target.value })}
+                                        placeholder="e.g. 11"
+                                        maxLength={20}
+                                        className="w-full p-2 border border-gray-300 rounded-lg focus:ring-indigo-500 focus:border-indigo-500"
+                                    />
+                                </div>
+                            </div>
+                            <div>
+                                <label htmlFor="accountSubjects" className="block text-sm font-medium text-gray-700 mb-1">Subjects</label>
+                                <input
+                                    id="accountSubjects"
+                                    value={form.subjects}
+                                    onChange={(e) => setProfileForm({ ...form, subjects: e.target.value })}
+                                    placeholder="Physics, Chemistry, ..."
+                                    className="w-full p-2 border border-gray-300 rounded-lg focus:ring-indigo-500 focus:border-indigo-500"
+                                />
+                                {subjectSuggestions.length > 0 && (
+                                    <div className="flex flex-wrap gap-2 mt-2">
+                                        {subjectSuggestions.map(subject => (
+                                            <button
+                                                key={subject}
+                                                type="button"
+                                                onClick={() => toggleSubject(subject)}
+                                                className={`px-2 py-0.5 rounded-full text-xs font-semibold ${formSubjects.includes(subject) ? 'bg-indigo-600 text-white' : 'bg-indigo-50 text-indigo-700 hover:bg-indigo-100'}`}
+                                            >
+                                                {subject}
+                                            </button>
+                                        ))}
+                                    </div>
+                                )}
+                            </div>
+                            <button
+                                type="submit"
+                                disabled={isBusy || !form.displayName.trim()}
+                                className="w-full py-2 rounded-xl font-semibold bg-indigo-600 text-white hover:bg-indigo-700 disabled:bg-gray-300"
+                            >
+                                Save Profile
+                            </button>
+                        </>
+                    )}
+                </form>
             </div>
-            {/* CSS for typing indicator */}
-            <style jsx>{`
-                .dot-flashing {
-                    position: relative;
-                    width: 10px;
-                    height: 10px;
-                    border-radius: 5px;
-                    background-color: #6c63ff;
-                    color: #6c63ff;
-                    animation: dotFlashing 1s infinite linear alternate;
-                    animation-delay: 0.5s;
-                }
-                .dot-flashing::before, .dot-flashing::after {
-                    content: "";
-                    display: inline-block;
-                    position: absolute;
-                    top: 0;
-                }
-                .dot-flashing::before {
-                    left: -15px;
-                    width: 10px;
-                    height: 10px;
-                    border-radius: 5px;
-                    background-color: #6c63ff;
-                    color: #6c63ff;
-                    animation: dotFlashing 1s infinite alternate;
-                    animation-delay: 0s;
-                }
-                .dot-flashing::after {
-                    left: 15px;
-                    width: 10px;
-                    height: 10px;
-                    border-radius: 5px;
-                    background-color: #6c63ff;
-                    color: #6c63ff;
-                    animation: dotFlashing 1s infinite alternate;
-                    animation-delay: 1s;
-                }
-                @keyframes dotFlashing {
-                    0% {
-                        background-color: #6c63ff;
-                    }
-                    50%,
-                    100% {
-                        background-color: #bdbbf1;
-                    }
-                }
-            `}</style>
         </div>
     );
 };
 
-const PDFViewer = ({ pdfFile, pdfText, textLoading }) => {
-    return (
-        <div className="p-4 md:p-6 h-full overflow-y-auto bg-white rounded-xl shadow-lg border border-gray-200">
-            <h2 className="text-2xl font-bold text-gray-800 mb-4 border-b pb-2">{pdfFile?.name || "No PDF Selected"}</h2>
+const PlannerView = ({ coursebook, pdfText, pdfPages, plans, progressData, reviewItems, onSavePlan, onDeletePlan, onPracticeTopic, onOpenPage, onStartReview, onStartMockExam }) => {
+    const [selectedPlanId, setSelectedPlanId] = useState(null);
+    const [form, setForm] = useState(null);
+
+    const coursebookId = getCoursebookId(coursebook);
+    const openBookPlan = plans.find(p => p.coursebookId === coursebookId) || null;
+    const plan = plans.find(p => p.id === selectedPlanId) || openBookPlan;
+    const isPlanBookOpen = plan?.coursebookId === coursebookId;
+    // Plans for other books are only reachable through the picker
+    const hasOtherPlans = plans.some(p => p.id !== openBookPlan?.id);
+
+    const mastery = useMemo(() => buildTopicMastery(progressData), [progressData]);
+    const schedule = useMemo(
+        () => (plan ? buildRevisionSchedule(plan, mastery.topics, progressData, { reviewItems }) : null),
+        [plan, mastery, progressData, reviewItems]
+    );
+
+    // Numbered sections of the open coursebook; chapter headings only for chapters without numbered sections
+    const toc = useMemo(() => buildTableOfContents(pdfText, pdfPages), [pdfText, pdfPages]);
+    const bookSections = useMemo(() => {
+        const labelled = toc.filter(section => section.label && section.title);
+        return labelled
+            .filter(section => section.level > 1 || !labelled.some(other => other.level > 1 && other.chapter === section.chapter))
+            .map(section => ({ label: section.label, title: section.title, page: section.page, chapter: section.chapter }));
+    }, [toc]);
+    // A plan for a book that isn't open can only be edited within the sections it already has
+    const formSections = form?.planId && !isPlanBookOpen ? plan.sections : bookSections;
+
+    const openForm = (existing) => {
+        setForm(existing
+            ? {
+                planId: existing.id,
+                examDate: existing.examDate,
+                sectionLabels: existing.sections.map(section => section.label),
+                minutesPerDay: existing.minutesPerDay,
+                studyTime: existing.studyTime
+            }
+            : {
+                planId: null,
+                examDate: localDayKey(addDays(new Date(), 14)),
+                sectionLabels: bookSections.map(section => section.label),
+                minutesPerDay: DEFAULT_PLAN_MINUTES,
+                studyTime: DEFAULT_STUDY_TIME
+            });
+    };
+
+    const toggleSection = (label) => {
+        setForm(prev => ({
+            ...prev,
+            sectionLabels: prev.sectionLabels.includes(label)
+                ? prev.sectionLabels.filter(l => l !== label)
+                : [...prev.sectionLabels, label]
+        }));
+    };
+
+    const handleSave = (e) => {
+        e.preventDefault();
+        const sections = formSections
+            .filter(section => form.sectionLabels.includes(section.label))
+            .map(({ label, title, page }) => ({ label, title, page }));
+        if (!form.examDate || sections.length === 0) return;
+
+        const existing = form.planId ? plan : null;
+        const id = existing?.id || crypto.randomUUID();
+        onSavePlan({
+            id,
+            coursebookId: existing ? existing.coursebookId : coursebookId,
+            coursebookName: existing ? existing.coursebookName : coursebook?.name || '',
+            examDate: form.examDate,
+            sections,
+            minutesPerDay: form.minutesPerDay,
+            studyTime: form.studyTime || DEFAULT_STUDY_TIME,
+            readSections: existing?.readSections || {},
+            createdAt: existing?.createdAt || Date.now()
+        });
+        setSelectedPlanId(id);
+        setForm(null);
+    };
+
+    const handleDelete = () => {
+        if (!window.confirm(`Delete the revision plan for ${plan.coursebookName}? Your quiz history is kept.`)) return;
+        onDeletePlan(plan.id);
+        setSelectedPlanId(null);
+    };
+
+    const markRead = (section) => {
+        onSavePlan({ ...plan, readSections: { ...plan.readSections, [section.label]: localDayKey(new Date()) } });
+    };
+
+    const exportCalendar = () => {
+        const fileName = `${(plan.coursebookName || 'revision').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '').slice(0, 60) || 'revision'}-plan.ics`;
+        downloadBlob(new Blob([scheduleToIcs(plan, schedule)], { type: 'text/calendar;charset=utf-8' }), fileName);
+    };
+
+    const dayHeading = (dayKey, index) => {
+        if (index === 0) return 'Today';
+        if (index === 1) return 'Tomorrow';
+        return parseDayKey(dayKey).toLocaleDateString(undefined, { weekday: 'long', month: 'short', day: 'numeric' });
+    };
+
+    const renderBlockAction = (block) => {
+        if (block.done) return <span className="text-xs font-semibold text-green-700">Done ✓</span>;
+        const buttonClass = 'px-3 py-1 rounded-lg text-xs font-semibold';
+        if (block.kind === 'read') {
+            return (
+                <div className="flex gap-2">
+                    {isPlanBookOpen && block.section.page && (
+                        <button onClick={() => onOpenPage(block.section.page)} className={`${buttonClass} text-indigo-600 hover:bg-indigo-50`}>
+                            Open p. {block.section.page}
+                        </button>
+                    )}
+                    <button onClick={() => markRead(block.section)} className={`${buttonClass} bg-gray-100 text-gray-700 hover:bg-gray-200`}>
+                        Mark read
+                    </button>
+                </div>
+            );
+        }
+        if (block.kind === 'quiz') {
+            return (
+                <button
+                    onClick={() => onPracticeTopic({ coursebookId: plan.coursebookId, section: block.section.label, sectionTitle: formatSectionLabel(block.section) })}
+                    className={`${buttonClass} bg-indigo-600 text-white hover:bg-indigo-700`}
+                >
+                    Start quiz
+                </button>
+            );
+        }
+        if (block.kind === 'review') {
+            return <button onClick={onStartReview} className={`${buttonClass} text-indigo-600 hover:bg-indigo-50`}>Open review</button>;
+        }
+        return <button onClick={() => onStartMockExam(plan)} className={`${buttonClass} bg-indigo-600 text-white hover:bg-indigo-700`}>Start</button>;
+    };
+
+    const blockColors = {
+        read: 'bg-blue-100 text-blue-800',
+        quiz: 'bg-indigo-100 text-indigo-800',
+        review: 'bg-yellow-100 text-yellow-800',
+        exam: 'bg-red-100 text-red-700'
+    };
 
-            {pdfFile ? (
+    return (
+        <div className="p-4 md:p-6 h-full overflow-y-auto">
+            <div className="flex flex-wrap justify-between items-start gap-3 mb-2">
+                <h2 className="text-3xl font-extrabold text-gray-900">Revision Planner</h2>
+                {hasOtherPlans && !form && (
+                    <select
+                        value={plan?.id || ''}
+                        onChange={(e) => setSelectedPlanId(e.target.value)}
+                        className="p-2 text-sm border border-gray-300 rounded-lg bg-white focus:ring-indigo-500 focus:border-indigo-500"
+                        aria-label="Revision plan"
+                    >
+                        {!openBookPlan && <option value="">{coursebook ? `${coursebook.name} · no plan yet` : 'Choose a plan'}</option>}
+                        {plans.map(p => <option key={p.id} value={p.id}>{p.coursebookName} · exam {parseDayKey(p.examDate).toLocaleDateString()}</option>)}
+                    </select>
+                )}
+            </div>
+            <p className="text-gray-500 mb-6">Tell the planner when your exam is and what it covers. It plans each day's reading, quizzes and review, and updates the plan as your quiz results come in.</p>
+
+            {form ? (
+                <form onSubmit={handleSave} className="p-6 bg-white rounded-xl shadow-lg border border-gray-200 space-y-4">
+                    <h3 className="text-lg font-bold text-gray-800">{form.planId ? `Edit plan for ${plan.coursebookName}` : `New plan for ${coursebook?.name || 'this coursebook'}`}</h3>
+                    <div className="flex flex-wrap gap-4">
+                        <div>
+                            <label htmlFor="planExamDate" className="block text-sm font-medium text-gray-700 mb-1">Exam date</label>
+                            <input
+                                id="planExamDate"
+                                type="date"
+                                required
+                                min={localDayKey(addDays(new Date(), 1))}
+                                value={form.examDate}
+                                onChange={(e) => setForm(prev => ({ ...prev, examDate: e.target.value }))}
+                                className="p-2 border border-gray-300 rounded-lg focus:ring-indigo-500 focus:border-indigo-500"
+                            />
+                        </div>
+                        <div>
+                            <label htmlFor="planMinutes" className="block text-sm font-medium text-gray-700 mb-1">Study time per day</label>
+                            <select
+                                id="planMinutes"
+                                value={form.minutesPerDay}
+                                onChange={(e) => setForm(prev => ({ ...prev, minutesPerDay: Number(e.target.value) }))}
+                                className="p-2 border border-gray-300 rounded-lg bg-white focus:ring-indigo-500 focus:border-indigo-500"
+                            >
+                                {PLAN_MINUTES_OPTIONS.map(minutes => <option key={minutes} value={minutes}>{minutes} minutes</option>)}
+                            </select>
+                        </div>
+                        <div>
+                            <label htmlFor="planStudyTime" className="block text-sm font-medium text-gray-700 mb-1">Usual start time</label>
+                            <input
+                                id="planStudyTime"
+                                type="time"
+                                value={form.studyTime}
+                                onChange={(e) => setForm(prev => ({ ...prev, studyTime: e.target.value }))}
+                                className="p-2 border border-gray-300 rounded-lg focus:ring-indigo-500 focus:border-indigo-500"
+                            />
+                        </div>
+                    </div>
+                    <div>
+                        <div className="flex items-center justify-between mb-2">
+                            <p className="text-sm font-medium text-gray-700">Sections in the exam ({form.sectionLabels.length} of {formSections.length})</p>
+                            <div className="flex gap-3 text-xs font-semibold">
+                                <button type="button" onClick={() => setForm(prev => ({ ...prev, sectionLabels: formSections.map(s => s.label) }))} className="text-indigo-600 hover:text-indigo-800">All</button>
+                                <button type="button" onClick={() => setForm(prev => ({ ...prev, sectionLabels: [] }))} className="text-gray-500 hover:text-gray-700">None</button>
+                            </div>
+                        </div>
+                        {formSections.length === 0 ? (
+                            <p className="text-sm text-gray-500">No numbered sections were found in this coursebook{pdfText ? '' : ' yet; wait for it to finish loading'}.</p>
+                        ) : (
+                            <div className="max-h-72 overflow-y-auto p-2 border border-gray-200 rounded-lg space-y-1">
+                                {formSections.map(section => (
+                                    <label key={section.label} className="flex items-center gap-2 p-1 text-sm text-gray-700 rounded hover:bg-gray-50 cursor-pointer">
+                                        <input
+                                            type="checkbox"
+                                            checked={form.sectionLabels.includes(section.label)}
+                                            onChange={() => toggleSection(section.label)}
+                                            className="rounded text-indigo-600 focus:ring-indigo-500"
+                                        />
+                                        <span className="flex-grow">{formatSectionLabel(section)}</span>
+                                        {section.page && <span className="text-xs text-gray-400">p. {section.page}</span>}
+                                    </label>
+                                ))}
+                            </div>
+                        )}
+                    </div>
+                    <div className="flex gap-2">
+                        <button
+                            type="submit"
+                            disabled={!form.examDate || form.sectionLabels.length === 0}
+                            className="px-4 py-2 rounded-lg font-semibold bg-indigo-600 text-white hover:bg-indigo-700 disabled:bg-gray-300"
+                        >
+                            {form.planId ? 'Save Plan' : 'Create Plan'}
+                        </button>
+                        <button type="button" onClick={() => setForm(null)} className="px-4 py-2 rounded-lg font-semibold text-gray-600 hover:bg-gray-100">Cancel</button>
+                    </div>
+                </form>
+            ) : !plan ? (
+                <div className="text-center p-12 border-2 border-dashed border-gray-300 rounded-xl bg-gray-50">
+                    <CalendarIcon className="w-8 h-8 mx-auto text-indigo-500" />
+                    <p className="mt-4 text-gray-600 font-semibold">No revision plan for {coursebook?.name || 'this coursebook'} yet.</p>
+                    <button
+                        onClick={() => openForm(null)}
+                        disabled={!pdfText}
+                        className="mt-6 px-6 py-3 bg-indigo-600 text-white rounded-xl font-semibold hover:bg-indigo-700 shadow-md disabled:bg-gray-300"
+                    >
+                        Plan My Revision
+                    </button>
+                </div>
+            ) : (
                 <>
-                    <div className="text-sm text-gray-500 mb-4 p-3 bg-indigo-50 rounded-lg border border-indigo-200">
-                        <span className="font-semibold text-indigo-600">PDF Viewer (Conceptual):</span> In a production environment, this area would render the PDF page-by-page. Here, the extracted text is shown for debug/LLM context clarity.
+                    <div className="flex flex-wrap justify-between items-center gap-3 p-5 mb-6 bg-white rounded-xl shadow-lg border border-gray-200">
+                        <div>
+                            <h3 className="text-xl font-bold text-gray-800">{plan.coursebookName}</h3>
+                            <p className="text-sm text-gray-500">
+                                Exam {parseDayKey(plan.examDate).toLocaleDateString(undefined, { weekday: 'long', month: 'long', day: 'numeric' })}
+                                {' · '}{plan.sections.length} section{plan.sections.length === 1 ? '' : 's'}
+                                {' · '}{plan.minutesPerDay} min a day
+                            </p>
+                        </div>
+                        <div className="flex items-center gap-2">
+                            {schedule.daysLeft > 0 && (
+                                <span className="px-3 py-1 rounded-full text-sm font-bold bg-indigo-100 text-indigo-700">
+                                    {schedule.daysLeft} day{schedule.daysLeft === 1 ? '' : 's'} to go
+                                </span>
+                            )}
+                            <button
+                                onClick={exportCalendar}
+                                disabled={schedule.days.length === 0}
+                                className="flex items-center px-3 py-1.5 rounded-lg text-sm font-semibold text-indigo-600 hover:bg-indigo-50 disabled:text-gray-400"
+                                title="Download the plan as an iCalendar (.ics) file"
+                            >
+                                <DownloadIcon className="w-4 h-4 mr-1" /> Calendar
+                            </button>
+                            <button onClick={() => openForm(plan)} className="p-1.5 text-gray-400 hover:text-indigo-600" title="Edit plan">
+                                <PencilIcon className="w-4 h-4" />
+                            </button>
+                            <button onClick={handleDelete} className="p-1.5 text-gray-400 hover:text-red-600" title="Delete plan">
+                                <TrashIcon className="w-4 h-4" />
+                            </button>
+                        </div>
                     </div>
-                    {textLoading ? (
-                        <div className="text-center p-12 text-indigo-500">
-                            <ClockIcon className="w-8 h-8 mx-auto animate-spin" />
-                            <p className="mt-2">Extracting text from PDF...</p>
+
+                    {schedule.daysLeft <= 0 ? (
+                        <div className="text-center p-12 bg-white rounded-xl shadow-lg border border-gray-200">
+                            <SparklesIcon className="w-8 h-8 mx-auto text-yellow-500" />
+                            <p className="mt-4 text-lg font-semibold text-gray-800">{schedule.daysLeft === 0 ? 'Your exam is today. Good luck!' : 'This exam date has passed.'}</p>
+                            <p className="text-gray-600 mt-1">Edit the plan to set a new exam date.</p>
                         </div>
                     ) : (
-                        <pre className="whitespace-pre-wrap font-mono text-sm bg-gray-50 p-4 rounded-lg border border-gray-100 max-h-[75vh] overflow-y-auto">
-                            {pdfText}
-                        </pre>
+                        <>
+                            {(schedule.unscheduled > 0 || schedule.days.some(day => day.isOverloaded)) && (
+                                <p className="mb-4 p-3 text-sm text-yellow-800 bg-yellow-50 border border-yellow-200 rounded-lg">
+                                    Not everything fits into {plan.minutesPerDay} minutes a day
+                                    {schedule.unscheduled > 0 ? `: ${schedule.unscheduled} extra quiz${schedule.unscheduled === 1 ? ' was' : 'zes were'} left out` : ''}
+                                    {schedule.days.some(day => day.isOverloaded) ? '; some days run over' : ''}. Add study time per day or narrow the sections to get a full plan.
+                                </p>
+                            )}
+                            <div className="space-y-4">
+                                {schedule.days.map((day, index) => (
+                                    <div key={day.date} className={`p-4 bg-white rounded-xl border ${index === 0 ? 'border-indigo-300 shadow-lg' : 'border-gray-200 shadow-sm'}`}>
+                                        <div className="flex justify-between items-center mb-2">
+                                            <p className="font-bold text-gray-800">{dayHeading(day.date, index)}</p>
+                                            <p className={`text-xs font-semibold ${day.isOverloaded ? 'text-red-600' : 'text-gray-500'}`}>{day.minutes} / {plan.minutesPerDay} min</p>
+                                        </div>
+                                        {day.blocks.length === 0 ? (
+                                            <p className="text-sm text-gray-400">Rest day.</p>
+                                        ) : (
+                                            <ul className="divide-y divide-gray-100">
+                                                {day.blocks.map(block => (
+                                                    <li key={block.key} className="flex flex-wrap items-center gap-3 py-2">
+                                                        <span className={`w-24 text-center px-2 py-0.5 rounded-full text-xs font-semibold ${blockColors[block.kind]}`}>
+                                                            {PLAN_BLOCK_KINDS[block.kind].name}
+                                                        </span>
+                                                        <span className={`flex-grow min-w-0 text-sm ${block.done ? 'text-gray-400 line-through' : 'text-gray-800'}`}>
+                                                            {block.label}
+                                                            {block.kind === 'quiz' && block.mastery != null && (
+                                                                <span className="ml-2 text-xs text-gray-500">{Math.round(block.mastery * 100)}% mastery</span>
+                                                            )}
+                                                        </span>
+                                                        <span className="text-xs text-gray-400">{block.minutes} min</span>
+                                                        {index === 0 || block.kind !== 'review' ? renderBlockAction(block) : null}
+                                                    </li>
+                                                ))}
+                                            </ul>
+                                        )}
+                                    </div>
+                                ))}
+                            </div>
+                        </>
                     )}
                 </>
-            ) : (
-                <div className="text-center p-12 border-2 border-dashed border-gray-300 rounded-xl bg-gray-50">
-                    <FileTextIcon className="w-10 h-10 mx-auto text-indigo-400" />
-                    <p className="mt-4 text-gray-600 font-semibold">Please select or upload a PDF coursebook from the sidebar.</p>
-                </div>
             )}
         </div>
     );
 };
 
-const Dashboard = ({ progressData, pdfText }) => {
-    const totalAttempts = progressData.length;
-    const totalQuestions = progressData.reduce((sum, attempt) => sum + attempt.total, 0);
-    const totalCorrect = progressData.reduce((sum, attempt) => sum + attempt.score, 0);
-    const successRate = totalQuestions > 0 ? ((totalCorrect / totalQuestions) * 100).toFixed(1) : 0;
+// --- Main App Component ---
 
-    // Simulated weakness/strength based on the most frequent quiz type
-    const quizTypeCounts = progressData.reduce((acc, attempt) => {
-        acc[attempt.type] = (acc[attempt.type] || 0) + 1;
-        return acc;
-    }, {});
+const SAMPLE_COURSEBOOK = {
+    name: 'NCERT Physics XI - Ch 1 (Mock)',
+    url: 'mock-ncert-1',
+    type: 'mock',
+    subject: 'Physics',
+    className: '11',
+    chapter: '1 Physical World'
+};
 
-    const mostPracticedType = Object.entries(quizTypeCounts).sort(([, a], [, b]) => b - a)[0]?.[0] || 'N/A';
-    const leastPracticedType = Object.entries(quizTypeCounts).sort(([, a], [, b]) => a - b)[0]?.[0] || 'N/A';
+const App = () => {
+    const { db, auth, userId, account, isLoading: isFirebaseLoading, createAccount, signIn, resetPassword, signOut: signOutOfAccount } = useFirebaseSetup();
+    const [activeView, setActiveView] = useState('PDF');
+    // Attempts, chats and library details: saved locally first, synced with Firestore when reachable
+    const store = useLocalFirstStore(db, userId);
+    // Uploaded coursebooks persist in the browser; the sample book is always available
+    const library = useCoursebookLibrary(store);
+    const pdfs = useMemo(() => [
+        SAMPLE_COURSEBOOK,
+        ...library.entries.map(entry => ({ ...entry, type: 'user' }))
+    ], [library.entries]);
+    const coursebookIds = useMemo(() => new Set(pdfs.map(getCoursebookId)), [pdfs]);
+    const [selectedPdf, setSelectedPdf] = useState(SAMPLE_COURSEBOOK);
+    const [viewerTarget, setViewerTarget] = useState(null);
+    // Topic the quiz view should generate a practice quiz for, set from the dashboard
+    const [practiceTarget, setPracticeTarget] = useState(null);
+    const [retakeTarget, setRetakeTarget] = useState(null);
+    const [assignmentTarget, setAssignmentTarget] = useState(null);
 
-    const [recommendations, setRecommendations] = useState([]);
-    const [recoLoading, setRecoLoading] = useState(false);
+    // PDF Text Extraction
+    const {
+        text: pdfText,
+        pages: pdfPages,
+        loading: textLoading,
+        progress: textProgress,
+        error: textError
+    } = usePdfTextExtractor(selectedPdf);
 
-    // Use the first line of the PDF text as the topic
-    const topic = pdfText.substring(0, 100).split('\n')[0].replace('Chapter 1:', '').trim() || 'General Physics Revision';
+    // Progress Tracking
+    const progressData = useProgressData(store);
+
+    // Chat History
+    const chats = useChatHistory(store);
+
+    // Revision plans, soonest exam first
+    const plans = useMemo(() => (
+        [...store.collections.plans].sort((a, b) => a.examDate.localeCompare(b.examDate))
+    ), [store.collections.plans]);
+
+    // Videos saved from the dashboard, newest first
+    const watchLater = useMemo(() => (
+        [...store.collections.watchLater].sort((a, b) => b.savedAt - a.savedAt)
+    ), [store.collections.watchLater]);
+
+    // Flashcard Decks
+    const flashcardDecks = useFlashcardDecks(db, userId);
+
+    // Spaced-repetition Review Queue
+    const reviewItems = useReviewItems(db, userId);
+    const reviewDueCount = reviewItems.filter(item => item.dueAt <= Date.now()).length;
+
+    // Role and classes
+    const { profile, isLoaded: isProfileLoaded } = useUserProfile(db, userId);
+    const classes = useClassrooms(db, userId, profile?.role);
+    const teacherClasses = profile?.role === 'teacher' ? classes : [];
+    const ownSubmissions = useOwnSubmissions(db, userId, profile?.role === 'student' ? classes : []);
+    const [pendingSubmissions, setPendingSubmissions] = useState(readPendingSubmissions);
+    const pendingAssignmentIds = useMemo(() => new Set(
+        Object.values(pendingSubmissions).filter(p => p.userId === userId).map(p => p.assignmentId)
+    ), [pendingSubmissions, userId]);
+    const openAssignmentCount = profile?.role === 'student'
+        ? classes.flatMap(c => c.assignments).filter(a => !ownSubmissions[a.id] && !pendingAssignmentIds.has(a.id)).length
+        : 0;
+
+    // Library books are listed without their files; load the file before switching to the book
+    const openCoursebook = async (pdf) => {
+        if (pdf.type !== 'user' || pdf.file) {
+            setSelectedPdf(pdf);
+            return true;
+        }
+        const file = await library.readFile(pdf.id);
+        if (!file) return false;
+        setSelectedPdf({ ...pdf, file });
+        return true;
+    };
 
-    const loadRecommendations = useCallback(async () => {
-        setRecoLoading(true);
-        const recs = await fetchYoutubeRecommendations(topic);
-        setRecommendations(recs);
-        setRecoLoading(false);
-    }, [topic]);
+    const handlePdfSelect = async (pdf) => {
+        setViewerTarget(null);
+        setPracticeTarget(null);
+        setActiveView('PDF');
+        await openCoursebook(pdf);
+    };
 
-    useEffect(() => {
-        if (pdfText) {
-            loadRecommendations();
-        } else {
-            setRecommendations([]);
-        }
-    }, [pdfText, loadRecommendations]);
+    // Deep link into the viewer, e.g. from a chat citation or a quiz explanation
+    const openPdfAtPage = (page, highlight = '') => {
+        setViewerTarget({ page, highlight, requestedAt: Date.now() });
+        setActiveView('PDF');
+    };
 
-    const formatTimestamp = (ts) => {
-        return new Date(ts).toLocaleString();
+    // Opens the page in a given coursebook, switching to it first, e.g. from the review queue
+    const openCoursebookPage = async (coursebookId, page) => {
+        const pdf = pdfs.find(p => getCoursebookId(p) === coursebookId);
+        if (!pdf) return;
+        if (getCoursebookId(pdf) !== getCoursebookId(selectedPdf) && !(await openCoursebook(pdf))) return;
+        openPdfAtPage(page);
     };
 
-    return (
-        <div className="p-4 md:p-6 h-full overflow-y-auto space-y-8">
-            <h2 className="text-3xl font-extrabold text-gray-900 mb-2">My Revision Dashboard</h2>
-            <p className="text-gray-500">Track your progress and get curated learning resources.</p>
+    // Opens the topic's coursebook if another one is selected, then starts a quiz scoped to the topic
+    const practiceTopic = (topic) => {
+        const pdf = pdfs.find(p => getCoursebookId(p) === topic.coursebookId);
+        if (pdf && getCoursebookId(pdf) !== getCoursebookId(selectedPdf)) {
+            setViewerTarget(null);
+            openCoursebook(pdf);
+        }
+        setPracticeTarget({
+            coursebookId: pdf ? topic.coursebookId : '',
+            section: topic.section,
+            sectionTitle: topic.sectionTitle,
+            requestedAt: Date.now()
+        });
+        setActiveView('QUIZ');
+    };
 
-            {/* Progress Metrics */}
-            <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-6">
-                <ProgressCard title="Total Quizzes" value={totalAttempts} icon={ClockIcon} color="bg-indigo-500" />
-                <ProgressCard title="Total Qs Attempted" value={totalQuestions} icon={HelpCircleIcon} color="bg-green-500" />
-                <ProgressCard title="Success Rate" value={`${successRate}%`} icon={TrendingUpIcon} color="bg-yellow-500" />
-            </div>
+    // The planner's mock exam: a timed mixed quiz over the plan's sections, on the plan's coursebook
+    const startMockExam = (plan) => {
+        const pdf = pdfs.find(p => getCoursebookId(p) === plan.coursebookId);
+        if (pdf && getCoursebookId(pdf) !== getCoursebookId(selectedPdf)) {
+            setViewerTarget(null);
+            openCoursebook(pdf);
+        }
+        setPracticeTarget({
+            coursebookId: pdf ? plan.coursebookId : '',
+            sections: plan.sections.map(section => section.label),
+            mockExam: true,
+            requestedAt: Date.now()
+        });
+        setActiveView('QUIZ');
+    };
 
-            {/* Strengths & Weaknesses (Simulated) */}
-            <div className="bg-white p-6 rounded-xl shadow-lg border border-gray-200">
-                <h3 className="text-xl font-bold text-gray-800 mb-4">Learning Insights</h3>
-                <div className="flex flex-col md:flex-row gap-4">
-                    <InsightCard title="Most Practiced" value={`${mostPracticedType.toUpperCase()} Quizzes`} color="bg-indigo-100" text="text-indigo-800" />
-                    <InsightCard title="Needs More Practice" value={`${leastPracticedType.toUpperCase()} Quizzes`} color="bg-red-100" text="text-red-800" />
-                </div>
-            </div>
+    // Replays a saved attempt in the quiz view, on its own coursebook when that is still in the library
+    const retakeAttempt = (attempt, onlyWrong) => {
+        const pdf = pdfs.find(p => getCoursebookId(p) === attempt.coursebookId);
+        if (pdf && getCoursebookId(pdf) !== getCoursebookId(selectedPdf)) {
+            setViewerTarget(null);
+            openCoursebook(pdf);
+        }
+        setPracticeTarget(null);
+        setRetakeTarget({ attempt, onlyWrong, requestedAt: Date.now() });
+        setActiveView('QUIZ');
+    };
 
-            {/* YouTube Recommendations */}
-            <div className="bg-white p-6 rounded-xl shadow-lg border border-gray-200">
-                <h3 className="text-xl font-bold text-gray-800 mb-4 flex items-center">
-                    <VideoIcon className="w-6 h-6 mr-2 text-red-600" />
-                    Video Recommendations for: {topic}
-                </h3>
-                {recoLoading ? (
-                    <div className="text-center p-4 text-indigo-500">
-                        <ClockIcon className="w-6 h-6 mx-auto animate-spin" />
-                        <p className="mt-2">Finding educational videos...</p>
-                    </div>
-                ) : recommendations.length > 0 ? (
-                    <div className="space-y-3">
-                        {recommendations.map((video, index) => (
-                            <a key={index} href={video.url} target="_blank" rel="noopener noreferrer" className="flex items-center p-3 border border-gray-200 rounded-lg hover:bg-gray-50 transition duration-150 group">
-                                <VideoIcon className="w-5 h-5 mr-3 text-red-500 group-hover:text-red-700 flex-shrink-0" />
-                                <span className="flex-grow text-gray-700 group-hover:text-indigo-600 font-medium truncate">{video.title}</span>
-                                <span className="text-sm text-indigo-500 ml-3 flex-shrink-0">Watch Now &rarr;</span>
-                            </a>
-                        ))}
-                    </div>
-                ) : (
-                    <p className="text-gray-500">Could not fetch video recommendations at this time.</p>
-                )}
-                <button
-                    onClick={loadRecommendations}
-                    disabled={recoLoading || !pdfText}
-                    className="mt-4 text-sm font-semibold text-indigo-600 hover:text-indigo-800 transition duration-150"
-                >
-                    {recoLoading ? 'Refreshing...' : 'Refresh Recommendations'}
-                </button>
-            </div>
+    // Practice comes after submitting, so it is played with the answer key like any other saved quiz
+    const startAssignment = async (classroom, assignment, practiceOnly) => {
+        const questions = practiceOnly ? await loadAnswerKey(classroom.id, assignment.id) : assignment.questions;
+        setPracticeTarget(null);
+        setRetakeTarget(null);
+        setAssignmentTarget({ classroom, assignment: { ...assignment, questions }, practiceOnly, requestedAt: Date.now() });
+        setActiveView('QUIZ');
+    };
 
-            {/* Quiz History Table */}
-            <div className="bg-white p-6 rounded-xl shadow-lg border border-gray-200">
-                <h3 className="text-xl font-bold text-gray-800 mb-4">Quiz Attempt History</h3>
-                <div className="overflow-x-auto">
-                    <table className="min-w-full divide-y divide-gray-200">
-                        <thead className="bg-gray-50">
-                            <tr>
-                                {['Date', 'Quiz Title', 'Type', 'Score'].map(header => (
-                                    <th key={header} className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">{header}</th>
-                                ))}
-                            </tr>
-                        </thead>
-                        <tbody className="bg-white divide-y divide-gray-200">
-                            {progressData.map((attempt) => (
-                                <tr key={attempt.id} className="hover:bg-indigo-50 transition-colors">
-                                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">{formatTimestamp(attempt.timestamp)}</td>
-                                    <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-700">{attempt.quizTitle}</td>
-                                    <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-indigo-600">{attempt.type.toUpperCase()}</td>
-                                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
-                                        <span className={`font-extrabold ${attempt.score > attempt.total / 2 ? 'text-green-600' : 'text-red-500'}`}>
-                                            {attempt.score} / {attempt.total}
-                                        </span>
-                                    </td>
-                                </tr>
-                            ))}
-                        </tbody>
-                    </table>
-                </div>
-                {progressData.length === 0 && (
-                     <p className="text-center py-6 text-gray-500">No quiz history recorded yet. Start a quiz!</p>
-                )}
-            </div>
-        </div>
-    );
-};
+    // Adds every chosen PDF to the library and opens the last one
+    const handleFileUpload = async (event) => {
+        const files = Array.from(event.target.files || []);
+        event.target.value = null; // Clear file input
+        let lastAdded = null;
+        for (const file of files) {
+            if (file.type && file.type !== 'application/pdf') {
+                console.warn(`Skipping ${file.name}: not a PDF.`);
+                continue;
+            }
+            const entry = await library.addFile(file);
+            lastAdded = { ...entry, type: 'user', file };
+        }
+        if (lastAdded) {
+            setSelectedPdf(lastAdded);
+            setViewerTarget(null);
+            setPracticeTarget(null);
+        }
+    };
 
-const ProgressCard = ({ title, value, icon: Icon, color }) => (
-    <div className={`p-5 rounded-xl shadow-lg flex items-center justify-between ${color} text-white`}>
-        <div>
-            <p className="text-xs uppercase font-semibold opacity-80">{title}</p>
-            <p className="text-3xl font-extrabold mt-1">{value}</p>
-        </div>
-        <Icon className="w-8 h-8 opacity-70" />
-    </div>
-);
+    // Saved only in the library; the open book keeps its file and just picks up the new details
+    const updateCoursebook = (pdf, changes) => {
+        const id = getCoursebookId(pdf);
+        library.updateEntry(id, changes);
+        setSelectedPdf(prev => getCoursebookId(prev) === id ? { ...prev, ...changes } : prev);
+    };
 
-const InsightCard = ({ title, value, color, text }) => (
-    <div className={`flex-grow p-4 rounded-xl border-2 shadow-sm ${color} border-gray-200`}>
-        <p className="text-sm font-medium text-gray-600">{title}</p>
-        <p className={`text-xl font-bold mt-1 ${text}`}>{value}</p>
-    </div>
-);
+    const removeCoursebook = (pdf) => {
+        const id = getCoursebookId(pdf);
+        library.removeEntry(id);
+        if (getCoursebookId(selectedPdf) === id) {
+            setSelectedPdf(SAMPLE_COURSEBOOK);
+            setViewerTarget(null);
+            setPracticeTarget(null);
+        }
+    };
 
+    // The ID is minted locally so an attempt saved offline keeps it once synced
+    const saveProgress = (attempt) => {
+        if (!userId) return;
+        store.write('quizzes', crypto.randomUUID(), attempt);
+    };
 
-// --- Main App Component ---
+    // Stores question-level results as review items with their SM-2 schedule, plus a review history entry
+    // per result. Each item is written once, with every result for it applied.
+    const saveReviewResults = async (entries, source) => {
+        if (!db || !userId || !collection || !setDoc) return;
+        const { items, history } = applyReviewResults(reviewItems, entries, source);
+        try {
+            await Promise.all([
+                ...[...items.values()].map(item => setDoc(doc(db, `artifacts/${appId}/users/${userId}/reviewItems`, item.id), item)),
+                ...history.map(entry => {
+                    const historyRef = doc(collection(db, `artifacts/${appId}/users/${userId}/reviewHistory`));
+                    return setDoc(historyRef, { id: historyRef.id, ...entry });
+                })
+            ]);
+        } catch (e) {
+            console.error("Error saving review results: ", e);
+        }
+    };
 
-const App = () => {
-    const { db, userId, isLoading: isFirebaseLoading } = useFirebaseSetup();
-    const [activeView, setActiveView] = useState('PDF');
-    const [pdfs, setPdfs] = useState([
-        { name: 'NCERT Physics XI - Ch 1 (Mock)', url: 'mock-ncert-1', type: 'mock' },
-    ]);
-    const [selectedPdf, setSelectedPdf] = useState(pdfs[0]);
+    const saveDeck = async (deck) => {
+        if (!db || !userId || !doc || !setDoc) return;
+        try {
+            await setDoc(doc(db, `artifacts/${appId}/users/${userId}/flashcardDecks`, deck.id), deck);
+        } catch (e) {
+            console.error("Error saving flashcard deck: ", e);
+        }
+    };
 
-    // PDF Text Extraction
-    const { text: pdfText, loading: textLoading } = usePdfTextExtractor(selectedPdf);
+    const deleteDeck = async (deckId) => {
+        if (!db || !userId || !doc || !deleteDoc) return;
+        try {
+            await deleteDoc(doc(db, `artifacts/${appId}/users/${userId}/flashcardDecks`, deckId));
+        } catch (e) {
+            console.error("Error deleting flashcard deck: ", e);
+        }
+    };
 
-    // Progress Tracking
-    const progressData = useProgressData(db, userId);
+    const saveProfile = async (changes) => {
+        if (!db || !userId || !doc || !setDoc) return;
+        await setDoc(doc(db, profileDocPath(userId), 'main'), { ...profile, ...changes, updatedAt: Date.now() });
+    };
 
-    const handlePdfSelect = (pdf) => {
-        setSelectedPdf(pdf);
-        setActiveView('PDF');
+    // Signing in to an existing account leaves the guest behind. Once the account's user ID is active, the
+    // guest's quizzes, chats, library, plans and saved videos on this device are copied over, and so are
+    // the decks, review items and profile this session has loaded (the guest's copies can't be read then).
+    const carryOverRef = useRef(null);
+    const signInToAccount = async (email, password) => {
+        const hasGuestData = !!profile || flashcardDecks.length > 0 || reviewItems.length > 0
+            || SYNCED_COLLECTIONS.some(name => store.collections[name].length > 0);
+        if (account?.isAnonymous && hasGuestData
+            && window.confirm("Bring everything from this guest session into the account: quizzes, chats, library, revision plans, saved videos, flashcard decks, review queue and profile?\n\n"
+                + "If you don't, it stays with the guest and can't be opened again after signing in."
+                + (classes.length > 0 ? " Classes joined as a guest have to be joined again with their invite codes either way." : ''))) {
+            carryOverRef.current = { fromUserId: userId, decks: flashcardDecks, reviewItems, profile };
+        }
+        try {
+            await signIn(email, password);
+        } catch (e) {
+            carryOverRef.current = null;
+            throw e;
+        }
     };
 
-    const handleFileUpload = (event) => {
-        const file = event.target.files[0];
-        if (file) {
-            const newPdf = {
-                name: file.name,
-                url: URL.createObjectURL(file), // Use object URL for viewing
-                file: file,
-                type: 'user'
-            };
-            // Replace previous user upload with the new one
-            setPdfs(prev => [...prev.filter(p => p.type !== 'user'), newPdf]);
-            setSelectedPdf(newPdf);
-            event.target.value = null; // Clear file input
+    useEffect(() => {
+        const carryOver = carryOverRef.current;
+        if (!carryOver || !userId || userId === carryOver.fromUserId) return;
+        carryOverRef.current = null;
+        store.adoptRecords(carryOver.fromUserId).catch(e => console.error("Error copying guest history: ", e));
+        if (db) copyGuestData(db, userId, carryOver).catch(e => console.error("Error copying guest decks and review queue: ", e));
+    }, [userId]);
+
+    // The invite code document lets a student find the class without being able to list every class
+    const createClass = async (name) => {
+        if (!db || !userId || !doc || !setDoc || !getDoc) return;
+        let inviteCode = generateInviteCode();
+        while ((await getDoc(doc(db, INVITE_CODES_PATH, inviteCode))).exists()) {
+            inviteCode = generateInviteCode();
         }
+        const classId = crypto.randomUUID();
+        await setDoc(doc(db, CLASSES_PATH, classId), {
+            name,
+            teacherId: userId,
+            teacherName: profile.displayName,
+            inviteCode,
+            createdAt: Date.now()
+        });
+        await setDoc(doc(db, INVITE_CODES_PATH, inviteCode), {
+            classId,
+            className: name,
+            teacherId: userId,
+            teacherName: profile.displayName
+        });
     };
 
-    const saveProgress = async (attempt) => {
-        if (!db || !userId || !collection || !setDoc) return;
+    const joinClass = async (inviteCode) => {
+        if (!db || !userId || !doc || !setDoc || !getDoc) return;
+        const invite = await getDoc(doc(db, INVITE_CODES_PATH, inviteCode));
+        if (!invite.exists()) throw new Error("No class uses that invite code. Check it with your teacher.");
+        const { classId, className, teacherName } = invite.data();
+        if (classes.some(c => c.id === classId)) throw new Error(`You're already in ${className}.`);
+
+        const joinedAt = Date.now();
+        // The rules check the invite code on the member document, so only students given the code can join
+        await setDoc(doc(db, `${CLASSES_PATH}/${classId}/members`, userId), { displayName: profile.displayName, inviteCode, joinedAt });
+        await setDoc(doc(db, `artifacts/${appId}/users/${userId}/classMemberships`, classId), { name: className, teacherName, inviteCode, joinedAt });
+    };
+
+    const leaveClass = async (classroom) => {
+        if (!db || !userId || !doc || !deleteDoc) return;
+        await deleteDoc(doc(db, `${CLASSES_PATH}/${classroom.id}/members`, userId));
+        await deleteDoc(doc(db, `artifacts/${appId}/users/${userId}/classMemberships`, classroom.id));
+    };
+
+    // Everyone in the class gets the same questions, so they are stored with the assignment. The answers
+    // go in a separate answer key that students can only read after submitting; it is written first so
+    // an assignment never appears without one.
+    const assignQuiz = async (classroom, quiz, { dueAt, timeLimitMinutes }) => {
+        if (!db || !userId || !doc || !setDoc) return false;
+        const assignmentId = crypto.randomUUID();
+        const questions = quiz.questions.map(toBankQuestion);
         try {
-            const docRef = doc(collection(db, `artifacts/${appId}/users/${userId}/quizzes`));
-            await setDoc(docRef, {
-                ...attempt,
-                id: docRef.id
+            await setDoc(doc(db, answerKeyPath(classroom.id, assignmentId), 'main'), { questions });
+            await setDoc(doc(db, `${CLASSES_PATH}/${classroom.id}/assignments`, assignmentId), {
+                title: quiz.quizTitle,
+                questions: questions.map(toAssignedQuestion),
+                questionCount: questions.length,
+                coursebookName: quiz.coursebookName,
+                dueAt,
+                timeLimitMinutes: timeLimitMinutes || null,
+                createdAt: Date.now()
             });
-            console.log("Progress saved successfully!");
+            return true;
+        } catch (e) {
+            console.error("Error assigning quiz: ", e);
+            return false;
+        }
+    };
+
+    const deleteAssignment = async (classroom, assignment) => {
+        if (!db || !userId || !doc || !deleteDoc) return;
+        if (!window.confirm(`Delete "${assignment.title}" from ${classroom.name}? Students won't see it any more.`)) return;
+        try {
+            await deleteDoc(doc(db, `${CLASSES_PATH}/${classroom.id}/assignments`, assignment.id));
+            await deleteDoc(doc(db, answerKeyPath(classroom.id, assignment.id), 'main'));
+        } catch (e) {
+            console.error("Error deleting assignment: ", e);
+        }
+    };
+
+    const loadAnswerKey = async (classId, assignmentId) => {
+        const snapshot = await getDoc(doc(db, answerKeyPath(classId, assignmentId), 'main'));
+        if (!snapshot.exists()) throw new Error("This assignment has no answer key. Ask your teacher to assign it again.");
+        return snapshot.data().questions;
+    };
+
+    // A submission is final and holds only the answers: the rules allow creating it but not overwriting it,
+    // and stamp it with the server's time. Firestore keeps retrying a write while offline, so one that
+    // timed out may still arrive; it is only written when the server doesn't have it yet.
+    const sendSubmission = async ({ classId, assignmentId, submission }) => {
+        const submissionRef = doc(db, `${CLASSES_PATH}/${classId}/assignments/${assignmentId}/submissions`, userId);
+        if ((await withTimeout(getDoc(submissionRef), SYNC_TIMEOUT_MS)).exists()) return;
+        await withTimeout(setDoc(submissionRef, {
+            studentId: userId,
+            assignmentId,
+            ...submission,
+            submittedAt: serverTimestamp()
+        }), SYNC_TIMEOUT_MS);
+    };
+
+    // The scores are added to the submission once; the rules refuse a second set
+    const sendScores = async ({ classId, assignmentId }, scores) => {
+        const submissionRef = doc(db, `${CLASSES_PATH}/${classId}/assignments/${assignmentId}/submissions`, userId);
+        if ((await withTimeout(getDoc(submissionRef), SYNC_TIMEOUT_MS)).data()?.scores) return;
+        await withTimeout(updateDoc(submissionRef, { scores }), SYNC_TIMEOUT_MS);
+    };
+
+    // Submissions being marked by the quiz or sent by the retry below, which leaves them alone meanwhile
+    const markingSubmissionsRef = useRef(new Set());
+
+    // Queues the answers, then tries to send them. Returns the answer key for grading, or null when the
+    // submission is left in the queue to be retried. The quiz then hands back its scores.
+    const submitAssignment = async ({ classId, assignmentId }, { answers, timeUsedSeconds }) => {
+        if (!db || !userId || !doc || !setDoc || !getDoc) return null;
+        const key = `${userId}|${classId}|${assignmentId}`;
+        const entry = {
+            userId,
+            classId,
+            assignmentId,
+            submission: { displayName: profile?.displayName || '', answers, ...(timeUsedSeconds !== null ? { timeUsedSeconds } : {}) },
+            queuedAt: Date.now()
+        };
+        setPendingSubmissions(prev => ({ ...prev, [key]: entry }));
+        markingSubmissionsRef.current.add(key);
+        try {
+            await sendSubmission(entry);
+            return await withTimeout(loadAnswerKey(classId, assignmentId), SYNC_TIMEOUT_MS);
+        } catch (e) {
+            console.error("Error submitting assignment: ", e);
+            markingSubmissionsRef.current.delete(key);
+            return null;
+        }
+    };
+
+    // Keeps the scores with the queued submission until they have been sent
+    const recordAssignmentScores = async ({ classId, assignmentId }, questionScores) => {
+        const key = `${userId}|${classId}|${assignmentId}`;
+        const scores = toSubmissionScores(questionScores);
+        setPendingSubmissions(prev => (prev[key] ? { ...prev, [key]: { ...prev[key], scores } } : prev));
+        markingSubmissionsRef.current.delete(key);
+        try {
+            await sendScores({ classId, assignmentId }, scores);
         } catch (e) {
-            console.error("Error saving progress: ", e);
+            console.error("Error saving assignment scores: ", e);
+        }
+    };
+
+    // A queued submission that arrives after its quiz has ended is marked here, the same way
+    const deliverSubmission = async (key, entry) => {
+        markingSubmissionsRef.current.add(key);
+        try {
+            await sendSubmission(entry);
+            let { scores } = entry;
+            if (!scores) {
+                scores = await gradeSubmission(await withTimeout(loadAnswerKey(entry.classId, entry.assignmentId), SYNC_TIMEOUT_MS), entry.submission.answers);
+                setPendingSubmissions(prev => (prev[key] ? { ...prev, [key]: { ...prev[key], scores } } : prev));
+            }
+            await sendScores(entry, scores);
+        } finally {
+            markingSubmissionsRef.current.delete(key);
         }
     };
 
+    useEffect(() => {
+        writePendingSubmissions(pendingSubmissions);
+    }, [pendingSubmissions]);
+
+    // A queued submission is done once the server has confirmed it with its scores
+    useEffect(() => {
+        setPendingSubmissions(prev => {
+            const arrived = Object.keys(prev).filter(key => prev[key].userId === userId
+                && ownSubmissions[prev[key].assignmentId]?.scores && !ownSubmissions[prev[key].assignmentId].isPending);
+            if (arrived.length === 0) return prev;
+            const next = { ...prev };
+            arrived.forEach(key => delete next[key]);
+            return next;
+        });
+    }, [ownSubmissions, userId]);
+
+    // Retried when the browser comes back online and every SYNC_RETRY_MS while any are queued, leaving a
+    // fresh one to the submit that queued it and one the quiz is marking. One the rules refuse (e.g. after
+    // leaving the class, or because an earlier write has arrived) can never be sent, so it is dropped.
+    const pendingSubmissionsRef = useRef(pendingSubmissions);
+    pendingSubmissionsRef.current = pendingSubmissions;
+    const hasPendingSubmissions = pendingAssignmentIds.size > 0;
+    useEffect(() => {
+        if (!db || !userId || !hasPendingSubmissions) return;
+        const retry = () => Object.entries(pendingSubmissionsRef.current)
+            .filter(([key, entry]) => entry.userId === userId && Date.now() - entry.queuedAt > SYNC_TIMEOUT_MS
+                && !markingSubmissionsRef.current.has(key))
+            .forEach(([key, entry]) => {
+                deliverSubmission(key, entry).catch(e => {
+                    if (e.code !== 'permission-denied') return;
+                    console.error("Error submitting assignment: ", e);
+                    setPendingSubmissions(prev => {
+                        const next = { ...prev };
+                        delete next[key];
+                        return next;
+                    });
+                });
+            });
+
+        retry();
+        const timer = setInterval(retry, SYNC_RETRY_MS);
+        window.addEventListener('online', retry);
+        return () => {
+            clearInterval(timer);
+            window.removeEventListener('online', retry);
+        };
+    }, [db, userId, hasPendingSubmissions]);
+
+    const savePlan = (plan) => {
+        if (!userId) return;
+        store.write('plans', plan.id, { ...plan, updatedAt: Date.now() });
+    };
+
+    const deletePlan = (planId) => {
+        if (!userId) return;
+        store.remove('plans', planId);
+    };
+
+    const saveVideo = (video) => {
+        if (!userId) return;
+        store.write('watchLater', video.videoId, { ...video, savedAt: Date.now() });
+    };
+
+    const removeVideo = (videoId) => {
+        if (!userId) return;
+        store.remove('watchLater', videoId);
+    };
+
+    const saveChat = (chat) => {
+        if (!userId) return;
+        store.write('chats', chat.id, chat);
+    };
+
+    const deleteChat = (chatId) => {
+        if (!userId) return;
+        store.remove('chats', chatId);
+    };
+
     if (isFirebaseLoading) {
         return (
             <div className="flex items-center justify-center h-screen bg-gray-100">
@@ -1184,31 +8920,145 @@ const App = () => {
                 selectedPdf={selectedPdf}
                 onPdfSelect={handlePdfSelect}
                 onFileUpload={handleFileUpload}
+                onUpdateCoursebook={updateCoursebook}
+                onRemoveCoursebook={removeCoursebook}
+                libraryError={library.error}
+                syncStatus={store.status}
+                onSyncNow={store.syncNow}
                 activeView={activeView}
                 setActiveView={setActiveView}
                 userId={userId}
+                profile={profile}
+                account={account}
+                reviewDueCount={reviewDueCount}
+                openAssignmentCount={openAssignmentCount}
             />
 
             {/* Main Content Area */}
             <main className="flex-grow p-4 md:p-6 overflow-hidden min-h-0">
                 <div className="h-full">
                     {activeView === 'PDF' && (
-                        <PDFViewer pdfFile={selectedPdf} pdfText={pdfText} textLoading={textLoading} />
+                        <PDFViewer
+                            pdfFile={selectedPdf}
+                            pdfText={pdfText}
+                            pdfPages={pdfPages}
+                            textLoading={textLoading}
+                            textProgress={textProgress}
+                            textError={textError}
+                            viewerTarget={viewerTarget}
+                        />
                     )}
                     {activeView === 'QUIZ' && (
                         <QuizGenerator
                             db={db}
                             userId={userId}
                             pdfText={pdfText}
+                            pdfPages={pdfPages}
                             pdfLoading={textLoading}
+                            pdfProgress={textProgress}
+                            pdfError={textError}
                             saveProgress={saveProgress}
+                            saveReviewResults={saveReviewResults}
+                            coursebook={selectedPdf}
+                            onOpenPage={openPdfAtPage}
+                            practiceRequest={practiceTarget}
+                            onPracticeStarted={() => setPracticeTarget(null)}
+                            retakeRequest={retakeTarget}
+                            onRetakeStarted={() => setRetakeTarget(null)}
+                            assignmentRequest={assignmentTarget}
+                            onAssignmentStarted={() => setAssignmentTarget(null)}
+                            onSubmitAssignment={submitAssignment}
+                            onRecordAssignmentScores={recordAssignmentScores}
+                            teacherClasses={teacherClasses}
+                            onAssignQuiz={assignQuiz}
                         />
                     )}
                     {activeView === 'CHAT' && (
-                        <ChatUI pdfText={pdfText} pdfLoading={textLoading} />
+                        <ChatUI
+                            pdfText={pdfText}
+                            pdfPages={pdfPages}
+                            pdfLoading={textLoading}
+                            onOpenPage={openPdfAtPage}
+                            coursebook={selectedPdf}
+                            chats={chats}
+                            saveChat={saveChat}
+                            deleteChat={deleteChat}
+                        />
+                    )}
+                    {activeView === 'FLASHCARDS' && (
+                        <FlashcardStudio
+                            pdfText={pdfText}
+                            pdfPages={pdfPages}
+                            pdfLoading={textLoading}
+                            coursebook={selectedPdf}
+                            decks={flashcardDecks}
+                            saveDeck={saveDeck}
+                            deleteDeck={deleteDeck}
+                            onOpenPage={openPdfAtPage}
+                        />
+                    )}
+                    {activeView === 'REVIEW' && (
+                        <ReviewQueue reviewItems={reviewItems} saveReviewResults={saveReviewResults} coursebookIds={coursebookIds} onOpenPage={openCoursebookPage} />
                     )}
                     {activeView === 'DASHBOARD' && (
-                        <Dashboard progressData={progressData} pdfText={pdfText} />
+                        <Dashboard
+                            progressData={progressData}
+                            pdfText={pdfText}
+                            pdfPages={pdfPages}
+                            coursebook={selectedPdf}
+                            coursebookIds={pdfs.map(getCoursebookId)}
+                            onPracticeTopic={practiceTopic}
+                            onRetakeAttempt={retakeAttempt}
+                            watchLater={watchLater}
+                            onSaveVideo={saveVideo}
+                            onRemoveVideo={removeVideo}
+                        />
+                    )}
+                    {activeView === 'PLANNER' && (
+                        <PlannerView
+                            coursebook={selectedPdf}
+                            pdfText={pdfText}
+                            pdfPages={pdfPages}
+                            plans={plans}
+                            progressData={progressData}
+                            reviewItems={reviewItems}
+                            onSavePlan={savePlan}
+                            onDeletePlan={deletePlan}
+                            onPracticeTopic={practiceTopic}
+                            onOpenPage={openPdfAtPage}
+                            onStartReview={() => setActiveView('REVIEW')}
+                            onStartMockExam={startMockExam}
+                        />
+                    )}
+                    {activeView === 'CLASSES' && (
+                        <ClassesView
+                            db={db}
+                            profile={profile}
+                            isProfileLoaded={isProfileLoaded}
+                            classes={classes}
+                            ownSubmissions={ownSubmissions}
+                            pendingAssignmentIds={pendingAssignmentIds}
+                            onSaveProfile={saveProfile}
+                            onCreateClass={createClass}
+                            onJoinClass={joinClass}
+                            onLeaveClass={leaveClass}
+                            onDeleteAssignment={deleteAssignment}
+                            onStartAssignment={startAssignment}
+                        />
+                    )}
+                    {activeView === 'ACCOUNT' && (
+                        <AccountView
+                            account={account}
+                            hasFirebase={!!auth}
+                            profile={profile}
+                            isProfileLoaded={isProfileLoaded}
+                            subjectSuggestions={[...new Set(pdfs.map(pdf => pdf.subject).filter(Boolean))].sort()}
+                            onCreateAccount={createAccount}
+                            onSignIn={signInToAccount}
+                            onResetPassword={resetPassword}
+                            onSignOut={signOutOfAccount}
+                            onSaveProfile={saveProfile}
+                        />
                     )}
                 </div>
             </main>
@@ -1216,4 +9066,37 @@ const App = () => {
     );
 };
 
+// Pure helpers, exported for the tests in test/
+export {
+    getLlmSettings,
+    saveLlmSettings,
+    getLlmProvider,
+    parseQuestionBank,
+    exportQuestionBank,
+    buildQuizDocument,
+    resolveCorrectOption,
+    validateQuizQuestion,
+    validateQuiz,
+    toAttemptQuestion,
+    toQuestionScore,
+    toFirestoreData,
+    describeAccount,
+    authErrorMessage,
+    createEmailAccount,
+    copyGuestData,
+    toBankQuestion,
+    toAssignedQuestion,
+    mergeAnswerKey,
+    toSubmissionScores,
+    gradeSubmission,
+    summarizeSubmission,
+    applyReviewResults,
+    parseYoutubeVideoId,
+    normalizeVideoResults,
+    buildVideoTopics,
+    getVideoRecommendations,
+    buildRevisionSchedule,
+    scheduleToIcs
+};
+
 export default App;
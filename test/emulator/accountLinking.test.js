@@ -0,0 +1,88 @@
+import { after, before, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { initializeApp, deleteApp } from 'firebase/app';
+import * as firebaseAuth from 'firebase/auth';
+import * as firebaseFirestore from 'firebase/firestore';
+import { loadStudyBuddy } from '../loadStudyBuddy.js';
+
+// Run with "npm run test:emulator", which starts the Auth and Firestore emulators
+globalThis.window = { firebaseAuth, firebaseFirestore };
+const { createEmailAccount, describeAccount, authErrorMessage, copyGuestData } = await loadStudyBuddy();
+
+const { getAuth, connectAuthEmulator, signInAnonymously, signInWithEmailAndPassword, createUserWithEmailAndPassword, signOut } = firebaseAuth;
+const { getFirestore, connectFirestoreEmulator, collection, doc, getDoc, getDocs, setDoc } = firebaseFirestore;
+
+const PASSWORD = 'correct-horse-battery';
+const uniqueEmail = (name) => `${name}-${Date.now()}-${Math.random().toString(36).slice(2, 8)}@example.com`;
+const userPath = (userId) => `artifacts/study-buddy-app/users/${userId}`;
+
+let app;
+let auth;
+let db;
+
+before(() => {
+    app = initializeApp({ projectId: 'demo-study-buddy', apiKey: 'demo-api-key' }, 'account-linking');
+    auth = getAuth(app);
+    connectAuthEmulator(auth, `http://${process.env.FIREBASE_AUTH_EMULATOR_HOST}`, { disableWarnings: true });
+    db = getFirestore(app);
+    const [host, port] = process.env.FIRESTORE_EMULATOR_HOST.split(':');
+    connectFirestoreEmulator(db, host, Number(port));
+});
+
+after(() => deleteApp(app));
+
+test('creating an account links the guest and keeps its user ID', async () => {
+    const guest = (await signInAnonymously(auth)).user;
+    await setDoc(doc(db, `${userPath(guest.uid)}/flashcardDecks`, 'deck1'), { id: 'deck1', title: 'Units', cards: [] });
+
+    const email = uniqueEmail('linked');
+    const user = await createEmailAccount(auth, email, PASSWORD);
+    assert.deepEqual(describeAccount(user), { uid: guest.uid, email, isAnonymous: false });
+
+    // The same user ID comes back on sign in, with the guest's data still under it
+    await signOut(auth);
+    const signedIn = (await signInWithEmailAndPassword(auth, email, PASSWORD)).user;
+    assert.equal(signedIn.uid, guest.uid);
+    assert.equal((await getDoc(doc(db, `${userPath(signedIn.uid)}/flashcardDecks`, 'deck1'))).exists(), true);
+    await signOut(auth);
+});
+
+test('a guest cannot be linked to an email that already has an account', async () => {
+    const email = uniqueEmail('taken');
+    await createUserWithEmailAndPassword(auth, email, PASSWORD);
+    await signOut(auth);
+
+    await signInAnonymously(auth);
+    await assert.rejects(createEmailAccount(auth, email, PASSWORD), (error) => {
+        assert.equal(authErrorMessage(error), 'That email already has an account. Sign in to it instead.');
+        return true;
+    });
+    await signOut(auth);
+});
+
+test('signing in from a guest copies its decks, review items and profile into the account', async () => {
+    const email = uniqueEmail('existing');
+    const account = (await createUserWithEmailAndPassword(auth, email, PASSWORD)).user;
+    await setDoc(doc(db, `${userPath(account.uid)}/reviewItems`, 'shared'), { id: 'shared', lastScore: 1 });
+    await signOut(auth);
+
+    // What the guest session has loaded when it signs in
+    const guest = (await signInAnonymously(auth)).user;
+    const guestData = {
+        decks: [{ id: 'deck1', title: 'Units', cards: [] }],
+        reviewItems: [{ id: 'shared', lastScore: 0 }, { id: 'guest-only', lastScore: 0.5 }],
+        profile: { displayName: 'Asha', role: 'student' }
+    };
+    await setDoc(doc(db, `${userPath(guest.uid)}/profile`, 'main'), guestData.profile);
+
+    const signedIn = (await signInWithEmailAndPassword(auth, email, PASSWORD)).user;
+    assert.notEqual(signedIn.uid, guest.uid);
+    await copyGuestData(db, signedIn.uid, guestData);
+
+    const decks = await getDocs(collection(db, `${userPath(signedIn.uid)}/flashcardDecks`));
+    assert.deepEqual(decks.docs.map(d => d.id), ['deck1']);
+    const items = await getDocs(collection(db, `${userPath(signedIn.uid)}/reviewItems`));
+    assert.deepEqual(Object.fromEntries(items.docs.map(d => [d.id, d.data().lastScore])), { 'guest-only': 0.5, shared: 1 });
+    assert.deepEqual((await getDoc(doc(db, `${userPath(signedIn.uid)}/profile`, 'main'))).data(), guestData.profile);
+    await signOut(auth);
+});
@@ -0,0 +1,226 @@
+import { after, before, beforeEach, describe, test } from 'node:test';
+import { readFileSync } from 'node:fs';
+import { initializeTestEnvironment, assertFails, assertSucceeds } from '@firebase/rules-unit-testing';
+import { collection, deleteDoc, doc, getDoc, getDocs, serverTimestamp, setDoc, updateDoc } from 'firebase/firestore';
+
+// Run with "npm run test:emulator", which starts the Firestore emulator with firestore.rules
+const PUBLIC_DATA = 'artifacts/test-app/public/data';
+const CLASS_PATH = `${PUBLIC_DATA}/classes/physics`;
+const ASSIGNMENT_PATH = `${CLASS_PATH}/assignments/week1`;
+const INVITE_CODE = 'PHYS23';
+const profilePath = (userId) => `artifacts/test-app/users/${userId}/profile/main`;
+
+const answers = (overrides = {}) => ({
+    studentId: 'alice',
+    assignmentId: 'week1',
+    displayName: 'Alice',
+    answers: ['Nature', 'Unification and reduction'],
+    submittedAt: serverTimestamp(),
+    ...overrides
+});
+
+let testEnv;
+
+before(async () => {
+    testEnv = await initializeTestEnvironment({
+        projectId: 'demo-study-buddy',
+        firestore: { rules: readFileSync(new URL('../../firestore.rules', import.meta.url), 'utf8') }
+    });
+});
+
+after(() => testEnv?.cleanup());
+
+// A teacher with one class and one assignment; the students alice has joined the class, bob hasn't
+beforeEach(async () => {
+    await testEnv.clearFirestore();
+    await testEnv.withSecurityRulesDisabled(async (context) => {
+        const db = context.firestore();
+        await setDoc(doc(db, profilePath('teacher')), { displayName: 'Ms Rao', role: 'teacher' });
+        await setDoc(doc(db, profilePath('alice')), { displayName: 'Alice', role: 'student' });
+        await setDoc(doc(db, profilePath('bob')), { displayName: 'Bob', role: 'student' });
+        await setDoc(doc(db, CLASS_PATH), { name: 'Physics', teacherId: 'teacher', teacherName: 'Ms Rao', inviteCode: INVITE_CODE, createdAt: 1 });
+        await setDoc(doc(db, `${PUBLIC_DATA}/inviteCodes/${INVITE_CODE}`), { classId: 'physics', className: 'Physics', teacherId: 'teacher', teacherName: 'Ms Rao' });
+        await setDoc(doc(db, `${CLASS_PATH}/members/alice`), { displayName: 'Alice', inviteCode: INVITE_CODE, joinedAt: 1 });
+        await setDoc(doc(db, ASSIGNMENT_PATH), {
+            title: 'Week 1',
+            questions: [{ type: 'mcq', question: 'What does physics study?', options: ['Nature', 'Money', 'Poetry', 'Law'] }, { type: 'saq', question: 'Name the two thrusts of physics.' }],
+            questionCount: 2,
+            dueAt: 2,
+            timeLimitMinutes: null,
+            createdAt: 1
+        });
+        await setDoc(doc(db, `${ASSIGNMENT_PATH}/answerKey/main`), {
+            questions: [{ type: 'mcq', correctAnswer: 'Nature' }, { type: 'saq', modelAnswer: 'Unification and reduction.' }]
+        });
+    });
+});
+
+const firestoreAs = (userId) => testEnv.authenticatedContext(userId).firestore();
+
+describe('roles', () => {
+    const newClass = (teacherId) => ({ name: 'Chemistry', teacherId, teacherName: 'Someone', inviteCode: 'CHEM45', createdAt: 1 });
+
+    test('only a teacher can create a class', async () => {
+        await assertSucceeds(setDoc(doc(firestoreAs('teacher'), `${PUBLIC_DATA}/classes/chemistry`), newClass('teacher')));
+        await assertFails(setDoc(doc(firestoreAs('bob'), `${PUBLIC_DATA}/classes/chemistry`), newClass('bob')));
+        await assertFails(setDoc(doc(firestoreAs('carol'), `${PUBLIC_DATA}/classes/chemistry`), newClass('carol')));
+    });
+
+    test('only a student can join a class', async () => {
+        await testEnv.withSecurityRulesDisabled(context => setDoc(doc(context.firestore(), profilePath('dave')), { displayName: 'Dave', role: 'teacher' }));
+        await assertFails(setDoc(doc(firestoreAs('dave'), `${CLASS_PATH}/members/dave`), { displayName: 'Dave', inviteCode: INVITE_CODE, joinedAt: 1 }));
+        await assertFails(setDoc(doc(firestoreAs('carol'), `${CLASS_PATH}/members/carol`), { displayName: 'Carol', inviteCode: INVITE_CODE, joinedAt: 1 }));
+    });
+
+    test('is picked once and then kept', async () => {
+        const profile = doc(firestoreAs('carol'), profilePath('carol'));
+        await assertSucceeds(setDoc(profile, { displayName: 'Carol', role: 'teacher' }));
+        await assertSucceeds(setDoc(profile, { displayName: 'Carol Ng', role: 'teacher' }));
+        await assertFails(setDoc(profile, { displayName: 'Carol Ng', role: 'student' }));
+        await assertFails(setDoc(doc(firestoreAs('bob'), profilePath('bob')), { displayName: 'Bob' }));
+        await assertFails(updateDoc(doc(firestoreAs('bob'), profilePath('bob')), { role: 'teacher' }));
+    });
+
+    test('must be a known role', async () => {
+        await assertFails(setDoc(doc(firestoreAs('carol'), profilePath('carol')), { displayName: 'Carol', role: 'admin' }));
+    });
+
+    test("can't be reset by deleting the profile", async () => {
+        await assertFails(deleteDoc(doc(firestoreAs('bob'), profilePath('bob'))));
+    });
+
+    test("can't be written for someone else", async () => {
+        await assertFails(setDoc(doc(firestoreAs('bob'), profilePath('carol')), { displayName: 'Carol', role: 'teacher' }));
+    });
+});
+
+describe('joining a class', () => {
+    test('works with the class invite code', async () => {
+        await assertSucceeds(setDoc(doc(firestoreAs('bob'), `${CLASS_PATH}/members/bob`), { displayName: 'Bob', inviteCode: INVITE_CODE, joinedAt: 1 }));
+    });
+
+    test('is refused with a wrong invite code', async () => {
+        await assertFails(setDoc(doc(firestoreAs('bob'), `${CLASS_PATH}/members/bob`), { displayName: 'Bob', inviteCode: 'WRONG2', joinedAt: 1 }));
+    });
+
+    test('is refused for someone else', async () => {
+        await assertFails(setDoc(doc(firestoreAs('bob'), `${CLASS_PATH}/members/carol`), { displayName: 'Carol', inviteCode: INVITE_CODE, joinedAt: 1 }));
+    });
+});
+
+describe('invite codes', () => {
+    test('can be looked up one at a time', async () => {
+        await assertSucceeds(getDoc(doc(firestoreAs('bob'), `${PUBLIC_DATA}/inviteCodes/${INVITE_CODE}`)));
+    });
+
+    test('cannot be listed by a student', async () => {
+        await assertFails(getDocs(collection(firestoreAs('alice'), `${PUBLIC_DATA}/inviteCodes`)));
+    });
+});
+
+describe('non-members', () => {
+    test('cannot read the class', async () => {
+        await assertFails(getDoc(doc(firestoreAs('bob'), CLASS_PATH)));
+    });
+
+    test('cannot read its assignments', async () => {
+        await assertFails(getDocs(collection(firestoreAs('bob'), `${CLASS_PATH}/assignments`)));
+        await assertFails(getDoc(doc(firestoreAs('bob'), ASSIGNMENT_PATH)));
+    });
+
+    test('cannot read its submissions', async () => {
+        await testEnv.withSecurityRulesDisabled(context => setDoc(doc(context.firestore(), `${ASSIGNMENT_PATH}/submissions/alice`), answers()));
+        await assertFails(getDocs(collection(firestoreAs('bob'), `${ASSIGNMENT_PATH}/submissions`)));
+        await assertFails(getDoc(doc(firestoreAs('bob'), `${ASSIGNMENT_PATH}/submissions/alice`)));
+    });
+
+    test('cannot submit', async () => {
+        await assertFails(setDoc(doc(firestoreAs('bob'), `${ASSIGNMENT_PATH}/submissions/bob`), answers({ studentId: 'bob' })));
+    });
+});
+
+describe('submissions', () => {
+    test('a member can submit their answers once', async () => {
+        await assertSucceeds(setDoc(doc(firestoreAs('alice'), `${ASSIGNMENT_PATH}/submissions/alice`), answers()));
+    });
+
+    test('a second submission is refused', async () => {
+        const db = firestoreAs('alice');
+        await assertSucceeds(setDoc(doc(db, `${ASSIGNMENT_PATH}/submissions/alice`), answers()));
+        await assertFails(setDoc(doc(db, `${ASSIGNMENT_PATH}/submissions/alice`), answers({ answers: ['Money', ''] })));
+    });
+
+    test('a submission cannot be edited or withdrawn by the student', async () => {
+        const db = firestoreAs('alice');
+        await assertSucceeds(setDoc(doc(db, `${ASSIGNMENT_PATH}/submissions/alice`), answers()));
+        await assertFails(updateDoc(doc(db, `${ASSIGNMENT_PATH}/submissions/alice`), { answers: ['Money', ''] }));
+        await assertFails(deleteDoc(doc(db, `${ASSIGNMENT_PATH}/submissions/alice`)));
+    });
+
+    test('a submission cannot claim a score', async () => {
+        await assertFails(setDoc(doc(firestoreAs('alice'), `${ASSIGNMENT_PATH}/submissions/alice`), answers({ score: 2, total: 2 })));
+    });
+
+    test('a submission must answer every question and carry the server time', async () => {
+        const submission = doc(firestoreAs('alice'), `${ASSIGNMENT_PATH}/submissions/alice`);
+        await assertFails(setDoc(submission, answers({ answers: ['Nature'] })));
+        await assertFails(setDoc(submission, answers({ submittedAt: 1 })));
+    });
+
+    test('a student cannot submit for someone else', async () => {
+        await assertFails(setDoc(doc(firestoreAs('alice'), `${ASSIGNMENT_PATH}/submissions/carol`), answers({ studentId: 'carol' })));
+    });
+});
+
+describe('scores', () => {
+    const submissionAs = (userId) => doc(firestoreAs(userId), `${ASSIGNMENT_PATH}/submissions/alice`);
+
+    beforeEach(() => setDoc(submissionAs('alice'), answers()));
+
+    test('are added once by the student', async () => {
+        await assertSucceeds(updateDoc(submissionAs('alice'), { scores: [1, 0.5] }));
+        await assertFails(updateDoc(submissionAs('alice'), { scores: [1, 1] }));
+    });
+
+    test('need one score between 0 and 1 per question', async () => {
+        await assertFails(updateDoc(submissionAs('alice'), { scores: [1] }));
+        await assertFails(updateDoc(submissionAs('alice'), { scores: [1, 0.5, 1] }));
+        await assertFails(updateDoc(submissionAs('alice'), { scores: [1, 2] }));
+        await assertFails(updateDoc(submissionAs('alice'), { scores: [-1, 0] }));
+        await assertFails(updateDoc(submissionAs('alice'), { scores: [1, 'full marks'] }));
+    });
+
+    test('cannot come with other changes', async () => {
+        await assertFails(updateDoc(submissionAs('alice'), { scores: [1, 1], answers: ['Nature', 'Both'] }));
+    });
+
+    test('cannot be added by anyone else', async () => {
+        await assertFails(updateDoc(submissionAs('bob'), { scores: [1, 1] }));
+        await assertFails(updateDoc(submissionAs('teacher'), { scores: [1, 1] }));
+    });
+});
+
+describe('assignments', () => {
+    test('can have up to 40 questions', async () => {
+        const assignment = (questionCount) => ({ title: 'Big', questions: [], questionCount, dueAt: 2, timeLimitMinutes: null, createdAt: 1 });
+        await assertSucceeds(setDoc(doc(firestoreAs('teacher'), `${CLASS_PATH}/assignments/big`), assignment(40)));
+        await assertFails(setDoc(doc(firestoreAs('teacher'), `${CLASS_PATH}/assignments/bigger`), assignment(41)));
+    });
+});
+
+describe('the answer key', () => {
+    test('is readable by the teacher', async () => {
+        await assertSucceeds(getDoc(doc(firestoreAs('teacher'), `${ASSIGNMENT_PATH}/answerKey/main`)));
+    });
+
+    test('is hidden from a member until they submit', async () => {
+        const db = firestoreAs('alice');
+        await assertFails(getDoc(doc(db, `${ASSIGNMENT_PATH}/answerKey/main`)));
+        await assertSucceeds(setDoc(doc(db, `${ASSIGNMENT_PATH}/submissions/alice`), answers()));
+        await assertSucceeds(getDoc(doc(db, `${ASSIGNMENT_PATH}/answerKey/main`)));
+    });
+
+    test('cannot be written by a student', async () => {
+        await assertFails(setDoc(doc(firestoreAs('alice'), `${ASSIGNMENT_PATH}/answerKey/main`), { questions: [] }));
+    });
+});
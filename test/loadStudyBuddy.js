@@ -0,0 +1,40 @@
+// Loads studyBuddy.jsx in Node for tests. The app expects Firebase and pdf.js as browser globals, which
+// the pure helpers under test don't need, so an empty `window` stands in for them. Emulator tests put
+// the Firebase modules on `window` before loading.
+import { buildSync } from 'esbuild';
+import { mkdirSync, writeFileSync } from 'node:fs';
+import { join, dirname } from 'node:path';
+import { fileURLToPath, pathToFileURL } from 'node:url';
+
+const root = join(dirname(fileURLToPath(import.meta.url)), '..');
+
+// Just enough of localStorage for the settings and caches the app reads at load time. Tests that need
+// saved settings in place before loading put their own on globalThis first.
+export const createMemoryStorage = () => {
+    const items = new Map();
+    return {
+        getItem: (key) => (items.has(key) ? items.get(key) : null),
+        setItem: (key, value) => items.set(key, String(value)),
+        removeItem: (key) => items.delete(key)
+    };
+};
+
+export async function loadStudyBuddy() {
+    globalThis.window ??= {};
+    globalThis.localStorage ??= createMemoryStorage();
+    const { outputFiles } = buildSync({
+        entryPoints: [join(root, 'studyBuddy.jsx')],
+        bundle: true,
+        write: false,
+        format: 'esm',
+        platform: 'node',
+        packages: 'external',
+        logLevel: 'silent'
+    });
+    // Written inside node_modules so the bundle can import react
+    const outDir = join(root, 'node_modules', '.cache', 'study-buddy-test');
+    mkdirSync(outDir, { recursive: true });
+    const outFile = join(outDir, `studyBuddy-${process.pid}.mjs`);
+    writeFileSync(outFile, outputFiles[0].text);
+    return import(pathToFileURL(outFile).href);
+}
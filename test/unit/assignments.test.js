@@ -0,0 +1,65 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadStudyBuddy } from '../loadStudyBuddy.js';
+
+const {
+    saveLlmSettings, toBankQuestion, toAssignedQuestion, mergeAnswerKey, toSubmissionScores, gradeSubmission, summarizeSubmission, buildQuizDocument
+} = await loadStudyBuddy();
+
+// Written answers are graded by the offline mock model
+saveLlmSettings({ provider: 'mock' });
+
+const answerKey = [
+    {
+        type: 'mcq', question: 'What does physics study?', options: ['Nature', 'Money', 'Poetry', 'Law'],
+        correctAnswer: 'Nature', explanation: 'Physics is the study of nature.', section: '1.1', sectionTitle: '1.1 Physics'
+    },
+    {
+        type: 'saq', question: 'Name the two thrusts of physics.', modelAnswer: 'Unification and reduction.',
+        rubric: [{ point: 'Unification', marks: 1 }, { point: 'Reduction', marks: 1 }], explanation: ''
+    }
+].map(toBankQuestion);
+
+test('assigned questions carry no answers', () => {
+    const assigned = answerKey.map(toAssignedQuestion);
+    assigned.forEach(q => {
+        ['correctAnswer', 'modelAnswer', 'rubric', 'explanation'].forEach(field => assert.equal(field in q, false, field));
+    });
+    assert.deepEqual(assigned[0].options, answerKey[0].options);
+    assert.equal(assigned[0].sectionTitle, '1.1 Physics');
+});
+
+test('the answer key is merged back onto the played questions in order', () => {
+    const played = answerKey.map(toAssignedQuestion).map((q, index) => ({ ...q, id: `q${index}` }));
+    const merged = mergeAnswerKey(played, answerKey);
+    assert.deepEqual(merged.map(q => q.id), ['q0', 'q1']);
+    assert.equal(merged[0].correctAnswer, 'Nature');
+    assert.equal(merged[1].modelAnswer, 'Unification and reduction.');
+});
+
+test('submissions are marked against the answer key', async () => {
+    assert.deepEqual(await gradeSubmission(answerKey, ['Nature', 'Unification and reduction']), [1, 1]);
+    assert.deepEqual(await gradeSubmission(answerKey, ['Money', 'Unification']), [0, 0.5]);
+    // A short or missing answers list scores the rest as blank
+    assert.deepEqual(await gradeSubmission(answerKey, undefined), [0, 0]);
+});
+
+test('stored scores are fractions of each question with two decimals', () => {
+    assert.deepEqual(toSubmissionScores([1, 2 / 3, 1.5, -1, 'x']), [1, 0.67, 1, 0, 0]);
+});
+
+test('the teacher sees the stored scores as a total', () => {
+    assert.deepEqual(summarizeSubmission([1, 0.67, 0]), { score: 1.67, total: 3 });
+});
+
+test('an answer key export of assigned questions has no answer blocks', () => {
+    const blocks = buildQuizDocument({ quizTitle: 'Week 1', questions: answerKey.map(toAssignedQuestion) }, 'answers');
+    assert.deepEqual(blocks.filter(block => block.kind === 'answer' || block.kind === 'rubric'), []);
+    assert.equal(blocks.some(block => block.correct), false);
+});
+
+test('an answer key export shows the answers once the key is merged', () => {
+    const blocks = buildQuizDocument({ quizTitle: 'Week 1', questions: answerKey }, 'answers');
+    assert.deepEqual(blocks.filter(block => block.kind === 'answer').map(block => block.label), ['Answer', 'Explanation', 'Model answer', 'Marking scheme']);
+    assert.equal(blocks.find(block => block.label === 'Answer').text, 'A) Nature');
+});
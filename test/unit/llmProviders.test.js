@@ -0,0 +1,81 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createMemoryStorage, loadStudyBuddy } from '../loadStudyBuddy.js';
+
+// Settings from the environment and settings saved in the browser, both in place before the app loads
+globalThis.__llm_config = JSON.stringify({
+    provider: 'openai',
+    providers: { openai: { baseUrl: 'http://config.test/v1', model: 'config-model' } }
+});
+globalThis.localStorage = createMemoryStorage();
+localStorage.setItem('study-buddy-app:llmSettings', JSON.stringify({ provider: 'mock', providers: { openai: { model: 'saved-model' } } }));
+
+const { getLlmSettings, saveLlmSettings, getLlmProvider } = await loadStudyBuddy();
+
+const MATERIAL = [
+    '[Page 1] Physics is the study of nature and its laws, from the smallest particles to the whole universe.',
+    'Unification means explaining diverse physical phenomena in terms of a few concepts and laws.',
+    'Reduction means deriving the properties of a complex system from the properties of its constituent parts.',
+    '[Page 2] Electromagnetism explains electric and magnetic phenomena as aspects of one fundamental interaction.',
+    'Thermodynamics describes how heat, work and temperature are related in large collections of particles.'
+].join(' ');
+
+const quizRequest = { task: 'quiz', messages: [], meta: { counts: { mcq: 3, saq: 1 }, material: MATERIAL, pages: [] } };
+
+test('saved settings override the environment, which overrides the defaults', () => {
+    const { provider, providers } = getLlmSettings();
+    assert.equal(provider, 'mock');
+    assert.equal(providers.openai.model, 'saved-model');
+    assert.equal(providers.openai.baseUrl, 'http://config.test/v1');
+    assert.equal(providers.gemini.model, 'gemini-2.5-flash-preview-05-20');
+});
+
+test('the provider follows the current settings', () => {
+    assert.equal(getLlmProvider().name, 'mock');
+    saveLlmSettings({ ...getLlmSettings(), provider: 'openai' });
+    assert.equal(getLlmProvider().name, 'openai');
+    // An unknown provider falls back to Gemini
+    saveLlmSettings({ ...getLlmSettings(), provider: 'someone-else' });
+    assert.equal(getLlmProvider().name, 'gemini');
+    saveLlmSettings({ ...getLlmSettings(), provider: 'mock' });
+    assert.equal(JSON.parse(localStorage.getItem('study-buddy-app:llmSettings')).provider, 'mock');
+});
+
+test('the mock quiz is built from the material and is the same every time', async () => {
+    const { text } = await getLlmProvider().generate(quizRequest);
+    assert.equal((await getLlmProvider().generate(quizRequest)).text, text);
+
+    const { questions } = JSON.parse(text);
+    assert.deepEqual(questions.map(q => q.type), ['mcq', 'mcq', 'mcq', 'saq']);
+    questions.filter(q => q.type === 'mcq').forEach(q => {
+        assert.equal(q.options.length, 4);
+        assert.ok(q.options.includes(q.correctAnswer));
+        assert.ok(q.question.includes('_____'));
+    });
+    const saq = questions[3];
+    assert.ok(saq.rubric.length > 0);
+    assert.ok(MATERIAL.includes(saq.modelAnswer));
+});
+
+test('the mock grader marks each rubric point by its key words', async () => {
+    const items = [{
+        id: 'q1',
+        answer: 'Unification explains diverse phenomena with a few concepts and laws.',
+        rubric: [
+            { point: 'Unification explains diverse phenomena with a few concepts and laws', marks: 1 },
+            { point: 'Reduction derives complex systems from their constituent parts', marks: 1 }
+        ]
+    }];
+    const request = { task: 'grade', messages: [], meta: { items } };
+    const { text } = await getLlmProvider().generate(request);
+    assert.equal((await getLlmProvider().generate(request)).text, text);
+
+    const [grade] = JSON.parse(text).grades;
+    assert.equal(grade.questionId, 'q1');
+    assert.deepEqual(grade.points.map(p => [p.index, p.awarded]), [[1, 1], [2, 0]]);
+    assert.match(grade.overallFeedback, /^Add: Reduction/);
+});
+
+test('the mock refuses tasks it has no answer for', async () => {
+    await assert.rejects(getLlmProvider().generate({ task: 'poem', messages: [] }), /no answer for "poem"/);
+});
@@ -0,0 +1,58 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadStudyBuddy } from '../loadStudyBuddy.js';
+
+const {
+    parseQuestionBank,
+    validateQuizQuestion,
+    toAttemptQuestion,
+    toQuestionScore,
+    toFirestoreData
+} = await loadStudyBuddy();
+
+const CSV_BANK = [
+    'type,question,optionA,optionB,optionC,optionD,correctAnswer,modelAnswer,explanation',
+    'mcq,What does physics study?,Nature,Money,Poetry,Law,A,,Physics is the study of nature.',
+    'saq,"Name two thrusts of physics.",,,,,,"Unification and reduction.","Both are described in 1.2."'
+].join('\n');
+
+// Paths of every undefined value, which Firestore refuses to store
+const undefinedPaths = (value, path = '') => {
+    if (value === undefined) return [path];
+    if (!value || typeof value !== 'object') return [];
+    return Object.entries(value).flatMap(([key, item]) => undefinedPaths(item, `${path}.${key}`));
+};
+
+test('an attempt at an imported CSV quiz can be synced to Firestore', () => {
+    const bank = parseQuestionBank('physics.csv', CSV_BANK);
+    assert.deepEqual(bank.errors, []);
+
+    // As the quiz view plays it: validated again and given ids
+    const questions = bank.questions
+        .map(q => validateQuizQuestion(q).question)
+        .map((q, index) => ({ ...q, id: `q${index}` }));
+    const results = {
+        q0: { score: 1 },
+        q1: { score: 0.5, points: [], awardedMarks: 1, totalMarks: 2, missing: ['reduction'], feedback: '', gradedBy: 'estimate' }
+    };
+    const answers = { q0: 'Nature', q1: 'Unification' };
+
+    const attempt = {
+        type: 'mixed',
+        score: 1.5,
+        total: questions.length,
+        timestamp: Date.now(),
+        quizTitle: bank.quizTitle,
+        questions: questions.map(q => toAttemptQuestion(q, answers[q.id], results[q.id])),
+        questionScores: questions.map(q => toQuestionScore(q, results[q.id]))
+    };
+
+    assert.deepEqual(undefinedPaths(attempt), []);
+    assert.deepEqual(attempt.questionScores.map(q => [q.section, q.sectionTitle]), [['', ''], ['', '']]);
+    assert.deepEqual(toFirestoreData(attempt), attempt);
+});
+
+test('toFirestoreData drops undefined fields and nulls undefined array entries', () => {
+    const data = { title: undefined, sources: [{ uri: 'https://example.com', title: undefined }, undefined], count: 0 };
+    assert.deepEqual(toFirestoreData(data), { sources: [{ uri: 'https://example.com' }, null], count: 0 });
+});
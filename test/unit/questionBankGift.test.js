@@ -0,0 +1,40 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadStudyBuddy } from '../loadStudyBuddy.js';
+
+const { parseQuestionBank, exportQuestionBank } = await loadStudyBuddy();
+
+test('GIFT export and import keep backslashes and special characters', () => {
+    const quiz = {
+        quizTitle: 'Escapes',
+        questions: [
+            {
+                type: 'mcq',
+                question: 'Which path is C:\\new\\data {set} = 1 ~ #2?',
+                options: ['C:\\new', 'a\\\\b', 'x = {y}', 'n\\n'],
+                correctAnswer: 'C:\\new',
+                explanation: 'Ends in a backslash \\'
+            },
+            {
+                type: 'saq',
+                question: 'Escape \\ and \\n in GIFT.',
+                modelAnswer: 'Write \\\\ for \\ and keep ~=#{}: escaped.\nA real line break becomes \\n.',
+                explanation: ''
+            }
+        ]
+    };
+
+    const { text } = exportQuestionBank(quiz, 'gift');
+    const bank = parseQuestionBank('escapes.gift', text);
+    assert.equal(bank.format, 'gift');
+    assert.deepEqual(bank.errors, []);
+
+    const [mcq, saq] = bank.questions;
+    assert.equal(mcq.question, quiz.questions[0].question);
+    assert.deepEqual(mcq.options, quiz.questions[0].options);
+    assert.equal(mcq.correctAnswer, 'C:\\new');
+    assert.equal(mcq.explanation, quiz.questions[0].explanation);
+    assert.equal(saq.type, 'saq');
+    assert.equal(saq.question, quiz.questions[1].question);
+    assert.equal(saq.modelAnswer, quiz.questions[1].modelAnswer);
+});
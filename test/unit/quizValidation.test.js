@@ -0,0 +1,110 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadStudyBuddy } from '../loadStudyBuddy.js';
+
+const { resolveCorrectOption, validateQuizQuestion, validateQuiz } = await loadStudyBuddy();
+
+const OPTIONS = ['Nature', 'Money', 'Poetry', 'Law'];
+const mcq = (overrides = {}) => ({ type: 'mcq', question: 'What does physics study?', options: OPTIONS, correctAnswer: 'Nature', explanation: 'Physics studies nature.', ...overrides });
+const saq = (overrides = {}) => ({ type: 'saq', question: 'Name the two thrusts of physics.', modelAnswer: 'Unification and reduction.', rubric: [{ point: 'Unification', marks: 1 }], explanation: '', ...overrides });
+
+test('the correct answer is found by text, loosely, or by its letter', () => {
+    assert.equal(resolveCorrectOption('Poetry', OPTIONS), 2);
+    assert.equal(resolveCorrectOption('  poetry. ', OPTIONS), 2);
+    assert.equal(resolveCorrectOption('C', OPTIONS), 2);
+    assert.equal(resolveCorrectOption('(c)', OPTIONS), 2);
+    assert.equal(resolveCorrectOption('Option C', OPTIONS), 2);
+    assert.equal(resolveCorrectOption('C) Poetry', OPTIONS), 2);
+    assert.equal(resolveCorrectOption('Chemistry', OPTIONS), -1);
+    assert.equal(resolveCorrectOption('', OPTIONS), -1);
+});
+
+test('a letter-only answer is replaced by the option text', () => {
+    const { question, errors } = validateQuizQuestion(mcq({ correctAnswer: 'b' }));
+    assert.deepEqual(errors, []);
+    assert.equal(question.correctAnswer, 'Money');
+});
+
+test('an answer that is not one of the options is rejected', () => {
+    const { question, errors } = validateQuizQuestion(mcq({ correctAnswer: 'Chemistry' }));
+    assert.equal(question, null);
+    assert.deepEqual(errors, ['has a correctAnswer "Chemistry" that is not one of its options']);
+    // A letter past the last option doesn't point at one either
+    assert.equal(validateQuizQuestion(mcq({ options: ['Nature', 'Money', 'Poetry'], correctAnswer: 'D' })).question, null);
+});
+
+test('an MCQ with fewer than 4 distinct options is rejected', () => {
+    assert.deepEqual(validateQuizQuestion(mcq({ options: ['Nature', 'Money', 'Poetry'] })).errors, ['has 3 distinct options instead of 4']);
+    assert.deepEqual(validateQuizQuestion(mcq({ options: ['Nature', 'Money', 'money', 'Law'] })).errors, ['has 3 distinct options instead of 4']);
+});
+
+test('an MCQ with more than 4 options keeps the answer and the first distractors', () => {
+    const { question, errors } = validateQuizQuestion(mcq({ options: ['Money', 'Poetry', 'Law', 'Music', 'Nature'] }));
+    assert.deepEqual(errors, []);
+    assert.deepEqual(question.options, ['Money', 'Poetry', 'Law', 'Nature']);
+});
+
+test('letter labels are stripped only when every option has one', () => {
+    const labelled = validateQuizQuestion(mcq({ options: ['A) Nature', 'B) Money', 'C) Poetry', 'D) Law'], correctAnswer: 'A' })).question;
+    assert.deepEqual(labelled.options, OPTIONS);
+    assert.equal(labelled.correctAnswer, 'Nature');
+});
+
+test('a question of a type that was not requested is rejected', () => {
+    const { question, errors } = validateQuizQuestion(saq(), ['mcq']);
+    assert.equal(question, null);
+    assert.deepEqual(errors, ['is a SAQ but only MCQ questions were requested']);
+});
+
+test('a missing type is read off the shape of the question', () => {
+    assert.equal(validateQuizQuestion(mcq({ type: undefined }), ['mcq', 'saq']).question.type, 'mcq');
+    assert.equal(validateQuizQuestion(saq({ type: '' }), ['mcq', 'saq']).question.type, 'saq');
+    assert.deepEqual(validateQuizQuestion(saq({ type: 'essay' }), ['saq', 'laq']).errors, ['has an unknown type "essay"']);
+});
+
+test('a written question needs a model answer or a rubric', () => {
+    assert.deepEqual(validateQuizQuestion(saq({ modelAnswer: '', rubric: [] })).errors, ['has neither a model answer nor a rubric to grade against']);
+    assert.equal(validateQuizQuestion(saq({ modelAnswer: '' })).question.modelAnswer, 'Unification');
+});
+
+test('the shortfall per type is what the follow-up request asks for', () => {
+    const result = {
+        quizTitle: 'Physics',
+        questions: [
+            mcq(),
+            mcq({ question: 'Which field explains electric and magnetic effects together?', options: ['Optics', 'Electromagnetism', 'Acoustics', 'Geology'], correctAnswer: 'B' }),
+            mcq({ question: 'What is 2 + 2?', correctAnswer: 'Five' }),
+            mcq({ question: 'What does physics study?' }),
+            saq({ type: 'laq' })
+        ]
+    };
+    const { questions, problems, missing } = validateQuiz(result, { mcq: 4, saq: 1 });
+    assert.equal(questions.length, 2);
+    assert.deepEqual(missing, { mcq: 2, saq: 1, laq: 0 });
+    assert.deepEqual(problems, [
+        'Question 3 has a correctAnswer "Five" that is not one of its options.',
+        'Question 4 repeats an earlier question.',
+        'Question 5 is a LAQ but only MCQ/SAQ questions were requested.'
+    ]);
+});
+
+test('a follow-up answer is checked against the questions already kept', () => {
+    const kept = [validateQuizQuestion(mcq()).question];
+    const followUp = { questions: [mcq(), mcq({ question: 'Which subject is about the law of the land?', correctAnswer: 'Law' })] };
+    const { questions, missing } = validateQuiz(followUp, { mcq: 1 }, 0, kept);
+    assert.deepEqual(questions.map(q => q.correctAnswer), ['Law']);
+    assert.deepEqual(missing, { mcq: 0, saq: 0, laq: 0 });
+});
+
+test('surplus questions of a type are dropped without a problem', () => {
+    const { questions, problems, missing } = validateQuiz({ questions: [mcq(), mcq({ question: 'Another question about law?', correctAnswer: 'Law' })] }, { mcq: 1 });
+    assert.equal(questions.length, 1);
+    assert.deepEqual(problems, []);
+    assert.deepEqual(missing, { mcq: 0, saq: 0, laq: 0 });
+});
+
+test('a response without a questions list asks for everything again', () => {
+    const { problems, missing } = validateQuiz({ quizTitle: 'Oops' }, { mcq: 2, laq: 1 });
+    assert.deepEqual(problems, ["The response has no 'questions' list."]);
+    assert.deepEqual(missing, { mcq: 2, saq: 0, laq: 1 });
+});
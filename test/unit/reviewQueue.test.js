@@ -0,0 +1,48 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadStudyBuddy } from '../loadStudyBuddy.js';
+
+const { applyReviewResults } = await loadStudyBuddy();
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const NOW = Date.UTC(2026, 0, 5, 9);
+const question = { type: 'mcq', question: 'What does physics study?', options: ['Nature', 'Money', 'Poetry', 'Law'], correctAnswer: 'Nature' };
+const entry = (score, overrides = {}) => ({ question, score, coursebookId: 'physics-11', coursebookName: 'Physics 11', quizTitle: 'Week 1', ...overrides });
+
+test('a new question becomes a review item', () => {
+    const { items, history } = applyReviewResults([], [entry(1)], 'quiz', NOW);
+    const [item] = items.values();
+    assert.equal(item.reviewCount, 1);
+    assert.equal(item.lapses, 0);
+    assert.equal(item.dueAt, NOW + DAY_MS);
+    assert.equal(item.createdAt, NOW);
+    assert.deepEqual(history, [{ itemId: item.id, source: 'quiz', score: 1, quality: 4, interval: 1, timestamp: NOW }]);
+});
+
+test('a question met twice in one quiz counts both results', () => {
+    const { items, history } = applyReviewResults([], [entry(1), entry(0)], 'quiz', NOW);
+    assert.equal(items.size, 1);
+    const [item] = items.values();
+    assert.equal(item.reviewCount, 2);
+    assert.equal(item.lapses, 1);
+    assert.equal(item.lastScore, 0);
+    // The miss comes last, so the question is due again straight away
+    assert.equal(item.dueAt, NOW);
+    assert.equal(history.length, 2);
+});
+
+test('results build on the saved item', () => {
+    const first = applyReviewResults([], [entry(1)], 'quiz', NOW).items;
+    const saved = [...first.values()];
+    const { items } = applyReviewResults(saved, [entry(1, { quality: 5 })], 'review', NOW + DAY_MS);
+    const [item] = items.values();
+    assert.equal(item.reviewCount, 2);
+    assert.equal(item.repetitions, 2);
+    assert.equal(item.interval, 6);
+    assert.equal(item.createdAt, NOW);
+});
+
+test('the same question in another coursebook is a separate item', () => {
+    const { items } = applyReviewResults([], [entry(1), entry(1, { coursebookId: 'physics-12' })], 'quiz', NOW);
+    assert.equal(items.size, 2);
+});
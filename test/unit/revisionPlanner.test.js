@@ -0,0 +1,46 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadStudyBuddy } from '../loadStudyBuddy.js';
+
+const { buildRevisionSchedule, scheduleToIcs } = await loadStudyBuddy();
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const now = new Date(2026, 2, 2, 9, 0).getTime();
+const plan = {
+    id: 'plan1',
+    coursebookId: 'book1',
+    coursebookName: 'Physics Part 1',
+    examDate: '2026-03-07',
+    sections: [{ label: '1.1', title: 'What is physics?', page: 3 }],
+    minutesPerDay: 60,
+    studyTime: '17:00',
+    readSections: {}
+};
+
+const reviewDays = (schedule) => schedule.days
+    .map((day, index) => ({ index, review: day.blocks.find(block => block.kind === 'review') }))
+    .filter(day => day.review)
+    .map(({ index, review }) => [index, review.label]);
+
+test('no review blocks without review items due before the exam', () => {
+    const schedule = buildRevisionSchedule(plan, [], [], { reviewItems: [{ coursebookId: 'book1', dueAt: now + 30 * DAY_MS }], now });
+    assert.deepEqual(reviewDays(schedule), []);
+    assert.equal(scheduleToIcs(plan, schedule, now).includes('Review queue'), false);
+});
+
+test('review blocks only on the days the plan\'s items fall due', () => {
+    const reviewItems = [
+        { coursebookId: 'book1', dueAt: now - 3 * DAY_MS },
+        { coursebookId: 'book1', dueAt: now + 2 * DAY_MS },
+        { coursebookId: 'book1', dueAt: now + 2 * DAY_MS + 60 * 60 * 1000 },
+        { coursebookId: 'book2', dueAt: now + DAY_MS },
+        { dueAt: now + 3 * DAY_MS }
+    ];
+    const schedule = buildRevisionSchedule(plan, [], [], { reviewItems, now });
+    assert.deepEqual(reviewDays(schedule), [
+        [0, '1 question due for review'],
+        [2, '2 questions due for review'],
+        [3, '1 question due for review']
+    ]);
+    assert.equal(scheduleToIcs(plan, schedule, now).match(/SUMMARY:Review queue/g).length, 3);
+});
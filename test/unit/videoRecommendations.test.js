@@ -0,0 +1,134 @@
+import { beforeEach, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadStudyBuddy } from '../loadStudyBuddy.js';
+
+const { saveLlmSettings, parseYoutubeVideoId, normalizeVideoResults, buildVideoTopics, getVideoRecommendations } = await loadStudyBuddy();
+
+const CACHE_KEY = 'study-buddy-app:videoCache';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+test('video IDs are read from the usual YouTube URL shapes', () => {
+    [
+        'https://www.youtube.com/watch?v=dQw4w9WgXcQ',
+        'https://youtube.com/watch?v=dQw4w9WgXcQ&t=42s',
+        'https://m.youtube.com/watch?v=dQw4w9WgXcQ',
+        'https://youtu.be/dQw4w9WgXcQ?si=abc',
+        'https://www.youtube.com/embed/dQw4w9WgXcQ',
+        'https://www.youtube-nocookie.com/embed/dQw4w9WgXcQ',
+        'https://www.youtube.com/shorts/dQw4w9WgXcQ',
+        'https://www.youtube.com/live/dQw4w9WgXcQ',
+        'https://WWW.YOUTUBE.COM/watch?v=dQw4w9WgXcQ'
+    ].forEach(url => assert.equal(parseYoutubeVideoId(url), 'dQw4w9WgXcQ', url));
+});
+
+test('searches, channels, playlists, other sites and malformed IDs give no video', () => {
+    [
+        'https://www.youtube.com/results?search_query=vectors',
+        'https://www.youtube.com/@physicswallah',
+        'https://www.youtube.com/channel/UC1234567890',
+        'https://www.youtube.com/playlist?list=PL1234567890',
+        'https://www.youtube.com/watch?v=tooShort',
+        'https://www.youtube.com/watch?v=dQw4w9WgXcQ!',
+        'https://youtu.be/',
+        'https://vimeo.com/dQw4w9WgXcQ',
+        'https://notyoutube.com/watch?v=dQw4w9WgXcQ',
+        'youtube.com/watch?v=dQw4w9WgXcQ',
+        '',
+        undefined
+    ].forEach(url => assert.equal(parseYoutubeVideoId(url), null, String(url)));
+});
+
+test('suggestions are kept once per video, with a title, in the model order', () => {
+    const videos = normalizeVideoResults([
+        { title: 'Vectors in 10 minutes', url: 'https://www.youtube.com/watch?v=aaaaaaaaaaa' },
+        { title: 'Vectors again', url: 'https://youtu.be/aaaaaaaaaaa' },
+        { title: '', url: 'https://www.youtube.com/watch?v=bbbbbbbbbbb' },
+        { title: 'Search page', url: 'https://www.youtube.com/results?search_query=vectors' },
+        null,
+        { title: '  Projectile motion  ', url: 'https://www.youtube.com/shorts/ccccccccccc' }
+    ]);
+    assert.deepEqual(videos, [
+        { videoId: 'aaaaaaaaaaa', title: 'Vectors in 10 minutes', url: 'https://www.youtube.com/watch?v=aaaaaaaaaaa' },
+        { videoId: 'ccccccccccc', title: 'Projectile motion', url: 'https://www.youtube.com/watch?v=ccccccccccc' }
+    ]);
+    assert.deepEqual(normalizeVideoResults({ title: 'not a list' }), []);
+});
+
+test('topics are the weakest sections first, then unpractised ones, then mastered ones', () => {
+    const coursebook = { id: 'physics-11', name: 'Physics Part 1', subject: 'Physics' };
+    const toc = [
+        { label: '1', title: 'Units and Measurement', level: 1, chapter: '1' },
+        { label: '1.1', title: 'Introduction', level: 2, chapter: '1' },
+        { label: '1.2', title: 'The International System of Units', level: 2, chapter: '1' },
+        { label: '1.3', title: 'Significant Figures', level: 2, chapter: '1' },
+        { label: '2', title: 'Motion in a Straight Line', level: 1, chapter: '2' },
+        { label: '2.1', title: 'Position and Displacement', level: 2, chapter: '2' }
+    ];
+    const mastery = [
+        { section: '1.1', mastery: 0.9, coursebookId: 'physics-11' },
+        { section: '1.3', mastery: 0.2, coursebookId: 'physics-11' },
+        { section: '2.1', mastery: 0.4 },
+        // Another book's results don't count
+        { section: '1.2', mastery: 0.1, coursebookId: 'chemistry-11' }
+    ];
+    const topics = buildVideoTopics(toc, mastery, coursebook);
+    assert.deepEqual(topics.map(topic => [topic.label, topic.mastery]), [['§1.3 Significant Figures', 0.2], ['§2.1 Position and Displacement', 0.4], ['§1.2 The International System of Units', null]]);
+    assert.equal(topics[0].query, 'Significant Figures - Units and Measurement - Physics');
+    assert.equal(topics[0].key, 'physics-11|1.3');
+});
+
+test('a book without sections gets one topic from its title', () => {
+    const topics = buildVideoTopics([], [], { id: 'notes', name: 'My notes', subject: 'Biology' });
+    assert.deepEqual(topics, [{ key: 'notes|', label: 'My notes', query: 'My notes - Biology', mastery: null, order: 0 }]);
+});
+
+// Recommendations come from an OpenAI-compatible server, stood in for by fetch
+let replies;
+let requests;
+beforeEach(() => {
+    localStorage.removeItem(CACHE_KEY);
+    saveLlmSettings({ provider: 'openai' });
+    requests = 0;
+    globalThis.fetch = async () => {
+        requests += 1;
+        const content = JSON.stringify(replies.shift() || []);
+        return { ok: true, json: async () => ({ choices: [{ message: { content } }] }) };
+    };
+});
+
+const video = (id) => ({ title: `Video ${id}`, url: `https://www.youtube.com/watch?v=${id}` });
+
+test('recommendations are cached per topic until they expire', async () => {
+    replies = [[video('aaaaaaaaaaa')], [video('bbbbbbbbbbb')]];
+    assert.deepEqual((await getVideoRecommendations('Vectors')).map(v => v.videoId), ['aaaaaaaaaaa']);
+    assert.deepEqual((await getVideoRecommendations('vectors')).map(v => v.videoId), ['aaaaaaaaaaa']);
+    assert.equal(requests, 1);
+
+    const cache = JSON.parse(localStorage.getItem(CACHE_KEY));
+    cache.vectors.fetchedAt -= 8 * DAY_MS;
+    localStorage.setItem(CACHE_KEY, JSON.stringify(cache));
+    assert.deepEqual((await getVideoRecommendations('Vectors')).map(v => v.videoId), ['bbbbbbbbbbb']);
+    assert.equal(requests, 2);
+});
+
+test('refresh asks again even when the topic is cached', async () => {
+    replies = [[video('aaaaaaaaaaa')], [video('bbbbbbbbbbb')]];
+    await getVideoRecommendations('Vectors');
+    assert.deepEqual((await getVideoRecommendations('Vectors', { refresh: true })).map(v => v.videoId), ['bbbbbbbbbbb']);
+    assert.equal(requests, 2);
+});
+
+test('empty results are not cached', async () => {
+    replies = [[], [video('ccccccccccc')]];
+    assert.deepEqual(await getVideoRecommendations('Optics'), []);
+    assert.equal(localStorage.getItem(CACHE_KEY), null);
+    assert.deepEqual((await getVideoRecommendations('Optics')).map(v => v.videoId), ['ccccccccccc']);
+    assert.equal(requests, 2);
+});
+
+test('expired topics are dropped when the cache is written', async () => {
+    localStorage.setItem(CACHE_KEY, JSON.stringify({ old: { fetchedAt: Date.now() - 8 * DAY_MS, videos: [] } }));
+    replies = [[video('aaaaaaaaaaa')]];
+    await getVideoRecommendations('Vectors');
+    assert.deepEqual(Object.keys(JSON.parse(localStorage.getItem(CACHE_KEY))), ['vectors']);
+});